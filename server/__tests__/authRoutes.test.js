@@ -0,0 +1,76 @@
+// @vitest-environment node
+/**
+ * Route tests for signing up, logging in and out, against the real server
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { startTestServer } from './testServer.js';
+
+describe('auth endpoints', () => {
+  let server;
+  let api;
+
+  beforeAll(async () => {
+    server = await startTestServer();
+    ({ api } = server);
+    await api('POST', '/auth/register', {
+      body: { role: 'student', fullName: 'Asha', email: 'asha@example.com', enrollment: 'E1', password: 'password1' }
+    });
+  }, 30000);
+
+  afterAll(() => {
+    server?.stop();
+  });
+
+  it('logs in with the enrollment number or email and never returns the password hash', async () => {
+    const byEnrollment = await api('POST', '/auth/login', { body: { role: 'student', identifier: 'E1', password: 'password1' } });
+    const byEmail = await api('POST', '/auth/login', { body: { role: 'student', identifier: 'ASHA@example.com', password: 'password1' } });
+
+    expect(byEnrollment.status).toBe(200);
+    expect(byEnrollment.body.token).toEqual(expect.any(String));
+    expect(byEnrollment.body.user).toMatchObject({ role: 'student', name: 'Asha', enrollment: 'E1' });
+    expect(byEnrollment.body.user).not.toHaveProperty('passwordHash');
+    expect(byEmail.status).toBe(200);
+  });
+
+  it('rejects a wrong password or the wrong role', async () => {
+    const wrongPassword = await api('POST', '/auth/login', { body: { role: 'student', identifier: 'E1', password: 'password2' } });
+    const wrongRole = await api('POST', '/auth/login', { body: { role: 'faculty', identifier: 'E1', password: 'password1' } });
+
+    expect(wrongPassword).toMatchObject({ status: 401, body: { error: 'invalid_credentials' } });
+    expect(wrongRole).toMatchObject({ status: 401, body: { error: 'invalid_credentials' } });
+  });
+
+  it('refuses a second account with the same email or enrollment number', async () => {
+    const { status } = await api('POST', '/auth/register', {
+      body: { role: 'student', fullName: 'Asha Again', email: 'other@example.com', enrollment: 'E1', password: 'password1' }
+    });
+
+    expect(status).toBe(409);
+  });
+
+  it('verifies the token on each request', async () => {
+    const token = await server.signUp({ role: 'student', fullName: 'Ben', email: 'ben@example.com', enrollment: 'E2' }, 'E2');
+    // The same token edited to claim a faculty account
+    const [payload, signature] = token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const forged = `${Buffer.from(JSON.stringify({ ...claims, role: 'faculty' })).toString('base64url')}.${signature}`;
+
+    expect((await api('GET', '/auth/me', { token })).body.user).toMatchObject({ name: 'Ben' });
+    expect((await api('GET', '/auth/me')).status).toBe(401);
+    expect((await api('GET', '/auth/me', { token: forged })).status).toBe(401);
+    expect((await api('GET', '/faculty/exams', { token: forged })).status).toBe(401);
+  });
+
+  it('revokes the session on logout', async () => {
+    const token = await server.signUp({ role: 'student', fullName: 'Chen', email: 'chen@example.com', enrollment: 'E3' }, 'E3');
+    const otherToken = (await api('POST', '/auth/login', { body: { role: 'student', identifier: 'E3', password: 'password1' } })).body.token;
+
+    expect((await api('POST', '/auth/logout', { token })).status).toBe(204);
+
+    expect((await api('GET', '/auth/me', { token })).status).toBe(401);
+    expect((await api('GET', '/student/exams', { token })).status).toBe(401);
+    // Other sessions for the same account stay signed in
+    expect((await api('GET', '/auth/me', { token: otherToken })).status).toBe(200);
+  });
+});
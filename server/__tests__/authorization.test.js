@@ -0,0 +1,93 @@
+// @vitest-environment node
+/**
+ * Route tests for who may call what: roles, exam ownership and faculty
+ * sign-up, against the real server
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { startTestServer, liveWindow } from './testServer.js';
+
+describe('authorization', () => {
+  let server;
+  let api;
+  let ownerToken;
+  let otherFacultyToken;
+  let studentToken;
+  let exam;
+
+  beforeAll(async () => {
+    server = await startTestServer();
+    ({ api } = server);
+
+    ownerToken = await server.signUp({ role: 'faculty', fullName: 'Prof. Rao', email: 'rao@example.com', facultyId: 'F1' }, 'F1');
+    otherFacultyToken = await server.signUp({ role: 'faculty', fullName: 'Prof. Iyer', email: 'iyer@example.com', facultyId: 'F2' }, 'F2');
+    studentToken = await server.signUp({ role: 'student', fullName: 'Asha', email: 'asha@example.com', enrollment: 'E1' }, 'E1');
+
+    ({ body: exam } = await api('POST', '/faculty/exams', {
+      token: ownerToken,
+      body: { title: 'Physics', shortDescription: 'Mechanics', pointsTotal: 1, ...liveWindow() }
+    }));
+    await api('PUT', `/faculty/exams/${exam.id}`, {
+      token: ownerToken,
+      body: { questions: [{ id: 'Q1', type: 'mcq', question: '2 + 2?', options: ['3', '4'], correctAnswer: 1, points: 1 }] }
+    });
+    const { body: attempt } = await api('POST', `/student/exams/${exam.id}/start`, { token: studentToken });
+    await api('POST', `/student/exams/${exam.id}/submit`, {
+      token: studentToken,
+      body: { attemptId: attempt.attemptId, answers: { Q1: 1 } }
+    });
+  }, 30000);
+
+  afterAll(() => {
+    server?.stop();
+  });
+
+  it('answers 401 without a session', async () => {
+    expect((await api('GET', '/student/exams')).status).toBe(401);
+    expect((await api('GET', '/faculty/exams')).status).toBe(401);
+    expect((await api('POST', `/student/exams/${exam.id}/start`)).status).toBe(401);
+  });
+
+  it('answers 403 for the wrong role', async () => {
+    expect((await api('GET', '/faculty/exams', { token: studentToken })).status).toBe(403);
+    expect((await api('GET', `/faculty/exams/${exam.id}/submissions`, { token: studentToken })).status).toBe(403);
+    expect((await api('GET', '/student/exams', { token: ownerToken })).status).toBe(403);
+    expect((await api('POST', `/student/exams/${exam.id}/start`, { token: ownerToken })).status).toBe(403);
+  });
+
+  it("doesn't let faculty change or delete another faculty's exam", async () => {
+    const edit = await api('PUT', `/faculty/exams/${exam.id}`, { token: otherFacultyToken, body: { title: 'Taken over' } });
+    const remove = await api('DELETE', `/faculty/exams/${exam.id}`, { token: otherFacultyToken });
+
+    expect(edit).toMatchObject({ status: 403, body: { error: 'forbidden' } });
+    expect(remove).toMatchObject({ status: 403, body: { error: 'forbidden' } });
+  });
+
+  it("doesn't show faculty another faculty's exams, students or submissions", async () => {
+    const { body: owned } = await api('GET', '/faculty/exams', { token: ownerToken });
+    const { body: others } = await api('GET', '/faculty/exams', { token: otherFacultyToken });
+    const { body: stats } = await api('GET', '/faculty/stats', { token: otherFacultyToken });
+    const { body: ownerStudents } = await api('GET', '/faculty/students', { token: ownerToken });
+    const { body: otherStudents } = await api('GET', '/faculty/students', { token: otherFacultyToken });
+    const studentId = ownerStudents.students[0].id;
+
+    expect(owned.exams.map(e => e.id)).toEqual([exam.id]);
+    expect(others.exams).toEqual([]);
+    expect(stats.totalExams).toBe(0);
+    expect(otherStudents.students).toEqual([]);
+    expect((await api('GET', `/faculty/students/${studentId}`, { token: otherFacultyToken })).status).toBe(404);
+    expect((await api('GET', `/faculty/exams/${exam.id}/submissions`, { token: otherFacultyToken })).status).toBe(403);
+    expect((await api('GET', `/faculty/exams/${exam.id}/submissions`, { token: ownerToken })).body.total).toBe(1);
+  });
+
+  it('only registers faculty with the invite code', async () => {
+    const faculty = { role: 'faculty', fullName: 'Prof. Sen', email: 'sen@example.com', facultyId: 'F3', password: 'password1' };
+
+    expect((await api('POST', '/auth/register', { body: faculty })).status).toBe(400);
+    expect((await api('POST', '/auth/register', { body: { ...faculty, inviteCode: 'guess' } }))).toMatchObject({
+      status: 403,
+      body: { error: 'invalid_invite_code' }
+    });
+    expect((await api('POST', '/auth/login', { body: { role: 'faculty', identifier: 'F3', password: 'password1' } })).status).toBe(401);
+  });
+});
@@ -0,0 +1,369 @@
+// @vitest-environment node
+/**
+ * Route tests for taking an exam: attempts, deadlines, autosave and submits,
+ * against the real server
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { startTestServer, liveWindow } from './testServer.js';
+
+const questions = [
+  { id: 'Q1', type: 'mcq', question: '2 + 2?', options: ['3', '4'], correctAnswer: 1, points: 1 },
+  { id: 'Q2', type: 'mcq', question: '3 + 3?', options: ['6', '7'], correctAnswer: 0, points: 1 }
+];
+
+// Helper function to wait until a time given in milliseconds
+function waitUntil(time) {
+  return new Promise(resolve => setTimeout(resolve, Math.max(0, time - Date.now())));
+}
+
+// Helper function to sign up a faculty user and two students on a server
+async function signUpUsers(server) {
+  return {
+    faculty: await server.signUp({ role: 'faculty', fullName: 'Prof. Rao', email: 'rao@example.com', facultyId: 'F1' }, 'F1'),
+    asha: await server.signUp({ role: 'student', fullName: 'Asha', email: 'asha@example.com', enrollment: 'E1' }, 'E1'),
+    ben: await server.signUp({ role: 'student', fullName: 'Ben', email: 'ben@example.com', enrollment: 'E2' }, 'E2')
+  };
+}
+
+// Helper function to create a live exam with the questions above
+async function createExam(server, token, { window = liveWindow(), attempts = 1 } = {}) {
+  const { body: exam } = await server.api('POST', '/faculty/exams', {
+    token,
+    body: { title: 'Arithmetic', shortDescription: 'Sums', pointsTotal: 2, ...window, settingsSummary: { attemptsLeft: attempts } }
+  });
+  await server.api('PUT', `/faculty/exams/${exam.id}`, { token, body: { questions } });
+  return exam;
+}
+
+describe('submitting as the signed-in student', () => {
+  let server;
+  let tokens;
+
+  beforeAll(async () => {
+    server = await startTestServer();
+    tokens = await signUpUsers(server);
+  }, 30000);
+
+  afterAll(() => {
+    server?.stop();
+  });
+
+  it('ignores a studentId in the request body', async () => {
+    const { api } = server;
+    const exam = await createExam(server, tokens.faculty);
+    const { body: benUser } = await api('GET', '/auth/me', { token: tokens.ben });
+    const { body: attempt } = await api('POST', `/student/exams/${exam.id}/start`, { token: tokens.asha });
+
+    const submit = await api('POST', `/student/exams/${exam.id}/submit`, {
+      token: tokens.asha,
+      body: { attemptId: attempt.attemptId, studentId: benUser.user.studentId, answers: { Q1: 1 } }
+    });
+
+    expect(submit.status).toBe(200);
+    expect((await api('GET', `/student/exams/${exam.id}/submissions`, { token: tokens.asha })).body.total).toBe(1);
+    expect((await api('GET', `/student/exams/${exam.id}/submissions`, { token: tokens.ben })).body.total).toBe(0);
+    const { body: submissions } = await api('GET', `/faculty/exams/${exam.id}/submissions`, { token: tokens.faculty });
+    expect(submissions.submissions.map(s => s.studentName)).toEqual(['Asha']);
+  });
+
+  it("doesn't let a student submit another student's attempt", async () => {
+    const { api } = server;
+    const exam = await createExam(server, tokens.faculty);
+    const { body: attempt } = await api('POST', `/student/exams/${exam.id}/start`, { token: tokens.ben });
+
+    const submit = await api('POST', `/student/exams/${exam.id}/submit`, {
+      token: tokens.asha,
+      body: { attemptId: attempt.attemptId, answers: { Q1: 0 } }
+    });
+
+    expect(submit).toMatchObject({ status: 404, body: { error: 'attempt_not_found' } });
+  });
+
+  it('counts submits that arrive at the same time', async () => {
+    const { api } = server;
+    const exam = await createExam(server, tokens.faculty);
+    // A code answer keeps each submit waiting on the sandbox, so they overlap
+    await api('PUT', `/faculty/exams/${exam.id}`, {
+      token: tokens.faculty,
+      body: {
+        questions: [{
+          id: 'Q1',
+          type: 'code',
+          language: 'javascript',
+          question: 'Print 1',
+          points: 1,
+          testCases: [{ input: '', expectedOutput: '1', hidden: true }]
+        }]
+      }
+    });
+    const students = [tokens.asha, tokens.ben];
+    const attempts = await Promise.all(students.map(token => api('POST', `/student/exams/${exam.id}/start`, { token })));
+
+    await Promise.all(students.map((token, index) => api('POST', `/student/exams/${exam.id}/submit`, {
+      token,
+      body: { attemptId: attempts[index].body.attemptId, answers: { Q1: 'console.log(1)' } }
+    })));
+
+    const { body } = await api('GET', '/faculty/exams', { token: tokens.faculty });
+    expect(body.exams.find(e => e.id === exam.id).submissionCount).toBe(2);
+  });
+});
+
+describe('attempts left', () => {
+  let server;
+  let tokens;
+
+  beforeAll(async () => {
+    server = await startTestServer();
+    tokens = await signUpUsers(server);
+  }, 30000);
+
+  afterAll(() => {
+    server?.stop();
+  });
+
+  // Helper function to get a student's attempts left from the exam list
+  async function attemptsLeft(token, examId) {
+    const { body } = await server.api('GET', '/student/exams', { token });
+    return body.exams.find(e => e.id === examId).attemptsLeft;
+  }
+
+  // Helper function to start an attempt and submit it straight away
+  async function takeExam(token, examId) {
+    const { body: attempt } = await server.api('POST', `/student/exams/${examId}/start`, { token });
+    return server.api('POST', `/student/exams/${examId}/submit`, { token, body: { attemptId: attempt.attemptId, answers: { Q1: 1 } } });
+  }
+
+  it('counts attempts for each student separately', async () => {
+    const exam = await createExam(server, tokens.faculty, { attempts: 2 });
+
+    await takeExam(tokens.asha, exam.id);
+    expect(await attemptsLeft(tokens.asha, exam.id)).toBe(1);
+    expect(await attemptsLeft(tokens.ben, exam.id)).toBe(2);
+
+    await takeExam(tokens.asha, exam.id);
+    expect(await attemptsLeft(tokens.asha, exam.id)).toBe(0);
+    expect((await server.api('GET', `/student/exams/${exam.id}/summary`, { token: tokens.ben })).body.attemptsLeft).toBe(2);
+
+    const thirdStart = await server.api('POST', `/student/exams/${exam.id}/start`, { token: tokens.asha });
+    expect(thirdStart).toMatchObject({ status: 400, body: { error: 'attempts_exhausted' } });
+    expect((await server.api('POST', `/student/exams/${exam.id}/start`, { token: tokens.ben })).status).toBe(200);
+  });
+
+  it('resumes the open attempt instead of starting another', async () => {
+    const exam = await createExam(server, tokens.faculty, { attempts: 2 });
+
+    const [first, second] = await Promise.all([
+      server.api('POST', `/student/exams/${exam.id}/start`, { token: tokens.asha }),
+      server.api('POST', `/student/exams/${exam.id}/start`, { token: tokens.asha })
+    ]);
+
+    expect(second.body.attemptId).toBe(first.body.attemptId);
+    expect(await attemptsLeft(tokens.asha, exam.id)).toBe(1);
+  });
+});
+
+describe('deadlines', () => {
+  // A short grace keeps the tests quick; the server defaults to 30 seconds
+  const graceMs = 2000;
+  let server;
+  let tokens;
+
+  beforeAll(async () => {
+    server = await startTestServer({ SUBMIT_GRACE_SECONDS: String(graceMs / 1000) });
+    tokens = await signUpUsers(server);
+  }, 30000);
+
+  afterAll(() => {
+    server?.stop();
+  });
+
+  it('fixes the deadline when the attempt starts, never later than the exam end', async () => {
+    const exam = await createExam(server, tokens.faculty, { window: liveWindow({ durationMin: 30 }) });
+    const before = Date.now();
+    const { body: attempt } = await server.api('POST', `/student/exams/${exam.id}/start`, { token: tokens.asha });
+    const { body: resumed } = await server.api('GET', `/student/exams/${exam.id}/attempt`, { token: tokens.asha });
+
+    const expiresAt = new Date(attempt.expiresAt).getTime();
+    expect(expiresAt).toBeGreaterThanOrEqual(before + 30 * 60 * 1000);
+    expect(expiresAt).toBeLessThan(new Date(exam.endsAt).getTime());
+    expect(resumed.expiresAt).toBe(attempt.expiresAt);
+  });
+
+  it('accepts a submit within the grace after the deadline and rejects one after it', async () => {
+    const exam = await createExam(server, tokens.faculty, { window: liveWindow({ endsIn: 1500 }) });
+    const { body: ashaAttempt } = await server.api('POST', `/student/exams/${exam.id}/start`, { token: tokens.asha });
+    const { body: benAttempt } = await server.api('POST', `/student/exams/${exam.id}/start`, { token: tokens.ben });
+    const deadline = new Date(ashaAttempt.expiresAt).getTime();
+    expect(deadline).toBe(new Date(exam.endsAt).getTime());
+
+    await waitUntil(deadline + 500);
+    const inGrace = await server.api('POST', `/student/exams/${exam.id}/submit`, {
+      token: tokens.asha,
+      body: { attemptId: ashaAttempt.attemptId, answers: { Q1: 1 } }
+    });
+    expect(inGrace.status).toBe(200);
+
+    await waitUntil(deadline + graceMs + 500);
+    const late = await server.api('POST', `/student/exams/${exam.id}/submit`, {
+      token: tokens.ben,
+      body: { attemptId: benAttempt.attemptId, answers: { Q1: 1 } }
+    });
+    expect(late).toMatchObject({ status: 403, body: { error: 'attempt_expired' } });
+  }, 15000);
+
+  it('rejects a second submit of the same attempt', async () => {
+    const exam = await createExam(server, tokens.faculty);
+    const { body: attempt } = await server.api('POST', `/student/exams/${exam.id}/start`, { token: tokens.asha });
+    const submit = (answers) => server.api('POST', `/student/exams/${exam.id}/submit`, {
+      token: tokens.asha,
+      body: { attemptId: attempt.attemptId, answers }
+    });
+
+    expect((await submit({ Q1: 1 })).status).toBe(200);
+    expect(await submit({ Q1: 0 })).toMatchObject({ status: 409, body: { error: 'already_submitted' } });
+    expect((await server.api('GET', `/student/exams/${exam.id}/submissions`, { token: tokens.asha })).body.total).toBe(1);
+  });
+});
+
+describe('autosave', () => {
+  let server;
+  let tokens;
+
+  beforeAll(async () => {
+    server = await startTestServer({ SUBMIT_GRACE_SECONDS: '1' });
+    tokens = await signUpUsers(server);
+  }, 30000);
+
+  afterAll(() => {
+    server?.stop();
+  });
+
+  // Helper function to autosave answers to an attempt
+  function save(token, attemptId, body) {
+    return server.api('PUT', `/student/attempts/${attemptId}/answers`, { token, body });
+  }
+
+  it('merges each save into the attempt and resumes from it', async () => {
+    const exam = await createExam(server, tokens.faculty);
+    const { body: attempt } = await server.api('POST', `/student/exams/${exam.id}/start`, { token: tokens.asha });
+
+    await save(tokens.asha, attempt.attemptId, { answers: { Q1: 0 } });
+    await save(tokens.asha, attempt.attemptId, { answers: { Q2: 0 }, currentQuestionIndex: 1 });
+    const lastSave = await save(tokens.asha, attempt.attemptId, { answers: { Q1: 1 } });
+    const { body: resumed } = await server.api('GET', `/student/exams/${exam.id}/attempt`, { token: tokens.asha });
+
+    expect(lastSave.body).toMatchObject({ attemptId: attempt.attemptId, answersCount: 2 });
+    expect(resumed).toMatchObject({
+      attemptId: attempt.attemptId,
+      answers: { Q1: 1, Q2: 0 },
+      currentQuestionIndex: 1,
+      savedAt: lastSave.body.savedAt
+    });
+
+    // The submit fills in whatever it leaves out from the saved answers
+    const submit = await server.api('POST', `/student/exams/${exam.id}/submit`, {
+      token: tokens.asha,
+      body: { attemptId: attempt.attemptId, answers: {} }
+    });
+    expect(submit.body).toMatchObject({ score: 2, maxScore: 2 });
+    expect((await save(tokens.asha, attempt.attemptId, { answers: { Q1: 0 } })).status).toBe(409);
+  });
+
+  it("doesn't save to another student's attempt", async () => {
+    const exam = await createExam(server, tokens.faculty);
+    const { body: attempt } = await server.api('POST', `/student/exams/${exam.id}/start`, { token: tokens.ben });
+
+    expect((await save(tokens.asha, attempt.attemptId, { answers: { Q1: 1 } })).status).toBe(404);
+  });
+
+  it('submits the saved answers when the time runs out', async () => {
+    const exam = await createExam(server, tokens.faculty, { window: liveWindow({ endsIn: 1500 }) });
+    const { body: attempt } = await server.api('POST', `/student/exams/${exam.id}/start`, { token: tokens.asha });
+    await save(tokens.asha, attempt.attemptId, { answers: { Q1: 1 } });
+
+    await waitUntil(new Date(attempt.expiresAt).getTime() + 1500);
+    expect((await save(tokens.asha, attempt.attemptId, { answers: { Q2: 0 } })).status).toBe(403);
+
+    const { body: mine } = await server.api('GET', `/student/exams/${exam.id}/submissions`, { token: tokens.asha });
+    expect(mine.submissions).toHaveLength(1);
+    expect(mine.submissions[0]).toMatchObject({ score: 1 });
+    expect((await server.api('GET', `/student/exams/${exam.id}/attempt`, { token: tokens.asha })).status).toBe(404);
+  }, 15000);
+});
+
+describe('replaying a queued submit', () => {
+  let server;
+  let tokens;
+
+  beforeAll(async () => {
+    server = await startTestServer({ SUBMIT_GRACE_SECONDS: '1' });
+    tokens = await signUpUsers(server);
+  }, 30000);
+
+  afterAll(() => {
+    server?.stop();
+  });
+
+  // Helper function to submit an attempt as Asha
+  function submit(examId, body) {
+    return server.api('POST', `/student/exams/${examId}/submit`, { token: tokens.asha, body });
+  }
+
+  it('answers a replay of the same submit with the original result', async () => {
+    const exam = await createExam(server, tokens.faculty);
+    const { body: attempt } = await server.api('POST', `/student/exams/${exam.id}/start`, { token: tokens.asha });
+
+    const first = await submit(exam.id, { attemptId: attempt.attemptId, answers: { Q1: 1, Q2: 1 } });
+    const replay = await submit(exam.id, { attemptId: attempt.attemptId, answers: { Q2: 1, Q1: 1 } });
+
+    expect(replay.status).toBe(200);
+    expect(replay.body).toEqual({ ...first.body, replayed: true });
+    expect((await server.api('GET', `/student/exams/${exam.id}/submissions`, { token: tokens.asha })).body.total).toBe(1);
+  });
+
+  it('answers a late replay of the saved answers with the automatic result and refuses altered ones', async () => {
+    const exam = await createExam(server, tokens.faculty, { window: liveWindow({ endsIn: 1500 }) });
+    const { body: attempt } = await server.api('POST', `/student/exams/${exam.id}/start`, { token: tokens.asha });
+    const { body: saved } = await server.api('PUT', `/student/attempts/${attempt.attemptId}/answers`, {
+      token: tokens.asha,
+      body: { answers: { Q1: 1 } }
+    });
+
+    // The client went offline with a queued submit and comes back too late
+    await waitUntil(new Date(attempt.expiresAt).getTime() + 1500);
+    const altered = await submit(exam.id, { attemptId: attempt.attemptId, answers: { Q1: 1, Q2: 1 }, revision: saved.revision });
+    const stale = await submit(exam.id, { attemptId: attempt.attemptId, answers: { Q1: 1 }, revision: saved.revision - 1 });
+    const replay = await submit(exam.id, { attemptId: attempt.attemptId, answers: { Q1: 1 }, revision: saved.revision });
+
+    expect(altered).toMatchObject({ status: 403, body: { error: 'attempt_expired' } });
+    expect(stale).toMatchObject({ status: 409, body: { error: 'already_submitted' } });
+    expect(replay).toMatchObject({ status: 200, body: { score: 1, replayed: true } });
+    const { body: mine } = await server.api('GET', `/student/exams/${exam.id}/submissions`, { token: tokens.asha });
+    expect(mine.submissions).toHaveLength(1);
+    expect(mine.submissions[0]).toMatchObject({ score: 1 });
+  }, 15000);
+
+  it("refuses a late submit with answers the server didn't save before the deadline", async () => {
+    const exam = await createExam(server, tokens.faculty, { window: liveWindow({ endsIn: 1500 }) });
+    const { body: attempt } = await server.api('POST', `/student/exams/${exam.id}/start`, { token: tokens.asha });
+    const { body: saved } = await server.api('PUT', `/student/attempts/${attempt.attemptId}/answers`, {
+      token: tokens.asha,
+      body: { answers: { Q1: 0 } }
+    });
+
+    // The attempt runs out, so the server submits what was autosaved
+    await waitUntil(new Date(attempt.expiresAt).getTime() + 1500);
+    await server.api('GET', '/student/exams', { token: tokens.asha });
+
+    const changed = await submit(exam.id, { attemptId: attempt.attemptId, answers: { Q1: 1 }, revision: saved.revision });
+    // Older clients sent when they saved the submit, which the server can't check
+    const backdated = await submit(exam.id, { attemptId: attempt.attemptId, answers: { Q1: 1 }, savedAt: attempt.startedAt });
+
+    expect(changed).toMatchObject({ status: 409, body: { error: 'already_submitted' } });
+    expect(backdated).toMatchObject({ status: 409, body: { error: 'already_submitted' } });
+    const { body: mine } = await server.api('GET', `/student/exams/${exam.id}/submissions`, { token: tokens.asha });
+    expect(mine.submissions.map(s => s.score)).toEqual([0]);
+  }, 15000);
+});
@@ -0,0 +1,266 @@
+// @vitest-environment node
+/**
+ * Tests for the exam model's student and faculty projections
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createExamRecord,
+  toFacultyExam,
+  toStudentExam,
+  toStudentExamSummary,
+  toStudentQuestion,
+  toStudentSubmission
+} from '../exams.js';
+
+const faculty = { id: 'USR-1', name: 'Prof. Rao' };
+const hour = 60 * 60 * 1000;
+
+const examRequest = () => ({
+  title: 'Physics Midterm',
+  shortDescription: 'Mechanics',
+  startsAt: new Date(Date.now() - hour).toISOString(),
+  endsAt: new Date(Date.now() + hour).toISOString(),
+  durationMin: 60,
+  pointsTotal: 2,
+  teacherName: 'Someone Else',
+  questions: [
+    { id: 'Q1', type: 'mcq', question: '2 + 2?', options: ['3', '4'], correctAnswer: '4', points: 1 },
+    { id: 'Q2', type: 'descriptive', question: 'Explain inertia', answer: 'Key', points: 1 }
+  ],
+  settingsSummary: { strictMode: true, attemptsLeft: 2, allowedReRecords: 1, instructions: 'No notes' }
+});
+
+describe('createExamRecord', () => {
+  it('keeps the questions and takes ownership from the signed-in user', () => {
+    const exam = createExamRecord(examRequest(), faculty);
+
+    expect(exam.questions).toHaveLength(2);
+    expect(exam.teacherName).toBe('Prof. Rao');
+    expect(exam.ownerId).toBe('USR-1');
+    expect(exam.submissionCount).toBe(0);
+  });
+});
+
+describe('exam projections', () => {
+  it('gives faculty the whole record with its current status', () => {
+    const exam = { ...createExamRecord(examRequest(), faculty), status: 'upcoming' };
+
+    expect(toFacultyExam(exam)).toEqual({ ...exam, status: 'live' });
+  });
+
+  it('gives students the list fields without questions or ownership', () => {
+    const view = toStudentExam(createExamRecord(examRequest(), faculty), { attemptsLeft: 1 });
+
+    expect(view).toMatchObject({
+      title: 'Physics Midterm',
+      status: 'live',
+      attemptsLeft: 1,
+      allowedReRecords: 1,
+      teacherName: 'Prof. Rao',
+      questionsCount: 2
+    });
+    expect(view).not.toHaveProperty('questions');
+    expect(view).not.toHaveProperty('ownerId');
+    expect(JSON.stringify(view)).not.toContain('correctAnswer');
+  });
+
+  it('defaults attempts left to what the exam allows', () => {
+    expect(toStudentExam(createExamRecord(examRequest(), faculty)).attemptsLeft).toBe(2);
+  });
+
+  it('shows an update to the record in both views', () => {
+    const exam = createExamRecord(examRequest(), faculty);
+    const updated = { ...exam, title: 'Physics Final', settingsSummary: { ...exam.settingsSummary, instructions: 'Open book' } };
+
+    expect(toFacultyExam(updated).title).toBe('Physics Final');
+    expect(toStudentExam(updated).title).toBe('Physics Final');
+    expect(toStudentExamSummary(updated).instructions).toBe('Open book');
+  });
+
+  it('builds the pre-exam summary from the same record', () => {
+    const summary = toStudentExamSummary(createExamRecord(examRequest(), faculty), { attemptsLeft: 0 });
+
+    expect(summary).toMatchObject({
+      instructions: 'No notes',
+      attemptsLeft: 0,
+      allowedReRecords: 1,
+      strictMode: true,
+      questionsCount: 2,
+      pointsTotal: 2
+    });
+  });
+});
+
+describe('toStudentQuestion', () => {
+  it('drops the answer keys and anything not meant for students', () => {
+    const [mcq, descriptive] = examRequest().questions;
+
+    expect(toStudentQuestion({ ...mcq, explanation: 'Because 2 + 2 = 4' })).toEqual({
+      id: 'Q1',
+      type: 'mcq',
+      question: '2 + 2?',
+      points: 1,
+      media: null,
+      options: ['3', '4']
+    });
+    expect(toStudentQuestion(descriptive)).toEqual({
+      id: 'Q2',
+      type: 'descriptive',
+      question: 'Explain inertia',
+      points: 1,
+      media: null
+    });
+  });
+
+  it('shows the options and scoring of a multi-select question but not which are correct', () => {
+    const question = { id: 'Q3', type: 'multiselect', question: 'Pick the primes', options: ['2', '3', '4'], correctAnswer: [0, 1] };
+
+    expect(toStudentQuestion(question)).toEqual({
+      id: 'Q3',
+      type: 'multiselect',
+      question: 'Pick the primes',
+      points: 1,
+      media: null,
+      options: ['2', '3', '4'],
+      scoringMode: 'all_or_nothing'
+    });
+  });
+
+  it('shows the units of a numeric question but not the expected value or tolerance', () => {
+    const question = { id: 'Q4', type: 'numeric', question: 'g at sea level?', correctAnswer: 9.81, tolerance: 0.05, units: 'm/s²' };
+
+    expect(toStudentQuestion(question)).toEqual({
+      id: 'Q4',
+      type: 'numeric',
+      question: 'g at sea level?',
+      points: 1,
+      media: null,
+      units: 'm/s²'
+    });
+  });
+
+  it('shows how many blanks a fill-in-the-blank question has but not the accepted answers', () => {
+    const question = { id: 'Q5', type: 'fillblank', question: 'Water boils at ___ °C.', blanks: [{ accepted: ['100'] }] };
+
+    expect(toStudentQuestion(question)).toEqual({
+      id: 'Q5',
+      type: 'fillblank',
+      question: 'Water boils at ___ °C.',
+      points: 1,
+      media: null,
+      blankCount: 1
+    });
+  });
+
+  it('shows the matches and items to arrange in a shuffled order that stays the same for a seed', () => {
+    const matching = {
+      id: 'Q6',
+      type: 'matching',
+      question: 'Match the units',
+      pairs: [
+        { prompt: 'Newton', match: 'Force' },
+        { prompt: 'Joule', match: 'Energy' },
+        { prompt: 'Watt', match: 'Power' }
+      ]
+    };
+    const ordering = { id: 'Q7', type: 'ordering', question: 'Order the steps', correctOrder: ['Plan', 'Do', 'Check', 'Act'] };
+
+    const view = toStudentQuestion(matching, { shuffleSeed: 'seed-1' });
+    expect(view.prompts).toEqual(['Newton', 'Joule', 'Watt']);
+    expect([...view.matches].sort()).toEqual(['Energy', 'Force', 'Power']);
+    expect(view.matches).not.toEqual(['Force', 'Energy', 'Power']);
+    expect(toStudentQuestion(matching, { shuffleSeed: 'seed-1' }).matches).toEqual(view.matches);
+
+    const { items } = toStudentQuestion(ordering, { shuffleSeed: 'seed-1' });
+    expect([...items].sort()).toEqual(['Act', 'Check', 'Do', 'Plan']);
+    expect(items).not.toEqual(ordering.correctOrder);
+  });
+
+  it('orders the matches and items differently for different seeds', () => {
+    const correctOrder = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+    const orders = new Set(['seed-1', 'seed-2', 'seed-3', 'seed-4'].map(shuffleSeed =>
+      toStudentQuestion({ id: 'Q7', type: 'ordering', correctOrder }, { shuffleSeed }).items.join('')
+    ));
+
+    // Knowing the question id alone doesn't tell a student how it was shuffled
+    expect(orders.size).toBeGreaterThan(1);
+  });
+
+  it('shows the starter code and visible tests of a code question but not the hidden ones', () => {
+    const question = {
+      id: 'Q8',
+      type: 'code',
+      question: 'Print the sum of two numbers',
+      language: 'python',
+      starterCode: 'a, b = map(int, input().split())',
+      testCases: [
+        { input: '1 2', expectedOutput: '3', hidden: false },
+        { input: '40 2', expectedOutput: '42', hidden: true }
+      ]
+    };
+
+    expect(toStudentQuestion(question)).toEqual({
+      id: 'Q8',
+      type: 'code',
+      question: 'Print the sum of two numbers',
+      points: 1,
+      media: null,
+      language: 'python',
+      starterCode: 'a, b = map(int, input().split())',
+      visibleTests: [{ input: '1 2', expectedOutput: '3' }]
+    });
+  });
+
+  it('keeps unknown settings out of the student exam views', () => {
+    const exam = createExamRecord(examRequest(), faculty);
+    exam.settingsSummary.answerSheetUrl = 'https://example.com/answers.pdf';
+
+    expect(toStudentExam(exam).settingsSummary).not.toHaveProperty('answerSheetUrl');
+    expect(toStudentExamSummary(exam).otherSettings).not.toHaveProperty('answerSheetUrl');
+  });
+});
+
+describe('toStudentSubmission', () => {
+  const submission = {
+    id: 'SUB-1',
+    examId: 'EX-1',
+    answers: { Q2: 'An object keeps moving' },
+    score: 1,
+    maxScore: 2,
+    status: 'completed',
+    grades: {
+      Q1: { points: 0, maxPoints: 1, auto: true },
+      Q2: {
+        points: 1,
+        maxPoints: 1,
+        comment: 'Good',
+        gradedBy: 'USR-1',
+        criteria: [{ id: 'C1', title: 'Accuracy', points: 1, maxPoints: 1, descriptor: 'Correct' }]
+      }
+    }
+  };
+
+  it('keeps per-question feedback back until the exam has closed', () => {
+    const exam = createExamRecord(examRequest(), faculty);
+
+    expect(toStudentSubmission(submission, { exam })).not.toHaveProperty('feedback');
+    expect(toStudentSubmission(submission)).not.toHaveProperty('answers');
+  });
+
+  it('shows where marks were lost once the exam has closed', () => {
+    const exam = { ...createExamRecord(examRequest(), faculty), endsAt: new Date(Date.now() - 1000).toISOString() };
+
+    expect(toStudentSubmission(submission, { exam }).feedback).toEqual([
+      { questionId: 'Q1', question: '2 + 2?', points: 0, maxPoints: 1, comment: '', criteria: [] },
+      {
+        questionId: 'Q2',
+        question: 'Explain inertia',
+        points: 1,
+        maxPoints: 1,
+        comment: 'Good',
+        criteria: [{ title: 'Accuracy', points: 1, maxPoints: 1, descriptor: 'Correct' }]
+      }
+    ]);
+  });
+});
@@ -0,0 +1,338 @@
+// @vitest-environment node
+/**
+ * Tests for automatic scoring and manual grading of submissions
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  autoGrade,
+  summarizeGrades,
+  getSubmissionGrades,
+  getScoringPolicy,
+  getNegativeMarks,
+  getRubricMaxPoints,
+  scoreRubric,
+  applyManualGrade
+} from '../grading.js';
+
+const exam = {
+  id: 'EX-1',
+  questions: [
+    { id: 'Q1', type: 'mcq', question: '2 + 2?', options: ['4', '5'], correctAnswer: 0, points: 2 },
+    { id: 'Q2', type: 'descriptive', question: 'Explain inertia', answer: 'Key', points: 5 },
+    { id: 'Q3', type: 'descriptive', question: 'Explain momentum' }
+  ]
+};
+const grader = { id: 'USR-1' };
+
+describe('autoGrade', () => {
+  it('scores multiple choice and leaves written answers for a grader', () => {
+    const grades = autoGrade(exam, { Q1: 0, Q2: 'An object keeps moving' });
+
+    expect(grades).toEqual({
+      Q1: { points: 2, maxPoints: 2, auto: true },
+      Q2: { points: null, maxPoints: 5, auto: false },
+      Q3: { points: 0, maxPoints: 1, auto: true }
+    });
+  });
+
+  it('leaves a recorded answer for a grader and scores a missing recording 0', () => {
+    const oral = { id: 'EX-6', questions: [{ id: 'Q12', type: 'oral', question: 'Pronounce "Schrödinger"', points: 2 }] };
+
+    expect(autoGrade(oral, { Q12: 'a'.repeat(64) }).Q12).toEqual({ points: null, maxPoints: 2, auto: false });
+    expect(autoGrade(oral, {}).Q12).toEqual({ points: 0, maxPoints: 2, auto: true });
+  });
+
+  it('reads answers sent by position', () => {
+    expect(autoGrade(exam, { 0: 1 }).Q1.points).toBe(0);
+    expect(autoGrade(exam, { 0: 0 }).Q1.points).toBe(2);
+  });
+});
+
+describe('summarizeGrades', () => {
+  it('keeps the submission pending while an answer waits for a grader', () => {
+    expect(summarizeGrades(autoGrade(exam, { Q1: 0, Q2: 'text' }))).toEqual({
+      score: 2,
+      maxScore: 8,
+      pendingCount: 1,
+      status: 'pending_grading'
+    });
+  });
+
+  it('completes a submission with nothing to grade by hand', () => {
+    expect(summarizeGrades(autoGrade(exam, { Q1: 1 }))).toMatchObject({ score: 0, status: 'completed' });
+  });
+});
+
+describe('negative marking', () => {
+  const marked = {
+    ...exam,
+    settingsSummary: { scoring: { negativeMarks: 0.5 } },
+    questions: [
+      exam.questions[0],
+      { id: 'Q4', type: 'mcq', question: '3 + 3?', options: ['6', '7'], correctAnswer: 0, points: 1, negativeMarks: 1 },
+      { id: 'Q5', type: 'mcq', question: '4 + 4?', options: ['8', '9'], correctAnswer: 0, points: 1 }
+    ]
+  };
+
+  it('takes marks off wrong answers and scores skipped ones at zero', () => {
+    const grades = autoGrade(marked, { Q1: 1, Q4: 1 });
+
+    expect([grades.Q1.points, grades.Q4.points, grades.Q5.points]).toEqual([-0.5, -1, 0]);
+    expect(summarizeGrades(grades, getScoringPolicy(marked)).score).toBe(-1.5);
+  });
+
+  it('keeps the score at zero or above with a floor', () => {
+    const floored = { ...marked, settingsSummary: { scoring: { negativeMarks: 0.5, floorAtZero: true } } };
+
+    expect(summarizeGrades(autoGrade(floored, { Q1: 1, Q4: 1 }), getScoringPolicy(floored)).score).toBe(0);
+  });
+
+  it('only takes marks off wrong choices, not worked answers that score nothing', () => {
+    const worked = {
+      ...marked,
+      questions: [
+        { id: 'Q10', type: 'matching', question: 'Match', pairs: [{ prompt: 'N', match: 'Force' }, { prompt: 'J', match: 'Energy' }], negativeMarks: 1 },
+        { id: 'Q12', type: 'code', question: 'Add two numbers', language: 'python', points: 4 },
+        { id: 'Q13', type: 'numeric', question: 'g?', correctAnswer: 9.81 }
+      ]
+    };
+    const tests = [{ passed: false, status: 'failed' }, { passed: false, status: 'error' }];
+    const grades = autoGrade(worked, { Q10: ['Energy', 'Force'], Q12: 'print(0)', Q13: 3 }, { Q12: tests });
+
+    expect([grades.Q10.points, grades.Q12.points, grades.Q13.points]).toEqual([0, 0, 0]);
+    expect(getNegativeMarks(worked.questions[0], getScoringPolicy(worked))).toBe(0);
+  });
+
+  it('leaves exams without a scoring policy as they were', () => {
+    expect(getScoringPolicy(exam)).toEqual({ negativeMarks: 0, floorAtZero: false });
+    expect(autoGrade(exam, { Q1: 1 }).Q1.points).toBe(0);
+  });
+});
+
+describe('multi-select questions', () => {
+  const question = { id: 'Q6', type: 'multiselect', question: 'Pick the primes', options: ['2', '3', '4', '5'], correctAnswer: [0, 1, 3], points: 3 };
+  const multi = { id: 'EX-2', questions: [question] };
+  const proportional = { ...multi, questions: [{ ...question, scoringMode: 'proportional' }] };
+
+  it('gives full points only for exactly the correct options by default', () => {
+    expect(autoGrade(multi, { Q6: [3, 0, 1] }).Q6.points).toBe(3);
+    expect(autoGrade(multi, { Q6: [0, 1] }).Q6.points).toBe(0);
+    expect(autoGrade(multi, { Q6: [0, 1, 2, 3] }).Q6.points).toBe(0);
+  });
+
+  it('gives a share of the points with proportional scoring, less for wrong picks', () => {
+    expect(autoGrade(proportional, { Q6: [0, 1] }).Q6.points).toBe(2);
+    expect(autoGrade(proportional, { Q6: [0, 1, 2] }).Q6.points).toBe(1);
+    expect(autoGrade(proportional, { Q6: [2] }).Q6.points).toBe(0);
+  });
+
+  it('treats an empty selection as skipped', () => {
+    const marked = { ...multi, settingsSummary: { scoring: { negativeMarks: 1 } } };
+
+    expect(autoGrade(marked, { Q6: [] }).Q6.points).toBe(0);
+    expect(autoGrade(marked, { Q6: [2] }).Q6.points).toBe(-1);
+  });
+});
+
+describe('numeric questions', () => {
+  const question = { id: 'Q7', type: 'numeric', question: 'g at sea level?', correctAnswer: 9.81, tolerance: 0.05, units: 'm/s²', points: 2 };
+  const numeric = { id: 'EX-3', questions: [question] };
+  const relative = { ...numeric, questions: [{ ...question, correctAnswer: 200, tolerance: 5, toleranceMode: 'relative' }] };
+
+  it('accepts an answer within an absolute tolerance', () => {
+    expect(autoGrade(numeric, { Q7: '9.8' }).Q7.points).toBe(2);
+    expect(autoGrade(numeric, { Q7: ' 9.86 ' }).Q7.points).toBe(2);
+    expect(autoGrade(numeric, { Q7: '9.87' }).Q7.points).toBe(0);
+  });
+
+  it('accepts an answer within a percentage of the expected value', () => {
+    expect(autoGrade(relative, { Q7: '190' }).Q7.points).toBe(2);
+    expect(autoGrade(relative, { Q7: '2.1e2' }).Q7.points).toBe(2);
+    expect(autoGrade(relative, { Q7: '189' }).Q7.points).toBe(0);
+  });
+
+  it('needs an exact answer without a tolerance, and scores text as wrong', () => {
+    const exact = { ...numeric, questions: [{ ...question, correctAnswer: 0.3, tolerance: null }] };
+
+    expect(autoGrade(exact, { Q7: 0.1 + 0.2 }).Q7.points).toBe(2);
+    expect(autoGrade(exact, { Q7: '0.31' }).Q7.points).toBe(0);
+    expect(autoGrade(exact, { Q7: 'about 0.3' }).Q7.points).toBe(0);
+  });
+});
+
+describe('fill-in-the-blank and short answer questions', () => {
+  const fill = {
+    id: 'Q8',
+    type: 'fillblank',
+    question: 'Water boils at ___ °C and freezes at ___ °C.',
+    blanks: [{ accepted: ['100', 'one hundred'] }, { accepted: ['0', 'zero'] }],
+    points: 2
+  };
+  const short = {
+    id: 'Q9',
+    type: 'short',
+    question: 'Who proposed the laws of motion?',
+    blanks: [{ accepted: ['Isaac Newton', 'Newton'] }]
+  };
+  const blanks = { id: 'EX-4', questions: [fill, short] };
+  const withBlank = (question, blank) => ({ ...blanks, questions: [{ ...question, blanks: [blank] }] });
+
+  it('scores each blank on its own', () => {
+    expect(autoGrade(blanks, { Q8: ['100', 'zero'] }).Q8.points).toBe(2);
+    expect(autoGrade(blanks, { Q8: ['100', '32'] }).Q8.points).toBe(1);
+    expect(autoGrade(blanks, { Q8: ['', 'Zero'] }).Q8.points).toBe(1);
+  });
+
+  it('ignores case and extra spaces by default', () => {
+    expect(autoGrade(blanks, { Q9: '  isaac   NEWTON ' }).Q9.points).toBe(1);
+    expect(autoGrade(withBlank(short, { accepted: ['Newton'], caseSensitive: true }), { Q9: 'newton' }).Q9.points).toBe(0);
+    expect(autoGrade(withBlank(short, { accepted: ['Isaac Newton'], normalizeWhitespace: false }), { Q9: 'Isaac  Newton' }).Q9.points).toBe(0);
+  });
+
+  it('matches the whole answer against regular expressions', () => {
+    const regex = withBlank(short, { accepted: ['(sir )?isaac newton', 'newton'], regex: true });
+
+    expect(autoGrade(regex, { Q9: 'Sir Isaac Newton' }).Q9.points).toBe(1);
+    expect(autoGrade(regex, { Q9: 'not newton' }).Q9.points).toBe(0);
+  });
+
+  it('treats a question with every blank empty as skipped and a wrong one as 0', () => {
+    const marked = { ...blanks, settingsSummary: { scoring: { negativeMarks: 1 } } };
+
+    expect(autoGrade(marked, { Q8: ['', ' '] }).Q8.points).toBe(0);
+    expect(autoGrade(marked, { Q8: ['50', ''] }).Q8.points).toBe(0);
+  });
+});
+
+describe('matching and ordering questions', () => {
+  const matching = {
+    id: 'Q10',
+    type: 'matching',
+    question: 'Match each unit to its quantity',
+    pairs: [
+      { prompt: 'Newton', match: 'Force' },
+      { prompt: 'Joule', match: 'Energy' },
+      { prompt: 'Watt', match: 'Power' },
+      { prompt: 'Pascal', match: 'Pressure' }
+    ],
+    points: 4
+  };
+  const ordering = {
+    id: 'Q11',
+    type: 'ordering',
+    question: 'Put the steps of the method in order',
+    correctOrder: ['Hypothesis', 'Experiment', 'Analysis', 'Conclusion'],
+    points: 2
+  };
+  const arranged = { id: 'EX-5', questions: [matching, ordering] };
+
+  it('gives credit for each correct pair', () => {
+    expect(autoGrade(arranged, { Q10: ['Force', 'Energy', 'Power', 'Pressure'] }).Q10.points).toBe(4);
+    expect(autoGrade(arranged, { Q10: ['Force', 'Power', 'Energy', null] }).Q10.points).toBe(1);
+  });
+
+  it('gives credit for each item in its right position', () => {
+    expect(autoGrade(arranged, { Q11: ['Hypothesis', 'Experiment', 'Analysis', 'Conclusion'] }).Q11.points).toBe(2);
+    expect(autoGrade(arranged, { Q11: ['Hypothesis', 'Analysis', 'Experiment', 'Conclusion'] }).Q11.points).toBe(1);
+    expect(autoGrade(arranged, { Q11: ['Conclusion', 'Hypothesis', 'Experiment', 'Analysis'] }).Q11.points).toBe(0);
+  });
+
+  it('treats a matching question with nothing matched as skipped', () => {
+    const marked = { ...arranged, settingsSummary: { scoring: { negativeMarks: 1 } } };
+
+    expect(autoGrade(marked, { Q10: [null, null, null, null] }).Q10.points).toBe(0);
+  });
+});
+
+describe('code questions', () => {
+  const coded = {
+    id: 'EX-6',
+    questions: [{ id: 'Q12', type: 'code', question: 'Add two numbers', language: 'python', points: 4 }]
+  };
+
+  it('gives credit for each hidden test passed and keeps the results', () => {
+    const tests = [{ passed: true, status: 'passed' }, { passed: false, status: 'timeout' }];
+    const grade = autoGrade(coded, { Q12: 'print(3)' }, { Q12: tests }).Q12;
+
+    expect(grade).toEqual({ points: 2, maxPoints: 4, auto: true, tests });
+  });
+
+  it('leaves a code answer for a grader when its tests were not run', () => {
+    expect(autoGrade(coded, { Q12: 'print(3)' }).Q12.points).toBeNull();
+    expect(autoGrade(coded, {}).Q12.points).toBe(0);
+  });
+});
+
+describe('applyManualGrade', () => {
+  const submission = { id: 'SUB-1', answers: { Q1: 0, Q2: 'text', Q3: 'more text' } };
+  submission.grades = autoGrade(exam, submission.answers);
+  const now = new Date('2026-01-01T10:00:00Z');
+
+  it('records partial points with a comment and recomputes the score', () => {
+    const patch = applyManualGrade(submission, exam, exam.questions[1], { points: 3.5, comment: 'Good start' }, grader, now);
+
+    expect(patch.grades.Q2).toEqual({
+      points: 3.5,
+      maxPoints: 5,
+      auto: false,
+      comment: 'Good start',
+      gradedBy: 'USR-1',
+      gradedAt: '2026-01-01T10:00:00.000Z'
+    });
+    expect(patch).toMatchObject({ score: 5.5, maxScore: 8, status: 'pending_grading' });
+  });
+
+  it('completes the submission once every written answer is graded', () => {
+    const first = applyManualGrade(submission, exam, exam.questions[1], { points: 5 }, grader, now);
+    const second = applyManualGrade({ ...submission, ...first }, exam, exam.questions[2], { points: 0 }, grader, now);
+
+    expect(second).toMatchObject({ score: 7, status: 'completed' });
+  });
+
+  it('grades older submissions from their answers', () => {
+    const legacy = { id: 'SUB-0', answers: { Q1: 0, Q2: 'text' } };
+
+    expect(getSubmissionGrades(legacy, exam)).toEqual(autoGrade(exam, legacy.answers));
+  });
+});
+
+describe('rubrics', () => {
+  const rubric = [
+    { id: 'C1', title: 'Accuracy', levels: [{ points: 0, descriptor: 'Wrong' }, { points: 2, descriptor: 'Partly right' }, { points: 3, descriptor: 'Correct' }] },
+    { id: 'C2', title: 'Clarity', levels: [{ points: 0, descriptor: 'Unclear' }, { points: 2, descriptor: 'Clear' }] }
+  ];
+
+  it('is worth the top level of every criterion', () => {
+    expect(getRubricMaxPoints(rubric)).toBe(5);
+  });
+
+  it('adds up the level picked for each criterion', () => {
+    expect(scoreRubric(rubric, { C1: 2, C2: 2 })).toEqual({
+      points: 4,
+      criteria: [
+        { id: 'C1', title: 'Accuracy', points: 2, maxPoints: 3, descriptor: 'Partly right' },
+        { id: 'C2', title: 'Clarity', points: 2, maxPoints: 2, descriptor: 'Clear' }
+      ]
+    });
+  });
+
+  it('names criteria without a level or with points no level has', () => {
+    expect(scoreRubric(rubric, { C1: 1 })).toEqual({
+      fields: {
+        'criteria.C1': 'Pick a level for Accuracy',
+        'criteria.C2': 'Pick a level for Clarity'
+      }
+    });
+  });
+
+  it('stores the breakdown with the grade', () => {
+    const question = { ...exam.questions[1], rubric };
+    const submission = { id: 'SUB-1', answers: { Q2: 'text' }, grades: autoGrade(exam, { Q2: 'text' }) };
+    const { points, criteria } = scoreRubric(rubric, { C1: 3, C2: 0 });
+
+    const patch = applyManualGrade(submission, exam, question, { points, criteria }, grader);
+
+    expect(patch.grades.Q2).toMatchObject({ points: 3, criteria });
+  });
+});
@@ -0,0 +1,124 @@
+// @vitest-environment node
+/**
+ * Route tests for recorded answers to spoken questions: uploads, the
+ * re-record limit and typed answers, against the real server
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMediaStore } from '../media/index.js';
+import { startTestServer, liveWindow } from './testServer.js';
+
+const questions = [
+  { id: 'Q1', type: 'oral', question: 'Describe your experiment', points: 2 },
+  { id: 'Q2', type: 'mcq', question: '2 + 2?', options: ['3', '4'], correctAnswer: 1, points: 1 }
+];
+
+describe('recorded answers', () => {
+  let server;
+  let facultyToken;
+  let studentToken;
+  let mediaDir;
+  let mediaStore;
+
+  beforeAll(async () => {
+    mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'examecho-recordings-'));
+    mediaStore = createMediaStore({ dir: mediaDir });
+    server = await startTestServer({ MEDIA_DIR: mediaDir });
+    facultyToken = await server.signUp({ role: 'faculty', fullName: 'Prof. Rao', email: 'rao@example.com', facultyId: 'F1' }, 'F1');
+    studentToken = await server.signUp({ role: 'student', fullName: 'Asha', email: 'asha@example.com', enrollment: 'E1' }, 'E1');
+  }, 30000);
+
+  afterAll(() => {
+    server?.stop();
+    if (mediaDir) fs.rmSync(mediaDir, { recursive: true, force: true });
+  });
+
+  // Helper function to start an attempt at a live exam with the questions
+  // above that allows `reRecords` re-records
+  async function startAttempt(reRecords) {
+    const { body: exam } = await server.api('POST', '/faculty/exams', {
+      token: facultyToken,
+      body: {
+        title: 'Lab viva',
+        shortDescription: 'Spoken answers',
+        pointsTotal: 3,
+        ...liveWindow(),
+        settingsSummary: { attemptsLeft: 1, allowedReRecords: reRecords }
+      }
+    });
+    await server.api('PUT', `/faculty/exams/${exam.id}`, { token: facultyToken, body: { questions } });
+    const { body: attempt } = await server.api('POST', `/student/exams/${exam.id}/start`, { token: studentToken });
+    return { exam, attempt };
+  }
+
+  // Helper function to upload a recording to a question of an attempt
+  function record(attemptId, questionId, content, type = 'audio/webm') {
+    return server.upload(`/student/attempts/${attemptId}/recordings/${questionId}`, { token: studentToken, content, type });
+  }
+
+  it('stores a recording as the answer to the question', async () => {
+    const { exam, attempt } = await startAttempt(1);
+
+    const upload = await record(attempt.attemptId, 'Q1', 'first take');
+    const { body: resumed } = await server.api('GET', `/student/exams/${exam.id}/attempt`, { token: studentToken });
+
+    expect(upload).toMatchObject({ status: 201, body: { questionId: 'Q1', count: 1, recordingsLeft: 1 } });
+    expect(resumed.recordings).toEqual({ Q1: { mediaId: upload.body.recording.id, count: 1 } });
+    expect(resumed.answers.Q1).toBe(upload.body.recording.id);
+    expect(mediaStore.stat(upload.body.recording.id)).toEqual({ size: 'first take'.length });
+  });
+
+  it('refuses files that are not audio and questions that are not spoken', async () => {
+    const { attempt } = await startAttempt(1);
+
+    expect((await record(attempt.attemptId, 'Q1', 'not audio', 'text/plain')).status).toBe(400);
+    expect((await record(attempt.attemptId, 'Q2', 'first take')).status).toBe(404);
+  });
+
+  it('stops taking recordings once the re-records are used up', async () => {
+    const { attempt } = await startAttempt(1);
+
+    const first = await record(attempt.attemptId, 'Q1', 'take one');
+    const second = await record(attempt.attemptId, 'Q1', 'take two');
+    const third = await record(attempt.attemptId, 'Q1', 'take three');
+
+    expect(first.body).toMatchObject({ count: 1, recordingsLeft: 1 });
+    expect(second).toMatchObject({ status: 201, body: { count: 2, recordingsLeft: 0 } });
+    expect(third).toMatchObject({ status: 409, body: { error: 'rerecords_exhausted' } });
+  });
+
+  it('removes the file of an upload that lost the last recording to another', async () => {
+    const { attempt } = await startAttempt(0);
+    // Large enough that both uploads pass the first check before either ends
+    const takes = ['a', 'b'].map(fill => Buffer.alloc(2 * 1024 * 1024, fill));
+
+    const results = await Promise.all(takes.map(take => record(attempt.attemptId, 'Q1', take)));
+    const keys = takes.map(take => crypto.createHash('sha256').update(take).digest('hex'));
+
+    expect(results.map(result => result.status).sort()).toEqual([201, 409]);
+    const kept = results.findIndex(result => result.status === 201);
+    expect(mediaStore.stat(keys[kept])).not.toBeNull();
+    expect(mediaStore.stat(keys[1 - kept])).toBeNull();
+  });
+
+  it('takes the recording, not typed text, as the answer to a spoken question', async () => {
+    const { exam, attempt } = await startAttempt(1);
+    const { body: upload } = await record(attempt.attemptId, 'Q1', 'spoken answer');
+
+    await server.api('PUT', `/student/attempts/${attempt.attemptId}/answers`, {
+      token: studentToken,
+      body: { answers: { Q1: 'typed instead' } }
+    });
+    const { body: submitted } = await server.api('POST', `/student/exams/${exam.id}/submit`, {
+      token: studentToken,
+      body: { attemptId: attempt.attemptId, answers: { Q1: 'typed instead', Q2: 1 } }
+    });
+    const { body: graded } = await server.api('GET', `/faculty/submissions/${submitted.submissionId}`, { token: facultyToken });
+
+    expect(graded.items[0]).toMatchObject({ questionId: 'Q1', studentAnswer: upload.recording.id });
+  });
+});
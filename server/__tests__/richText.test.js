@@ -0,0 +1,44 @@
+// @vitest-environment node
+/**
+ * Tests for cleaning rich text before it is stored
+ */
+
+import { describe, it, expect } from 'vitest';
+import { sanitizeRichText } from '../richText.js';
+
+describe('sanitizeRichText', () => {
+  it('keeps Markdown, math and tables as typed', () => {
+    const text = '**Bold** and *italic*\n\n- one\n- two\n\n| a | b |\n| --- | --- |\n| $x<y$ | 1 |';
+    expect(sanitizeRichText(text)).toBe(text);
+  });
+
+  it('removes script elements and tags with attributes', () => {
+    expect(sanitizeRichText('Pick <img src=x onerror=alert(1)>one')).toBe('Pick one');
+    expect(sanitizeRichText('<script>alert(1)</script>Hello')).toBe('Hello');
+    expect(sanitizeRichText('See <a href="javascript:alert(1)">notes</a>')).toBe('See notes');
+    expect(sanitizeRichText('<svg/onload=alert(1)>')).toBe('');
+    expect(sanitizeRichText('a<!-- hidden -->b')).toBe('ab');
+  });
+
+  it('removes HTML that only forms once other HTML is removed', () => {
+    expect(sanitizeRichText('<scr<b x=1>ipt>alert(1)</script>')).toBe('');
+    expect(sanitizeRichText('<img src=x on<i y=1>error=alert(1)>')).toBe('');
+  });
+
+  it('keeps comparison operators', () => {
+    expect(sanitizeRichText('x<y and y>z')).toBe('x<y and y>z');
+    expect(sanitizeRichText('a<b>c, so a < b > c')).toBe('a<b>c, so a < b > c');
+    expect(sanitizeRichText('while (i<n && j>=0)')).toBe('while (i<n && j>=0)');
+  });
+
+  it('keeps generic types in prose and markup in code and math', () => {
+    expect(sanitizeRichText('Return a List<String> or Map<K, V>')).toBe('Return a List<String> or Map<K, V>');
+    const code = 'Use `<img src="a.png">` here:\n```html\n<script src="app.js"></script>\n```';
+    expect(sanitizeRichText(code)).toBe(code);
+    expect(sanitizeRichText('$0<x y=1>0$')).toBe('$0<x y=1>0$');
+  });
+
+  it('normalizes line endings and drops control characters', () => {
+    expect(sanitizeRichText('a\r\nb\rc\u0000d\te')).toBe('a\nb\ncd\te');
+  });
+});
@@ -0,0 +1,115 @@
+// @vitest-environment node
+/**
+ * Regression tests: no student endpoint returns an answer key.
+ *
+ * Starts the API server on a free port with a throwaway database, has a
+ * faculty user create and edit an exam with answer keys, then walks a
+ * student through every student endpoint and checks each response.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { ANSWER_KEY_FIELDS } from '../exams.js';
+import { startTestServer, liveWindow } from './testServer.js';
+
+// The attempt's shuffle seed would give away the order of matches and items
+const SECRET_FIELDS = [...ANSWER_KEY_FIELDS, 'shuffleSeed'];
+
+// Helper function to list the paths in a JSON value that hold an answer key
+function findAnswerKeys(value, at = '') {
+  if (Array.isArray(value)) {
+    return value.flatMap((item, index) => findAnswerKeys(item, `${at}[${index}]`));
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) => [
+      ...(SECRET_FIELDS.includes(key) ? [`${at}.${key}`] : []),
+      ...findAnswerKeys(item, `${at}.${key}`)
+    ]);
+  }
+  return [];
+}
+
+describe('student endpoints', () => {
+  let server;
+  let api;
+  let facultyToken;
+  let studentToken;
+  const responses = {};
+
+  beforeAll(async () => {
+    server = await startTestServer();
+    ({ api } = server);
+
+    facultyToken = await server.signUp({ role: 'faculty', fullName: 'Prof. Rao', email: 'rao@example.com', facultyId: 'F1' }, 'F1');
+    studentToken = await server.signUp({ role: 'student', fullName: 'Asha', email: 'asha@example.com', enrollment: 'E1' }, 'E1');
+
+    const window = liveWindow();
+    const { body: exam } = await api('POST', '/faculty/exams', {
+      token: facultyToken,
+      body: { title: 'Physics', shortDescription: 'Mechanics', pointsTotal: 2, ...window, settingsSummary: { attemptsLeft: 2 } }
+    });
+
+    // Editing the exam is how answer keys used to reach the student list
+    await api('PUT', `/faculty/exams/${exam.id}`, {
+      token: facultyToken,
+      body: {
+        ...window,
+        questions: [
+          { id: 'Q1', type: 'mcq', question: '2 + 2?', options: ['3', '4'], correctAnswer: 1, points: 1 },
+          { id: 'Q2', type: 'descriptive', question: 'Explain inertia', answer: 'Resistance to change', keywords: ['resistance'], points: 1 },
+          { id: 'Q3', type: 'fillblank', question: 'Force is mass times ___', blanks: [{ accepted: ['acceleration'] }], points: 1 },
+          { id: 'Q4', type: 'ordering', question: 'Order the steps', correctOrder: ['Measure', 'Record'], points: 1 }
+        ]
+      }
+    });
+
+    const student = { token: studentToken };
+    responses.list = await api('GET', '/student/exams', student);
+    responses.summary = await api('GET', `/student/exams/${exam.id}/summary`, student);
+    responses.start = await api('POST', `/student/exams/${exam.id}/start`, student);
+    const { attemptId } = responses.start.body;
+    responses.questions = await api('GET', `/student/exams/${exam.id}/questions`, student);
+    responses.save = await api('PUT', `/student/attempts/${attemptId}/answers`, {
+      ...student,
+      body: { answers: { Q1: 1, Q2: 'Mass <img src=x onerror=alert(1)>resists change, so `a < b`<script>alert(1)</script>' } }
+    });
+    responses.attempt = await api('GET', `/student/exams/${exam.id}/attempt`, student);
+    responses.submit = await api('POST', `/student/exams/${exam.id}/submit`, {
+      ...student,
+      body: { attemptId, answers: { Q2: 'An object keeps moving' } }
+    });
+    responses.submissions = await api('GET', `/student/exams/${exam.id}/submissions`, student);
+  }, 30000);
+
+  afterAll(() => {
+    server?.stop();
+  });
+
+  it('answers every request successfully', () => {
+    Object.entries(responses).forEach(([name, response]) => {
+      expect(response.status, name).toBe(200);
+    });
+  });
+
+  it.each(['list', 'summary', 'start', 'questions', 'save', 'attempt', 'submit', 'submissions'])(
+    'never includes an answer key in the %s response',
+    name => {
+      expect(findAnswerKeys(responses[name].body)).toEqual([]);
+    }
+  );
+
+  it('strips HTML that could run from written answers but keeps code', () => {
+    expect(responses.attempt.body.answers.Q2).toBe('Mass resists change, so `a < b`');
+  });
+
+  it('still gives students what they need to answer the questions', () => {
+    expect(responses.list.body.exams[0]).not.toHaveProperty('questions');
+    expect(responses.questions.body.questions).toEqual([
+      { id: 'Q1', type: 'mcq', question: '2 + 2?', points: 1, media: null, options: ['3', '4'] },
+      { id: 'Q2', type: 'descriptive', question: 'Explain inertia', points: 1, media: null },
+      { id: 'Q3', type: 'fillblank', question: 'Force is mass times ___', points: 1, media: null, blankCount: 1 },
+      { id: 'Q4', type: 'ordering', question: 'Order the steps', points: 1, media: null, items: expect.any(Array) }
+    ]);
+    // The items come in the attempt's own order, which the question can't reveal
+    expect([...responses.questions.body.questions[3].items].sort()).toEqual(['Measure', 'Record']);
+  });
+});
@@ -0,0 +1,50 @@
+// @vitest-environment node
+/**
+ * Tests for suggested scores on written answers
+ */
+
+import { describe, it, expect } from 'vitest';
+import { suggestScore } from '../suggestions.js';
+
+const question = {
+  id: 'Q1',
+  type: 'descriptive',
+  question: 'Explain inertia',
+  answer: 'Inertia is the resistance of an object to changes in its motion.',
+  keywords: ['resistance', "Newton's first law"],
+  points: 4
+};
+
+describe('suggestScore', () => {
+  it('combines keyword coverage with similarity to the answer key', () => {
+    const suggestion = suggestScore(question, 'Inertia: an object resisting any change to its motion (Newton first law).');
+
+    expect(suggestion).toEqual({
+      points: 2.5,
+      maxPoints: 4,
+      keywords: { matched: ["Newton's first law"], missing: ['resistance'] },
+      similarity: { ratio: 0.8, shared: ['inertia', 'object', 'changes', 'motion'], missing: ['resistance'] }
+    });
+  });
+
+  it('matches different forms of the same word', () => {
+    const suggestion = suggestScore({ ...question, keywords: [] }, 'Objects show resistance to a change in motion, called inertia');
+
+    expect(suggestion.similarity.missing).toEqual([]);
+    expect(suggestion.points).toBe(4);
+  });
+
+  it('scores on keywords alone when there is no answer key', () => {
+    const suggestion = suggestScore({ ...question, answer: '' }, 'Resistance, per Newton’s first law');
+
+    expect(suggestion).toMatchObject({ points: 4, similarity: null });
+  });
+
+  it('scores an unrelated answer at zero', () => {
+    expect(suggestScore(question, 'I do not know').points).toBe(0);
+  });
+
+  it('makes no suggestion without an answer key or keywords', () => {
+    expect(suggestScore({ ...question, answer: '', keywords: [] }, 'Anything')).toBeNull();
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Helpers for tests that go through the real API server.
+ *
+ * Starts the server on a free port with a throwaway database and media
+ * directory, and calls it over HTTP the way the client does.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const serverPath = fileURLToPath(new URL('../index.js', import.meta.url));
+
+// Invite code the test server takes for faculty sign-ups
+export const INVITE_CODE = 'staff-invite';
+
+export const hour = 60 * 60 * 1000;
+
+// Helper function to start the server and resolve with its base URL
+function spawnServer(env) {
+  const child = spawn(process.execPath, [serverPath], {
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  const ready = new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      const match = /running on (http:\/\/localhost:\d+)/.exec(output);
+      if (match) resolve(match[1]);
+    });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('exit', code => reject(new Error(`Server exited with ${code}:\n${output}`)));
+  });
+
+  return { child, ready };
+}
+
+// Start a server with a fresh database. `env` adds to or overrides its
+// environment. Resolves with helpers to call it and upload files, and `stop`
+// to shut it down.
+export async function startTestServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'examecho-api-'));
+  const server = spawnServer({
+    PORT: '0',
+    STORAGE_DRIVER: 'json',
+    DB_PATH: path.join(dir, 'database.json'),
+    MEDIA_DIR: path.join(dir, 'uploads'),
+    FACULTY_INVITE_CODE: INVITE_CODE,
+    ...env
+  });
+
+  const stop = () => {
+    server.child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  let baseUrl;
+  try {
+    baseUrl = await server.ready;
+  } catch (error) {
+    stop();
+    throw error;
+  }
+
+  // Call the API and parse the JSON reply, if there is one
+  const api = async (method, url, { token, body } = {}) => {
+    const response = await fetch(`${baseUrl}/api${url}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: body && JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  // Upload a file as multipart/form-data in the `file` field and parse the
+  // JSON reply
+  const upload = async (url, { token, content, type }) => {
+    const form = new FormData();
+    form.append('file', new Blob([content], { type }), 'upload');
+    const response = await fetch(`${baseUrl}/api${url}`, {
+      method: 'POST',
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      body: form
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  // Register a user and return their token
+  const signUp = async (user, identifier) => {
+    await api('POST', '/auth/register', { body: { ...user, password: 'password1', inviteCode: INVITE_CODE } });
+    const { body } = await api('POST', '/auth/login', {
+      body: { role: user.role, identifier, password: 'password1' }
+    });
+    return body.token;
+  };
+
+  return { api, upload, signUp, stop };
+}
+
+// Helper function to get an exam window that is open now
+export function liveWindow({ endsIn = hour, durationMin = 30 } = {}) {
+  return {
+    startsAt: new Date(Date.now() - hour).toISOString(),
+    endsAt: new Date(Date.now() + endsIn).toISOString(),
+    durationMin
+  };
+}
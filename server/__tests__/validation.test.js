@@ -0,0 +1,322 @@
+// @vitest-environment node
+/**
+ * Tests for the request validator and the exam schemas
+ */
+
+import { describe, it, expect } from 'vitest';
+import { validate, checkRules, validationError } from '../validation.js';
+import { examSchema, publishExamSchema, registerSchema, studentsQuerySchema } from '../schemas.js';
+
+const validExam = {
+  title: '  Algorithms Midterm ',
+  shortDescription: 'Sorting and searching',
+  startsAt: '2026-03-01T09:00:00.000Z',
+  endsAt: '2026-03-01T11:00:00.000Z',
+  durationMin: 90,
+  timePerQuestionSec: null,
+  pointsTotal: 10,
+  settingsSummary: { strictMode: true, attemptsLeft: 2, allowedReRecords: 1, instructions: '' }
+};
+
+describe('validate', () => {
+  it('returns the cleaned value with trimmed text and unknown fields dropped', () => {
+    const { value, fields } = validate(examSchema, {
+      ...validExam,
+      submissionCount: 99,
+      ownerId: 'USR-2',
+      teacherName: 'Someone else'
+    });
+
+    expect(fields).toEqual({});
+    expect(value.title).toBe('Algorithms Midterm');
+    expect(value).not.toHaveProperty('submissionCount');
+    expect(value).not.toHaveProperty('ownerId');
+    expect(value).not.toHaveProperty('teacherName');
+    expect(value.settingsSummary).toEqual({ strictMode: true, attemptsLeft: 2, allowedReRecords: 1, instructions: null });
+  });
+
+  it('reports every failing field by its dotted path', () => {
+    const { fields } = validate(examSchema, {
+      ...validExam,
+      title: '   ',
+      pointsTotal: -5,
+      settingsSummary: { attemptsLeft: -1 }
+    });
+
+    expect(fields).toEqual({
+      title: 'Title is required',
+      pointsTotal: 'Total points must be at least 1',
+      'settingsSummary.attemptsLeft': 'Allowed attempts cannot be negative'
+    });
+  });
+
+  it('rejects an exam that ends before it starts', () => {
+    const { fields } = validate(examSchema, {
+      ...validExam,
+      endsAt: '2026-03-01T08:00:00.000Z'
+    });
+
+    expect(fields).toEqual({ endsAt: 'End time must be after start time' });
+  });
+
+  it('rejects a duration longer than the exam window', () => {
+    const { fields } = validate(examSchema, { ...validExam, durationMin: 180 });
+
+    expect(fields.durationMin).toMatch(/120 minute exam window/);
+  });
+
+  it('checks each question and reports it by index', () => {
+    const { fields } = validate(publishExamSchema, {
+      ...validExam,
+      questions: [
+        { id: 'Q1', type: 'descriptive', question: 'Explain quicksort', points: 5 },
+        { id: 'Q2', type: 'mcq', question: '', options: ['Only one'], correctAnswer: 0 }
+      ]
+    });
+
+    expect(fields).toEqual({
+      'questions.1.question': 'Question text is required',
+      'questions.1.options': 'Multiple choice questions need at least 2 options'
+    });
+  });
+
+  it('takes a list of correct answers for multi-select questions', () => {
+    const question = { id: 'Q1', type: 'multiselect', question: 'Pick the primes', options: ['2', '3', '4'] };
+    const check = correctAnswer =>
+      validate(publishExamSchema, { ...validExam, questions: [{ ...question, correctAnswer }] }).fields;
+
+    expect(check([0, 1])).toEqual({});
+    expect(check(1)).toEqual({ 'questions.0.correctAnswer': 'Correct answers must be a list' });
+    expect(check([])).toEqual({ 'questions.0.correctAnswer': 'Please mark at least one correct answer' });
+    expect(check([0, 3])).toEqual({ 'questions.0.correctAnswer': 'Correct answers must be among the options' });
+    expect(validate(publishExamSchema, {
+      ...validExam,
+      questions: [{ id: 'Q2', type: 'mcq', question: '2 + 2?', options: ['3', '4'], correctAnswer: [1] }]
+    }).fields).toEqual({ 'questions.0.correctAnswer': 'Correct answer must be a number' });
+  });
+
+  it('needs a numeric expected value for numeric questions', () => {
+    const question = { id: 'Q1', type: 'numeric', question: 'g at sea level?', tolerance: 0.05, units: 'm/s²' };
+    const check = correctAnswer =>
+      validate(publishExamSchema, { ...validExam, questions: [{ ...question, correctAnswer }] }).fields;
+
+    expect(check(9.81)).toEqual({});
+    expect(check(null)).toEqual({ 'questions.0.correctAnswer': 'Numeric questions need an expected value' });
+    expect(check('9.81')).toEqual({ 'questions.0.correctAnswer': 'Expected value must be a number' });
+    expect(validate(publishExamSchema, {
+      ...validExam,
+      questions: [{ ...question, correctAnswer: 9.81, tolerance: -1, toleranceMode: 'approximately' }]
+    }).fields).toEqual({
+      'questions.0.tolerance': 'Tolerance cannot be negative',
+      'questions.0.toleranceMode': 'Tolerance type must be one of: absolute, relative'
+    });
+  });
+
+  it('needs accepted answers for each blank marked in the question', () => {
+    const question = { id: 'Q1', type: 'fillblank', question: 'Water boils at ___ °C.', blanks: [{ accepted: ['100'] }] };
+    const check = changes =>
+      validate(publishExamSchema, { ...validExam, questions: [{ ...question, ...changes }] }).fields;
+
+    expect(check({})).toEqual({});
+    expect(check({ question: 'Water boils at ___ °C and freezes at ___ °C.' })).toEqual({
+      'questions.0.blanks': 'The question has 2 blank(s) but accepted answers for 1'
+    });
+    expect(check({ question: 'When does water boil?' })).toEqual({
+      'questions.0.question': 'Mark each blank in the question with ___'
+    });
+    expect(check({ blanks: [{ accepted: [] }] })).toEqual({
+      'questions.0.blanks.0.accepted': 'Each blank needs at least one accepted answer'
+    });
+    expect(check({ blanks: [{ accepted: ['10(0'], regex: true }] })).toEqual({
+      'questions.0.blanks.0.accepted': '"10(0" is not a valid regular expression'
+    });
+    expect(check({ type: 'short', blanks: [{ accepted: ['100'] }, { accepted: ['0'] }] })).toEqual({
+      'questions.0.blanks': 'Short answer questions need one list of accepted answers'
+    });
+  });
+
+  it('needs different prompts and matches for matching questions and items for ordering ones', () => {
+    const pairs = [{ prompt: 'Newton', match: 'Force' }, { prompt: 'Joule', match: 'Energy' }];
+    const check = question =>
+      validate(publishExamSchema, { ...validExam, questions: [{ id: 'Q1', question: 'Arrange', ...question }] }).fields;
+
+    expect(check({ type: 'matching', pairs })).toEqual({});
+    expect(check({ type: 'matching', pairs: pairs.slice(0, 1) })).toEqual({
+      'questions.0.pairs': 'Matching questions need at least 2 pairs'
+    });
+    expect(check({ type: 'matching', pairs: [...pairs, { prompt: 'Erg', match: 'energy ' }] })).toEqual({
+      'questions.0.pairs': 'Each match can only be used once'
+    });
+    expect(check({ type: 'ordering', correctOrder: ['First', 'Second'] })).toEqual({});
+    expect(check({ type: 'ordering', correctOrder: ['First', 'first'] })).toEqual({
+      'questions.0.correctOrder': 'Each item to order must be different'
+    });
+    expect(check({ type: 'mcq', options: ['a', 'b'], correctOrder: ['First', 'Second'] })).toEqual({
+      'questions.0.correctOrder': 'Only ordering questions can have items to order'
+    });
+  });
+
+  it('needs a language and a hidden test case for code questions', () => {
+    const check = question =>
+      validate(publishExamSchema, { ...validExam, questions: [{ id: 'Q1', question: 'Add two numbers', ...question }] }).fields;
+    const visible = { input: '1 2', expectedOutput: '3' };
+    const hidden = { input: '40 2', expectedOutput: '42', hidden: true };
+
+    expect(check({ type: 'code', language: 'python', testCases: [visible, hidden] })).toEqual({});
+    expect(check({ type: 'code', testCases: [hidden] })).toEqual({
+      'questions.0.language': 'Please pick the language code questions are answered in'
+    });
+    expect(check({ type: 'code', language: 'python', testCases: [visible] })).toEqual({
+      'questions.0.testCases': 'Code questions need at least one hidden test case'
+    });
+    expect(check({ type: 'code', language: 'ruby', testCases: [hidden] })).toEqual({
+      'questions.0.language': 'Language must be one of: javascript, python'
+    });
+  });
+
+  it('keeps editor fields on questions', () => {
+    const question = { id: 'Q1', type: 'descriptive', question: 'Draw a graph', hint: 'Label the axes' };
+    const { value } = validate(publishExamSchema, { ...validExam, questions: [question] });
+
+    expect(value.questions[0]).toEqual({ ...question, points: 1 });
+  });
+
+  it('strips HTML from question text, options and answer keys but keeps Markdown and comparisons', () => {
+    const { value, fields } = validate(publishExamSchema, {
+      ...validExam,
+      questions: [
+        { id: 'Q1', type: 'mcq', question: '**Pick** <img src=x onerror=alert(1)>the type of `List<String>`\r\n', options: ['x<y and y>z', 'a<b>c', '$x<y$'], correctAnswer: 0 },
+        { id: 'Q2', type: 'descriptive', question: '<script>alert(1)</script>', answer: 'See <a href="javascript:alert(1)">notes</a>' }
+      ]
+    });
+
+    expect(fields).toEqual({ 'questions.1.question': 'Question text is required' });
+    expect(value.questions[0].question).toBe('**Pick** the type of `List<String>`');
+    expect(value.questions[0].options).toEqual(['x<y and y>z', 'a<b>c', '$x<y$']);
+    expect(value.questions[1].answer).toBe('See notes');
+  });
+
+  it('only accepts media referenced by upload id', () => {
+    const mediaId = 'a'.repeat(64);
+    const question = { id: 'Q1', type: 'descriptive', question: 'Describe the graph' };
+
+    const uploaded = validate(publishExamSchema, {
+      ...validExam,
+      questions: [{ ...question, media: { image: { id: mediaId, file: 'graph.png', type: 'image/png' }, video: null } }]
+    });
+    expect(uploaded.fields).toEqual({});
+    expect(uploaded.value.questions[0].media).toEqual({
+      image: { id: mediaId, file: 'graph.png', type: 'image/png' },
+      video: null
+    });
+
+    const inline = validate(publishExamSchema, {
+      ...validExam,
+      questions: [{ ...question, media: { image: { file: 'graph.png', url: 'data:image/png;base64,AAAA' } } }]
+    });
+    expect(inline.fields).toEqual({ 'questions.0.media.image.id': 'Attachment needs to be uploaded again' });
+  });
+
+  it('checks that a rubric adds up to the question points', () => {
+    const rubric = [
+      { id: 'C1', title: 'Accuracy', levels: [{ points: 0, descriptor: 'Wrong' }, { points: 3, descriptor: 'Correct' }] },
+      { id: 'C2', title: 'Clarity', levels: [{ points: 0 }, { points: 1 }, { points: 1 }] }
+    ];
+    const question = { id: 'Q1', type: 'descriptive', question: 'Explain inertia', points: 5, rubric };
+
+    expect(validate(examSchema, { ...validExam, questions: [question] }).fields).toEqual({
+      'questions.0.rubric.1.levels': 'Each level needs a different number of points',
+      'questions.0.rubric': 'The rubric adds up to 4 points but the question is worth 5'
+    });
+
+    const fixed = [rubric[0], { ...rubric[1], levels: [{ points: 0 }, { points: 2 }] }];
+    expect(validate(examSchema, { ...validExam, questions: [{ ...question, rubric: fixed }] }).fields).toEqual({});
+    expect(validate(examSchema, {
+      ...validExam,
+      questions: [{ id: 'Q2', type: 'mcq', question: '2 + 2?', options: ['3', '4'], points: 5, rubric: fixed }]
+    }).fields).toEqual({ 'questions.0.rubric': 'Only descriptive questions can have a rubric' });
+  });
+
+  it('requires at least one question to publish', () => {
+    expect(validate(publishExamSchema, validExam).fields).toEqual({
+      questions: 'Please add at least one question'
+    });
+    expect(validate(publishExamSchema, { ...validExam, questions: [] }).fields).toEqual({
+      questions: 'Please add at least one question'
+    });
+  });
+
+  it('only checks the fields sent in a partial update', () => {
+    const { value, fields } = validate(examSchema, { pointsTotal: 20, status: 'finished' }, { partial: true });
+
+    expect(fields).toEqual({});
+    expect(value).toEqual({ pointsTotal: 20 });
+  });
+
+  it('still rejects invalid values in a partial update', () => {
+    const { fields } = validate(examSchema, { title: '', durationMin: 1.5 }, { partial: true });
+
+    expect(fields).toEqual({
+      title: 'Title is required',
+      durationMin: 'Duration must be a whole number'
+    });
+  });
+
+  it('coerces numbers from query strings', () => {
+    const { value, fields } = validate(studentsQuerySchema, { year: '2', page: '3' });
+
+    expect(fields).toEqual({});
+    expect(value).toEqual({ year: 2, page: 3 });
+    expect(validate(studentsQuerySchema, { page: 'two' }).fields).toEqual({ page: 'Page must be a number' });
+  });
+
+  it('applies cross-field rules to the registration body', () => {
+    const { fields } = validate(registerSchema, {
+      role: 'student',
+      fullName: 'Asha',
+      email: 'not-an-email',
+      password: 'short'
+    });
+
+    expect(fields).toEqual({
+      email: 'Email must be a valid email address',
+      password: 'Password must be at least 8 characters',
+      enrollment: 'Enrollment number is required'
+    });
+  });
+
+  it('requires an invite code to register as faculty', () => {
+    const faculty = { role: 'faculty', fullName: 'Prof. Rao', email: 'rao@example.com', facultyId: 'F1', password: 'password1' };
+
+    expect(validate(registerSchema, faculty).fields).toEqual({
+      inviteCode: 'An invite code is required to register as faculty'
+    });
+    expect(validate(registerSchema, { ...faculty, inviteCode: 'staff-2026' }).fields).toEqual({});
+  });
+});
+
+describe('checkRules', () => {
+  it('checks the rules against a whole record', () => {
+    const merged = { ...validExam, startsAt: '2026-03-02T09:00:00.000Z' };
+
+    expect(checkRules(examSchema, merged)).toEqual({ endsAt: 'End time must be after start time' });
+    expect(checkRules(examSchema, validExam)).toEqual({});
+  });
+});
+
+describe('validationError', () => {
+  it('uses the field message when only one field failed', () => {
+    expect(validationError({ title: 'Title is required' })).toEqual({
+      error: 'validation_failed',
+      message: 'Title is required',
+      fields: { title: 'Title is required' }
+    });
+  });
+
+  it('uses a general message when several fields failed', () => {
+    const body = validationError({ title: 'Title is required', endsAt: 'End time must be after start time' });
+
+    expect(body.message).toMatch(/Some fields are invalid/);
+    expect(Object.keys(body.fields)).toEqual(['title', 'endsAt']);
+  });
+});
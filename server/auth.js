@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+
+// Signing secret for session tokens. Set AUTH_SECRET in production; the
+// fallback only exists so the demo server starts without configuration.
+const AUTH_SECRET = process.env.AUTH_SECRET || 'examecho-dev-secret';
+if (!process.env.AUTH_SECRET) {
+  console.warn('⚠️  AUTH_SECRET is not set, using the development signing secret');
+}
+
+// Faculty sign up with this code (see isValidInviteCode)
+if (!process.env.FACULTY_INVITE_CODE) {
+  console.warn('⚠️  FACULTY_INVITE_CODE is not set, so faculty accounts cannot be registered');
+}
+
+// Session lifetime (12 hours)
+export const TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+
+const SCRYPT_KEYLEN = 64;
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', AUTH_SECRET).update(data).digest('base64url');
+}
+
+/**
+ * Hash a password with a random salt.
+ * Returns a string of the form `scrypt$<salt>$<hash>`.
+ */
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Check a password against a hash produced by hashPassword()
+ */
+export function verifyPassword(password, stored) {
+  if (typeof stored !== 'string') return false;
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Check a faculty invite code against FACULTY_INVITE_CODE. While that isn't
+ * set, no code is valid and faculty can't register.
+ */
+export function isValidInviteCode(code) {
+  const inviteCode = process.env.FACULTY_INVITE_CODE;
+  if (!inviteCode || typeof code !== 'string') return false;
+  const expected = crypto.createHash('sha256').update(inviteCode).digest();
+  const actual = crypto.createHash('sha256').update(code).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Issue a signed token for a session.
+ * The payload carries the user id, role and session id (`sid`) so the
+ * server can revoke the session on logout.
+ */
+export function signToken({ userId, role, sessionId }, ttlMs = TOKEN_TTL_MS) {
+  const issuedAt = Date.now();
+  const payload = {
+    sub: userId,
+    role,
+    sid: sessionId,
+    iat: issuedAt,
+    exp: issuedAt + ttlMs
+  };
+  const body = base64url(JSON.stringify(payload));
+  return `${body}.${sign(body)}`;
+}
+
+/**
+ * Verify a token's signature and expiry.
+ * Returns the decoded payload, or null if the token is invalid or expired.
+ */
+export function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload.exp || payload.exp <= Date.now()) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extract the Bearer token from a request
+ */
+export function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Strip secrets from a user record before sending it to the client
+ */
+export function toPublicUser(user) {
+  // eslint-disable-next-line no-unused-vars
+  const { passwordHash, ...publicUser } = user;
+  return publicUser;
+}
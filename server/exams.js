@@ -0,0 +1,244 @@
+// Exam model.
+//
+// Each exam is stored once, as the record faculty create and edit. What
+// students and faculty see is projected from that record by the functions
+// below, so an update shows up in both views without copying fields around.
+
+import crypto from 'crypto';
+import { CHOICE_TYPES, MULTISELECT_SCORING, getScoringPolicy } from './grading.js';
+
+// Helper function to get exam status based on current time
+export function getExamStatus(exam) {
+  try {
+    if (!exam.startsAt || !exam.endsAt) {
+      return exam.status || 'unknown';
+    }
+
+    const now = new Date();
+    const starts = new Date(exam.startsAt);
+    const ends = new Date(exam.endsAt);
+
+    // Validate dates
+    if (isNaN(starts.getTime()) || isNaN(ends.getTime())) {
+      console.warn('Invalid dates for exam:', exam.id, exam.startsAt, exam.endsAt);
+      return exam.status || 'unknown';
+    }
+
+    if (now < starts) return 'upcoming';
+    if (now >= starts && now < ends) return 'live';
+    return 'finished';
+  } catch (error) {
+    console.error('Error in getExamStatus:', error);
+    return exam.status || 'unknown';
+  }
+}
+
+// Helper function to get how many attempts an exam allows each student
+export function getAllowedAttempts(exam) {
+  return exam.settingsSummary?.attemptsLeft ?? exam.attemptsLeft ?? 1;
+}
+
+// Helper function to get how many re-recordings an exam allows per answer
+export function getAllowedReRecords(exam) {
+  return exam.settingsSummary?.allowedReRecords ?? exam.allowedReRecords ?? 0;
+}
+
+// Build a new exam record from the create/publish request body.
+// Ownership always comes from the signed-in faculty user.
+export function createExamRecord(examData, user, now = new Date()) {
+  return {
+    id: `FAC-EX-${crypto.randomUUID()}`,
+    title: examData.title,
+    shortDescription: examData.shortDescription,
+    startsAt: examData.startsAt,
+    endsAt: examData.endsAt,
+    durationMin: examData.durationMin,
+    timePerQuestionSec: examData.timePerQuestionSec || null,
+    status: getExamStatus(examData),
+    createdAt: now.toISOString(),
+    submissionCount: 0,
+    totalStudents: 0,
+    pointsTotal: examData.pointsTotal,
+    questions: examData.questions || [],
+    teacherName: user.name,
+    ownerId: user.id,
+    thumbnailUrl: examData.thumbnailUrl || null,
+    settingsSummary: examData.settingsSummary || { strictMode: false }
+  };
+}
+
+// Faculty view: the whole record with its current status
+export function toFacultyExam(exam) {
+  return {
+    ...exam,
+    status: getExamStatus(exam)
+  };
+}
+
+// Fields that give away the answer to a question. No student response may
+// contain them; the student views below are built from allowlists so a new
+// field on a question or exam stays hidden until it is added on purpose.
+export const ANSWER_KEY_FIELDS = ['correctAnswer', 'answer', 'keywords', 'blanks', 'pairs', 'correctOrder', 'testCases'];
+
+// Helper function to pick the exam settings a student may see. Students
+// are told how the exam is scored before they start; questions with their
+// own negative marks show them next to the question.
+function toStudentSettings(exam) {
+  const settings = exam.settingsSummary || {};
+  const { negativeMarks, floorAtZero } = getScoringPolicy(exam);
+  return {
+    strictMode: settings.strictMode || false,
+    attemptsLeft: settings.attemptsLeft,
+    allowedReRecords: settings.allowedReRecords,
+    instructions: settings.instructions,
+    scoring: {
+      negativeMarks,
+      floorAtZero,
+      variesByQuestion: (exam.questions || []).some(question => CHOICE_TYPES.includes(question.type) &&
+        question.negativeMarks != null && question.negativeMarks !== negativeMarks)
+    }
+  };
+}
+
+// Helper function to shuffle a list the same way every time for the same
+// seed, so the matches and items of a question keep their order when a
+// student reloads. The seed is kept on the server, so the order says nothing
+// about the answer key. Three or more never come out in the original order;
+// two are left to chance, as always swapping them would give it away.
+function shuffleWithSeed(list, seed) {
+  let draws = 0;
+  const random = () => crypto.createHmac('sha256', seed).update(String(draws++)).digest().readUInt32BE(0) / 2 ** 32;
+
+  const shuffled = [...list];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  if (shuffled.length > 2 && shuffled.every((item, index) => item === list[index])) {
+    shuffled.push(shuffled.shift());
+  }
+  return shuffled;
+}
+
+// Student view of one question: what is needed to show and answer it,
+// without the answer key. `shuffleSeed` is the attempt's secret seed for the
+// order of matches and items; without one they come in a new order each time.
+export function toStudentQuestion(question, { shuffleSeed = crypto.randomUUID() } = {}) {
+  const studentQuestion = {
+    id: question.id,
+    type: question.type || 'mcq',
+    question: question.question || '',
+    points: question.points || 1,
+    media: question.media || null
+  };
+  if (CHOICE_TYPES.includes(studentQuestion.type)) {
+    studentQuestion.options = question.options || [];
+  }
+  if (studentQuestion.type === 'multiselect') {
+    studentQuestion.scoringMode = question.scoringMode || MULTISELECT_SCORING.ALL_OR_NOTHING;
+  }
+  if (studentQuestion.type === 'numeric') {
+    studentQuestion.units = question.units || '';
+  }
+  if (studentQuestion.type === 'fillblank') {
+    studentQuestion.blankCount = (question.blanks || []).length;
+  }
+  if (studentQuestion.type === 'matching') {
+    const pairs = question.pairs || [];
+    studentQuestion.prompts = pairs.map(pair => pair.prompt);
+    studentQuestion.matches = shuffleWithSeed(pairs.map(pair => pair.match), `${shuffleSeed}:${question.id}`);
+  }
+  if (studentQuestion.type === 'ordering') {
+    studentQuestion.items = shuffleWithSeed(question.correctOrder || [], `${shuffleSeed}:${question.id}`);
+  }
+  if (studentQuestion.type === 'code') {
+    studentQuestion.language = question.language;
+    studentQuestion.starterCode = question.starterCode || '';
+    studentQuestion.visibleTests = (question.testCases || [])
+      .filter(test => !test.hidden)
+      .map(({ input, expectedOutput }) => ({ input, expectedOutput }));
+  }
+  if (question.negativeMarks != null && CHOICE_TYPES.includes(question.type)) {
+    studentQuestion.negativeMarks = question.negativeMarks;
+  }
+  return studentQuestion;
+}
+
+// Student view of their own submission: the result, not the graded answers.
+// Once the exam has closed it also carries `feedback`, the points and grader
+// comments per question (with the rubric breakdown where there is one);
+// before that it could be passed on to students still taking the exam.
+export function toStudentSubmission(submission, { exam } = {}) {
+  const view = {
+    id: submission.id,
+    examId: submission.examId,
+    studentId: submission.studentId,
+    attemptId: submission.attemptId,
+    score: submission.score,
+    maxScore: submission.maxScore,
+    status: submission.status,
+    submittedAt: submission.submittedAt,
+    startedAt: submission.startedAt,
+    timeSpent: submission.timeSpent,
+    attempts: submission.attempts
+  };
+
+  if (exam && submission.grades && getExamStatus(exam) === 'finished') {
+    view.feedback = (exam.questions || []).map(question => {
+      const grade = submission.grades[question.id] || {};
+      return {
+        questionId: question.id,
+        question: question.question || '',
+        points: grade.points ?? null,
+        maxPoints: grade.maxPoints ?? question.points ?? 1,
+        comment: grade.comment || '',
+        criteria: (grade.criteria || []).map(criterion => ({
+          title: criterion.title,
+          points: criterion.points,
+          maxPoints: criterion.maxPoints,
+          descriptor: criterion.descriptor
+        }))
+      };
+    });
+  }
+  return view;
+}
+
+// Student view for the exam list. Leaves out the questions and ownership
+// details; `attemptsLeft` is the signed-in student's own count.
+export function toStudentExam(exam, { attemptsLeft } = {}) {
+  return {
+    id: exam.id,
+    title: exam.title || 'Untitled Exam',
+    shortDescription: exam.shortDescription || '',
+    startsAt: exam.startsAt || null,
+    endsAt: exam.endsAt || null,
+    durationMin: exam.durationMin || 0,
+    timePerQuestionSec: exam.timePerQuestionSec || null,
+    status: getExamStatus(exam),
+    attemptsLeft: attemptsLeft ?? getAllowedAttempts(exam),
+    allowedReRecords: getAllowedReRecords(exam),
+    teacherName: exam.teacherName || 'Unknown',
+    pointsTotal: exam.pointsTotal || 0,
+    questionsCount: (exam.questions || []).length,
+    thumbnailUrl: exam.thumbnailUrl || null,
+    settingsSummary: toStudentSettings(exam)
+  };
+}
+
+// Student view shown before starting an exam
+export function toStudentExamSummary(exam, { attemptsLeft } = {}) {
+  return {
+    id: exam.id,
+    title: exam.title,
+    instructions: exam.settingsSummary?.instructions || 'Read all questions carefully.',
+    timePerQuestionSec: exam.timePerQuestionSec,
+    durationMin: exam.durationMin,
+    attemptsLeft: attemptsLeft ?? getAllowedAttempts(exam),
+    allowedReRecords: getAllowedReRecords(exam),
+    strictMode: exam.settingsSummary?.strictMode || false,
+    otherSettings: toStudentSettings(exam),
+    questionsCount: (exam.questions || []).length,
+    pointsTotal: exam.pointsTotal
+  };
+}
@@ -0,0 +1,330 @@
+// Scoring and manual grading.
+//
+// Every submission keeps one grade per question in `grades`, keyed by
+// question id. Questions that can be checked automatically are scored when
+// the exam is submitted; the rest wait for a grader. The submission's score
+// is always the sum of its grades, and it stays 'pending_grading' until
+// every question has one.
+
+export const SUBMISSION_STATUS = {
+  COMPLETED: 'completed',
+  PENDING_GRADING: 'pending_grading'
+};
+
+// Every type of question an exam can have
+export const QUESTION_TYPES = [
+  'mcq', 'multiselect', 'numeric', 'fillblank', 'short', 'matching', 'ordering', 'code', 'descriptive', 'oral'
+];
+
+// Question types answered by picking options. Multi-select questions have a
+// list of correct option indices instead of one.
+export const CHOICE_TYPES = ['mcq', 'multiselect'];
+
+// Question types answered by typing short text, checked against a list of
+// accepted answers for each blank. A short-answer question is one blank
+// without a marker; a fill-in-the-blank question marks its blanks in the
+// question text and is answered with a list, one entry per blank.
+export const TEXT_ANSWER_TYPES = ['fillblank', 'short'];
+
+// Marks a blank in the text of a fill-in-the-blank question
+export const BLANK_MARKER = /_{3,}/g;
+
+// Longest typed answer checked against a blank, so an accepted answer
+// pattern never runs on unbounded input
+const MAX_BLANK_ANSWER_LENGTH = 500;
+
+// Question types a grader scores by hand. An oral answer is the id of the
+// student's recording in the media store.
+export const MANUALLY_GRADED_TYPES = ['descriptive', 'oral'];
+
+// Helper function to get the test cases a code answer is scored on. Visible
+// tests are shown to students while they work, so only hidden ones count.
+export function getHiddenTests(question) {
+  return (question.testCases || []).filter(test => test.hidden);
+}
+
+// How a multi-select question is scored: full points only for exactly the
+// correct options, or a share of the points for each correct option picked
+// less one for each wrong one
+export const MULTISELECT_SCORING = {
+  ALL_OR_NOTHING: 'all_or_nothing',
+  PROPORTIONAL: 'proportional'
+};
+
+// How far a numeric answer may be from the expected value: a fixed amount
+// either way, or a percentage of the expected value
+export const NUMERIC_TOLERANCE = {
+  ABSOLUTE: 'absolute',
+  RELATIVE: 'relative'
+};
+
+// Slack for floating point error, so 0.1 + 0.2 counts as exactly 0.3
+const NUMERIC_EPSILON = 1e-9;
+
+// Helper function to get how many points a question is worth
+export function getQuestionPoints(question) {
+  return question.points || 1;
+}
+
+// Helper function to get an exam's scoring policy. `negativeMarks` are taken
+// off for each wrong answer to a choice question (questions may set their
+// own); skipped questions always score 0. With `floorAtZero` a submission's
+// score never goes below 0.
+export function getScoringPolicy(exam) {
+  const scoring = exam?.settingsSummary?.scoring || {};
+  return {
+    negativeMarks: scoring.negativeMarks || 0,
+    floorAtZero: scoring.floorAtZero || false
+  };
+}
+
+// Helper function to get how many points a wrong answer to a question costs.
+// Only choice questions are negatively marked, to discourage guessing; a
+// worked answer that scores nothing, like code failing every test, just
+// scores 0.
+export function getNegativeMarks(question, policy = {}) {
+  if (!CHOICE_TYPES.includes(question.type)) return 0;
+  return question.negativeMarks ?? policy.negativeMarks ?? 0;
+}
+
+// Helper function to get the most a rubric criterion can score
+function getCriterionMaxPoints(criterion) {
+  return Math.max(0, ...(criterion.levels || []).map(level => level?.points ?? 0));
+}
+
+// Helper function to get the total a rubric is worth: the top level of
+// every criterion
+export function getRubricMaxPoints(rubric) {
+  return (rubric || []).reduce((sum, criterion) => sum + getCriterionMaxPoints(criterion), 0);
+}
+
+// Score a question's rubric from the level picked for each criterion.
+// `selections` maps criterion id -> the points of the chosen level.
+// Returns { points, criteria } with the per-criterion breakdown, or
+// { fields } naming the criteria without a valid level.
+export function scoreRubric(rubric, selections = {}) {
+  const fields = {};
+  const criteria = rubric.map(criterion => {
+    const level = criterion.levels.find(l => l.points === selections[criterion.id]);
+    if (!level) {
+      fields[`criteria.${criterion.id}`] = `Pick a level for ${criterion.title}`;
+    }
+    return {
+      id: criterion.id,
+      title: criterion.title,
+      points: level?.points ?? null,
+      maxPoints: getCriterionMaxPoints(criterion),
+      descriptor: level?.descriptor || ''
+    };
+  });
+
+  if (Object.keys(fields).length > 0) return { fields };
+  return {
+    points: criteria.reduce((sum, criterion) => sum + criterion.points, 0),
+    criteria
+  };
+}
+
+// Helper function to get the student's answer to a question. Older clients
+// sent answers keyed by position instead of id.
+export function getStudentAnswer(answers, question, index) {
+  return answers?.[question.id] ?? answers?.[index];
+}
+
+// Helper function to check whether an answer was left blank. A list answer
+// is blank when every entry is.
+function isBlank(answer) {
+  if (Array.isArray(answer)) return answer.every(isBlank);
+  return answer === undefined || answer === null || String(answer).trim() === '';
+}
+
+// Helper function to read a typed number. Returns NaN when the answer is
+// not a number.
+function parseNumber(answer) {
+  if (typeof answer === 'number') return answer;
+  const text = String(answer).trim();
+  return text === '' ? NaN : Number(text);
+}
+
+// Helper function to check whether a numeric answer is within the question's
+// tolerance of the expected value
+function isWithinTolerance(question, answer) {
+  const expected = question.correctAnswer;
+  const value = parseNumber(answer);
+  if (!Number.isFinite(value) || typeof expected !== 'number') return false;
+
+  const tolerance = question.tolerance || 0;
+  const allowed = question.toleranceMode === NUMERIC_TOLERANCE.RELATIVE
+    ? Math.abs(expected) * tolerance / 100
+    : tolerance;
+  return Math.abs(value - expected) <= allowed + NUMERIC_EPSILON;
+}
+
+// Helper function to count the blanks marked in a question's text
+export function countBlanks(text) {
+  return (String(text ?? '').match(BLANK_MARKER) || []).length;
+}
+
+// Helper function to tidy typed text for comparison: trimmed, with runs of
+// spaces collapsed, unless the blank compares whitespace exactly
+function normalizeBlankText(text, blank) {
+  const value = String(text ?? '');
+  return blank.normalizeWhitespace === false ? value : value.trim().replace(/\s+/g, ' ');
+}
+
+// Helper function to build the pattern for an accepted answer of a blank
+// that uses regular expressions. The pattern must match the whole answer.
+// Throws when the pattern is not valid.
+export function getBlankPattern(blank, accepted) {
+  return new RegExp(`^(?:${accepted})$`, blank.caseSensitive ? 'u' : 'iu');
+}
+
+// Helper function to check a typed answer against a blank's accepted answers
+function matchesBlank(blank, answer) {
+  const value = normalizeBlankText(answer, blank);
+  if (value === '' || value.length > MAX_BLANK_ANSWER_LENGTH) return false;
+
+  return (blank.accepted || []).some(accepted => {
+    if (blank.regex) return getBlankPattern(blank, accepted).test(value);
+    const expected = normalizeBlankText(accepted, blank);
+    return blank.caseSensitive
+      ? value === expected
+      : value.toLocaleLowerCase() === expected.toLocaleLowerCase();
+  });
+}
+
+// Helper function to get the answer typed into each blank of a question
+function getBlankAnswers(question, answer) {
+  if (question.type === 'short') return [answer];
+  return Array.isArray(answer) ? answer : [];
+}
+
+// Helper function to get how much of a question an answer gets right, from
+// 0 to 1
+function getCorrectRatio(question, answer, tests) {
+  if (question.type === 'code') {
+    // Each hidden test passed earns its share of the points
+    return tests.length > 0 ? tests.filter(test => test.passed).length / tests.length : 0;
+  }
+  if (question.type === 'mcq') {
+    return answer === question.correctAnswer ? 1 : 0;
+  }
+  if (question.type === 'multiselect') {
+    const correct = new Set(question.correctAnswer || []);
+    const picked = new Set((Array.isArray(answer) ? answer : [answer]).map(Number));
+    const right = [...picked].filter(index => correct.has(index)).length;
+    const wrong = picked.size - right;
+
+    if (question.scoringMode === MULTISELECT_SCORING.PROPORTIONAL) {
+      return correct.size > 0 ? Math.max(0, (right - wrong) / correct.size) : 0;
+    }
+    return right === correct.size && wrong === 0 ? 1 : 0;
+  }
+  if (question.type === 'numeric') {
+    return isWithinTolerance(question, answer) ? 1 : 0;
+  }
+  if (question.type === 'matching') {
+    // The answer lists the match chosen for each prompt; each pair earns its
+    // share of the points on its own
+    const pairs = question.pairs || [];
+    const matches = Array.isArray(answer) ? answer : [];
+    const right = pairs.filter((pair, index) => matches[index] === pair.match).length;
+    return pairs.length > 0 ? right / pairs.length : 0;
+  }
+  if (question.type === 'ordering') {
+    // The answer lists the items in the order given; each item in its right
+    // position earns its share of the points
+    const order = question.correctOrder || [];
+    const placed = Array.isArray(answer) ? answer : [];
+    const right = order.filter((item, index) => placed[index] === item).length;
+    return order.length > 0 ? right / order.length : 0;
+  }
+  if (TEXT_ANSWER_TYPES.includes(question.type)) {
+    // Each blank earns its share of the points on its own
+    const blanks = question.blanks || [];
+    const answers = getBlankAnswers(question, answer);
+    const right = blanks.filter((blank, index) => matchesBlank(blank, answers[index])).length;
+    return blanks.length > 0 ? right / blanks.length : 0;
+  }
+  return 0;
+}
+
+// Score one question automatically. Returns the grade, or a grade with
+// `points: null` when it needs a grader. A blank answer scores 0 without
+// one; a wrong choice loses the negative marks of the scoring policy. A code
+// answer is scored on `tests`, the results of running it against the hidden
+// tests, which are kept with the grade; without them it waits for a grader.
+export function autoGradeQuestion(question, answer, policy = {}, tests = null) {
+  const maxPoints = getQuestionPoints(question);
+
+  if (MANUALLY_GRADED_TYPES.includes(question.type) || (question.type === 'code' && !tests)) {
+    return isBlank(answer)
+      ? { points: 0, maxPoints, auto: true }
+      : { points: null, maxPoints, auto: false };
+  }
+
+  if (isBlank(answer)) return { points: 0, maxPoints, auto: true };
+
+  const earned = Math.round(maxPoints * getCorrectRatio(question, answer, tests) * 100) / 100;
+  const points = earned > 0 ? earned : -getNegativeMarks(question, policy);
+  return { points: points || 0, maxPoints, auto: true, ...(question.type === 'code' && { tests }) };
+}
+
+// Grade every question of an exam against the submitted answers.
+// `testResults` holds the hidden test results of each code answer, keyed by
+// question id.
+export function autoGrade(exam, answers, testResults = {}) {
+  const policy = getScoringPolicy(exam);
+  const grades = {};
+  (exam.questions || []).forEach((question, index) => {
+    grades[question.id] = autoGradeQuestion(
+      question,
+      getStudentAnswer(answers, question, index),
+      policy,
+      testResults[question.id]
+    );
+  });
+  return grades;
+}
+
+// Sum a submission's grades into { score, maxScore, pendingCount, status }.
+// Questions still waiting for a grader count as 0 points.
+export function summarizeGrades(grades, policy = {}) {
+  const items = Object.values(grades || {});
+  const pendingCount = items.filter(grade => grade.points === null).length;
+  const total = items.reduce((sum, grade) => sum + (grade.points || 0), 0);
+
+  return {
+    score: policy.floorAtZero ? Math.max(0, total) : total,
+    maxScore: items.reduce((sum, grade) => sum + grade.maxPoints, 0),
+    pendingCount,
+    status: pendingCount > 0 ? SUBMISSION_STATUS.PENDING_GRADING : SUBMISSION_STATUS.COMPLETED
+  };
+}
+
+// Helper function to get a submission's grades. Submissions made before
+// grades were stored are graded from their answers on first use.
+export function getSubmissionGrades(submission, exam) {
+  return submission.grades || autoGrade(exam, submission.answers);
+}
+
+// Build the update for a grader's score on one question: the new grade plus
+// the recomputed score and status. `criteria` is the rubric breakdown from
+// scoreRubric, kept with the grade so later rubric edits don't change it.
+export function applyManualGrade(submission, exam, question, { points, criteria, comment }, grader, now = new Date()) {
+  const grades = {
+    ...getSubmissionGrades(submission, exam),
+    [question.id]: {
+      points,
+      maxPoints: getQuestionPoints(question),
+      auto: false,
+      ...(criteria && { criteria }),
+      comment: comment || '',
+      gradedBy: grader.id,
+      gradedAt: now.toISOString()
+    }
+  };
+  const { score, maxScore, status } = summarizeGrades(grades, getScoringPolicy(exam));
+
+  return { grades, score, maxScore, status };
+}
@@ -1,147 +1,558 @@
 import express from 'express';
 import cors from 'cors';
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import {
+  TOKEN_TTL_MS,
+  hashPassword,
+  verifyPassword,
+  isValidInviteCode,
+  signToken,
+  verifyToken,
+  getBearerToken,
+  toPublicUser
+} from './auth.js';
+import { createStorage, getStorageConfig } from './storage/index.js';
+import { createMediaStore, getMediaConfig, parseRange, isAllowedRecordingType } from './media/index.js';
+import { createUploadMiddleware } from './media/upload.js';
+import { createSandbox, getSandboxConfig } from './sandbox/index.js';
+import {
+  getExamStatus,
+  getAllowedAttempts,
+  getAllowedReRecords,
+  createExamRecord,
+  toFacultyExam,
+  toStudentExam,
+  toStudentExamSummary,
+  toStudentQuestion,
+  toStudentSubmission
+} from './exams.js';
+import {
+  SUBMISSION_STATUS,
+  MANUALLY_GRADED_TYPES,
+  getQuestionPoints,
+  getScoringPolicy,
+  getStudentAnswer,
+  getHiddenTests,
+  autoGrade,
+  summarizeGrades,
+  getSubmissionGrades,
+  scoreRubric,
+  applyManualGrade
+} from './grading.js';
+import { suggestScore } from './suggestions.js';
+import { sanitizeRichText } from './richText.js';
+import { validateRequest, checkRules, validationError } from './validation.js';
+import {
+  registerSchema,
+  loginSchema,
+  studentExamsQuerySchema,
+  submitExamSchema,
+  saveAnswersSchema,
+  runCodeSchema,
+  examSchema,
+  publishExamSchema,
+  facultyExamsQuerySchema,
+  draftSchema,
+  studentsQuerySchema,
+  gradingQueueQuerySchema,
+  gradeSchema,
+  MEDIA_SLOTS
+} from './schemas.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-const PORT = 3001;
-const DB_PATH = path.join(__dirname, 'database.json');
+const PORT = Number(process.env.PORT ?? 3001);
+
+// Storage backend is chosen with STORAGE_DRIVER (json or sqlite) and DB_PATH.
+// The server refuses to start if the database has pending migrations.
+const storageConfig = getStorageConfig(process.env, __dirname);
+let storage;
+try {
+  storage = await createStorage(storageConfig);
+} catch (error) {
+  console.error(`❌ Could not open the ${storageConfig.driver} database: ${error.message}`);
+  process.exit(1);
+}
+
+// Uploaded question media is kept on disk (MEDIA_DIR) and only referenced
+// by id from the exam records
+const mediaConfig = getMediaConfig(process.env, __dirname);
+const mediaStore = createMediaStore(mediaConfig);
+const uploadMedia = createUploadMiddleware(mediaStore, mediaConfig);
+// Students' spoken answers go into the same store, but only as audio
+const uploadRecording = createUploadMiddleware(mediaStore, {
+  ...mediaConfig,
+  isAllowed: isAllowedRecordingType,
+  allowedHint: 'Record your answer in the browser.'
+});
+
+// Answers to code questions run in child processes with time and memory
+// limits (CODE_TIME_LIMIT_MS, CODE_MEMORY_LIMIT_MB, CODE_MAX_RUNS)
+const sandbox = createSandbox(getSandboxConfig(process.env));
 
 // Middleware
 app.use(cors());
-// Increase body size limit to handle large media files (50MB)
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Media goes through the upload endpoint, so JSON bodies stay small
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
-// Helper function to read database
-function readDB() {
-  try {
-    // Check if database file exists
-    if (!fs.existsSync(DB_PATH)) {
-      console.log('Database file not found, creating new one');
-      const initialDB = { exams: [], facultyExams: [], students: [], submissions: [], draftExams: [] };
-      writeDB(initialDB);
-      return initialDB;
-    }
-    
-    const data = fs.readFileSync(DB_PATH, 'utf8');
-    const db = JSON.parse(data);
-    
-    // Ensure all required arrays exist
-    if (!db.exams) db.exams = [];
-    if (!db.facultyExams) db.facultyExams = [];
-    if (!db.students) db.students = [];
-    if (!db.submissions) db.submissions = [];
-    if (!db.draftExams) db.draftExams = [];
-    
-    return db;
-  } catch (error) {
-    console.error('Error reading database:', error);
-    return { exams: [], facultyExams: [], students: [], submissions: [], draftExams: [] };
+// Helper function to pass errors from an async route handler on to Express
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// Helper function to serialize a value with sorted object keys, so two
+// answer maps compare equal regardless of key order
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
   }
+  return JSON.stringify(value);
 }
 
-// Helper function to write database
-function writeDB(data) {
-  try {
-    fs.writeFileSync(DB_PATH, JSON.stringify(data, null, 2));
-    return true;
-  } catch (error) {
-    console.error('Error writing database:', error);
-    return false;
+// Helper function to resolve the signed-in user from the Bearer token.
+// Returns { user, session } or null if the token is missing, invalid,
+// expired or belongs to a session that has been logged out.
+function getSessionUser(req) {
+  const payload = verifyToken(getBearerToken(req));
+  if (!payload) return null;
+
+  const session = storage.sessions.findOne({ id: payload.sid, userId: payload.sub });
+  if (!session || new Date(session.expiresAt) <= new Date()) return null;
+
+  const user = storage.users.get(payload.sub);
+  if (!user) return null;
+
+  return { user, session };
+}
+
+// Helper function to find a user by email, enrollment or faculty ID
+function findUserByIdentifier(role, identifier) {
+  const needle = String(identifier || '').trim().toLowerCase();
+  if (!needle) return null;
+
+  return storage.users.list({ role }).find(u =>
+    u.email?.toLowerCase() === needle ||
+    u.enrollment?.toLowerCase() === needle ||
+    u.facultyId?.toLowerCase() === needle
+  ) || null;
+}
+
+// Middleware that checks question attachments point at uploaded media.
+// Runs after validation, so media ids are already well formed.
+function requireKnownMedia(req, res, next) {
+  const fields = {};
+  (req.body.questions || []).forEach((question, index) => {
+    MEDIA_SLOTS.forEach(slot => {
+      const ref = question.media?.[slot];
+      if (ref && !storage.media.get(ref.id)) {
+        fields[`questions.${index}.media.${slot}`] = 'This attachment was not found. Please upload it again.';
+      }
+    });
+  });
+
+  if (Object.keys(fields).length > 0) {
+    return res.status(400).json(validationError(fields));
   }
+  next();
 }
 
-// Helper function to get exam status based on current time
-function getExamStatus(exam) {
-  try {
-    if (!exam.startsAt || !exam.endsAt) {
-      return exam.status || 'unknown';
+// ==================== AUTH ENDPOINTS ====================
+
+// POST /api/auth/register
+app.post('/api/auth/register', validateRequest({ body: registerSchema }), (req, res) => {
+  const { role, fullName, email, enrollment, facultyId, inviteCode, password } = req.body;
+  const identifier = role === 'student' ? enrollment : facultyId;
+
+  // Faculty can publish exams and see student results, so signing up as
+  // faculty takes the invite code the server was given
+  if (role === 'faculty' && !isValidInviteCode(inviteCode)) {
+    return res.status(403).json({ error: 'invalid_invite_code', message: 'That faculty invite code is not valid.' });
+  }
+
+  const normalizedEmail = email.toLowerCase();
+  const taken = storage.users.list().some(u =>
+    u.email?.toLowerCase() === normalizedEmail ||
+    (role === 'student' && u.enrollment === identifier) ||
+    (role === 'faculty' && u.facultyId?.toLowerCase() === identifier.toLowerCase())
+  );
+  if (taken) {
+    return res.status(409).json({ error: 'user_exists', message: 'An account with these details already exists.' });
+  }
+
+  const user = {
+    id: `USR-${crypto.randomUUID()}`,
+    role,
+    name: fullName,
+    email: normalizedEmail,
+    ...(role === 'student' ? { enrollment: identifier } : { facultyId: identifier }),
+    passwordHash: hashPassword(password),
+    createdAt: new Date().toISOString()
+  };
+
+  // Link student accounts to a student record so submissions and the
+  // faculty students list refer to the same person
+  storage.transaction(() => {
+    if (role === 'student') {
+      let student = storage.students.findOne({ enrollment: identifier });
+      if (!student) {
+        student = storage.students.insert({
+          id: `STU-${crypto.randomUUID()}`,
+          enrollment: identifier,
+          name: user.name,
+          email: user.email,
+          department: req.body.department || '',
+          year: req.body.year || null,
+          joinedDate: user.createdAt
+        });
+      }
+      user.studentId = student.id;
     }
-    
-    const now = new Date();
-    const starts = new Date(exam.startsAt);
-    const ends = new Date(exam.endsAt);
-    
-    // Validate dates
-    if (isNaN(starts.getTime()) || isNaN(ends.getTime())) {
-      console.warn('Invalid dates for exam:', exam.id, exam.startsAt, exam.endsAt);
-      return exam.status || 'unknown';
+    storage.users.insert(user);
+  });
+
+  res.status(201).json({ user: toPublicUser(user) });
+});
+
+// POST /api/auth/login
+app.post('/api/auth/login', validateRequest({ body: loginSchema }), (req, res) => {
+  const { role, identifier, password } = req.body;
+
+  const user = findUserByIdentifier(role, identifier);
+  if (!user || !verifyPassword(password, user.passwordHash)) {
+    return res.status(401).json({ error: 'invalid_credentials', message: 'Invalid credentials.' });
+  }
+
+  const now = new Date();
+  const session = {
+    id: `SES-${crypto.randomUUID()}`,
+    userId: user.id,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + TOKEN_TTL_MS).toISOString()
+  };
+
+  // Drop expired sessions while we're here
+  storage.transaction(() => {
+    storage.sessions.list()
+      .filter(s => new Date(s.expiresAt) <= now)
+      .forEach(s => storage.sessions.remove(s.id));
+    storage.sessions.insert(session);
+  });
+
+  res.json({
+    token: signToken({ userId: user.id, role: user.role, sessionId: session.id }),
+    expiresAt: session.expiresAt,
+    user: toPublicUser(user)
+  });
+});
+
+// POST /api/auth/logout
+app.post('/api/auth/logout', (req, res) => {
+  const auth = getSessionUser(req);
+
+  if (auth) {
+    storage.sessions.remove(auth.session.id);
+  }
+
+  res.status(204).send();
+});
+
+// GET /api/auth/me
+app.get('/api/auth/me', (req, res) => {
+  const auth = getSessionUser(req);
+
+  if (!auth) {
+    return res.status(401).json({ error: 'unauthorized', message: 'Please log in again.' });
+  }
+
+  res.json({ user: toPublicUser(auth.user) });
+});
+
+// ==================== AUTHORIZATION ====================
+
+// Middleware: require a signed-in user with the given role.
+// Sets req.user for the route handlers.
+function requireRole(role) {
+  return (req, res, next) => {
+    const auth = getSessionUser(req);
+
+    if (!auth) {
+      return res.status(401).json({ error: 'unauthorized', message: 'Please log in to continue.' });
     }
-    
-    if (now < starts) return 'upcoming';
-    if (now >= starts && now < ends) return 'live';
-    return 'finished';
-  } catch (error) {
-    console.error('Error in getExamStatus:', error);
-    return exam.status || 'unknown';
+    if (auth.user.role !== role) {
+      return res.status(403).json({ error: 'forbidden', message: `This action requires a ${role} account.` });
+    }
+
+    req.user = auth.user;
+    next();
+  };
+}
+
+// Helper function to check whether a faculty user owns an exam or draft.
+// Records from before accounts existed got their owner when the database
+// was migrated or imported (see assignLegacyOwners).
+function isOwner(record, user) {
+  return !!record.ownerId && record.ownerId === user.id;
+}
+
+// Helper function to get the exams a faculty user owns
+function getOwnedExams(user) {
+  return storage.exams.list().filter(exam => isOwner(exam, user));
+}
+
+// Helper function to get the ids of the students who have taken one of a
+// faculty user's exams. Faculty only see these students. Submissions are
+// checked as well as attempts, since older ones were made without attempts.
+function getOwnedStudentIds(user) {
+  const examIds = new Set(getOwnedExams(user).map(exam => exam.id));
+  return new Set([...storage.attempts.list(), ...storage.submissions.list()]
+    .filter(record => examIds.has(record.examId))
+    .map(record => record.studentId));
+}
+
+// Helper function to get the student record id for a signed-in student.
+// Never taken from the request body or query, so students can't act as each other.
+function getStudentId(user) {
+  return user.studentId || user.id;
+}
+
+// ==================== ATTEMPTS ====================
+
+// Attempts are tracked per (examId, studentId). An attempt is 'started' when
+// the student starts the exam, 'in_progress' once the questions are loaded,
+// and ends as 'submitted'. One whose time runs out is submitted with the
+// answers it last saved; 'expired' only appears on attempts closed before
+// that was the case.
+const OPEN_ATTEMPT_STATES = ['started', 'in_progress'];
+
+// Submissions are still accepted this long after an attempt's deadline to
+// absorb network latency on the final auto-submit
+const SUBMIT_GRACE_MS = Number(process.env.SUBMIT_GRACE_SECONDS ?? 30) * 1000;
+
+// Helper function to get a student's attempts for an exam
+function getStudentAttempts(examId, studentId) {
+  return storage.attempts.list({ examId, studentId });
+}
+
+// Helper function to get how many attempts a student has left for an exam
+function getAttemptsLeft(exam, studentId) {
+  const used = getStudentAttempts(exam.id, studentId).length;
+  return Math.max(0, getAllowedAttempts(exam) - used);
+}
+
+// Helper function to get the deadline for an attempt started at `startedAt`:
+// the exam duration after the start, but never later than the exam's end
+function getAttemptDeadline(exam, startedAt) {
+  const ends = new Date(exam.endsAt).getTime();
+  if (!exam.durationMin) return new Date(ends);
+  const byDuration = new Date(startedAt).getTime() + exam.durationMin * 60 * 1000;
+  return new Date(Math.min(byDuration, ends));
+}
+
+// Helper function to check whether a time is past an attempt's deadline
+// plus grace
+function isAttemptPastDeadline(attempt, exam, now = new Date()) {
+  const deadline = new Date(attempt.expiresAt || exam.endsAt).getTime();
+  if (isNaN(deadline)) return false;
+  return now.getTime() > deadline + SUBMIT_GRACE_MS;
+}
+
+// Helper function to close an attempt whose time has run out by submitting
+// the answers it last saved, so autosaved work still counts
+function expireAttempt(attempt, exam, now = new Date()) {
+  return submitAttempt(exam, attempt, getSavedAnswers(exam, attempt), { now, autoSubmitted: true });
+}
+
+// Helper function to get a student's attempts that are still open although
+// their deadline has passed
+function getOverdueAttempts(exam, studentId, now = new Date()) {
+  return getStudentAttempts(exam.id, studentId)
+    .filter(attempt => OPEN_ATTEMPT_STATES.includes(attempt.status) && isAttemptPastDeadline(attempt, exam, now));
+}
+
+// Helper function to close a student's open attempts once their deadline
+// has passed
+async function expireAttempts(exam, studentId, now = new Date()) {
+  for (const attempt of getOverdueAttempts(exam, studentId, now)) {
+    await expireAttempt(attempt, exam, now);
   }
 }
 
+// Helper function to shape an attempt for the client. `recordings` holds,
+// per oral question, the latest recording and how many have been made.
+function toAttemptResponse(attempt, exam) {
+  return {
+    attemptId: attempt.id,
+    status: attempt.status,
+    startedAt: attempt.startedAt,
+    expiresAt: attempt.expiresAt || getAttemptDeadline(exam, attempt.startedAt).toISOString(),
+    answers: attempt.answers || {},
+    currentQuestionIndex: attempt.currentQuestionIndex || 0,
+    savedAt: attempt.savedAt || null,
+    revision: attempt.revision || 0,
+    recordings: attempt.recordings || {},
+    allowedReRecords: getAllowedReRecords(exam)
+  };
+}
+
+// Helper function to get how many more times a student can record the
+// answer to an oral question: the first recording plus the re-records the
+// exam allows
+function getRecordingsLeft(attempt, exam, questionId) {
+  const made = attempt.recordings?.[questionId]?.count || 0;
+  return Math.max(0, 1 + getAllowedReRecords(exam) - made);
+}
+
+// Helper function to take the answers to oral questions from the attempt's
+// recordings, so an answer can only be a recording the student made
+function withRecordedAnswers(exam, attempt, answers) {
+  const recorded = { ...answers };
+  (exam.questions || [])
+    .filter(question => question.type === 'oral')
+    .forEach(question => {
+      const recording = attempt.recordings?.[question.id];
+      if (recording) recorded[question.id] = recording.mediaId;
+      else delete recorded[question.id];
+    });
+  return recorded;
+}
+
+// Helper function to strip HTML from written answers, which are rich text
+// like the questions (see richText.js). Older clients key answers by position.
+function sanitizeWrittenAnswers(exam, answers) {
+  const sanitized = { ...answers };
+  (exam.questions || []).forEach((question, index) => {
+    if (question.type !== 'descriptive') return;
+    [question.id, index].forEach(key => {
+      if (typeof sanitized[key] === 'string') sanitized[key] = sanitizeRichText(sanitized[key]);
+    });
+  });
+  return sanitized;
+}
+
+// Helper function to get the answers the server has saved for an attempt,
+// as they would be submitted
+function getSavedAnswers(exam, attempt) {
+  return sanitizeWrittenAnswers(exam, withRecordedAnswers(exam, attempt, attempt.answers || {}));
+}
+
+// Helper function to run each code answer against its question's hidden
+// tests. Returns the results keyed by question id; blank answers aren't run.
+async function runHiddenTests(exam, answers) {
+  const results = {};
+  for (const [index, question] of (exam.questions || []).entries()) {
+    const code = getStudentAnswer(answers, question, index);
+    if (question.type !== 'code' || code === undefined || code === null || String(code).trim() === '') continue;
+    results[question.id] = await sandbox.runTests(question.language, String(code), getHiddenTests(question));
+  }
+  return results;
+}
+
+// Helper function to grade an attempt's answers and record them as its
+// submission. Resolves with the submission, or null if the attempt was
+// submitted another way while the tests ran.
+async function submitAttempt(exam, attempt, answers, { now = new Date(), autoSubmitted = false } = {}) {
+  // Code answers are scored on their hidden tests, and answers that need a
+  // grader leave the submission pending until graded
+  const testResults = await runHiddenTests(exam, answers);
+  const grades = autoGrade(exam, answers, testResults);
+  const { score, maxScore, status } = summarizeGrades(grades, getScoringPolicy(exam));
+
+  const submittedAt = now.toISOString();
+  // Minutes, measured by the server from the attempt start to the submit or
+  // the deadline, whichever came first
+  const deadline = new Date(attempt.expiresAt || exam.endsAt).getTime();
+  const endedAt = isNaN(deadline) ? now.getTime() : Math.min(now.getTime(), deadline);
+  const graded = {
+    answers,
+    grades,
+    score,
+    maxScore,
+    status,
+    submittedAt,
+    autoSubmitted,
+    timeSpent: Math.max(0, Math.floor((endedAt - new Date(attempt.startedAt).getTime()) / 1000 / 60))
+  };
+
+  // Save the submission, update the exam's submission count and close the
+  // attempt together, so a failure can't leave a half-recorded submit. The
+  // attempt, the exam and the student's earlier submissions are read again
+  // here, since other submits may have landed while the tests ran.
+  return storage.transaction(() => {
+    const current = storage.attempts.get(attempt.id);
+
+    if (current.status === 'submitted') {
+      return null;
+    }
+
+    const previousSubmissions = storage.submissions.list({ examId: exam.id, studentId: attempt.studentId });
+    const submission = storage.submissions.insert({
+      id: `SUB-${crypto.randomUUID()}`,
+      examId: exam.id,
+      studentId: attempt.studentId,
+      attemptId: attempt.id,
+      ...graded,
+      startedAt: attempt.startedAt,
+      attempts: previousSubmissions.length + 1
+    });
+
+    const currentExam = storage.exams.get(exam.id) || exam;
+    storage.exams.update(exam.id, {
+      submissionCount: (currentExam.submissionCount || 0) + 1
+    });
+
+    storage.attempts.update(attempt.id, {
+      status: 'submitted',
+      submittedAt,
+      updatedAt: submittedAt,
+      submissionId: submission.id
+    });
+    return submission;
+  });
+}
+
+// Helper function to shape a submission as the reply to a submit
+function toSubmitResponse(submission, extra = {}) {
+  return {
+    submissionId: submission.id,
+    score: submission.score,
+    maxScore: submission.maxScore,
+    percentage: Math.round((submission.score / submission.maxScore) * 100),
+    status: submission.status,
+    ...extra
+  };
+}
+
+app.use('/api/student', requireRole('student'));
+app.use('/api/faculty', requireRole('faculty'));
+
 // ==================== STUDENT ENDPOINTS ====================
 
 // GET /api/student/exams
-app.get('/api/student/exams', (req, res) => {
+app.get('/api/student/exams', validateRequest({ query: studentExamsQuerySchema }), async (req, res) => {
   try {
     console.log('GET /api/student/exams - Request received');
-    const db = readDB();
+    const allExams = storage.exams.list();
     
-    // Ensure exams array exists
-    if (!db.exams) {
-      console.log('No exams array found, initializing empty array');
-      db.exams = [];
+    console.log(`Found ${allExams.length} exams in database`);
+    const studentId = getStudentId(req.user);
+
+    // Close out attempts left open on exams that have already ended
+    for (const exam of allExams) {
+      await expireAttempts(exam, studentId);
     }
     
-    console.log(`Found ${db.exams.length} exams in database`);
-    
-    // Always recalculate status based on current time
-    let exams = db.exams.map((exam, index) => {
-      try {
-        // Only recalculate if exam has valid dates
-        if (exam.startsAt && exam.endsAt) {
-          try {
-            const status = getExamStatus(exam);
-            return {
-              ...exam,
-              status: status
-            };
-          } catch (err) {
-            console.error(`Error calculating status for exam ${exam.id || index}:`, err);
-            return {
-              ...exam,
-              status: exam.status || 'unknown'
-            };
-          }
-        }
-        // Keep original status if dates are missing
-        return {
-          ...exam,
-          status: exam.status || 'unknown'
-        };
-      } catch (err) {
-        console.error(`Error processing exam at index ${index}:`, err);
-        return {
-          id: exam.id || `unknown-${index}`,
-          title: exam.title || 'Unknown Exam',
-          shortDescription: exam.shortDescription || '',
-          status: 'unknown',
-          startsAt: exam.startsAt || null,
-          endsAt: exam.endsAt || null,
-          durationMin: exam.durationMin || 0,
-          timePerQuestionSec: exam.timePerQuestionSec || null,
-          attemptsLeft: exam.attemptsLeft || 0,
-          allowedReRecords: exam.allowedReRecords || 0,
-          teacherName: exam.teacherName || 'Unknown',
-          pointsTotal: exam.pointsTotal || 0,
-          thumbnailUrl: exam.thumbnailUrl || null,
-          settingsSummary: exam.settingsSummary || {}
-        };
-      }
-    });
+    // Attempts left are counted for the signed-in student
+    let exams = allExams.map(exam =>
+      toStudentExam(exam, { attemptsLeft: getAttemptsLeft(exam, studentId) })
+    );
 
     // Filter by status
     const status = req.query.status;
@@ -159,8 +570,8 @@ app.get('/api/student/exams', (req, res) => {
     }
 
     // Pagination
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 100;
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 100;
     const startIndex = (page - 1) * limit;
     const endIndex = page * limit;
     const paginatedExams = exams.slice(startIndex, endIndex);
@@ -186,81 +597,44 @@ app.get('/api/student/exams', (req, res) => {
 
 // GET /api/student/exams/:examId/summary
 app.get('/api/student/exams/:examId/summary', (req, res) => {
-  const db = readDB();
-  const exam = db.exams.find(e => e.id === req.params.examId);
+  const exam = storage.exams.get(req.params.examId);
   
   if (!exam) {
     return res.status(404).json({ error: 'Exam not found' });
   }
 
-  // Get questions from faculty exam if available
-  const facultyExam = db.facultyExams.find(e => e.id === req.params.examId);
-  const questions = facultyExam?.questions || exam.questions || [];
-
-  res.json({
-    id: exam.id,
-    title: exam.title,
-    instructions: exam.settingsSummary?.instructions || 'Read all questions carefully.',
-    timePerQuestionSec: exam.timePerQuestionSec,
-    durationMin: exam.durationMin,
-    attemptsLeft: exam.attemptsLeft,
-    allowedReRecords: exam.allowedReRecords,
-    strictMode: exam.settingsSummary?.strictMode || false,
-    otherSettings: exam.settingsSummary || {},
-    questionsCount: questions.length,
-    pointsTotal: exam.pointsTotal
-  });
+  res.json(toStudentExamSummary(exam, { attemptsLeft: getAttemptsLeft(exam, getStudentId(req.user)) }));
 });
 
 // GET /api/student/exams/:examId/questions
 app.get('/api/student/exams/:examId/questions', (req, res) => {
-  const db = readDB();
-  const exam = db.exams.find(e => e.id === req.params.examId);
+  const exam = storage.exams.get(req.params.examId);
   
   if (!exam) {
     return res.status(404).json({ error: 'Exam not found' });
   }
 
-  // Get questions from faculty exam
-  const facultyExam = db.facultyExams.find(e => e.id === req.params.examId);
-  let questions = facultyExam?.questions || exam.questions || [];
+  const questions = exam.questions || [];
 
   console.log(`Found ${questions.length} questions for exam ${req.params.examId}`);
   console.log('Question types:', questions.map(q => ({ id: q.id, type: q.type })));
 
-  // Remove correct answers and answer keys for students
-  const studentQuestions = questions.map(q => {
-    // Ensure question has required fields
-    const baseQuestion = {
-      id: q.id || `Q${Date.now()}-${Math.random()}`,
-      type: q.type || 'mcq',
-      question: q.question || '',
-      points: q.points || 1,
-      media: q.media || null
-    };
+  // Opening the questions moves the student's started attempt to in-progress.
+  // Attempts started before shuffling get their seed here.
+  const openAttempt = getStudentAttempts(exam.id, getStudentId(req.user))
+    .find(attempt => OPEN_ATTEMPT_STATES.includes(attempt.status));
+  const shuffleSeed = openAttempt?.shuffleSeed || crypto.randomBytes(16).toString('hex');
+  if (openAttempt && (openAttempt.status === 'started' || !openAttempt.shuffleSeed)) {
+    storage.attempts.update(openAttempt.id, {
+      status: 'in_progress',
+      shuffleSeed,
+      updatedAt: new Date().toISOString()
+    });
+  }
 
-    if (q.type === 'mcq') {
-      // Remove correctAnswer for MCQ, but keep options
-      // eslint-disable-next-line no-unused-vars
-      const { correctAnswer, answer, ...questionWithoutAnswer } = q;
-      return {
-        ...baseQuestion,
-        ...questionWithoutAnswer,
-        options: q.options || []
-      };
-    } else if (q.type === 'descriptive') {
-      // Remove answer key for descriptive questions (faculty only)
-      // Keep all other fields including media
-      // eslint-disable-next-line no-unused-vars
-      const { answer, correctAnswer, ...questionWithoutAnswer } = q;
-      return {
-        ...baseQuestion,
-        ...questionWithoutAnswer
-      };
-    }
-    // Fallback for unknown types
-    return baseQuestion;
-  });
+  // Students get each question without its answer key, with matches and
+  // items in their attempt's order
+  const studentQuestions = questions.map(question => toStudentQuestion(question, { shuffleSeed }));
 
   console.log(`Returning ${studentQuestions.length} questions to student`);
 
@@ -272,91 +646,64 @@ app.get('/api/student/exams/:examId/questions', (req, res) => {
 });
 
 // POST /api/student/exams/:examId/submit
-app.post('/api/student/exams/:examId/submit', (req, res) => {
-  const db = readDB();
-  const exam = db.exams.find(e => e.id === req.params.examId);
+app.post('/api/student/exams/:examId/submit', validateRequest({ body: submitExamSchema }), asyncRoute(async (req, res) => {
+  const exam = storage.exams.get(req.params.examId);
   
   if (!exam) {
     return res.status(404).json({ error: 'Exam not found' });
   }
 
-  const { answers, attemptId } = req.body;
-  
-  // Get questions from faculty exam
-  const facultyExam = db.facultyExams.find(e => e.id === req.params.examId);
-  const questions = facultyExam?.questions || exam.questions || [];
+  const { attemptId, revision } = req.body;
+  const studentId = getStudentId(req.user);
+  const now = new Date();
 
-  // Calculate score
-  let score = 0;
-  let maxScore = 0;
-  
-  questions.forEach((question, index) => {
-    maxScore += question.points || 1;
-    
-    if (question.type === 'mcq') {
-      const studentAnswer = answers[question.id] || answers[index];
-      if (studentAnswer === question.correctAnswer) {
-        score += question.points || 1;
-      }
-    } else if (question.type === 'descriptive') {
-      // For descriptive, we'll give partial credit if answer is provided
-      const studentAnswer = answers[question.id] || answers[index];
-      if (studentAnswer && studentAnswer.trim().length > 0) {
-        // In a real system, this would be graded by faculty
-        // For now, we'll give full points if answer exists
-        score += question.points || 1;
-      }
-    }
-  });
-
-  // Create submission
-  const submission = {
-    id: `SUB-${Date.now()}`,
-    examId: exam.id,
-    studentId: req.body.studentId || 'STU001', // In real app, get from auth
-    attemptId: attemptId || `ATT-${Date.now()}`,
-    answers: answers,
-    score: score,
-    maxScore: maxScore,
-    status: 'completed',
-    submittedAt: new Date().toISOString(),
-    startedAt: req.body.startedAt || new Date().toISOString(),
-    timeSpent: req.body.timeSpent || 0,
-    attempts: 1
-  };
-
-  // Save submission
-  if (!db.submissions) {
-    db.submissions = [];
+  // The attempt must be one the server handed out to this student, still open
+  // and within its deadline
+  const attempt = storage.attempts.findOne({ id: attemptId, examId: exam.id, studentId });
+  if (!attempt) {
+    return res.status(404).json({ error: 'attempt_not_found', message: 'This exam attempt does not exist.' });
   }
-  db.submissions.push(submission);
 
-  // Update exam submission count
-  const facultyExamIndex = db.facultyExams.findIndex(e => e.id === req.params.examId);
-  if (facultyExamIndex !== -1) {
-    db.facultyExams[facultyExamIndex].submissionCount = (db.facultyExams[facultyExamIndex].submissionCount || 0) + 1;
+  // Autosaved answers fill in anything the final submit didn't include
+  const answers = sanitizeWrittenAnswers(exam,
+    withRecordedAnswers(exam, attempt, { ...(attempt.answers || {}), ...(req.body.answers || {}) }));
+  const sameAnswers = (submission) => stableStringify(submission.answers) === stableStringify(answers);
+
+  // Offline clients queue their submit and replay it when they reconnect.
+  // Once the time has run out the attempt is submitted with its autosaved
+  // answers, and a replay only gets that result back if it carries the last
+  // autosave revision the server acknowledged and no other answers, so it
+  // can't bring in anything the server didn't have before the deadline.
+  const isSavedReplay = (submission) => revision === (attempt.revision || 0) && sameAnswers(submission);
+
+  if (attempt.status === 'submitted') {
+    // A repeat of the student's own submit gets the original result, and so
+    // does a replay of the answers saved when it was submitted automatically
+    const existing = attempt.submissionId ? storage.submissions.get(attempt.submissionId) : null;
+    if (existing && (existing.autoSubmitted ? isSavedReplay(existing) : sameAnswers(existing))) {
+      return res.json(toSubmitResponse(existing, { replayed: true }));
+    }
+    return res.status(409).json({ error: 'already_submitted', message: 'This attempt has already been submitted.' });
   }
-
-  // Update student exam attempts
-  const studentExamIndex = db.exams.findIndex(e => e.id === req.params.examId);
-  if (studentExamIndex !== -1 && db.exams[studentExamIndex].attemptsLeft > 0) {
-    db.exams[studentExamIndex].attemptsLeft -= 1;
+  if (attempt.status === 'expired' || isAttemptPastDeadline(attempt, exam, now)) {
+    const expired = attempt.status !== 'expired' && await expireAttempt(attempt, exam, now);
+    if (expired && isSavedReplay(expired)) {
+      return res.json(toSubmitResponse(expired, { replayed: true }));
+    }
+    return res.status(403).json({ error: 'attempt_expired', message: 'The time for this attempt has run out.' });
   }
 
-  writeDB(db);
+  const submission = await submitAttempt(exam, attempt, answers, { now });
+  if (!submission) {
+    return res.status(409).json({ error: 'already_submitted', message: 'This attempt has already been submitted.' });
+  }
 
-  res.json({
-    submissionId: submission.id,
-    score: score,
-    maxScore: maxScore,
-    percentage: Math.round((score / maxScore) * 100)
-  });
-});
+  res.json(toSubmitResponse(submission));
+}));
 
 // POST /api/student/exams/:examId/start
-app.post('/api/student/exams/:examId/start', (req, res) => {
-  const db = readDB();
-  const exam = db.exams.find(e => e.id === req.params.examId);
+app.post('/api/student/exams/:examId/start', asyncRoute(async (req, res) => {
+  const exam = storage.exams.get(req.params.examId);
   
   if (!exam) {
     return res.status(404).json({ error: 'Exam not found', message: 'Exam not found.' });
@@ -370,33 +717,257 @@ app.post('/api/student/exams/:examId/start', (req, res) => {
     });
   }
 
-  if (exam.attemptsLeft <= 0) {
+  const studentId = getStudentId(req.user);
+  await expireAttempts(exam, studentId);
+
+  // Checking the attempts left and creating the attempt happen in one
+  // transaction so two quick clicks can't both use the last attempt
+  const attempt = storage.transaction(() => {
+    // Resume an attempt that is still open instead of using up another one
+    const openAttempt = getStudentAttempts(exam.id, studentId)
+      .find(a => OPEN_ATTEMPT_STATES.includes(a.status) && !isAttemptPastDeadline(a, exam));
+    if (openAttempt) {
+      return openAttempt;
+    }
+
+    if (getAttemptsLeft(exam, studentId) <= 0) {
+      return null;
+    }
+
+    // Create attempt. The deadline is fixed here so refreshing the page can't
+    // restart the clock.
+    const now = new Date();
+    return storage.attempts.insert({
+      id: `ATT-${crypto.randomUUID()}`,
+      examId: exam.id,
+      studentId,
+      status: 'started',
+      startedAt: now.toISOString(),
+      expiresAt: getAttemptDeadline(exam, now).toISOString(),
+      // Orders the matches and items the student sees; never sent to them
+      shuffleSeed: crypto.randomBytes(16).toString('hex'),
+      updatedAt: now.toISOString()
+    });
+  });
+
+  if (!attempt) {
     return res.status(400).json({ 
       error: 'attempts_exhausted', 
       message: 'You have no attempts left.' 
     });
   }
 
-  // Create attempt
-  const attemptId = `ATT-${Date.now()}`;
-  const expiresAt = new Date(exam.endsAt).toISOString();
-
   res.json({
-    attemptId,
-    expiresAt,
+    ...toAttemptResponse(attempt, exam),
     firstQuestionId: 'Q1'
   });
+}));
+
+// GET /api/student/exams/:examId/attempt
+// Returns the student's open attempt so the exam page can resume its timer
+app.get('/api/student/exams/:examId/attempt', asyncRoute(async (req, res) => {
+  const exam = storage.exams.get(req.params.examId);
+
+  if (!exam) {
+    return res.status(404).json({ error: 'Exam not found', message: 'Exam not found.' });
+  }
+
+  const studentId = getStudentId(req.user);
+  await expireAttempts(exam, studentId);
+
+  const openAttempt = getStudentAttempts(exam.id, studentId)
+    .find(a => OPEN_ATTEMPT_STATES.includes(a.status));
+  if (!openAttempt) {
+    return res.status(404).json({
+      error: 'no_active_attempt',
+      message: 'You have no active attempt for this exam. Start it from the exam list.'
+    });
+  }
+
+  res.json(toAttemptResponse(openAttempt, exam));
+}));
+
+// PUT /api/student/attempts/:attemptId/answers
+// Autosave: merges the changed answers into the open attempt
+app.put('/api/student/attempts/:attemptId/answers', validateRequest({ body: saveAnswersSchema }), asyncRoute(async (req, res) => {
+  const studentId = getStudentId(req.user);
+  const attempt = storage.attempts.findOne({ id: req.params.attemptId, studentId });
+
+  if (!attempt) {
+    return res.status(404).json({ error: 'attempt_not_found', message: 'This exam attempt does not exist.' });
+  }
+
+  const exam = storage.exams.get(attempt.examId);
+  if (!exam) {
+    return res.status(404).json({ error: 'Exam not found', message: 'Exam not found.' });
+  }
+
+  if (!OPEN_ATTEMPT_STATES.includes(attempt.status)) {
+    return res.status(409).json({ error: 'attempt_closed', message: 'This attempt is no longer open.' });
+  }
+
+  const now = new Date();
+  if (isAttemptPastDeadline(attempt, exam, now)) {
+    await expireAttempt(attempt, exam, now);
+    return res.status(403).json({ error: 'attempt_expired', message: 'The time for this attempt has run out.' });
+  }
+
+  const { answers, currentQuestionIndex } = req.body;
+
+  const patch = {
+    answers: { ...(attempt.answers || {}), ...sanitizeWrittenAnswers(exam, answers || {}) },
+    status: 'in_progress',
+    savedAt: now.toISOString(),
+    revision: (attempt.revision || 0) + 1,
+    updatedAt: now.toISOString()
+  };
+  if (currentQuestionIndex !== undefined) {
+    patch.currentQuestionIndex = currentQuestionIndex;
+  }
+  const saved = storage.attempts.update(attempt.id, patch);
+
+  res.json({
+    attemptId: saved.id,
+    savedAt: saved.savedAt,
+    revision: saved.revision,
+    answersCount: Object.keys(saved.answers).length
+  });
+}));
+
+// Helper function to find the signed-in student's attempt from the URL and
+// the question in it, checking the attempt is still open. Sends the error
+// response and returns null if not; a question of another type counts as
+// not found.
+function getOpenAttemptQuestion(req, res, type, typeName) {
+  const studentId = getStudentId(req.user);
+  const attempt = storage.attempts.findOne({ id: req.params.attemptId, studentId });
+  if (!attempt) {
+    res.status(404).json({ error: 'attempt_not_found', message: 'This exam attempt does not exist.' });
+    return null;
+  }
+
+  const exam = storage.exams.get(attempt.examId);
+  if (!exam) {
+    res.status(404).json({ error: 'Exam not found', message: 'Exam not found.' });
+    return null;
+  }
+  if (!OPEN_ATTEMPT_STATES.includes(attempt.status)) {
+    res.status(409).json({ error: 'attempt_closed', message: 'This attempt is no longer open.' });
+    return null;
+  }
+  // The attempt itself is submitted by the next request that can wait for
+  // grading: an autosave, the submit or loading the exam list
+  if (isAttemptPastDeadline(attempt, exam)) {
+    res.status(403).json({ error: 'attempt_expired', message: 'The time for this attempt has run out.' });
+    return null;
+  }
+
+  const question = (exam.questions || []).find(q => q.id === req.params.questionId);
+  if (!question || question.type !== type) {
+    res.status(404).json({ error: 'question_not_found', message: `This exam has no ${typeName} question with that id.` });
+    return null;
+  }
+  return { attempt, exam, question };
+}
+
+// Middleware that checks a recording can be uploaded before the file is
+// read: the attempt is the student's and still open, the question is an
+// oral one, and there are recordings left. Sets req.attempt, req.exam.
+function checkRecordingAllowed(req, res, next) {
+  const found = getOpenAttemptQuestion(req, res, 'oral', 'spoken');
+  if (!found) return;
+  const { attempt, exam, question } = found;
+
+  if (getRecordingsLeft(attempt, exam, question.id) <= 0) {
+    return res.status(409).json({ error: 'rerecords_exhausted', message: 'You have used all your re-records for this question.' });
+  }
+
+  req.attempt = attempt;
+  req.exam = exam;
+  next();
+}
+
+// POST /api/student/attempts/:attemptId/recordings/:questionId
+// Upload a recorded answer to an oral question as multipart/form-data in the
+// `file` field. The newest recording is the answer. Each one counts against
+// the exam's allowed re-records.
+app.post('/api/student/attempts/:attemptId/recordings/:questionId', checkRecordingAllowed, uploadRecording, (req, res) => {
+  const { key, size, mimetype } = req.file;
+  const { questionId } = req.params;
+  const now = new Date().toISOString();
+
+  // Checked again with the upload done, so two uploads at once can't both
+  // use the last recording
+  const result = storage.transaction(() => {
+    const attempt = storage.attempts.get(req.attempt.id);
+    if (!OPEN_ATTEMPT_STATES.includes(attempt.status) || getRecordingsLeft(attempt, req.exam, questionId) <= 0) {
+      return null;
+    }
+
+    const media = storage.media.get(key) || storage.media.insert({
+      id: key,
+      name: `${questionId}-recording`,
+      mimeType: mimetype,
+      size,
+      uploadedBy: req.user.id,
+      createdAt: now
+    });
+    const count = (attempt.recordings?.[questionId]?.count || 0) + 1;
+    const saved = storage.attempts.update(attempt.id, {
+      recordings: { ...(attempt.recordings || {}), [questionId]: { mediaId: media.id, count } },
+      answers: { ...(attempt.answers || {}), [questionId]: media.id },
+      savedAt: now,
+      updatedAt: now
+    });
+    return { media, saved };
+  });
+
+  if (!result) {
+    // Nothing refers to a file this upload created, unless the same content
+    // was recorded again at the same time
+    if (req.file.created && !storage.media.get(key)) mediaStore.remove(key);
+    return res.status(409).json({ error: 'rerecords_exhausted', message: 'You have used all your re-records for this question.' });
+  }
+
+  res.status(201).json({
+    questionId,
+    recording: toMediaResponse(result.media),
+    count: result.saved.recordings[questionId].count,
+    recordingsLeft: getRecordingsLeft(result.saved, req.exam, questionId)
+  });
 });
 
+// POST /api/student/attempts/:attemptId/code/:questionId/run
+// Run code against a code question's visible tests, so students can check
+// their answer while they work. The hidden tests only run on submit. Only
+// whether each test passed and what the program printed go back; error
+// output stays on the server.
+app.post('/api/student/attempts/:attemptId/code/:questionId/run', validateRequest({ body: runCodeSchema }), asyncRoute(async (req, res) => {
+  const found = getOpenAttemptQuestion(req, res, 'code', 'code');
+  if (!found) return;
+  const { question } = found;
+
+  const tests = (question.testCases || []).filter(test => !test.hidden);
+  const results = await sandbox.runTests(question.language, req.body.code, tests);
+
+  res.json({
+    questionId: question.id,
+    results: results.map((result, index) => ({
+      input: tests[index].input,
+      expectedOutput: tests[index].expectedOutput,
+      passed: result.passed,
+      status: result.status,
+      output: result.output
+    }))
+  });
+}));
+
 // ==================== FACULTY ENDPOINTS ====================
 
 // GET /api/faculty/exams
-app.get('/api/faculty/exams', (req, res) => {
-  const db = readDB();
-  let exams = db.facultyExams.map(exam => ({
-    ...exam,
-    status: getExamStatus(exam)
-  }));
+// The signed-in faculty's own exams
+app.get('/api/faculty/exams', validateRequest({ query: facultyExamsQuerySchema }), (req, res) => {
+  let exams = getOwnedExams(req.user).map(toFacultyExam);
 
   // Filter by status
   const status = req.query.status;
@@ -405,8 +976,8 @@ app.get('/api/faculty/exams', (req, res) => {
   }
 
   // Pagination
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 100;
+  const page = req.query.page || 1;
+  const limit = req.query.limit || 100;
   const startIndex = (page - 1) * limit;
   const endIndex = page * limit;
   const paginatedExams = exams.slice(startIndex, endIndex);
@@ -421,11 +992,7 @@ app.get('/api/faculty/exams', (req, res) => {
 
 // GET /api/faculty/stats
 app.get('/api/faculty/stats', (req, res) => {
-  const db = readDB();
-  const exams = db.facultyExams.map(exam => ({
-    ...exam,
-    status: getExamStatus(exam)
-  }));
+  const exams = getOwnedExams(req.user).map(toFacultyExam);
 
   const stats = {
     totalExams: exams.length,
@@ -442,177 +1009,105 @@ app.get('/api/faculty/stats', (req, res) => {
 });
 
 // POST /api/faculty/exams
-app.post('/api/faculty/exams', (req, res) => {
-  const db = readDB();
-  const examData = req.body;
-  const teacherName = examData.teacherName || 'Current Faculty';
-
-  const newExam = {
-    id: `FAC-EX-${Date.now()}`,
-    title: examData.title,
-    shortDescription: examData.shortDescription,
-    startsAt: examData.startsAt,
-    endsAt: examData.endsAt,
-    durationMin: examData.durationMin,
-    timePerQuestionSec: examData.timePerQuestionSec || null,
-    status: getExamStatus(examData),
-    createdAt: new Date().toISOString(),
-    submissionCount: 0,
-    totalStudents: 0,
-    pointsTotal: examData.pointsTotal,
-    teacherName,
-    settingsSummary: examData.settingsSummary || { strictMode: false }
-  };
-
-  db.facultyExams.push(newExam);
-  
-  // Also add to student exams
-  const studentExam = {
-    id: newExam.id,
-    title: newExam.title,
-    shortDescription: newExam.shortDescription,
-    startsAt: newExam.startsAt,
-    endsAt: newExam.endsAt,
-    durationMin: newExam.durationMin,
-    timePerQuestionSec: newExam.timePerQuestionSec,
-    status: newExam.status,
-    attemptsLeft: newExam.settingsSummary.attemptsLeft || 1,
-    allowedReRecords: newExam.settingsSummary.allowedReRecords || 0,
-    teacherName,
-    pointsTotal: newExam.pointsTotal,
-    thumbnailUrl: null,
-    settingsSummary: newExam.settingsSummary
-  };
-  db.exams.push(studentExam);
-
-  writeDB(db);
-  res.status(201).json(newExam);
+app.post('/api/faculty/exams', validateRequest({ body: examSchema }), requireKnownMedia, (req, res) => {
+  const newExam = storage.exams.insert(createExamRecord(req.body, req.user));
+  res.status(201).json(toFacultyExam(newExam));
 });
 
 // PUT /api/faculty/exams/:examId
-app.put('/api/faculty/exams/:examId', (req, res) => {
-  const db = readDB();
-  const examIndex = db.facultyExams.findIndex(e => e.id === req.params.examId);
+app.put('/api/faculty/exams/:examId', validateRequest({ body: examSchema }, { partial: true }), requireKnownMedia, (req, res) => {
+  const existingExam = storage.exams.get(req.params.examId);
   
-  if (examIndex === -1) {
+  if (!existingExam) {
     return res.status(404).json({ error: 'Exam not found' });
   }
 
+  if (!isOwner(existingExam, req.user)) {
+    return res.status(403).json({ error: 'forbidden', message: 'You can only edit exams you created.' });
+  }
+
+  // The schema only lets through fields faculty may edit, so ownership and
+  // submission counts stay as they are
   const updatedExam = {
-    ...db.facultyExams[examIndex],
+    ...existingExam,
     ...req.body,
-    status: getExamStatus(req.body)
+    ownerId: existingExam.ownerId,
+    teacherName: existingExam.teacherName || req.user.name
   };
 
-  db.facultyExams[examIndex] = updatedExam;
-
-  // Also update student exam
-  const studentExamIndex = db.exams.findIndex(e => e.id === req.params.examId);
-  if (studentExamIndex !== -1) {
-    db.exams[studentExamIndex] = {
-      ...db.exams[studentExamIndex],
-      title: updatedExam.title,
-      shortDescription: updatedExam.shortDescription,
-      startsAt: updatedExam.startsAt,
-      endsAt: updatedExam.endsAt,
-      durationMin: updatedExam.durationMin,
-      timePerQuestionSec: updatedExam.timePerQuestionSec,
-      status: updatedExam.status,
-      attemptsLeft: updatedExam.settingsSummary?.attemptsLeft || 1,
-      allowedReRecords: updatedExam.settingsSummary?.allowedReRecords || 0,
-      teacherName: updatedExam.teacherName || db.exams[studentExamIndex].teacherName || 'Current Faculty',
-      pointsTotal: updatedExam.pointsTotal,
-      questions: updatedExam.questions || db.exams[studentExamIndex].questions || [],
-      settingsSummary: updatedExam.settingsSummary
-    };
+  // Cross-field rules are checked against the record as it will be saved
+  const fields = checkRules(examSchema, updatedExam);
+  if (Object.keys(fields).length > 0) {
+    return res.status(400).json(validationError(fields));
   }
+  updatedExam.status = getExamStatus(updatedExam);
 
-  writeDB(db);
-  res.json(updatedExam);
+  res.json(toFacultyExam(storage.exams.update(existingExam.id, updatedExam)));
 });
 
 // DELETE /api/faculty/exams/:examId
 app.delete('/api/faculty/exams/:examId', (req, res) => {
-  const db = readDB();
-  const examIndex = db.facultyExams.findIndex(e => e.id === req.params.examId);
+  const exam = storage.exams.get(req.params.examId);
   
-  if (examIndex === -1) {
+  if (!exam) {
     return res.status(404).json({ error: 'Exam not found' });
   }
 
-  db.facultyExams.splice(examIndex, 1);
-
-  // Also remove from student exams
-  const studentExamIndex = db.exams.findIndex(e => e.id === req.params.examId);
-  if (studentExamIndex !== -1) {
-    db.exams.splice(studentExamIndex, 1);
+  if (!isOwner(exam, req.user)) {
+    return res.status(403).json({ error: 'forbidden', message: 'You can only delete exams you created.' });
   }
 
-  writeDB(db);
+  storage.exams.remove(exam.id);
+
   res.status(204).send();
 });
 
 // ==================== DRAFT EXAM ENDPOINTS ====================
 
-// Initialize drafts array if it doesn't exist
-function ensureDraftsArray(db) {
-  if (!db.draftExams) {
-    db.draftExams = [];
-  }
-}
-
 // GET /api/faculty/exams/drafts
 app.get('/api/faculty/exams/drafts', (req, res) => {
-  const db = readDB();
-  ensureDraftsArray(db);
-  res.json(db.draftExams || []);
+  res.json(storage.drafts.list().filter(d => isOwner(d, req.user)));
 });
 
 // POST /api/faculty/exams/drafts
-app.post('/api/faculty/exams/drafts', (req, res) => {
-  const db = readDB();
-  ensureDraftsArray(db);
+app.post('/api/faculty/exams/drafts', validateRequest({ body: draftSchema }), requireKnownMedia, (req, res) => {
   const draftData = req.body;
 
   const newDraft = {
-    id: `DRAFT-${Date.now()}`,
+    id: `DRAFT-${crypto.randomUUID()}`,
     title: draftData.title,
     shortDescription: draftData.shortDescription,
     instructions: draftData.instructions || null,
     status: 'draft',
     questions: draftData.questions || [],
     createdAt: new Date().toISOString(),
-    teacherName: draftData.teacherName || 'Current Faculty'
+    teacherName: req.user.name,
+    ownerId: req.user.id
   };
 
-  db.draftExams.push(newDraft);
-  writeDB(db);
+  storage.drafts.insert(newDraft);
   res.status(201).json(newDraft);
 });
 
 // PUT /api/faculty/exams/drafts/:draftId
-app.put('/api/faculty/exams/drafts/:draftId', (req, res) => {
+app.put('/api/faculty/exams/drafts/:draftId', validateRequest({ body: draftSchema }, { partial: true }), requireKnownMedia, (req, res) => {
   try {
-    const db = readDB();
-    ensureDraftsArray(db);
-    const draftIndex = db.draftExams.findIndex(d => d.id === req.params.draftId);
+    const existingDraft = storage.drafts.get(req.params.draftId);
     
-    if (draftIndex === -1) {
+    if (!existingDraft) {
       console.error('Draft not found:', req.params.draftId);
       return res.status(404).json({ error: 'Draft not found', draftId: req.params.draftId });
     }
 
-    const updatedDraft = {
-      ...db.draftExams[draftIndex],
-      ...req.body
-    };
-
-    db.draftExams[draftIndex] = updatedDraft;
-    
-    const writeSuccess = writeDB(db);
-    if (!writeSuccess) {
-      return res.status(500).json({ error: 'Failed to save draft to database' });
+    if (!isOwner(existingDraft, req.user)) {
+      return res.status(403).json({ error: 'forbidden', message: 'You can only edit drafts you created.' });
     }
+
+    const updatedDraft = storage.drafts.update(existingDraft.id, {
+      ...req.body,
+      ownerId: existingDraft.ownerId,
+      teacherName: existingDraft.teacherName || req.user.name
+    });
     
     res.json(updatedDraft);
   } catch (error) {
@@ -625,85 +1120,48 @@ app.put('/api/faculty/exams/drafts/:draftId', (req, res) => {
 });
 
 // POST /api/faculty/exams/drafts/:draftId/publish
-app.post('/api/faculty/exams/drafts/:draftId/publish', (req, res) => {
-  const db = readDB();
-  ensureDraftsArray(db);
-  const draftIndex = db.draftExams.findIndex(d => d.id === req.params.draftId);
+app.post('/api/faculty/exams/drafts/:draftId/publish', validateRequest({ body: publishExamSchema }), requireKnownMedia, (req, res) => {
+  const draft = storage.drafts.get(req.params.draftId);
   
-  if (draftIndex === -1) {
+  if (!draft) {
     return res.status(404).json({ error: 'Draft not found' });
   }
 
-  const draft = db.draftExams[draftIndex];
-  const examData = req.body;
-  const teacherName = examData.teacherName || draft.teacherName || 'Current Faculty';
-
-  const newExam = {
-    id: `FAC-EX-${Date.now()}`,
-    title: examData.title,
-    shortDescription: examData.shortDescription,
-    startsAt: examData.startsAt,
-    endsAt: examData.endsAt,
-    durationMin: examData.durationMin,
-    timePerQuestionSec: examData.timePerQuestionSec || null,
-    status: getExamStatus(examData),
-    createdAt: new Date().toISOString(),
-    submissionCount: 0,
-    totalStudents: 0,
-    pointsTotal: examData.pointsTotal,
-    questions: examData.questions || [],
-    teacherName,
-    settingsSummary: examData.settingsSummary || { strictMode: false }
-  };
-
-  db.facultyExams.push(newExam);
-  
-  // Also add to student exams
-  const studentExam = {
-    id: newExam.id,
-    title: newExam.title,
-    shortDescription: newExam.shortDescription,
-    startsAt: newExam.startsAt,
-    endsAt: newExam.endsAt,
-    durationMin: newExam.durationMin,
-    timePerQuestionSec: newExam.timePerQuestionSec,
-    status: newExam.status,
-    attemptsLeft: newExam.settingsSummary.attemptsLeft || 1,
-    allowedReRecords: newExam.settingsSummary.allowedReRecords || 0,
-    teacherName,
-    pointsTotal: newExam.pointsTotal,
-    questions: newExam.questions || [],
-    thumbnailUrl: null,
-    settingsSummary: newExam.settingsSummary
-  };
-  db.exams.push(studentExam);
+  if (!isOwner(draft, req.user)) {
+    return res.status(403).json({ error: 'forbidden', message: 'You can only publish drafts you created.' });
+  }
 
-  // Remove draft
-  db.draftExams.splice(draftIndex, 1);
+  const newExam = createExamRecord(req.body, req.user);
 
-  writeDB(db);
-  res.status(201).json(newExam);
+  // Publishing and removing the draft happen together
+  storage.transaction(() => {
+    storage.exams.insert(newExam);
+    storage.drafts.remove(draft.id);
+  });
+  res.status(201).json(toFacultyExam(newExam));
 });
 
 // DELETE /api/faculty/exams/drafts/:draftId
 app.delete('/api/faculty/exams/drafts/:draftId', (req, res) => {
-  const db = readDB();
-  ensureDraftsArray(db);
-  const draftIndex = db.draftExams.findIndex(d => d.id === req.params.draftId);
+  const draft = storage.drafts.get(req.params.draftId);
   
-  if (draftIndex === -1) {
+  if (!draft) {
     return res.status(404).json({ error: 'Draft not found' });
   }
 
-  db.draftExams.splice(draftIndex, 1);
-  writeDB(db);
+  if (!isOwner(draft, req.user)) {
+    return res.status(403).json({ error: 'forbidden', message: 'You can only delete drafts you created.' });
+  }
+
+  storage.drafts.remove(draft.id);
   res.status(204).send();
 });
 
 // GET /api/faculty/students
-app.get('/api/faculty/students', (req, res) => {
-  const db = readDB();
-  let students = [...db.students];
+// Students who have taken the signed-in faculty's exams
+app.get('/api/faculty/students', validateRequest({ query: studentsQuerySchema }), (req, res) => {
+  const ownedStudentIds = getOwnedStudentIds(req.user);
+  let students = storage.students.list().filter(s => ownedStudentIds.has(s.id));
 
   // Filter by department
   if (req.query.department && req.query.department !== 'all') {
@@ -712,7 +1170,7 @@ app.get('/api/faculty/students', (req, res) => {
 
   // Filter by year
   if (req.query.year) {
-    students = students.filter(s => s.year === parseInt(req.query.year));
+    students = students.filter(s => s.year === req.query.year);
   }
 
   // Search
@@ -726,8 +1184,8 @@ app.get('/api/faculty/students', (req, res) => {
   }
 
   // Pagination
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 100;
+  const page = req.query.page || 1;
+  const limit = req.query.limit || 100;
   const startIndex = (page - 1) * limit;
   const endIndex = page * limit;
   const paginatedStudents = students.slice(startIndex, endIndex);
@@ -742,18 +1200,20 @@ app.get('/api/faculty/students', (req, res) => {
 
 // GET /api/faculty/students/:studentId
 app.get('/api/faculty/students/:studentId', (req, res) => {
-  const db = readDB();
-  const student = db.students.find(s => s.id === req.params.studentId);
+  const student = storage.students.get(req.params.studentId);
   
-  if (!student) {
+  // Students who haven't taken any of this faculty's exams are not theirs to see
+  if (!student || !getOwnedStudentIds(req.user).has(student.id)) {
     return res.status(404).json({ error: 'Student not found' });
   }
 
-  // Get student's exam submissions
-  const submissions = db.submissions
-    .filter(s => s.studentId === req.params.studentId)
+  // Get student's submissions on this faculty's exams
+  const ownedExamIds = new Set(getOwnedExams(req.user).map(exam => exam.id));
+  const submissions = storage.submissions
+    .list({ studentId: req.params.studentId })
+    .filter(sub => ownedExamIds.has(sub.examId))
     .map(sub => {
-      const exam = db.exams.find(e => e.id === sub.examId);
+      const exam = storage.exams.get(sub.examId);
       return {
         examId: sub.examId,
         examTitle: exam?.title || 'Unknown Exam',
@@ -788,11 +1248,20 @@ app.get('/api/faculty/students/:studentId', (req, res) => {
 
 // GET /api/faculty/exams/:examId/submissions
 app.get('/api/faculty/exams/:examId/submissions', (req, res) => {
-  const db = readDB();
-  const submissions = (db.submissions || []).filter(s => s.examId === req.params.examId);
+  const exam = storage.exams.get(req.params.examId);
+
+  if (!exam) {
+    return res.status(404).json({ error: 'Exam not found' });
+  }
+
+  if (!isOwner(exam, req.user)) {
+    return res.status(403).json({ error: 'forbidden', message: 'You can only view submissions to exams you created.' });
+  }
+
+  const submissions = storage.submissions.list({ examId: exam.id });
 
   const submissionsWithStudentInfo = submissions.map(sub => {
-    const student = db.students.find(s => s.id === sub.studentId);
+    const student = storage.students.get(sub.studentId);
     return {
       studentId: sub.studentId,
       studentName: student?.name || 'Unknown',
@@ -814,27 +1283,294 @@ app.get('/api/faculty/exams/:examId/submissions', (req, res) => {
 
 // GET /api/student/exams/:examId/submissions
 app.get('/api/student/exams/:examId/submissions', (req, res) => {
-  const db = readDB();
-  const studentId = req.query.studentId || 'STU001'; // In real app, get from auth
-  const submissions = (db.submissions || []).filter(s => 
-    s.examId === req.params.examId && s.studentId === studentId
+  const studentId = getStudentId(req.user);
+  const exam = storage.exams.get(req.params.examId);
+  const submissions = storage.submissions.list({ examId: req.params.examId, studentId });
+
+  res.json({
+    submissions: submissions.map(submission => toStudentSubmission(submission, { exam })),
+    total: submissions.length
+  });
+});
+
+// ==================== GRADING ENDPOINTS ====================
+
+// Helper function to get a submission for grading along with its exam.
+// Sends the error response and returns null when the grader can't have it.
+function getGradableSubmission(req, res) {
+  const submission = storage.submissions.get(req.params.submissionId);
+  const exam = submission ? storage.exams.get(submission.examId) : null;
+
+  if (!submission || !exam) {
+    res.status(404).json({ error: 'submission_not_found', message: 'This submission does not exist.' });
+    return null;
+  }
+  if (!isOwner(exam, req.user)) {
+    res.status(403).json({ error: 'forbidden', message: 'You can only grade exams you created.' });
+    return null;
+  }
+  return { submission, exam };
+}
+
+// Helper function to describe a student for the grading screens
+function toGradingStudent(studentId) {
+  const student = storage.students.get(studentId);
+  return {
+    id: studentId,
+    name: student?.name || 'Unknown',
+    enrollment: student?.enrollment || ''
+  };
+}
+
+// Helper function to shape a submission for grading: each question with the
+// answer key, the student's answer, its grade and a suggested score
+function toGradingResponse(submission, exam) {
+  const grades = getSubmissionGrades(submission, exam);
+  const { pendingCount } = summarizeGrades(grades);
+
+  return {
+    submissionId: submission.id,
+    examId: exam.id,
+    examTitle: exam.title,
+    student: toGradingStudent(submission.studentId),
+    status: submission.status,
+    score: submission.score,
+    maxScore: submission.maxScore,
+    pendingCount,
+    submittedAt: submission.submittedAt,
+    items: (exam.questions || []).map((question, index) => {
+      const grade = grades[question.id] || {};
+      const studentAnswer = getStudentAnswer(submission.answers, question, index) ?? null;
+      const manual = MANUALLY_GRADED_TYPES.includes(question.type);
+      return {
+        questionId: question.id,
+        type: question.type,
+        question: question.question,
+        media: question.media || null,
+        options: question.options || [],
+        correctAnswer: question.correctAnswer ?? null,
+        answerKey: question.answer || '',
+        studentAnswer,
+        manual,
+        rubric: question.rubric?.length ? question.rubric : null,
+        keywords: question.keywords || [],
+        // A first-pass score from the answer key and keywords, never saved
+        suggestion: question.type === 'descriptive' && grade.auto === false ? suggestScore(question, studentAnswer) : null,
+        // The student's spoken answer, to play back
+        recording: question.type === 'oral' && studentAnswer ? toRecordingResponse(studentAnswer) : null,
+        // How a code answer did on each hidden test
+        language: question.language || null,
+        tests: question.type === 'code'
+          ? getHiddenTests(question).map((test, testIndex) => ({
+            input: test.input,
+            expectedOutput: test.expectedOutput,
+            ...(grade.tests?.[testIndex] || { passed: false, status: 'not_run' })
+          }))
+          : null,
+        points: grade.points ?? null,
+        maxPoints: getQuestionPoints(question),
+        criteria: grade.criteria || null,
+        comment: grade.comment || '',
+        gradedBy: grade.gradedBy || null,
+        gradedAt: grade.gradedAt || null
+      };
+    })
+  };
+}
+
+// GET /api/faculty/grading
+// Submissions on the signed-in faculty's exams; by default only those with
+// answers still waiting for a grader, oldest first
+app.get('/api/faculty/grading', validateRequest({ query: gradingQueueQuerySchema }), (req, res) => {
+  const exams = getOwnedExams(req.user)
+    .filter(exam => !req.query.examId || exam.id === req.query.examId);
+
+  const submissions = exams.flatMap(exam =>
+    storage.submissions.list({ examId: exam.id })
+      .filter(sub => req.query.status === 'all' || sub.status === SUBMISSION_STATUS.PENDING_GRADING)
+      .map(sub => ({
+        submissionId: sub.id,
+        examId: exam.id,
+        examTitle: exam.title,
+        student: toGradingStudent(sub.studentId),
+        status: sub.status,
+        score: sub.score,
+        maxScore: sub.maxScore,
+        pendingCount: summarizeGrades(getSubmissionGrades(sub, exam)).pendingCount,
+        submittedAt: sub.submittedAt
+      }))
   );
+  submissions.sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt));
 
   res.json({
-    submissions: submissions,
+    submissions,
     total: submissions.length
   });
 });
 
+// GET /api/faculty/submissions/:submissionId
+app.get('/api/faculty/submissions/:submissionId', (req, res) => {
+  const found = getGradableSubmission(req, res);
+  if (!found) return;
+
+  res.json(toGradingResponse(found.submission, found.exam));
+});
+
+// PUT /api/faculty/submissions/:submissionId/grades/:questionId
+// Award points (and an optional comment) for one answer, then recompute the
+// submission's score and status. Questions with a rubric take the level
+// picked for each criterion instead of points.
+app.put('/api/faculty/submissions/:submissionId/grades/:questionId', validateRequest({ body: gradeSchema }), (req, res) => {
+  const found = getGradableSubmission(req, res);
+  if (!found) return;
+  const { submission, exam } = found;
+
+  const question = (exam.questions || []).find(q => q.id === req.params.questionId);
+  if (!question) {
+    return res.status(404).json({ error: 'question_not_found', message: 'This question is not part of the exam.' });
+  }
+  if (!MANUALLY_GRADED_TYPES.includes(question.type)) {
+    return res.status(400).json({ error: 'not_manually_graded', message: 'This question is scored automatically.' });
+  }
+
+  // With a rubric the points are the sum of the levels picked per criterion
+  let grade;
+  if (question.rubric?.length) {
+    const scored = scoreRubric(question.rubric, req.body.criteria);
+    if (scored.fields) {
+      return res.status(400).json(validationError(scored.fields));
+    }
+    grade = { points: scored.points, criteria: scored.criteria, comment: req.body.comment };
+  } else {
+    const maxPoints = getQuestionPoints(question);
+    if (req.body.points === undefined) {
+      return res.status(400).json(validationError({ points: 'Points is required' }));
+    }
+    if (req.body.points > maxPoints) {
+      return res.status(400).json(validationError({ points: `Points cannot be more than ${maxPoints}` }));
+    }
+    grade = { points: req.body.points, comment: req.body.comment };
+  }
+
+  const updated = storage.submissions.update(
+    submission.id,
+    applyManualGrade(submission, exam, question, grade, req.user)
+  );
+
+  res.json(toGradingResponse(updated, exam));
+});
+
+// ==================== MEDIA ENDPOINTS ====================
+
+// Helper function to shape a media record for the client
+function toMediaResponse(media) {
+  return {
+    id: media.id,
+    url: `/api/media/${media.id}`,
+    name: media.name,
+    mimeType: media.mimeType,
+    size: media.size
+  };
+}
+
+// Helper function to shape a recorded answer for the client, or null when
+// the recording is missing
+function toRecordingResponse(mediaId) {
+  const media = storage.media.get(String(mediaId));
+  return media ? toMediaResponse(media) : null;
+}
+
+// POST /api/faculty/media
+// Upload one question attachment as multipart/form-data in the `file` field.
+// The same file uploaded again returns the existing record.
+app.post('/api/faculty/media', uploadMedia, (req, res) => {
+  const { key, size, originalname, mimetype } = req.file;
+
+  const existing = storage.media.get(key);
+  if (existing) {
+    return res.json(toMediaResponse(existing));
+  }
+
+  const media = storage.media.insert({
+    id: key,
+    name: originalname,
+    mimeType: mimetype,
+    size,
+    uploadedBy: req.user.id,
+    createdAt: new Date().toISOString()
+  });
+  res.status(201).json(toMediaResponse(media));
+});
+
+// GET /api/media/:mediaId
+// Serves an uploaded file. Ids are content hashes, so responses never change
+// and can be cached for good. Supports single byte ranges for video seeking.
+// Not behind a role check: <img> and <video> tags can't send the token.
+app.get('/api/media/:mediaId', (req, res) => {
+  const { mediaId } = req.params;
+  const media = mediaStore.isValidKey(mediaId) ? storage.media.get(mediaId) : null;
+  const file = media ? mediaStore.stat(media.id) : null;
+
+  if (!file) {
+    return res.status(404).json({ error: 'media_not_found', message: 'This file does not exist.' });
+  }
+
+  const etag = `"${media.id}"`;
+  res.set({
+    'Content-Type': media.mimeType,
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'public, max-age=31536000, immutable',
+    'X-Content-Type-Options': 'nosniff',
+    ETag: etag
+  });
+
+  if (req.headers['if-none-match'] === etag) {
+    return res.status(304).end();
+  }
+
+  const range = parseRange(req.headers.range, file.size);
+  if (range === 'unsatisfiable') {
+    res.set('Content-Range', `bytes */${file.size}`);
+    return res.status(416).end();
+  }
+
+  const { start, end } = range || { start: 0, end: file.size - 1 };
+  if (range) {
+    res.status(206).set('Content-Range', `bytes ${start}-${end}/${file.size}`);
+  }
+  res.set('Content-Length', String(end - start + 1));
+
+  if (req.method === 'HEAD' || file.size === 0) {
+    return res.end();
+  }
+
+  mediaStore.createReadStream(media.id, { start, end })
+    .on('error', error => {
+      console.error('Error reading media file:', media.id, error);
+      res.destroy(error);
+    })
+    .pipe(res);
+});
+
 // Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Mock API Server running on http://localhost:${PORT}`);
-  console.log(`📊 Database file: ${DB_PATH}`);
+const server = app.listen(PORT, () => {
+  console.log(`🚀 Mock API Server running on http://localhost:${server.address().port}`);
+  console.log(`📊 Storage: ${storage.driver} (${storage.path})`);
+  console.log(`🖼️  Media: ${mediaStore.driver} (${mediaStore.dir})`);
   console.log(`\nAvailable endpoints:`);
+  console.log(`  Auth:`);
+  console.log(`    POST   /api/auth/register`);
+  console.log(`    POST   /api/auth/login`);
+  console.log(`    POST   /api/auth/logout`);
+  console.log(`    GET    /api/auth/me`);
   console.log(`  Student:`);
   console.log(`    GET    /api/student/exams`);
   console.log(`    GET    /api/student/exams/:examId/summary`);
   console.log(`    POST   /api/student/exams/:examId/start`);
+  console.log(`    GET    /api/student/exams/:examId/attempt`);
+  console.log(`    PUT    /api/student/attempts/:attemptId/answers`);
+  console.log(`    POST   /api/student/attempts/:attemptId/recordings/:questionId`);
+  console.log(`    POST   /api/student/attempts/:attemptId/code/:questionId/run`);
   console.log(`  Faculty:`);
   console.log(`    GET    /api/faculty/exams`);
   console.log(`    GET    /api/faculty/stats`);
@@ -844,5 +1580,11 @@ app.listen(PORT, () => {
   console.log(`    GET    /api/faculty/students`);
   console.log(`    GET    /api/faculty/students/:studentId`);
   console.log(`    GET    /api/faculty/exams/:examId/submissions`);
+  console.log(`    GET    /api/faculty/grading`);
+  console.log(`    GET    /api/faculty/submissions/:submissionId`);
+  console.log(`    PUT    /api/faculty/submissions/:submissionId/grades/:questionId`);
+  console.log(`    POST   /api/faculty/media`);
+  console.log(`  Media:`);
+  console.log(`    GET    /api/media/:mediaId`);
 });
 
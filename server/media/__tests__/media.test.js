@@ -0,0 +1,176 @@
+// @vitest-environment node
+/**
+ * Tests for the media store, range parsing and inline media extraction
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { createMediaStore, parseRange, isAllowedMediaType, isAllowedRecordingType } from '../index.js';
+import { extractInlineMedia, decodeDataUrl } from '../extractInline.js';
+import { createStorage } from '../../storage/index.js';
+
+// Helper function to read a whole stream into a string
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+}
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+describe('disk media store', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'examecho-media-'));
+    store = createMediaStore({ driver: 'disk', dir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('stores files under their content hash', async () => {
+    const { key, size, created } = await store.put(Readable.from(['hello ', 'world']));
+
+    expect(key).toBe(sha256('hello world'));
+    expect(size).toBe(11);
+    expect(created).toBe(true);
+    expect(store.stat(key)).toEqual({ size: 11 });
+    expect(await readAll(store.createReadStream(key))).toBe('hello world');
+  });
+
+  it('keeps one copy of the same content', async () => {
+    const first = await store.put(Readable.from(['same bytes']));
+    const second = await store.put(Readable.from(['same bytes']));
+
+    expect(second).toEqual({ ...first, created: false });
+    expect(fs.readdirSync(path.join(dir, '.tmp'))).toEqual([]);
+  });
+
+  it('reads byte ranges', async () => {
+    const { key } = await store.put(Readable.from(['0123456789']));
+
+    expect(await readAll(store.createReadStream(key, { start: 2, end: 5 }))).toBe('2345');
+  });
+
+  it('rejects files over the size limit and leaves nothing behind', async () => {
+    await expect(store.put(Readable.from(['x'.repeat(20)]), { maxBytes: 10 }))
+      .rejects.toMatchObject({ code: 'FILE_TOO_LARGE' });
+
+    expect(fs.readdirSync(path.join(dir, '.tmp'))).toEqual([]);
+  });
+
+  it('ignores keys that are not content hashes', () => {
+    expect(store.isValidKey('../../etc/passwd')).toBe(false);
+    expect(store.stat('../../etc/passwd')).toBeNull();
+    expect(store.remove('../database.json')).toBe(false);
+  });
+});
+
+describe('parseRange', () => {
+  it('parses start-end, open-ended and suffix ranges', () => {
+    expect(parseRange('bytes=0-99', 1000)).toEqual({ start: 0, end: 99 });
+    expect(parseRange('bytes=500-', 1000)).toEqual({ start: 500, end: 999 });
+    expect(parseRange('bytes=-100', 1000)).toEqual({ start: 900, end: 999 });
+    expect(parseRange('bytes=900-5000', 1000)).toEqual({ start: 900, end: 999 });
+  });
+
+  it('sends the whole file for a missing or unsupported header', () => {
+    expect(parseRange(undefined, 1000)).toBeNull();
+    expect(parseRange('bytes=0-10,20-30', 1000)).toBeNull();
+    expect(parseRange('items=0-10', 1000)).toBeNull();
+    expect(parseRange('bytes=50-10', 1000)).toBeNull();
+  });
+
+  it('reports ranges outside the file', () => {
+    expect(parseRange('bytes=1000-', 1000)).toBe('unsatisfiable');
+    expect(parseRange('bytes=-0', 1000)).toBe('unsatisfiable');
+    expect(parseRange('bytes=0-', 0)).toBe('unsatisfiable');
+  });
+});
+
+describe('isAllowedMediaType', () => {
+  it('accepts images, videos and PDFs but not SVG or HTML', () => {
+    expect(isAllowedMediaType('image/png')).toBe(true);
+    expect(isAllowedMediaType('video/mp4')).toBe(true);
+    expect(isAllowedMediaType('application/pdf')).toBe(true);
+    expect(isAllowedMediaType('image/svg+xml')).toBe(false);
+    expect(isAllowedMediaType('text/html')).toBe(false);
+  });
+});
+
+describe('isAllowedRecordingType', () => {
+  it('accepts recorded audio with or without a codec but not other files', () => {
+    expect(isAllowedRecordingType('audio/webm')).toBe(true);
+    expect(isAllowedRecordingType('audio/webm;codecs=opus')).toBe(true);
+    expect(isAllowedRecordingType('audio/mp4; codecs="mp4a.40.2"')).toBe(true);
+    expect(isAllowedRecordingType('video/webm')).toBe(false);
+    expect(isAllowedRecordingType('audio/webm;charset=<script>')).toBe(false);
+  });
+});
+
+describe('extractInlineMedia', () => {
+  let dir;
+  let storage;
+  let store;
+
+  const dataUrl = text => `data:image/png;base64,${Buffer.from(text).toString('base64')}`;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'examecho-extract-'));
+    storage = await createStorage({ driver: 'json', path: path.join(dir, 'database.json') });
+    store = createMediaStore({ driver: 'disk', dir: path.join(dir, 'uploads') });
+
+    storage.exams.insert({
+      id: 'EX-1',
+      ownerId: 'USR-1',
+      questions: [
+        { id: 'Q1', media: { image: { file: 'graph.png', url: dataUrl('png bytes'), type: 'image/png' }, video: null } },
+        { id: 'Q2', type: 'mcq' }
+      ]
+    });
+    storage.drafts.insert({
+      id: 'DRAFT-1',
+      questions: [{ id: 'Q1', media: { image: { file: 'copy.png', url: dataUrl('png bytes'), type: 'image/png' } } }]
+    });
+  });
+
+  afterEach(() => {
+    storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('decodes base64 and plain data URLs', () => {
+    expect(decodeDataUrl(dataUrl('abc')).bytes.toString()).toBe('abc');
+    expect(decodeDataUrl('data:text/plain,a%20b')).toMatchObject({ mimeType: 'text/plain' });
+    expect(decodeDataUrl('https://example.com/a.png')).toBeNull();
+  });
+
+  it('moves data URLs into the store and references them by id', async () => {
+    const report = await extractInlineMedia(storage, store);
+    const key = sha256('png bytes');
+
+    expect(report).toMatchObject({ exams: 1, drafts: 1, extracted: 1, reused: 1, unreadable: [] });
+    expect(storage.exams.get('EX-1').questions).toEqual([
+      { id: 'Q1', media: { image: { id: key, file: 'graph.png', type: 'image/png' }, video: null } },
+      { id: 'Q2', type: 'mcq' }
+    ]);
+    expect(storage.drafts.get('DRAFT-1').questions[0].media.image.id).toBe(key);
+    expect(storage.media.get(key)).toMatchObject({ name: 'graph.png', mimeType: 'image/png', size: 9, uploadedBy: 'USR-1' });
+    expect(store.stat(key)).toEqual({ size: 9 });
+  });
+
+  it('changes nothing on a dry run', async () => {
+    const report = await extractInlineMedia(storage, store, { dryRun: true });
+
+    expect(report).toMatchObject({ exams: 1, drafts: 1 });
+    expect(storage.exams.get('EX-1').questions[0].media.image.url).toMatch(/^data:/);
+    expect(storage.media.list()).toEqual([]);
+  });
+});
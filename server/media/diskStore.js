@@ -0,0 +1,98 @@
+// Local disk driver for the media store.
+//
+// Files are content-addressed: the key is the SHA-256 of the bytes and the
+// file lives at <dir>/<first two hex chars>/<key>. Uploading the same bytes
+// twice keeps a single copy. Uploads are written to <dir>/.tmp first and
+// renamed into place once the hash is known, so a half-written upload never
+// shows up under a key.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import { Transform } from 'stream';
+
+const KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+export function createDiskMediaStore({ dir }) {
+  const tmpDir = path.join(dir, '.tmp');
+  fs.mkdirSync(tmpDir, { recursive: true });
+
+  // Helper function to get the file path for a key. Keys are checked so a
+  // request can't reach outside the media directory.
+  function fileFor(key) {
+    if (!KEY_PATTERN.test(key)) return null;
+    return path.join(dir, key.slice(0, 2), key);
+  }
+
+  return {
+    driver: 'disk',
+    dir,
+
+    isValidKey(key) {
+      return KEY_PATTERN.test(key);
+    },
+
+    // Store the bytes from a readable stream. Resolves to
+    // { key, size, created } where `created` is false if the content was
+    // already stored. With `maxBytes` the upload is rejected with
+    // code 'FILE_TOO_LARGE' once it goes over the limit.
+    async put(stream, { maxBytes } = {}) {
+      const tmpFile = path.join(tmpDir, crypto.randomUUID());
+      const hash = crypto.createHash('sha256');
+      let size = 0;
+
+      const measure = new Transform({
+        transform(chunk, encoding, callback) {
+          size += chunk.length;
+          if (maxBytes && size > maxBytes) {
+            const error = new Error(`File is larger than ${maxBytes} bytes`);
+            error.code = 'FILE_TOO_LARGE';
+            return callback(error);
+          }
+          hash.update(chunk);
+          callback(null, chunk);
+        }
+      });
+
+      try {
+        await pipeline(stream, measure, fs.createWriteStream(tmpFile));
+      } catch (error) {
+        fs.rmSync(tmpFile, { force: true });
+        throw error;
+      }
+
+      const key = hash.digest('hex');
+      const target = fileFor(key);
+      if (fs.existsSync(target)) {
+        fs.rmSync(tmpFile, { force: true });
+        return { key, size, created: false };
+      }
+
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.renameSync(tmpFile, target);
+      return { key, size, created: true };
+    },
+
+    // { size } for a stored key, or null
+    stat(key) {
+      const file = fileFor(key);
+      if (!file || !fs.existsSync(file)) return null;
+      return { size: fs.statSync(file).size };
+    },
+
+    // Read a stored file, or the inclusive byte range start..end of it
+    createReadStream(key, { start, end } = {}) {
+      const file = fileFor(key);
+      if (!file) throw new Error(`Invalid media key "${key}"`);
+      return fs.createReadStream(file, { start, end });
+    },
+
+    remove(key) {
+      const file = fileFor(key);
+      if (!file || !fs.existsSync(file)) return false;
+      fs.rmSync(file);
+      return true;
+    }
+  };
+}
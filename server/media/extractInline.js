@@ -0,0 +1,93 @@
+// Move question media that was saved inline, as base64 data URLs inside the
+// exam and draft records, into the media store, and point the questions at
+// the stored files by id.
+
+import { Readable } from 'stream';
+import { MEDIA_SLOTS } from '../schemas.js';
+
+const DATA_URL_PATTERN = /^data:([^;,]*)(;base64)?,(.*)$/s;
+
+// Helper function to decode a data URL into { mimeType, bytes }, or null
+export function decodeDataUrl(url) {
+  const match = DATA_URL_PATTERN.exec(url || '');
+  if (!match) return null;
+  const [, mimeType, base64, payload] = match;
+  const bytes = base64
+    ? Buffer.from(payload, 'base64')
+    : Buffer.from(decodeURIComponent(payload), 'utf8');
+  return { mimeType: mimeType || 'application/octet-stream', bytes };
+}
+
+// Extract inline media from every exam and draft. Returns a report of
+// { exams, drafts, extracted, reused, unreadable } where `exams` and `drafts`
+// count the records that changed. With `dryRun` nothing is written.
+export async function extractInlineMedia(storage, mediaStore, { dryRun = false, now = new Date() } = {}) {
+  const report = { exams: 0, drafts: 0, extracted: 0, reused: 0, unreadable: [] };
+  const updates = [];
+  const newMedia = new Map();
+
+  for (const collection of ['exams', 'drafts']) {
+    for (const record of storage[collection].list()) {
+      let changed = false;
+      const questions = [];
+
+      for (const question of record.questions || []) {
+        const media = { ...(question.media || {}) };
+        let questionChanged = false;
+
+        for (const slot of MEDIA_SLOTS) {
+          const ref = media[slot];
+          if (!ref?.url || ref.id) continue;
+
+          const decoded = decodeDataUrl(ref.url);
+          if (!decoded) {
+            report.unreadable.push({ collection, id: record.id, questionId: question.id, slot });
+            continue;
+          }
+
+          const name = ref.file || `${slot}-${question.id}`;
+          const type = ref.type || decoded.mimeType;
+          const { key, size } = dryRun
+            ? { key: null, size: decoded.bytes.length }
+            : await mediaStore.put(Readable.from([decoded.bytes]));
+
+          if (key && (storage.media.get(key) || newMedia.has(key))) {
+            report.reused++;
+          } else {
+            report.extracted++;
+            if (key) {
+              newMedia.set(key, {
+                id: key,
+                name,
+                mimeType: type,
+                size,
+                uploadedBy: record.ownerId || null,
+                createdAt: now.toISOString()
+              });
+            }
+          }
+
+          media[slot] = { id: key, file: name, type };
+          questionChanged = true;
+        }
+
+        questions.push(questionChanged ? { ...question, media } : question);
+        changed = changed || questionChanged;
+      }
+
+      if (changed) {
+        report[collection]++;
+        updates.push({ collection, id: record.id, questions });
+      }
+    }
+  }
+
+  if (!dryRun) {
+    storage.transaction(() => {
+      newMedia.forEach(media => storage.media.insert(media));
+      updates.forEach(({ collection, id, questions }) => storage[collection].update(id, { questions }));
+    });
+  }
+
+  return report;
+}
@@ -0,0 +1,89 @@
+// Media store for question attachments (images, videos, graphs).
+//
+// Files are kept outside the database behind a small interface, so another
+// driver (e.g. object storage) can replace the disk one:
+//
+//   put(stream, { maxBytes })      -> Promise<{ key, size, created }>
+//   stat(key)                      -> { size } or null
+//   createReadStream(key, range?)  -> readable stream of the file or a byte range
+//   remove(key)                    -> true if a file was removed
+//   isValidKey(key)                -> whether `key` could be a stored key
+//
+// Keys are content hashes, so the same file uploaded twice is stored once.
+// What a file is (type, name, uploader) is recorded in the `media` collection
+// of the main storage, keyed by the same id.
+
+import path from 'path';
+import { createDiskMediaStore } from './diskStore.js';
+
+// Types that can be attached to a question. SVG is left out because it can
+// carry scripts.
+export const ALLOWED_MEDIA_TYPES = [
+  /^image\/(png|jpeg|gif|webp|bmp)$/,
+  /^video\/(mp4|webm|ogg|quicktime)$/,
+  /^application\/pdf$/
+];
+
+// Types a student's spoken answer can be recorded in. Browsers add the
+// codec to the type, e.g. "audio/webm;codecs=opus".
+export const ALLOWED_RECORDING_TYPES = [
+  /^audio\/(webm|ogg|mp4|mpeg|wav|x-wav|aac)(;\s*codecs="?[\w.,\s-]+"?)?$/
+];
+
+// Helper function to check whether a MIME type can be uploaded
+export function isAllowedMediaType(mimeType) {
+  return ALLOWED_MEDIA_TYPES.some(pattern => pattern.test(mimeType || ''));
+}
+
+// Helper function to check whether a MIME type can be uploaded as a recording
+export function isAllowedRecordingType(mimeType) {
+  return ALLOWED_RECORDING_TYPES.some(pattern => pattern.test(mimeType || ''));
+}
+
+// Helper function to read the media config from the environment.
+//   MEDIA_DIR      directory for uploaded files; defaults to server/uploads
+//   MEDIA_MAX_MB   largest upload accepted, in megabytes; defaults to 100
+export function getMediaConfig(env = process.env, baseDir = process.cwd()) {
+  const maxMb = Number(env.MEDIA_MAX_MB) > 0 ? Number(env.MEDIA_MAX_MB) : 100;
+  return {
+    driver: 'disk',
+    dir: env.MEDIA_DIR ? path.resolve(env.MEDIA_DIR) : path.join(baseDir, 'uploads'),
+    maxBytes: Math.floor(maxMb * 1024 * 1024)
+  };
+}
+
+export function createMediaStore({ driver = 'disk', dir }) {
+  if (driver === 'disk') {
+    return createDiskMediaStore({ dir });
+  }
+  throw new Error(`Unknown media driver "${driver}". Use "disk".`);
+}
+
+// Parse a Range header against a file of `size` bytes. Only single byte
+// ranges are supported. Returns { start, end } (inclusive), null when the
+// whole file should be sent (no header, or one we don't handle), or
+// 'unsatisfiable' when the range lies outside the file.
+export function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match) return null;
+
+  const [, first, last] = match;
+  if (first === '' && last === '') return null;
+
+  let start;
+  let end;
+  if (first === '') {
+    // Suffix range: the last N bytes
+    const length = Number(last);
+    if (length === 0) return 'unsatisfiable';
+    start = Math.max(size - length, 0);
+    end = size - 1;
+  } else {
+    start = Number(first);
+    end = last === '' ? size - 1 : Math.min(Number(last), size - 1);
+    if (end < start && last !== '') return null;
+  }
+
+  if (start >= size) return 'unsatisfiable';
+  return { start, end };
+}
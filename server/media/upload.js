@@ -0,0 +1,70 @@
+// Multipart upload handling for the media store.
+//
+// Uploaded files are streamed straight into the store (multer's custom
+// storage engine), so nothing is buffered in memory or copied twice.
+
+import multer from 'multer';
+import { isAllowedMediaType } from './index.js';
+import { validationError } from '../validation.js';
+
+// Multer storage engine that writes into a media store
+function createStoreEngine(store, { maxBytes }) {
+  return {
+    _handleFile(req, file, callback) {
+      store.put(file.stream, { maxBytes })
+        .then(({ key, size, created }) => callback(null, { key, size, created }))
+        .catch(callback);
+    },
+
+    // Called when the request fails after the file was stored. Content that
+    // was already there before this upload may be used elsewhere, so only a
+    // newly created file is removed.
+    _removeFile(req, file, callback) {
+      if (file.created) store.remove(file.key);
+      callback(null);
+    }
+  };
+}
+
+// Express middleware that accepts one file in the `file` field and sets
+// req.file to { key, size, created, originalname, mimetype }. Problems are
+// answered directly: 400 for a missing or unsupported file, 413 for a file
+// over the size limit. `isAllowed` checks the file's MIME type, and
+// `allowedHint` tells the user what to upload instead.
+export function createUploadMiddleware(store, {
+  maxBytes,
+  isAllowed = isAllowedMediaType,
+  allowedHint = 'Use an image, video or PDF.'
+}) {
+  const upload = multer({
+    storage: createStoreEngine(store, { maxBytes }),
+    limits: { files: 1, fields: 10 },
+    fileFilter(req, file, callback) {
+      if (!isAllowed(file.mimetype)) {
+        const error = new Error(`Files of type ${file.mimetype || 'unknown'} can't be attached`);
+        error.code = 'UNSUPPORTED_MEDIA_TYPE';
+        return callback(error);
+      }
+      callback(null, true);
+    }
+  }).single('file');
+
+  return (req, res, next) => {
+    upload(req, res, error => {
+      if (error?.code === 'FILE_TOO_LARGE') {
+        const maxMb = Number((maxBytes / 1024 / 1024).toFixed(1));
+        return res.status(413).json({ error: 'file_too_large', message: `Files can be at most ${maxMb} MB.` });
+      }
+      if (error?.code === 'UNSUPPORTED_MEDIA_TYPE') {
+        return res.status(400).json(validationError({ file: `${error.message}. ${allowedHint}` }));
+      }
+      if (error) {
+        return res.status(400).json(validationError({ file: error.message }));
+      }
+      if (!req.file) {
+        return res.status(400).json(validationError({ file: 'File is required' }));
+      }
+      next();
+    });
+  };
+}
@@ -0,0 +1,52 @@
+// Rich text in questions and written answers.
+//
+// Question text, options, answer keys and descriptive answers are stored as
+// a small Markdown subset: **bold**, *italic*, `code`, lists, pipe tables,
+// fenced code blocks and $math$. The client renders it into elements without
+// ever treating the text as HTML, and the server strips the HTML that could
+// run if a stored value ever reached a page that does: script-like elements
+// with their content, other tags with attributes, closing tags and comments.
+// Code and math are kept as typed, and so is other text with angle brackets,
+// such as `x<y`, `List<String>` or `a<b>c`.
+
+// Elements removed along with everything inside them
+const DANGEROUS_ELEMENTS = /<(script|style|iframe|frame|object|embed|applet|svg|math|template|noscript|noembed|textarea|title|xmp)\b[^<>]*(?:>[\s\S]*?(?:<\/\1\s*>|$)|$)/gi;
+
+// Comments, closing tags, and tags with an attribute, which is where event
+// handlers and script URLs go. The tag name must follow `<` straight away
+// and the attribute needs an `=`, so comparisons and generic types don't
+// match.
+const HTML_MARKUP = /<!--[\s\S]*?(?:-->|$)|<\/[a-z][\w:-]*\s*>|<\/?[a-z][\w:-]*[\s/][^<>]*?=[^<>]*(?:>|$)/gi;
+
+// Code and math are left alone: fenced blocks, `inline code`, $$block$$ and
+// $inline$ formulas (no space inside the dollars, as the client reads them)
+const CODE_AND_MATH = /(```[\s\S]*?(?:\n```|$)|`[^`\n]+`|\$\$[\s\S]+?\$\$|\$[^\s$](?:[^$\n]*?[^\s$])?\$(?!\d))/;
+
+// Control characters other than tab and newline
+// eslint-disable-next-line no-control-regex
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g;
+
+// Helper function to strip HTML from text that isn't code or math
+function stripMarkup(text) {
+  let previous;
+  let result = text;
+  // Removing one tag can join the pieces of another, e.g. <scr<b x=1>ipt>
+  do {
+    previous = result;
+    result = result.replace(DANGEROUS_ELEMENTS, '').replace(HTML_MARKUP, '');
+  } while (result !== previous);
+  return result;
+}
+
+// Clean rich text for storage: normalizes line endings and removes control
+// characters, and HTML outside code and math. Markdown is kept.
+export function sanitizeRichText(text) {
+  if (typeof text !== 'string') return text;
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(CONTROL_CHARACTERS, '')
+    .split(CODE_AND_MATH)
+    // Odd pieces are the code and math the split matched
+    .map((piece, index) => (index % 2 === 1 ? piece : stripMarkup(piece)))
+    .join('');
+}
@@ -0,0 +1,105 @@
+// @vitest-environment node
+/**
+ * Tests for the code question sandbox
+ */
+
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createSandbox, getSandboxConfig, normalizeOutput } from '../index.js';
+
+const sandbox = createSandbox({ ...getSandboxConfig({}), timeLimitMs: 1000 });
+
+const addTwo = "const [a, b] = require('fs').readFileSync(0, 'utf8').split('\\n').map(Number);\nconsole.log(a + b);";
+
+describe('normalizeOutput', () => {
+  it('ignores line endings, trailing spaces and trailing blank lines', () => {
+    expect(normalizeOutput('3 \r\n4\r\n\r\n')).toBe('3\n4');
+    expect(normalizeOutput(' 3')).toBe(' 3');
+  });
+});
+
+describe('sandbox', () => {
+  it('passes a test when the program prints the expected output', async () => {
+    const results = await sandbox.runTests('javascript', addTwo, [
+      { input: '1\n2', expectedOutput: '3' },
+      { input: '2\n2', expectedOutput: '5' }
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['passed', 'failed']);
+    expect(results[1]).toMatchObject({ passed: false, output: '4\n' });
+  });
+
+  it('reports a program that crashes as an error', async () => {
+    const [result] = await sandbox.runTests('javascript', "throw new Error('boom')", [{ input: '', expectedOutput: '' }]);
+
+    expect(result).toMatchObject({ passed: false, status: 'error' });
+    expect(result.error).toContain('boom');
+  });
+
+  it('stops a program that runs past the time limit', async () => {
+    const result = await sandbox.run('javascript', 'while (true) {}');
+
+    expect(result.status).toBe('timeout');
+  });
+
+  it("doesn't let a program read or write other files or start processes", async () => {
+    const result = await sandbox.run('javascript', [
+      "try { require('fs').readFileSync('/etc/hostname'); console.log('read'); } catch { console.log('no read'); }",
+      "try { require('fs').writeFileSync('out.txt', 'x'); console.log('wrote'); } catch { console.log('no write'); }",
+      "try { require('child_process').execSync('true'); console.log('spawned'); } catch { console.log('no spawn'); }"
+    ].join('\n'));
+
+    expect(result.stdout).toBe('no read\nno write\nno spawn\n');
+  });
+
+  it('stops a program that allocates past the memory limit', async () => {
+    const buffer = await sandbox.run('javascript', "Buffer.alloc(400e6); console.log('allocated');");
+    const arrays = await sandbox.run('javascript', "const arrays = []; for (let i = 0; i < 8; i++) arrays.push(new ArrayBuffer(100e6)); console.log('allocated');");
+    const python = await sandbox.run('python', "data = bytearray(400 * 1024 * 1024)\nprint('allocated')");
+
+    for (const result of [buffer, arrays, python]) {
+      expect(result.status).toBe('error');
+      expect(result.stdout).toBe('');
+    }
+  });
+
+  it("refuses to run JavaScript with a node binary that doesn't confine it", async () => {
+    // Stands in for a runtime that accepts Node's flags but ignores them,
+    // like Bun: it drops every flag and runs the script given with -e
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'examecho-node-'));
+    const nodePath = path.join(dir, 'node');
+    fs.writeFileSync(nodePath, `#!/bin/sh\nwhile [ "$1" != -e ]; do shift; done\nexec "${process.execPath}" "$@"\n`, { mode: 0o755 });
+
+    try {
+      const unconfined = createSandbox({ ...getSandboxConfig({}), nodePath });
+      const result = await unconfined.run('javascript', "console.log('ran')");
+
+      expect(result.status).toBe('error');
+      expect(result.stdout).toBe('');
+      expect(result.stderr).toContain('Sandbox unavailable');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("doesn't let a Python program read files outside its directory", async () => {
+    const serverSource = fileURLToPath(new URL('../../index.js', import.meta.url));
+    const result = await sandbox.run('python', [
+      'import os',
+      `for path in ['/etc/hostname', ${JSON.stringify(serverSource)}, '/proc/%d/environ' % os.getppid()]:`,
+      '    try:',
+      '        open(path).read()',
+      "        print('read')",
+      '    except PermissionError:',
+      "        print('no read')",
+      'import json',
+      "print(json.dumps([1, 2]))"
+    ].join('\n'));
+
+    // Its own standard library can still be imported
+    expect(result.stdout).toBe('no read\nno read\nno read\n[1, 2]\n');
+  });
+});
@@ -0,0 +1,326 @@
+// Sandbox for running students' answers to code questions.
+//
+// Each run is a separate child process in its own temporary directory, with
+// a time limit, a memory limit and a cap on how much output it may print:
+//
+//   run(language, code, input)     -> Promise<{ status, stdout, stderr, durationMs }>
+//   runTests(language, code, tests) -> Promise<[{ passed, status, output, error }]>
+//
+// A program reads a test's input on stdin and passes when what it prints
+// matches the expected output, ignoring trailing spaces and blank lines.
+//
+// JavaScript runs under Node's permission model, which blocks reading other
+// files, writing files and starting processes. The server checks the
+// configured node binary supports it on startup (Node 20 or later, and not
+// Bun, which ignores the flags) and otherwise fails JavaScript answers rather
+// than run them unconfined. Python runs under Landlock
+// (Linux 5.13 or later), which only lets it read its own standard library and
+// run directory and, on Linux 6.7 or later, blocks TCP connections and
+// signalling other processes; resource limits block writing to files and,
+// unless the server runs as root, starting processes. Where Landlock isn't
+// available Python answers fail to run rather than run unconfined. Node's
+// permission model doesn't block the network, so run the server as an
+// unprivileged user where the sandbox can't reach anything that matters
+// (e.g. a container without network access).
+//
+// Both languages also get a CPU time limit and an OS memory limit, which
+// covers memory allocated outside the JavaScript heap as well.
+
+import { spawn, spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Languages code questions can be answered in
+export const CODE_LANGUAGES = ['javascript', 'python'];
+
+// How a run ended: it finished, exited with an error, ran out of time or
+// printed more than allowed
+export const RUN_STATUS = {
+  OK: 'ok',
+  ERROR: 'error',
+  TIMEOUT: 'timeout',
+  OUTPUT_LIMIT: 'output_limit'
+};
+
+// Most output kept from a run, so a program printing in a loop can't fill
+// the server's memory
+const MAX_OUTPUT_BYTES = 64 * 1024;
+
+// Most output kept in a test result, which is stored with the grade
+const MAX_RESULT_OUTPUT_LENGTH = 2000;
+
+// Flags that turn on Node's permission model, newest first. Node 20 only
+// knows the experimental one.
+const NODE_PERMISSION_FLAGS = ['--permission', '--experimental-permission'];
+
+// Prints "confined" only when the permission model is actually on
+const NODE_PERMISSION_PROBE =
+  "console.log(process.permission && !process.permission.has('fs.write') && !process.permission.has('child') ? 'confined' : 'unconfined')";
+
+// Sets the data segment limit (KB), which Node's off-heap buffers count
+// against, and the CPU limit (seconds) before starting Node. An address
+// space limit would also cover the ranges V8 reserves but never uses, so
+// Node wouldn't start under it.
+const NODE_LIMITS_WRAPPER = 'ulimit -d "$1" && ulimit -t "$2" && shift 2 && exec "$@"';
+
+// Applies the limits Node can't set on a child process, then runs the
+// student's file as the main module. Arguments: memory limit in bytes, CPU
+// seconds, path of the file.
+//
+// The Landlock ruleset handles every filesystem right the kernel knows
+// about, then allows reading Python's module directories and the run
+// directory only. Syscall numbers are the same on every architecture.
+const PYTHON_HARNESS = `
+import ctypes, os, resource, sys
+memory, cpu, path = int(sys.argv[1]), int(sys.argv[2]), sys.argv[3]
+source = open(path).read()
+
+def fail(step):
+    sys.exit('Sandbox unavailable: could not ' + step + ' (Python answers need Linux 5.13+ with Landlock)')
+
+class RulesetAttr(ctypes.Structure):
+    _fields_ = [('fs', ctypes.c_uint64), ('net', ctypes.c_uint64), ('scoped', ctypes.c_uint64)]
+
+class PathBeneathAttr(ctypes.Structure):
+    _pack_ = 1
+    _fields_ = [('access', ctypes.c_uint64), ('fd', ctypes.c_int32)]
+
+libc = ctypes.CDLL(None, use_errno=True)
+abi = libc.syscall(444, None, ctypes.c_size_t(0), 1)
+if abi < 1:
+    fail('find Landlock')
+fs = (1 << 13) - 1
+if abi >= 2: fs |= 1 << 13
+if abi >= 3: fs |= 1 << 14
+if abi >= 5: fs |= 1 << 15
+attr = RulesetAttr(fs, 3 if abi >= 4 else 0, 3 if abi >= 6 else 0)
+size = 24 if abi >= 6 else 16 if abi >= 4 else 8
+ruleset = libc.syscall(444, ctypes.byref(attr), ctypes.c_size_t(size), 0)
+if ruleset < 0:
+    fail('create the ruleset')
+
+READ = 4 | 8
+for allowed in {os.path.dirname(path)} | {entry for entry in sys.path if os.path.isdir(entry)}:
+    fd = os.open(allowed, os.O_PATH | os.O_CLOEXEC)
+    rule = PathBeneathAttr(READ, fd)
+    if libc.syscall(445, ruleset, 1, ctypes.byref(rule), 0) != 0:
+        fail('allow ' + allowed)
+    os.close(fd)
+if libc.prctl(38, 1, 0, 0, 0) != 0 or libc.syscall(446, ruleset, 0) != 0:
+    fail('apply the ruleset')
+os.close(ruleset)
+
+resource.setrlimit(resource.RLIMIT_AS, (memory, memory))
+resource.setrlimit(resource.RLIMIT_CPU, (cpu, cpu))
+resource.setrlimit(resource.RLIMIT_FSIZE, (0, 0))
+resource.setrlimit(resource.RLIMIT_NPROC, (0, 0))
+sys.argv = [path]
+exec(compile(source, path, 'exec'), {'__name__': '__main__'})
+`;
+
+// Helper function to read the sandbox config from the environment.
+//   CODE_TIME_LIMIT_MS    longest a single run may take; defaults to 2000
+//   CODE_MEMORY_LIMIT_MB  memory a single run may use; defaults to 128
+//   CODE_MAX_RUNS         runs allowed at the same time; defaults to 2
+//   PYTHON_PATH           Python interpreter; defaults to python3
+//   SANDBOX_NODE_PATH     node binary for JavaScript answers; defaults to
+//                         node (NODE_PATH already means Node's module path)
+export function getSandboxConfig(env = process.env) {
+  const positive = (value, fallback) => (Number(value) > 0 ? Number(value) : fallback);
+  return {
+    timeLimitMs: positive(env.CODE_TIME_LIMIT_MS, 2000),
+    memoryLimitMb: positive(env.CODE_MEMORY_LIMIT_MB, 128),
+    maxConcurrentRuns: Math.floor(positive(env.CODE_MAX_RUNS, 2)),
+    pythonPath: env.PYTHON_PATH || 'python3',
+    nodePath: env.SANDBOX_NODE_PATH || 'node'
+  };
+}
+
+// Helper function to compare program output with the expected output,
+// ignoring line endings, trailing spaces and trailing blank lines
+export function normalizeOutput(text) {
+  return String(text ?? '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .trimEnd();
+}
+
+// Helper function to find the flag that turns on the permission model for a
+// node binary, or null when it doesn't have one that works
+function findPermissionFlag(nodePath) {
+  return NODE_PERMISSION_FLAGS.find(flag => {
+    const probe = spawnSync(nodePath, ['--no-warnings', flag, '-e', NODE_PERMISSION_PROBE], {
+      env: { PATH: process.env.PATH },
+      encoding: 'utf8',
+      timeout: 10000
+    });
+    return probe.status === 0 && probe.stdout.trim() === 'confined';
+  }) ?? null;
+}
+
+// Helper function to get the CPU seconds a run may use
+function getCpuSeconds(config) {
+  return Math.ceil(config.timeLimitMs / 1000) + 1;
+}
+
+// Helper function to get the command that runs a file in a language
+function getCommand(language, file, config, permissionFlag) {
+  if (language === 'javascript') {
+    return {
+      command: '/bin/sh',
+      args: [
+        '-c',
+        NODE_LIMITS_WRAPPER,
+        'sh',
+        String(config.memoryLimitMb * 1024),
+        String(getCpuSeconds(config)),
+        config.nodePath,
+        '--no-warnings',
+        permissionFlag,
+        `--allow-fs-read=${file}`,
+        `--max-old-space-size=${config.memoryLimitMb}`,
+        file
+      ]
+    };
+  }
+  if (language === 'python') {
+    return {
+      command: config.pythonPath,
+      args: [
+        '-I',
+        '-c',
+        PYTHON_HARNESS,
+        String(config.memoryLimitMb * 1024 * 1024),
+        String(getCpuSeconds(config)),
+        file
+      ]
+    };
+  }
+  throw new Error(`Unknown language "${language}". Use ${CODE_LANGUAGES.join(' or ')}.`);
+}
+
+// Helper function to run a command with input on stdin, killing it when it
+// runs out of time or prints too much
+function runProcess(command, args, { cwd, input, timeLimitMs }) {
+  return new Promise(resolve => {
+    const started = Date.now();
+    const child = spawn(command, args, {
+      cwd,
+      env: { PATH: process.env.PATH, LANG: 'C.UTF-8' },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    const stdout = [];
+    const stderr = [];
+    let outputBytes = 0;
+    let status = null;
+
+    const stop = (reason) => {
+      if (status) return;
+      status = reason;
+      child.kill('SIGKILL');
+    };
+    const timer = setTimeout(() => stop(RUN_STATUS.TIMEOUT), timeLimitMs);
+    const collect = (chunks) => (chunk) => {
+      outputBytes += chunk.length;
+      if (outputBytes > MAX_OUTPUT_BYTES) return stop(RUN_STATUS.OUTPUT_LIMIT);
+      chunks.push(chunk);
+    };
+
+    child.stdout.on('data', collect(stdout));
+    child.stderr.on('data', collect(stderr));
+    // A program that exits without reading its input closes stdin early
+    child.stdin.on('error', () => {});
+    child.stdin.end(input || '');
+
+    // 'close' can follow 'error', so only the first one counts
+    let finished = false;
+    const finish = (code, error) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      resolve({
+        status: status || (code === 0 ? RUN_STATUS.OK : RUN_STATUS.ERROR),
+        stdout: Buffer.concat(stdout).toString('utf8'),
+        stderr: error ? error.message : Buffer.concat(stderr).toString('utf8'),
+        durationMs: Date.now() - started
+      });
+    };
+    child.on('error', error => finish(null, error));
+    child.on('close', code => finish(code));
+  });
+}
+
+// Helper function to cut long output down for a stored test result
+function truncate(text) {
+  return text.length > MAX_RESULT_OUTPUT_LENGTH ? `${text.slice(0, MAX_RESULT_OUTPUT_LENGTH)}…` : text;
+}
+
+export function createSandbox(config = getSandboxConfig()) {
+  const permissionFlag = findPermissionFlag(config.nodePath);
+  if (!permissionFlag) {
+    console.warn(`⚠️  ${config.nodePath} doesn't support Node's permission model, so JavaScript answers will not run`);
+  }
+
+  // Runs beyond maxConcurrentRuns wait for a slot, which is handed straight
+  // to the next one waiting when a run finishes
+  let running = 0;
+  const waiting = [];
+
+  const withSlot = async (task) => {
+    if (running < config.maxConcurrentRuns) {
+      running++;
+    } else {
+      await new Promise(resolve => waiting.push(resolve));
+    }
+    try {
+      return await task();
+    } finally {
+      const next = waiting.shift();
+      if (next) next();
+      else running--;
+    }
+  };
+
+  const run = (language, code, input = '') => withSlot(async () => {
+    if (language === 'javascript' && !permissionFlag) {
+      return {
+        status: RUN_STATUS.ERROR,
+        stdout: '',
+        stderr: `Sandbox unavailable: ${config.nodePath} doesn't support Node's permission model (JavaScript answers need Node 20 or later)`,
+        durationMs: 0
+      };
+    }
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'examecho-run-'));
+    try {
+      const file = path.join(dir, language === 'python' ? 'main.py' : 'main.js');
+      await fs.writeFile(file, code);
+      const { command, args } = getCommand(language, file, config, permissionFlag);
+      return await runProcess(command, args, { cwd: dir, input, timeLimitMs: config.timeLimitMs });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  // Run a program once per test. A test passes when the program finishes
+  // and prints the expected output.
+  const runTests = async (language, code, tests) => {
+    const results = [];
+    for (const test of tests) {
+      const result = await run(language, code, test.input);
+      const passed = result.status === RUN_STATUS.OK &&
+        normalizeOutput(result.stdout) === normalizeOutput(test.expectedOutput);
+      results.push({
+        passed,
+        status: result.status === RUN_STATUS.OK ? (passed ? 'passed' : 'failed') : result.status,
+        output: truncate(result.stdout),
+        error: truncate(result.stderr)
+      });
+    }
+    return results;
+  };
+
+  return { run, runTests };
+}
@@ -0,0 +1,552 @@
+// Request schemas for the API routes. See validation.js for the schema format.
+
+import {
+  QUESTION_TYPES,
+  CHOICE_TYPES,
+  MULTISELECT_SCORING,
+  NUMERIC_TOLERANCE,
+  TEXT_ANSWER_TYPES,
+  countBlanks,
+  getBlankPattern,
+  getRubricMaxPoints
+} from './grading.js';
+import { CODE_LANGUAGES } from './sandbox/index.js';
+
+const page = { type: 'number', integer: true, coerce: true, min: 1, label: 'Page' };
+const limit = { type: 'number', integer: true, coerce: true, min: 1, max: 500, label: 'Limit' };
+
+// ==================== AUTH ====================
+
+export const registerSchema = {
+  type: 'object',
+  fields: {
+    role: { type: 'string', required: true, enum: ['student', 'faculty'], label: 'Role' },
+    fullName: { type: 'string', required: true, maxLength: 100, label: 'Full name' },
+    email: { type: 'string', required: true, format: 'email', maxLength: 200, label: 'Email' },
+    enrollment: { type: 'string', maxLength: 50, label: 'Enrollment number' },
+    facultyId: { type: 'string', maxLength: 50, label: 'Faculty ID' },
+    inviteCode: { type: 'string', maxLength: 200, label: 'Invite code' },
+    department: { type: 'string', maxLength: 100, label: 'Department' },
+    year: { type: 'number', integer: true, coerce: true, min: 1, nullable: true, label: 'Year' },
+    password: { type: 'string', required: true, trim: false, minLength: 8, maxLength: 200, label: 'Password' }
+  },
+  rules: [
+    body => body.role === 'student' && !body.enrollment &&
+      { field: 'enrollment', message: 'Enrollment number is required' },
+    body => body.role === 'faculty' && !body.facultyId &&
+      { field: 'facultyId', message: 'Faculty ID is required' },
+    body => body.role === 'faculty' && !body.inviteCode &&
+      { field: 'inviteCode', message: 'An invite code is required to register as faculty' }
+  ]
+};
+
+export const loginSchema = {
+  type: 'object',
+  fields: {
+    role: { type: 'string', required: true, enum: ['student', 'faculty'], label: 'Role' },
+    identifier: { type: 'string', required: true, label: 'Email or ID' },
+    password: { type: 'string', required: true, trim: false, label: 'Password' }
+  }
+};
+
+// ==================== STUDENT ====================
+
+export const studentExamsQuerySchema = {
+  type: 'object',
+  fields: {
+    status: {
+      type: 'string',
+      enum: ['all', 'live', 'available', 'upcoming', 'finished', 'completed'],
+      label: 'Status'
+    },
+    page,
+    limit
+  }
+};
+
+// Answers are keyed by question id; their shape depends on the question type
+const answersSchema = { type: 'record', label: 'Answers' };
+
+export const submitExamSchema = {
+  type: 'object',
+  fields: {
+    attemptId: { type: 'string', required: true, label: 'Attempt ID' },
+    answers: answersSchema,
+    // The last autosave revision the server acknowledged, sent with a
+    // submit an offline client is replaying
+    revision: { type: 'number', integer: true, min: 0, label: 'Revision' }
+  }
+};
+
+export const saveAnswersSchema = {
+  type: 'object',
+  fields: {
+    answers: answersSchema,
+    currentQuestionIndex: { type: 'number', integer: true, min: 0, label: 'Current question' }
+  }
+};
+
+// Longest answer to a code question that will be run
+const MAX_CODE_LENGTH = 20000;
+
+export const runCodeSchema = {
+  type: 'object',
+  fields: {
+    code: { type: 'string', required: true, trim: false, maxLength: MAX_CODE_LENGTH, label: 'Code' }
+  }
+};
+
+// ==================== FACULTY ====================
+
+// Attachments point at files uploaded through POST /api/faculty/media
+const mediaRefSchema = {
+  type: 'object',
+  nullable: true,
+  fields: {
+    id: {
+      type: 'string',
+      required: true,
+      pattern: /^[a-f0-9]{64}$/,
+      label: 'Media ID',
+      requiredMessage: 'Attachment needs to be uploaded again'
+    },
+    file: { type: 'string', maxLength: 255, label: 'File name' },
+    type: { type: 'string', maxLength: 100, label: 'File type' }
+  }
+};
+
+export const MEDIA_SLOTS = ['image', 'video', 'graph'];
+
+// A rubric criterion is scored by picking one of its levels
+const rubricCriterionSchema = {
+  type: 'object',
+  fields: {
+    id: { type: 'string', required: true, maxLength: 50, label: 'Criterion ID' },
+    title: { type: 'string', required: true, maxLength: 200, label: 'Criterion' },
+    levels: {
+      type: 'array',
+      required: true,
+      minItems: 2,
+      maxItems: 10,
+      minItemsMessage: 'Each criterion needs at least 2 levels',
+      label: 'Levels',
+      items: {
+        type: 'object',
+        fields: {
+          points: { type: 'number', required: true, min: 0, label: 'Level points' },
+          descriptor: { type: 'string', maxLength: 1000, label: 'Level description' }
+        }
+      }
+    }
+  },
+  rules: [
+    ({ levels = [] }) => new Set(levels.map(level => level?.points)).size !== levels.length &&
+      { field: 'levels', message: 'Each level needs a different number of points' }
+  ]
+};
+
+// Helper function to check a question's rubric against the question
+function checkRubric(question) {
+  // Criteria that failed their own checks are already reported
+  const rubric = (question.rubric || []).filter(Boolean);
+  if (rubric.length === 0) return null;
+
+  if (question.type !== 'descriptive') {
+    return { field: 'rubric', message: 'Only descriptive questions can have a rubric' };
+  }
+  if (new Set(rubric.map(criterion => criterion.id)).size !== rubric.length) {
+    return { field: 'rubric', message: 'Each criterion needs its own ID' };
+  }
+  const rubricPoints = getRubricMaxPoints(rubric);
+  if (rubricPoints !== question.points) {
+    return { field: 'rubric', message: `The rubric adds up to ${rubricPoints} points but the question is worth ${question.points}` };
+  }
+  return null;
+}
+
+// Helper function to check an option index, returning what is wrong with it
+function checkOptionIndex(value, label) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return `${label} must be a number`;
+  if (!Number.isInteger(value)) return `${label} must be a whole number`;
+  if (value < 0) return `${label} cannot be negative`;
+  return null;
+}
+
+// Helper function to check a question's correct answer: one option index,
+// for multi-select questions a list of them, and for numeric questions the
+// expected value
+function checkCorrectAnswer(question) {
+  const { correctAnswer } = question;
+
+  if (question.type === 'numeric') {
+    if (correctAnswer === null || correctAnswer === undefined) {
+      return { field: 'correctAnswer', message: 'Numeric questions need an expected value' };
+    }
+    if (typeof correctAnswer !== 'number' || !Number.isFinite(correctAnswer)) {
+      return { field: 'correctAnswer', message: 'Expected value must be a number' };
+    }
+    return null;
+  }
+
+  if (correctAnswer === null || correctAnswer === undefined) return null;
+
+  if (question.type !== 'multiselect') {
+    const message = checkOptionIndex(correctAnswer, 'Correct answer');
+    return message && { field: 'correctAnswer', message };
+  }
+
+  if (!Array.isArray(correctAnswer)) {
+    return { field: 'correctAnswer', message: 'Correct answers must be a list' };
+  }
+  const message = correctAnswer.map(index => checkOptionIndex(index, 'Correct answer')).find(Boolean);
+  if (message) return { field: 'correctAnswer', message };
+  if (correctAnswer.length === 0) {
+    return { field: 'correctAnswer', message: 'Please mark at least one correct answer' };
+  }
+  if (new Set(correctAnswer).size !== correctAnswer.length) {
+    return { field: 'correctAnswer', message: 'Each correct answer can only be marked once' };
+  }
+  if (correctAnswer.some(index => index >= (question.options || []).length)) {
+    return { field: 'correctAnswer', message: 'Correct answers must be among the options' };
+  }
+  return null;
+}
+
+// Helper function to check that every accepted answer of a blank that uses
+// regular expressions is a valid pattern
+function checkBlankPatterns(blank) {
+  if (!blank.regex) return null;
+  for (const accepted of blank.accepted || []) {
+    try {
+      getBlankPattern(blank, accepted);
+    } catch {
+      return { field: 'accepted', message: `"${accepted}" is not a valid regular expression` };
+    }
+  }
+  return null;
+}
+
+// One blank of a fill-in-the-blank or short-answer question: the answers
+// that count as right and how typed answers are compared with them
+const blankSchema = {
+  type: 'object',
+  fields: {
+    accepted: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: 50,
+      minItemsMessage: 'Each blank needs at least one accepted answer',
+      items: { type: 'string', required: true, maxLength: 500, label: 'Accepted answer' },
+      label: 'Accepted answers'
+    },
+    caseSensitive: { type: 'boolean', default: false, label: 'Case sensitive' },
+    normalizeWhitespace: { type: 'boolean', default: true, label: 'Ignore extra spaces' },
+    regex: { type: 'boolean', default: false, label: 'Regular expressions' }
+  },
+  rules: [checkBlankPatterns]
+};
+
+// Helper function to check a question's blanks against the question: a
+// short answer has exactly one, and a fill-in-the-blank question one for
+// each blank marked in its text
+function checkBlanks(question) {
+  const blanks = question.blanks || [];
+  if (!TEXT_ANSWER_TYPES.includes(question.type)) {
+    return blanks.length > 0 &&
+      { field: 'blanks', message: 'Only fill-in-the-blank and short answer questions have accepted answers' };
+  }
+  if (question.type === 'short') {
+    return blanks.length !== 1 &&
+      { field: 'blanks', message: 'Short answer questions need one list of accepted answers' };
+  }
+
+  const marked = countBlanks(question.question);
+  if (marked === 0) {
+    return { field: 'question', message: 'Mark each blank in the question with ___' };
+  }
+  if (marked !== blanks.length) {
+    return { field: 'blanks', message: `The question has ${marked} blank(s) but accepted answers for ${blanks.length}` };
+  }
+  return null;
+}
+
+// Helper function to check whether a list has the same entry twice,
+// ignoring case and surrounding spaces
+function hasDuplicates(list) {
+  const seen = list.map(item => String(item).trim().toLowerCase());
+  return new Set(seen).size !== seen.length;
+}
+
+// Helper function to check the pairs of a matching question and the items
+// of an ordering question. Students answer with the text of a match or an
+// item, so each must be different.
+function checkArrangement(question) {
+  const pairs = (question.pairs || []).filter(Boolean);
+  const order = question.correctOrder || [];
+
+  if (question.type !== 'matching' && pairs.length > 0) {
+    return { field: 'pairs', message: 'Only matching questions can have pairs' };
+  }
+  if (question.type !== 'ordering' && order.length > 0) {
+    return { field: 'correctOrder', message: 'Only ordering questions can have items to order' };
+  }
+  if (question.type === 'matching') {
+    if (pairs.length < 2) return { field: 'pairs', message: 'Matching questions need at least 2 pairs' };
+    if (hasDuplicates(pairs.map(pair => pair.prompt))) {
+      return { field: 'pairs', message: 'Each prompt can only be used once' };
+    }
+    if (hasDuplicates(pairs.map(pair => pair.match))) {
+      return { field: 'pairs', message: 'Each match can only be used once' };
+    }
+  }
+  if (question.type === 'ordering') {
+    if (order.length < 2) return { field: 'correctOrder', message: 'Ordering questions need at least 2 items' };
+    if (hasDuplicates(order)) return { field: 'correctOrder', message: 'Each item to order must be different' };
+  }
+  return null;
+}
+
+// Helper function to check the test cases of a code question. Students are
+// scored on the hidden tests, so there must be at least one.
+function checkTestCases(question) {
+  const tests = (question.testCases || []).filter(Boolean);
+
+  if (question.type !== 'code') {
+    return tests.length > 0 && { field: 'testCases', message: 'Only code questions can have test cases' };
+  }
+  if (!question.language) {
+    return { field: 'language', message: 'Please pick the language code questions are answered in' };
+  }
+  if (!tests.some(test => test.hidden)) {
+    return { field: 'testCases', message: 'Code questions need at least one hidden test case' };
+  }
+  return null;
+}
+
+// Question records also carry other editor fields, which are kept
+export const questionSchema = {
+  type: 'object',
+  unknown: 'allow',
+  fields: {
+    id: { type: 'string', required: true, label: 'Question ID' },
+    type: { type: 'string', required: true, enum: QUESTION_TYPES, label: 'Question type' },
+    question: { type: 'string', required: true, richText: true, maxLength: 5000, label: 'Question text' },
+    points: { type: 'number', min: 0, default: 1, label: 'Points' },
+    options: {
+      type: 'array',
+      maxItems: 10,
+      items: { type: 'string', required: true, richText: true, maxLength: 1000, label: 'Option' },
+      label: 'Options'
+    },
+    // An option index, a list of them for multi-select, or the expected value
+    // of a numeric question (see checkCorrectAnswer)
+    correctAnswer: { type: 'any', nullable: true, label: 'Correct answer' },
+    scoringMode: { type: 'string', enum: Object.values(MULTISELECT_SCORING), label: 'Scoring' },
+    // How far a numeric answer may be from the expected value
+    tolerance: { type: 'number', min: 0, nullable: true, label: 'Tolerance' },
+    toleranceMode: { type: 'string', enum: Object.values(NUMERIC_TOLERANCE), label: 'Tolerance type' },
+    units: { type: 'string', nullable: true, maxLength: 50, label: 'Units' },
+    // Overrides the exam's negative marks for this question
+    negativeMarks: { type: 'number', min: 0, nullable: true, label: 'Negative marks' },
+    answer: { type: 'string', nullable: true, richText: true, maxLength: 10000, label: 'Answer key' },
+    media: {
+      type: 'object',
+      nullable: true,
+      label: 'Media',
+      fields: Object.fromEntries(MEDIA_SLOTS.map(slot => [slot, mediaRefSchema]))
+    },
+    rubric: { type: 'array', nullable: true, maxItems: 20, items: rubricCriterionSchema, label: 'Rubric' },
+    keywords: {
+      type: 'array',
+      nullable: true,
+      maxItems: 50,
+      items: { type: 'string', required: true, maxLength: 200, label: 'Keyword' },
+      label: 'Required keywords'
+    },
+    blanks: { type: 'array', nullable: true, maxItems: 20, items: blankSchema, label: 'Blanks' },
+    // A matching question's prompts, each with the match that belongs to it
+    pairs: {
+      type: 'array',
+      nullable: true,
+      maxItems: 20,
+      label: 'Pairs',
+      items: {
+        type: 'object',
+        fields: {
+          prompt: { type: 'string', required: true, maxLength: 1000, label: 'Prompt' },
+          match: { type: 'string', required: true, maxLength: 1000, label: 'Match' }
+        }
+      }
+    },
+    // An ordering question's items, in the right order
+    correctOrder: {
+      type: 'array',
+      nullable: true,
+      maxItems: 20,
+      items: { type: 'string', required: true, maxLength: 1000, label: 'Item' },
+      label: 'Items to order'
+    },
+    // A code question's language and the code students start from
+    language: { type: 'string', nullable: true, enum: CODE_LANGUAGES, label: 'Language' },
+    starterCode: { type: 'string', nullable: true, trim: false, maxLength: MAX_CODE_LENGTH, label: 'Starter code' },
+    // What a code answer is run with: the input on stdin and the output it
+    // should print. Visible tests are shown to students; hidden ones score.
+    testCases: {
+      type: 'array',
+      nullable: true,
+      maxItems: 20,
+      label: 'Test cases',
+      items: {
+        type: 'object',
+        fields: {
+          input: { type: 'string', default: '', trim: false, maxLength: 10000, label: 'Input' },
+          expectedOutput: { type: 'string', default: '', trim: false, maxLength: 10000, label: 'Expected output' },
+          hidden: { type: 'boolean', default: false, label: 'Hidden' }
+        }
+      }
+    }
+  },
+  rules: [
+    question => CHOICE_TYPES.includes(question.type) && (question.options || []).length < 2 &&
+      { field: 'options', message: 'Multiple choice questions need at least 2 options' },
+    checkCorrectAnswer,
+    checkBlanks,
+    checkArrangement,
+    checkTestCases,
+    question => question.type !== 'descriptive' && (question.keywords || []).length > 0 &&
+      { field: 'keywords', message: 'Only descriptive questions can have required keywords' },
+    question => question.negativeMarks > 0 && !CHOICE_TYPES.includes(question.type) &&
+      { field: 'negativeMarks', message: 'Only multiple choice questions can have negative marks' },
+    question => question.negativeMarks > (question.points ?? 1) &&
+      { field: 'negativeMarks', message: 'Negative marks cannot be more than the question is worth' },
+    checkRubric
+  ]
+};
+
+const settingsSummarySchema = {
+  type: 'object',
+  label: 'Settings',
+  fields: {
+    strictMode: { type: 'boolean', default: false, label: 'Strict mode' },
+    attemptsLeft: { type: 'number', integer: true, min: 0, label: 'Allowed attempts' },
+    allowedReRecords: { type: 'number', integer: true, min: 0, label: 'Allowed re-records' },
+    instructions: { type: 'string', nullable: true, maxLength: 5000, label: 'Instructions' },
+    scoring: {
+      type: 'object',
+      nullable: true,
+      label: 'Scoring',
+      fields: {
+        negativeMarks: { type: 'number', min: 0, default: 0, label: 'Negative marks' },
+        floorAtZero: { type: 'boolean', default: false, label: 'Floor at zero' }
+      }
+    }
+  }
+};
+
+// Helper function to check the time window of an exam record. Invalid dates
+// are already reported by the date fields themselves.
+function checkExamWindow(exam) {
+  const starts = new Date(exam.startsAt);
+  const ends = new Date(exam.endsAt);
+  if (isNaN(starts.getTime()) || isNaN(ends.getTime())) return null;
+
+  if (ends <= starts) {
+    return { field: 'endsAt', message: 'End time must be after start time' };
+  }
+  const windowMin = Math.ceil((ends - starts) / (1000 * 60));
+  if (typeof exam.durationMin === 'number' && exam.durationMin > windowMin) {
+    return { field: 'durationMin', message: `Duration cannot be longer than the ${windowMin} minute exam window` };
+  }
+  return null;
+}
+
+// The fields faculty can set on an exam. Everything else on the record
+// (id, owner, status, counts) is managed by the server.
+export const examSchema = {
+  type: 'object',
+  fields: {
+    title: { type: 'string', required: true, maxLength: 200, label: 'Title' },
+    shortDescription: { type: 'string', required: true, maxLength: 1000, label: 'Description' },
+    startsAt: { type: 'date', required: true, label: 'Start date and time' },
+    endsAt: { type: 'date', required: true, label: 'End date and time' },
+    durationMin: { type: 'number', required: true, integer: true, min: 1, label: 'Duration' },
+    timePerQuestionSec: { type: 'number', integer: true, min: 1, nullable: true, label: 'Time per question' },
+    pointsTotal: { type: 'number', required: true, min: 1, label: 'Total points' },
+    questions: { type: 'array', items: questionSchema, label: 'Questions' },
+    thumbnailUrl: { type: 'string', nullable: true, maxLength: 2000, label: 'Thumbnail URL' },
+    settingsSummary: settingsSummarySchema
+  },
+  rules: [checkExamWindow]
+};
+
+// Publishing a draft needs at least one question
+export const publishExamSchema = {
+  ...examSchema,
+  fields: {
+    ...examSchema.fields,
+    questions: {
+      ...examSchema.fields.questions,
+      required: true,
+      minItems: 1,
+      requiredMessage: 'Please add at least one question',
+      minItemsMessage: 'Please add at least one question'
+    }
+  }
+};
+
+export const facultyExamsQuerySchema = {
+  type: 'object',
+  fields: {
+    status: { type: 'string', enum: ['all', 'live', 'upcoming', 'finished'], label: 'Status' },
+    page,
+    limit
+  }
+};
+
+export const draftSchema = {
+  type: 'object',
+  fields: {
+    title: { type: 'string', required: true, maxLength: 200, label: 'Title' },
+    shortDescription: { type: 'string', required: true, maxLength: 1000, label: 'Description' },
+    instructions: { type: 'string', nullable: true, maxLength: 5000, label: 'Instructions' },
+    questions: { type: 'array', items: questionSchema, label: 'Questions' }
+  }
+};
+
+export const studentsQuerySchema = {
+  type: 'object',
+  fields: {
+    department: { type: 'string', maxLength: 100, label: 'Department' },
+    year: { type: 'number', integer: true, coerce: true, min: 1, label: 'Year' },
+    search: { type: 'string', maxLength: 200, label: 'Search' },
+    page,
+    limit
+  }
+};
+
+// ==================== GRADING ====================
+
+export const gradingQueueQuerySchema = {
+  type: 'object',
+  fields: {
+    status: { type: 'string', enum: ['pending', 'all'], default: 'pending', label: 'Status' },
+    examId: { type: 'string', label: 'Exam ID' }
+  }
+};
+
+// Questions with a rubric are graded with `criteria` (criterion id -> the
+// points of the chosen level), the rest with `points`. Both depend on the
+// question, so the route checks them.
+export const gradeSchema = {
+  type: 'object',
+  fields: {
+    points: { type: 'number', coerce: true, min: 0, label: 'Points' },
+    criteria: {
+      type: 'record',
+      values: { type: 'number', coerce: true, min: 0, label: 'Level points' },
+      label: 'Rubric scores'
+    },
+    comment: { type: 'string', maxLength: 5000, label: 'Comment' }
+  }
+};
@@ -0,0 +1,42 @@
+// Move base64 media saved inside exam and draft questions into the media
+// store, so questions reference uploaded files by id.
+//
+//   npm run media:extract                  uses STORAGE_DRIVER / DB_PATH / MEDIA_DIR
+//   npm run media:extract -- --dry-run     reports what would change without writing
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createStorage, getStorageConfig } from '../storage/index.js';
+import { createMediaStore, getMediaConfig } from '../media/index.js';
+import { extractInlineMedia } from '../media/extractInline.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const baseDir = path.join(__dirname, '..');
+const config = getStorageConfig(process.env, baseDir);
+const mediaConfig = getMediaConfig(process.env, baseDir);
+const dryRun = process.argv.includes('--dry-run');
+
+let storage;
+try {
+  storage = await createStorage(config);
+  const report = await extractInlineMedia(storage, createMediaStore(mediaConfig), { dryRun });
+
+  console.log(`${dryRun ? '🔍 Dry run of media extraction' : '✅ Extracted media'} from ${config.driver} (${config.path}) into ${mediaConfig.dir}`);
+  console.log(`  exams changed: ${report.exams}`);
+  console.log(`  drafts changed: ${report.drafts}`);
+  console.log(`  files ${dryRun ? 'to store' : 'stored'}: ${report.extracted}`);
+  if (report.reused > 0) {
+    console.log(`  already stored: ${report.reused}`);
+  }
+  if (report.unreadable.length > 0) {
+    console.log(`  ⚠️  ${report.unreadable.length} attachment(s) are not data URLs and were left as they are:`);
+    report.unreadable.forEach(({ collection, id, questionId, slot }) => {
+      console.log(`    ${collection} ${id} question ${questionId} (${slot})`);
+    });
+  }
+} catch (error) {
+  console.error(`❌ Media extraction failed: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  storage?.close();
+}
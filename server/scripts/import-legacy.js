@@ -0,0 +1,64 @@
+// One-time import of a legacy database.json into the configured storage.
+//
+//   STORAGE_DRIVER=sqlite npm run db:import -- [--from server/database.json] [--dry-run]
+//
+// Prints a report of what was imported, which exam copies were merged and
+// which submissions point at a missing exam or student.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createStorage, getStorageConfig } from '../storage/index.js';
+import { importLegacyDatabase } from '../storage/legacyImport.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Helper function to read a `--name value` command line option
+function getOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const sourcePath = path.resolve(getOption('from', path.join(__dirname, '..', 'database.json')));
+const dryRun = process.argv.includes('--dry-run');
+const config = getStorageConfig(process.env, path.join(__dirname, '..'));
+
+if (config.driver === 'json' && path.resolve(config.path) === sourcePath) {
+  console.error('❌ The source and target are the same file. Set STORAGE_DRIVER=sqlite or DB_PATH to import into a new database.');
+  process.exit(1);
+}
+
+let storage;
+try {
+  const legacy = JSON.parse(fs.readFileSync(sourcePath, 'utf8'));
+  storage = await createStorage(config);
+  const report = importLegacyDatabase(legacy, storage, { dryRun });
+
+  console.log(`${dryRun ? '🔍 Dry run of import' : '✅ Imported'} ${sourcePath} into ${config.driver} (${config.path})`);
+  Object.entries(report.imported).forEach(([name, count]) => {
+    const skipped = report.skipped[name] ? `, ${report.skipped[name]} skipped (missing or repeated id)` : '';
+    console.log(`  ${name}: ${count}${skipped}`);
+  });
+
+  const { merged, facultyOnly, studentOnly, conflicts } = report.exams;
+  console.log(`\nExams: ${merged} faculty/student pairs merged`);
+  if (facultyOnly.length) console.log(`  only in facultyExams: ${facultyOnly.join(', ')}`);
+  if (studentOnly.length) console.log(`  only in exams: ${studentOnly.join(', ')}`);
+  conflicts.forEach(c => console.log(`  ${c.examId}: kept the faculty value for ${c.fields.join(', ')}`));
+  const unowned = [...report.unowned.exams, ...report.unowned.drafts];
+  if (unowned.length) console.log(`  no single faculty account with the teacher's name, left without an owner: ${unowned.join(', ')}`);
+
+  if (report.orphanedSubmissions.length === 0) {
+    console.log('\nNo orphaned submissions');
+  } else {
+    console.log(`\n⚠️  ${report.orphanedSubmissions.length} orphaned submission(s) (imported as they are):`);
+    report.orphanedSubmissions.forEach(o => {
+      console.log(`  ${o.submissionId}: exam ${o.examId} / student ${o.studentId} (${o.reasons.join(', ')})`);
+    });
+  }
+} catch (error) {
+  console.error(`❌ Import failed: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  storage?.close();
+}
@@ -0,0 +1,39 @@
+// Apply pending schema migrations to the configured database.
+//
+//   npm run db:migrate                  uses STORAGE_DRIVER / DB_PATH
+//   npm run db:migrate -- --status      lists pending migrations without applying them
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getStorageConfig } from '../storage/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const config = getStorageConfig(process.env, path.join(__dirname, '..'));
+const statusOnly = process.argv.includes('--status');
+
+if (config.driver !== 'sqlite') {
+  console.log(`The ${config.driver} driver has no schema migrations. Set STORAGE_DRIVER=sqlite to migrate an SQLite database.`);
+  process.exit(0);
+}
+
+const { default: Database } = await import('better-sqlite3');
+const { applyMigrations, getPendingMigrations } = await import('../storage/migrations.js');
+
+const db = new Database(config.path);
+try {
+  const pending = getPendingMigrations(db);
+  if (pending.length === 0) {
+    console.log(`✅ ${config.path} is up to date`);
+  } else if (statusOnly) {
+    console.log(`${pending.length} pending migration(s) for ${config.path}:`);
+    pending.forEach(m => console.log(`  ${m.version}_${m.name}`));
+  } else {
+    applyMigrations(db).forEach(m => console.log(`  applied ${m.version}_${m.name}`));
+    console.log(`✅ Migrated ${config.path}`);
+  }
+} catch (error) {
+  console.error(`❌ Migration failed: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
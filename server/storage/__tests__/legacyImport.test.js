@@ -0,0 +1,262 @@
+// @vitest-environment node
+/**
+ * Tests for SQLite migrations and the legacy database.json importer
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { createStorage } from '../index.js';
+import { MIGRATIONS, applyMigrations, getPendingMigrations } from '../migrations.js';
+import { assignLegacyOwners, importLegacyDatabase, mergeExamRecords } from '../legacyImport.js';
+
+const legacyDatabase = () => ({
+  facultyExams: [
+    {
+      id: 'FAC-EX-1',
+      title: 'Physics Midterm',
+      startsAt: '2026-01-10T09:00:00.000Z',
+      endsAt: '2026-01-10T11:00:00.000Z',
+      durationMin: 90,
+      teacherName: 'Prof. Rao',
+      submissionCount: 2,
+      settingsSummary: { strictMode: true }
+    },
+    { id: 'FAC-EX-2', title: 'Unpublished copy', teacherName: 'Prof. Rao' }
+  ],
+  exams: [
+    {
+      id: 'FAC-EX-1',
+      title: 'Physics Mid-term',
+      durationMin: 90,
+      attemptsLeft: 1,
+      thumbnailUrl: null,
+      questions: [{ id: 'Q1', type: 'mcq', correctAnswer: 'A' }],
+      settingsSummary: { attemptsLeft: 1, strictMode: false }
+    },
+    { id: 'EX-OLD', title: 'Seeded exam' }
+  ],
+  students: [{ id: 'STU-1', name: 'Asha', enrollment: '2021001' }],
+  submissions: [
+    { id: 'SUB-1', examId: 'FAC-EX-1', studentId: 'STU-1', score: 1 },
+    { id: 'SUB-2', examId: 'EX-DELETED', studentId: 'STU-1', score: 0 },
+    { id: 'SUB-3', examId: 'FAC-EX-1', studentId: 'STU-GONE', score: 1 }
+  ],
+  draftExams: [{ id: 'DRAFT-1', title: 'Draft' }, { id: 'DRAFT-1', title: 'Repeated' }],
+  users: [
+    { id: 'USR-1', role: 'faculty', name: 'Prof. Rao' },
+    { id: 'USR-2', role: 'student', name: 'Asha' }
+  ]
+});
+
+describe('migrations', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('applies pending migrations in order and records them', () => {
+    expect(getPendingMigrations(db).map(m => m.version)).toEqual(MIGRATIONS.map(m => m.version));
+
+    const applied = applyMigrations(db);
+
+    expect(applied.map(m => m.version)).toEqual([1, 2, 3, 4, 5]);
+    expect(getPendingMigrations(db)).toEqual([]);
+    expect(applyMigrations(db)).toEqual([]);
+  });
+
+  it('folds faculty_exams into exams when unifying the exam tables', () => {
+    const [v1, v2, v3] = MIGRATIONS;
+    applyMigrations(db, [v1, v2]);
+    const insert = table => record =>
+      db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?)`).run(record.id, JSON.stringify(record));
+    legacyDatabase().facultyExams.forEach(insert('faculty_exams'));
+    legacyDatabase().exams.forEach(insert('exams'));
+
+    applyMigrations(db, [v1, v2, v3]);
+
+    const exams = db.prepare('SELECT data FROM exams ORDER BY rowid').all().map(r => JSON.parse(r.data));
+    expect(exams.map(e => e.id)).toEqual(['FAC-EX-1', 'FAC-EX-2', 'EX-OLD']);
+    expect(exams[0]).toMatchObject({ title: 'Physics Midterm', submissionCount: 2, questions: [{ id: 'Q1' }] });
+    expect(db.prepare("SELECT name FROM sqlite_master WHERE name = 'faculty_exams'").get()).toBeUndefined();
+  });
+
+  it('gives legacy exams and drafts an owner when assigning owners', () => {
+    const v5 = MIGRATIONS.find(m => m.version === 5);
+    applyMigrations(db, MIGRATIONS.filter(m => m.version < 5));
+    const insert = table => record =>
+      db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?)`).run(record.id, JSON.stringify(record));
+    legacyDatabase().facultyExams.forEach(insert('exams'));
+    legacyDatabase().users.forEach(insert('users'));
+    insert('drafts')({ id: 'DRAFT-1', teacherName: 'Prof. Nobody' });
+
+    applyMigrations(db, [v5]);
+
+    const read = table => db.prepare(`SELECT data FROM ${table} ORDER BY rowid`).all().map(r => JSON.parse(r.data));
+    expect(read('exams').map(e => e.ownerId)).toEqual(['USR-1', 'USR-1']);
+    expect(read('drafts')[0].ownerId).toBeNull();
+  });
+
+  it('leaves the database at the previous version when a migration fails', () => {
+    const broken = [
+      ...MIGRATIONS,
+      { version: 99, name: 'broken', up: d => { d.exec('CREATE TABLE later (id TEXT)'); throw new Error('boom'); } }
+    ];
+
+    expect(() => applyMigrations(db, broken)).toThrow('boom');
+    expect(getPendingMigrations(db, broken).map(m => m.version)).toEqual([99]);
+    expect(db.prepare("SELECT name FROM sqlite_master WHERE name = 'later'").get()).toBeUndefined();
+  });
+});
+
+describe('sqlite storage with pending migrations', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'examecho-migrate-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('refuses to open until the migrations are applied', async () => {
+    const dbPath = path.join(dir, 'examecho.db');
+
+    await expect(createStorage({ driver: 'sqlite', path: dbPath }))
+      .rejects.toMatchObject({ code: 'PENDING_MIGRATIONS' });
+
+    const migrated = await createStorage({ driver: 'sqlite', path: dbPath, migrate: true });
+    migrated.close();
+    const storage = await createStorage({ driver: 'sqlite', path: dbPath });
+    expect(storage.exams.list()).toEqual([]);
+    storage.close();
+  });
+});
+
+describe('json storage with a legacy file', () => {
+  it('folds facultyExams into exams when the file is loaded', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'examecho-legacy-'));
+    const dbPath = path.join(dir, 'database.json');
+    fs.writeFileSync(dbPath, JSON.stringify(legacyDatabase()));
+
+    const storage = await createStorage({ driver: 'json', path: dbPath });
+
+    expect(storage.exams.list().map(e => e.id)).toEqual(['FAC-EX-1', 'FAC-EX-2', 'EX-OLD']);
+    expect(JSON.parse(fs.readFileSync(dbPath, 'utf8')).facultyExams).toBeUndefined();
+    expect(storage.exams.get('FAC-EX-1').ownerId).toBe('USR-1');
+    expect(storage.exams.get('EX-OLD').ownerId).toBeNull();
+    storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe('mergeExamRecords', () => {
+  it('prefers faculty values, fills gaps from the student copy and reports drift', () => {
+    const [faculty] = legacyDatabase().facultyExams;
+    const [student] = legacyDatabase().exams;
+
+    const { exam, conflicts } = mergeExamRecords(faculty, student);
+
+    expect(exam.title).toBe('Physics Midterm');
+    expect(exam.questions).toEqual(student.questions);
+    expect(exam.submissionCount).toBe(2);
+    expect(exam.settingsSummary).toEqual({ attemptsLeft: 1, strictMode: true });
+    expect(conflicts).toEqual(['title', 'settingsSummary.strictMode']);
+  });
+});
+
+describe('assignLegacyOwners', () => {
+  it('only gives a record to a single faculty account with the teacher\'s name', () => {
+    const users = [
+      { id: 'USR-1', role: 'faculty', name: 'Prof. Rao' },
+      { id: 'USR-2', role: 'faculty', name: 'Dr. Sen' },
+      { id: 'USR-3', role: 'faculty', name: 'Dr. Sen' },
+      { id: 'USR-4', role: 'student', name: 'Asha' }
+    ];
+    const records = [
+      { id: 'EX-1', teacherName: 'Prof. Rao' },
+      { id: 'EX-2', teacherName: 'Dr. Sen' },
+      { id: 'EX-3', teacherName: 'Asha' },
+      { id: 'EX-4' },
+      { id: 'EX-5', teacherName: 'Prof. Rao', ownerId: 'USR-9' }
+    ];
+
+    const { records: assigned, unowned } = assignLegacyOwners(records, users);
+
+    expect(assigned.map(r => r.ownerId)).toEqual(['USR-1', null, null, null, 'USR-9']);
+    expect(unowned).toEqual(['EX-2', 'EX-3', 'EX-4']);
+  });
+});
+
+describe('importLegacyDatabase', () => {
+  let storage;
+  let dir;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'examecho-import-'));
+    storage = await createStorage({ driver: 'sqlite', path: path.join(dir, 'examecho.db'), migrate: true });
+  });
+
+  afterEach(() => {
+    storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('merges the duplicated exam copies into one record per exam', () => {
+    const report = importLegacyDatabase(legacyDatabase(), storage);
+
+    expect(report.exams.merged).toBe(1);
+    expect(report.exams.facultyOnly).toEqual(['FAC-EX-2']);
+    expect(report.exams.studentOnly).toEqual(['EX-OLD']);
+    expect(report.exams.conflicts).toEqual([{ examId: 'FAC-EX-1', fields: ['title', 'settingsSummary.strictMode'] }]);
+    expect(storage.exams.list().map(e => e.id)).toEqual(['FAC-EX-1', 'FAC-EX-2', 'EX-OLD']);
+    expect(storage.exams.get('FAC-EX-1').questions).toHaveLength(1);
+  });
+
+  it('gives exams and drafts an owner and reports those left without one', () => {
+    const report = importLegacyDatabase(legacyDatabase(), storage);
+
+    expect(storage.exams.get('FAC-EX-1').ownerId).toBe('USR-1');
+    expect(storage.drafts.get('DRAFT-1').ownerId).toBeNull();
+    expect(report.unowned).toEqual({ exams: ['EX-OLD'], drafts: ['DRAFT-1', 'DRAFT-1'] });
+  });
+
+  it('imports orphaned submissions and reports them', () => {
+    const report = importLegacyDatabase(legacyDatabase(), storage);
+
+    expect(report.orphanedSubmissions).toEqual([
+      { submissionId: 'SUB-2', examId: 'EX-DELETED', studentId: 'STU-1', reasons: ['missing_exam'] },
+      { submissionId: 'SUB-3', examId: 'FAC-EX-1', studentId: 'STU-GONE', reasons: ['missing_student'] }
+    ]);
+    expect(storage.submissions.list()).toHaveLength(3);
+  });
+
+  it('skips records with a repeated id', () => {
+    const report = importLegacyDatabase(legacyDatabase(), storage);
+
+    expect(report.imported.drafts).toBe(1);
+    expect(report.skipped.drafts).toBe(1);
+    expect(storage.drafts.get('DRAFT-1').title).toBe('Draft');
+  });
+
+  it('writes nothing on a dry run', () => {
+    const report = importLegacyDatabase(legacyDatabase(), storage, { dryRun: true });
+
+    expect(report.imported.submissions).toBe(3);
+    expect(storage.exams.list()).toEqual([]);
+  });
+
+  it('only runs into an empty database', () => {
+    importLegacyDatabase(legacyDatabase(), storage);
+
+    expect(() => importLegacyDatabase(legacyDatabase(), storage)).toThrow(/already contains data/);
+  });
+});
@@ -0,0 +1,161 @@
+// @vitest-environment node
+/**
+ * Repository tests, run against every storage driver
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStorage } from '../index.js';
+
+const DRIVERS = [
+  { driver: 'json', file: 'database.json' },
+  { driver: 'sqlite', file: 'examecho.db' }
+];
+
+describe.each(DRIVERS)('$driver storage', ({ driver, file }) => {
+  let dir;
+  let dbPath;
+  let storage;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'examecho-storage-'));
+    dbPath = path.join(dir, file);
+    storage = await createStorage({ driver, path: dbPath, migrate: true });
+  });
+
+  afterEach(() => {
+    storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('inserts and reads records back', () => {
+    storage.exams.insert({ id: 'EX-1', title: 'Physics', durationMin: 60 });
+
+    expect(storage.exams.get('EX-1')).toEqual({ id: 'EX-1', title: 'Physics', durationMin: 60 });
+    expect(storage.exams.get('missing')).toBeNull();
+  });
+
+  it('lists records in insertion order and filters by field equality', () => {
+    storage.attempts.insert({ id: 'ATT-2', examId: 'EX-1', studentId: 'STU-1', status: 'submitted' });
+    storage.attempts.insert({ id: 'ATT-1', examId: 'EX-1', studentId: 'STU-2', status: 'started' });
+    storage.attempts.insert({ id: 'ATT-3', examId: 'EX-2', studentId: 'STU-1', status: 'started' });
+
+    expect(storage.attempts.list().map(a => a.id)).toEqual(['ATT-2', 'ATT-1', 'ATT-3']);
+    expect(storage.attempts.list({ studentId: 'STU-1' }).map(a => a.id)).toEqual(['ATT-2', 'ATT-3']);
+    expect(storage.attempts.findOne({ examId: 'EX-1', status: 'started' })?.id).toBe('ATT-1');
+    expect(storage.attempts.findOne({ examId: 'EX-3' })).toBeNull();
+  });
+
+  it('matches numbers, booleans and nulls in filters', () => {
+    storage.students.insert({ id: 'STU-1', year: 2, active: true, department: null });
+    storage.students.insert({ id: 'STU-2', year: 3, active: false, department: 'CS' });
+
+    expect(storage.students.list({ year: 2 }).map(s => s.id)).toEqual(['STU-1']);
+    expect(storage.students.list({ active: false }).map(s => s.id)).toEqual(['STU-2']);
+    expect(storage.students.list({ department: null }).map(s => s.id)).toEqual(['STU-1']);
+  });
+
+  it('rejects records without an id or with a duplicate id', () => {
+    storage.drafts.insert({ id: 'DRAFT-1' });
+
+    expect(() => storage.drafts.insert({ title: 'No id' })).toThrow(/without an id/);
+    expect(() => storage.drafts.insert({ id: 'DRAFT-1' })).toThrow(/Duplicate id/);
+  });
+
+  it('merges updates and leaves fields patched with undefined unchanged', () => {
+    storage.submissions.insert({ id: 'SUB-1', score: 3, answers: { Q1: 'A' } });
+
+    const updated = storage.submissions.update('SUB-1', { score: 5, maxScore: undefined });
+
+    expect(updated).toEqual({ id: 'SUB-1', score: 5, answers: { Q1: 'A' } });
+    expect(storage.submissions.get('SUB-1')).toEqual(updated);
+    expect(storage.submissions.update('missing', { score: 1 })).toBeNull();
+  });
+
+  it('returns copies, so changing a record does not change the store', () => {
+    storage.exams.insert({ id: 'EX-1', questions: [{ id: 'Q1' }] });
+
+    const exam = storage.exams.get('EX-1');
+    exam.questions.push({ id: 'Q2' });
+
+    expect(storage.exams.get('EX-1').questions).toHaveLength(1);
+  });
+
+  it('removes records', () => {
+    storage.sessions.insert({ id: 'SES-1', userId: 'USR-1' });
+
+    expect(storage.sessions.remove('SES-1')).toBe(true);
+    expect(storage.sessions.remove('SES-1')).toBe(false);
+    expect(storage.sessions.list()).toEqual([]);
+  });
+
+  it('commits every write in a transaction together', () => {
+    const result = storage.transaction(() => {
+      storage.submissions.insert({ id: 'SUB-1', examId: 'EX-1' });
+      storage.attempts.insert({ id: 'ATT-1', status: 'submitted' });
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(storage.submissions.get('SUB-1')).not.toBeNull();
+    expect(storage.attempts.get('ATT-1')).not.toBeNull();
+  });
+
+  it('rolls back every write when a transaction throws', () => {
+    storage.attempts.insert({ id: 'ATT-1', status: 'in_progress' });
+
+    expect(() => storage.transaction(() => {
+      storage.submissions.insert({ id: 'SUB-1' });
+      storage.attempts.update('ATT-1', { status: 'submitted' });
+      throw new Error('scoring failed');
+    })).toThrow('scoring failed');
+
+    expect(storage.submissions.get('SUB-1')).toBeNull();
+    expect(storage.attempts.get('ATT-1').status).toBe('in_progress');
+  });
+
+  it('rolls back only the inner part of a nested transaction', () => {
+    storage.transaction(() => {
+      storage.exams.insert({ id: 'EX-1' });
+      try {
+        storage.transaction(() => {
+          storage.exams.insert({ id: 'EX-2' });
+          throw new Error('inner');
+        });
+      } catch {
+        // keep the outer transaction going
+      }
+    });
+
+    expect(storage.exams.list().map(e => e.id)).toEqual(['EX-1']);
+  });
+
+  // SQLite only touches the file for writes anyway
+  it.runIf(driver === 'json')('does not rewrite the file for a transaction that only reads', () => {
+    storage.exams.insert({ id: 'EX-1' });
+    fs.utimesSync(dbPath, new Date(0), new Date(0));
+
+    storage.transaction(() => storage.exams.list());
+    expect(fs.statSync(dbPath).mtimeMs).toBe(0);
+
+    storage.transaction(() => storage.exams.update('EX-1', { title: 'Physics' }));
+    expect(fs.statSync(dbPath).mtimeMs).toBeGreaterThan(0);
+  });
+
+  it('keeps data when the storage is reopened', async () => {
+    storage.users.insert({ id: 'USR-1', role: 'faculty', name: 'Prof. Rao' });
+    storage.close();
+
+    storage = await createStorage({ driver, path: dbPath });
+
+    expect(storage.users.get('USR-1')).toEqual({ id: 'USR-1', role: 'faculty', name: 'Prof. Rao' });
+  });
+});
+
+describe('createStorage', () => {
+  it('rejects unknown drivers', async () => {
+    await expect(createStorage({ driver: 'mongo', path: 'x' })).rejects.toThrow(/Unknown storage driver/);
+  });
+});
@@ -0,0 +1,25 @@
+// Collections shared by the storage drivers
+
+// Collection name -> key in database.json and table name in SQLite
+export const COLLECTIONS = {
+  exams: { jsonKey: 'exams', table: 'exams' },
+  students: { jsonKey: 'students', table: 'students' },
+  submissions: { jsonKey: 'submissions', table: 'submissions' },
+  drafts: { jsonKey: 'draftExams', table: 'drafts' },
+  attempts: { jsonKey: 'attempts', table: 'attempts' },
+  users: { jsonKey: 'users', table: 'users' },
+  sessions: { jsonKey: 'sessions', table: 'sessions' },
+  media: { jsonKey: 'media', table: 'media' }
+};
+
+// Helper function to check whether a record matches an equality filter
+export function matchesFilter(record, filter) {
+  return Object.entries(filter || {}).every(([field, value]) => record[field] === value);
+}
+
+// Helper function to copy a record the way it will be stored: as JSON.
+// Fields set to undefined are dropped, so in an update patch they leave the
+// stored value unchanged.
+export function toDocument(record) {
+  return JSON.parse(JSON.stringify(record));
+}
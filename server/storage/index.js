@@ -0,0 +1,49 @@
+// Storage layer for the API server.
+//
+// Every collection is exposed as a repository with the same small interface,
+// whichever driver is behind it:
+//
+//   list(filter?)        -> records, in insertion order, whose fields equal `filter`
+//   findOne(filter)      -> first matching record or null
+//   get(id)              -> record or null
+//   insert(record)       -> the stored record (record.id is required)
+//   update(id, patch)    -> the record with `patch` shallow-merged in, or null
+//   remove(id)           -> true if a record was removed
+//
+// Records are plain JSON objects and are returned as copies, so changes only
+// reach the store through insert/update/remove.
+//
+// storage.transaction(fn) runs fn synchronously and commits all of its writes
+// together, or none of them if fn throws.
+
+import path from 'path';
+import { createJsonStorage } from './jsonStorage.js';
+
+export { COLLECTIONS } from './collections.js';
+
+// Helper function to read the storage config from the environment.
+//   STORAGE_DRIVER  json (default) or sqlite
+//   DB_PATH         database file; defaults to server/database.json or server/examecho.db
+export function getStorageConfig(env = process.env, baseDir = process.cwd()) {
+  const driver = (env.STORAGE_DRIVER || 'json').toLowerCase();
+  const defaultFile = driver === 'sqlite' ? 'examecho.db' : 'database.json';
+  return {
+    driver,
+    path: env.DB_PATH ? path.resolve(env.DB_PATH) : path.join(baseDir, defaultFile)
+  };
+}
+
+// Create the storage for a config from getStorageConfig(). The SQLite driver
+// is only loaded when it's selected, so the JSON driver works without the
+// native better-sqlite3 module. Pass `migrate: true` to apply pending SQLite
+// migrations; without it a database with pending migrations is rejected.
+export async function createStorage({ driver = 'json', path: dbPath, migrate = false }) {
+  if (driver === 'json') {
+    return createJsonStorage({ path: dbPath });
+  }
+  if (driver === 'sqlite') {
+    const { createSqliteStorage } = await import('./sqliteStorage.js');
+    return createSqliteStorage({ path: dbPath, migrate });
+  }
+  throw new Error(`Unknown storage driver "${driver}". Use "json" or "sqlite".`);
+}
@@ -0,0 +1,176 @@
+// JSON storage driver - keeps every collection in one database.json file.
+//
+// The file is read once and kept in memory. Each write (or each transaction
+// that wrote something) is persisted by writing a temporary file and renaming
+// it over the old one, so a crash mid-write can't leave a truncated database
+// behind. Reads never touch the file.
+
+import fs from 'fs';
+import { COLLECTIONS, matchesFilter, toDocument } from './collections.js';
+import { assignLegacyOwners, mergeLegacyExams } from './legacyImport.js';
+
+// Helper function to build an empty database with every collection
+function emptyDatabase() {
+  return Object.fromEntries(Object.values(COLLECTIONS).map(({ jsonKey }) => [jsonKey, []]));
+}
+
+// Helper function to load the database file, creating it if it's missing
+function loadDatabase(filePath) {
+  if (!fs.existsSync(filePath)) {
+    console.log('Database file not found, creating new one');
+    const initial = emptyDatabase();
+    persistDatabase(filePath, initial);
+    return initial;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    // Refuse to start rather than overwrite a file we couldn't read
+    throw new Error(`Could not read database file ${filePath}: ${error.message}`);
+  }
+
+  // Ensure all required arrays exist
+  Object.values(COLLECTIONS).forEach(({ jsonKey }) => {
+    if (!Array.isArray(data[jsonKey])) data[jsonKey] = [];
+  });
+
+  // Files written before exams were unified keep a second copy of each exam
+  // in facultyExams; fold the copies into one record per exam
+  if (Array.isArray(data.facultyExams)) {
+    const { exams, report } = mergeLegacyExams(data.facultyExams, data.exams);
+    data.exams = exams;
+    delete data.facultyExams;
+    persistDatabase(filePath, data);
+    console.log(`Merged facultyExams into exams (${report.merged} exams had two copies)`);
+  }
+
+  // Exams and drafts saved before accounts existed get their owner once
+  const ownerless = ['exams', 'draftExams'].filter(key => data[key].some(record => !('ownerId' in record)));
+  if (ownerless.length > 0) {
+    const unowned = ownerless.flatMap(key => {
+      const { records, unowned: ids } = assignLegacyOwners(data[key], data.users);
+      data[key] = records;
+      return ids;
+    });
+    persistDatabase(filePath, data);
+    console.log(`Assigned owners to exams and drafts${unowned.length ? ` (no faculty account for ${unowned.join(', ')})` : ''}`);
+  }
+  return data;
+}
+
+// Helper function to write the database atomically
+function persistDatabase(filePath, data) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+export function createJsonStorage({ path: filePath }) {
+  let data = loadDatabase(filePath);
+  let transactionDepth = 0;
+  // Whether the open transaction has written anything that isn't saved yet
+  let dirty = false;
+
+  // Writes outside a transaction are saved straight away; inside one they
+  // are saved when the outermost transaction commits. If saving fails the
+  // change is undone so memory and disk stay in step.
+  function commit(undo) {
+    if (transactionDepth > 0) {
+      dirty = true;
+      return;
+    }
+    dirty = false;
+    try {
+      persistDatabase(filePath, data);
+    } catch (error) {
+      undo();
+      throw error;
+    }
+  }
+
+  function createRepository({ jsonKey }) {
+    const records = () => data[jsonKey];
+
+    return {
+      list(filter) {
+        return records().filter(r => matchesFilter(r, filter)).map(r => structuredClone(r));
+      },
+
+      findOne(filter) {
+        const record = records().find(r => matchesFilter(r, filter));
+        return record ? structuredClone(record) : null;
+      },
+
+      get(id) {
+        return this.findOne({ id });
+      },
+
+      insert(record) {
+        if (!record?.id) {
+          throw new Error(`Cannot insert into ${jsonKey} without an id`);
+        }
+        if (records().some(r => r.id === record.id)) {
+          throw new Error(`Duplicate id "${record.id}" in ${jsonKey}`);
+        }
+        records().push(toDocument(record));
+        commit(() => records().pop());
+        return toDocument(record);
+      },
+
+      update(id, patch) {
+        const index = records().findIndex(r => r.id === id);
+        if (index === -1) return null;
+        const previous = records()[index];
+        const updated = { ...previous, ...toDocument(patch), id };
+        records()[index] = updated;
+        commit(() => { records()[index] = previous; });
+        return structuredClone(updated);
+      },
+
+      remove(id) {
+        const index = records().findIndex(r => r.id === id);
+        if (index === -1) return false;
+        const [removed] = records().splice(index, 1);
+        commit(() => records().splice(index, 0, removed));
+        return true;
+      }
+    };
+  }
+
+  const repositories = Object.fromEntries(
+    Object.entries(COLLECTIONS).map(([name, collection]) => [name, createRepository(collection)])
+  );
+
+  return {
+    driver: 'json',
+    path: filePath,
+    ...repositories,
+
+    transaction(fn) {
+      // Nested transactions roll back on their own, like SQLite savepoints
+      const snapshot = structuredClone(data);
+      const wasDirty = dirty;
+      const restore = () => {
+        data = snapshot;
+        dirty = wasDirty;
+      };
+      let result;
+      transactionDepth++;
+      try {
+        result = fn();
+      } catch (error) {
+        restore();
+        throw error;
+      } finally {
+        transactionDepth--;
+      }
+      // A transaction that only read leaves the file alone
+      if (dirty) commit(restore);
+      return result;
+    },
+
+    close() {}
+  };
+}
@@ -0,0 +1,204 @@
+// One-time importer from the legacy database.json into a storage backend.
+//
+// The legacy file keeps two copies of every published exam: the faculty
+// record in `facultyExams` and a hand-copied student record in `exams`. The
+// copies have drifted (e.g. `questions` only made it into one of them), so
+// the importer merges each pair into one exam record and reports what it
+// reconciled, along with submissions that point at a missing exam or student.
+// Exams and drafts get an owner from the faculty accounts (see
+// assignLegacyOwners).
+
+import { COLLECTIONS } from './collections.js';
+
+// Fields that only exist to show the student list and are rebuilt from the
+// faculty record, so a difference there isn't worth reporting
+const DERIVED_STUDENT_FIELDS = ['status', 'attemptsLeft', 'allowedReRecords'];
+
+// Helper function to tell whether a value carries any data
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+// Merge one exam's faculty and student copies. The faculty copy wins where
+// both have a value; the student copy fills in anything the faculty copy is
+// missing. Returns { exam, conflicts } where conflicts lists the fields whose
+// values disagreed.
+export function mergeExamRecords(facultyExam, studentExam) {
+  if (!facultyExam) return { exam: { ...studentExam }, conflicts: [] };
+  if (!studentExam) return { exam: { ...facultyExam }, conflicts: [] };
+
+  const exam = { ...studentExam };
+  const conflicts = [];
+
+  Object.entries(facultyExam).forEach(([field, value]) => {
+    if (field === 'settingsSummary') return;
+    const other = studentExam[field];
+    if (isEmpty(value)) {
+      if (!(field in exam)) exam[field] = value;
+      return;
+    }
+    if (!isEmpty(other) && JSON.stringify(other) !== JSON.stringify(value) &&
+        !DERIVED_STUDENT_FIELDS.includes(field)) {
+      conflicts.push(field);
+    }
+    exam[field] = value;
+  });
+
+  // Settings are merged key by key so neither copy's extra settings are lost
+  const facultySettings = facultyExam.settingsSummary || {};
+  const studentSettings = studentExam.settingsSummary || {};
+  if (studentExam.settingsSummary || facultyExam.settingsSummary) {
+    exam.settingsSummary = { ...studentSettings, ...facultySettings };
+  }
+  Object.keys(facultySettings).forEach(key => {
+    if (key in studentSettings &&
+        JSON.stringify(studentSettings[key]) !== JSON.stringify(facultySettings[key])) {
+      conflicts.push(`settingsSummary.${key}`);
+    }
+  });
+
+  return { exam, conflicts };
+}
+
+// Merge the legacy `facultyExams` and `exams` arrays into one list of exams,
+// in the order they were first seen
+export function mergeLegacyExams(facultyExams = [], studentExams = []) {
+  const order = [];
+  const byId = new Map();
+
+  const add = (record, side) => {
+    if (!record?.id) return;
+    if (!byId.has(record.id)) {
+      byId.set(record.id, {});
+      order.push(record.id);
+    }
+    const entry = byId.get(record.id);
+    // Keep the first copy if an id appears twice in the same array
+    if (!entry[side]) entry[side] = record;
+  };
+  facultyExams.forEach(record => add(record, 'faculty'));
+  studentExams.forEach(record => add(record, 'student'));
+
+  const exams = [];
+  const report = { merged: 0, facultyOnly: [], studentOnly: [], conflicts: [] };
+
+  order.forEach(id => {
+    const { faculty, student } = byId.get(id);
+    const { exam, conflicts } = mergeExamRecords(faculty, student);
+    exams.push(exam);
+
+    if (faculty && student) report.merged++;
+    else if (faculty) report.facultyOnly.push(id);
+    else report.studentOnly.push(id);
+
+    if (conflicts.length > 0) report.conflicts.push({ examId: id, fields: conflicts });
+  });
+
+  return { exams, report };
+}
+
+// Give exams and drafts saved before accounts existed, which only carry the
+// teacher's name, an owner: the one faculty account with that name. Records
+// no account or several accounts match get `ownerId: null`, so they are
+// only looked at once and no account signed up later can claim them by
+// name. Returns { records, unowned } with the ids of the records left
+// without an owner.
+export function assignLegacyOwners(records = [], users = []) {
+  const facultyByName = new Map();
+  users.filter(user => user.role === 'faculty').forEach(user => {
+    facultyByName.set(user.name, [...(facultyByName.get(user.name) || []), user]);
+  });
+
+  const unowned = [];
+  const assigned = records.map(record => {
+    if (!record || 'ownerId' in record) return record;
+    const matches = facultyByName.get(record.teacherName) || [];
+    if (matches.length !== 1) unowned.push(record.id);
+    return { ...record, ownerId: matches.length === 1 ? matches[0].id : null };
+  });
+
+  return { records: assigned, unowned };
+}
+
+// Helper function to find submissions whose exam or student no longer exists
+export function findOrphanedSubmissions(submissions = [], exams = [], students = []) {
+  const examIds = new Set(exams.map(e => e.id));
+  const studentIds = new Set(students.map(s => s.id));
+
+  return submissions
+    .map(sub => {
+      const reasons = [];
+      if (!examIds.has(sub.examId)) reasons.push('missing_exam');
+      if (!studentIds.has(sub.studentId)) reasons.push('missing_student');
+      return reasons.length > 0
+        ? { submissionId: sub.id, examId: sub.examId, studentId: sub.studentId, reasons }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+// Helper function to check whether a storage already holds any records
+function hasData(storage) {
+  return Object.keys(COLLECTIONS).some(name => storage[name].list().length > 0);
+}
+
+// Import a parsed legacy database into `storage` in one transaction.
+// Orphaned submissions are imported as they are and listed in the report so
+// they can be looked at; records without an id or with a repeated id are
+// skipped and counted. With `dryRun` nothing is written.
+export function importLegacyDatabase(legacy, storage, { dryRun = false } = {}) {
+  if (!dryRun && hasData(storage)) {
+    throw new Error('The target database already contains data. The legacy import only runs once, into an empty database.');
+  }
+
+  const { exams: mergedExams, report: examReport } = mergeLegacyExams(legacy.facultyExams, legacy.exams);
+  const users = legacy.users || [];
+  const { records: exams, unowned: unownedExams } = assignLegacyOwners(mergedExams, users);
+  const { records: drafts, unowned: unownedDrafts } = assignLegacyOwners(legacy.draftExams, users);
+
+  const records = {
+    exams,
+    students: legacy.students || [],
+    submissions: legacy.submissions || [],
+    drafts,
+    users,
+    sessions: legacy.sessions || [],
+    attempts: legacy.attempts || []
+  };
+
+  const report = {
+    dryRun,
+    imported: {},
+    skipped: {},
+    exams: examReport,
+    unowned: { exams: unownedExams, drafts: unownedDrafts },
+    orphanedSubmissions: findOrphanedSubmissions(records.submissions, exams, records.students)
+  };
+
+  const run = () => {
+    Object.entries(records).forEach(([name, list]) => {
+      const seen = new Set();
+      let imported = 0;
+      let skipped = 0;
+
+      list.forEach(record => {
+        if (!record?.id || seen.has(record.id)) {
+          skipped++;
+          return;
+        }
+        seen.add(record.id);
+        if (!dryRun) storage[name].insert(record);
+        imported++;
+      });
+
+      report.imported[name] = imported;
+      if (skipped > 0) report.skipped[name] = skipped;
+    });
+  };
+
+  if (dryRun) run();
+  else storage.transaction(run);
+
+  return report;
+}
@@ -0,0 +1,123 @@
+// Versioned schema migrations for the SQLite driver.
+//
+// Applied versions are recorded in the schema_migrations table. Migrations
+// are append-only: never edit one that has shipped, add a new version instead.
+// Table names are spelled out here rather than taken from COLLECTIONS so an
+// old migration keeps doing what it did when it was written.
+//
+// The JSON driver has no schema, so it has no migrations.
+
+import { assignLegacyOwners, mergeLegacyExams } from './legacyImport.js';
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create_collections',
+    up(db) {
+      // IF NOT EXISTS adopts databases created before migrations were tracked
+      ['exams', 'faculty_exams', 'students', 'submissions', 'drafts', 'attempts', 'users', 'sessions']
+        .forEach(table => {
+          db.exec(`CREATE TABLE IF NOT EXISTS ${table} (
+            id TEXT PRIMARY KEY,
+            data TEXT NOT NULL
+          )`);
+        });
+    }
+  },
+  {
+    version: 2,
+    name: 'add_lookup_indexes',
+    up(db) {
+      db.exec(`
+        CREATE INDEX attempts_exam_student ON attempts (json_extract(data, '$.examId'), json_extract(data, '$.studentId'));
+        CREATE INDEX submissions_exam ON submissions (json_extract(data, '$.examId'));
+        CREATE INDEX submissions_student ON submissions (json_extract(data, '$.studentId'));
+        CREATE INDEX sessions_user ON sessions (json_extract(data, '$.userId'));
+        CREATE INDEX users_role ON users (json_extract(data, '$.role'));
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'merge_faculty_exams',
+    up(db) {
+      // Exams are stored once; fold the faculty copies into the exams table
+      const read = table => db.prepare(`SELECT data FROM ${table} ORDER BY rowid`).all().map(r => JSON.parse(r.data));
+      const { exams } = mergeLegacyExams(read('faculty_exams'), read('exams'));
+
+      db.exec('DELETE FROM exams');
+      const insert = db.prepare('INSERT INTO exams (id, data) VALUES (?, ?)');
+      exams.forEach(exam => insert.run(exam.id, JSON.stringify(exam)));
+      db.exec('DROP TABLE faculty_exams');
+    }
+  },
+  {
+    version: 4,
+    name: 'create_media',
+    up(db) {
+      // Metadata for uploaded question media; the files live in the media store
+      db.exec(`CREATE TABLE media (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      )`);
+    }
+  },
+  {
+    version: 5,
+    name: 'assign_exam_owners',
+    up(db) {
+      // Exams and drafts from before accounts only name their teacher
+      const read = table => db.prepare(`SELECT data FROM ${table} ORDER BY rowid`).all().map(r => JSON.parse(r.data));
+      const users = read('users');
+      ['exams', 'drafts'].forEach(table => {
+        const update = db.prepare(`UPDATE ${table} SET data = ? WHERE id = ?`);
+        assignLegacyOwners(read(table), users).records.forEach(record => update.run(JSON.stringify(record), record.id));
+      });
+    }
+  }
+];
+
+// Helper function to create the table that records applied migrations
+function ensureMigrationsTable(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )`);
+}
+
+// Helper function to get the migrations that haven't been applied yet
+export function getPendingMigrations(db, migrations = MIGRATIONS) {
+  ensureMigrationsTable(db);
+  const applied = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(r => r.version));
+  return migrations.filter(m => !applied.has(m.version));
+}
+
+// Apply pending migrations in version order. Each migration runs in its own
+// transaction together with its schema_migrations row, so a failing
+// migration leaves the database at the previous version.
+// Returns the migrations that were applied.
+export function applyMigrations(db, migrations = MIGRATIONS) {
+  const pending = [...getPendingMigrations(db, migrations)].sort((a, b) => a.version - b.version);
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+  pending.forEach(migration => {
+    db.transaction(() => {
+      migration.up(db);
+      record.run(migration.version, migration.name, new Date().toISOString());
+    })();
+  });
+
+  return pending;
+}
+
+// Helper function to build the error thrown when the database isn't up to date
+export function pendingMigrationsError(pending) {
+  const list = pending.map(m => `${m.version}_${m.name}`).join(', ');
+  const error = new Error(
+    `Database has ${pending.length} pending migration(s): ${list}. Run "npm run db:migrate" before starting the server.`
+  );
+  error.code = 'PENDING_MIGRATIONS';
+  error.pending = pending;
+  return error;
+}
@@ -0,0 +1,124 @@
+// SQLite storage driver (better-sqlite3).
+//
+// Each collection is a table of JSON documents keyed by id. Filters are
+// matched on json_extract() so the repositories behave exactly like the JSON
+// driver, while writes are row-level and transactions are real SQLite
+// transactions (savepoints when nested).
+
+import Database from 'better-sqlite3';
+import { COLLECTIONS, toDocument } from './collections.js';
+import { applyMigrations, getPendingMigrations, pendingMigrationsError } from './migrations.js';
+
+const FIELD_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Helper function to turn an equality filter into a WHERE clause.
+// `IS` is used instead of `=` so null values match like they do in JSON.
+function buildWhere(filter) {
+  const entries = Object.entries(filter || {});
+  if (entries.length === 0) return { clause: '', params: [] };
+
+  const conditions = entries.map(([field]) => {
+    if (!FIELD_NAME.test(field)) {
+      throw new Error(`Invalid filter field "${field}"`);
+    }
+    return `json_extract(data, '$.${field}') IS ?`;
+  });
+  // json_extract() returns booleans as 1/0
+  const params = entries.map(([, value]) => (typeof value === 'boolean' ? Number(value) : value ?? null));
+
+  return { clause: ` WHERE ${conditions.join(' AND ')}`, params };
+}
+
+// Open an SQLite database. Pending migrations are applied when `migrate` is
+// set (the migrate command and tests); otherwise opening fails so the server
+// never runs against an out-of-date schema.
+export function createSqliteStorage({ path: dbPath, migrate = false }) {
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+
+  if (migrate) {
+    applyMigrations(db);
+  }
+  const pending = getPendingMigrations(db);
+  if (pending.length > 0) {
+    db.close();
+    throw pendingMigrationsError(pending);
+  }
+
+  function createRepository({ table }) {
+    const statements = {
+      get: db.prepare(`SELECT data FROM ${table} WHERE id = ?`),
+      insert: db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?)`),
+      update: db.prepare(`UPDATE ${table} SET data = ? WHERE id = ?`),
+      remove: db.prepare(`DELETE FROM ${table} WHERE id = ?`)
+    };
+    const parse = row => (row ? JSON.parse(row.data) : null);
+
+    const update = db.transaction((id, patch) => {
+      const current = parse(statements.get.get(id));
+      if (!current) return null;
+      const updated = { ...current, ...toDocument(patch), id };
+      statements.update.run(JSON.stringify(updated), id);
+      return updated;
+    });
+
+    return {
+      list(filter) {
+        const { clause, params } = buildWhere(filter);
+        return db.prepare(`SELECT data FROM ${table}${clause} ORDER BY rowid`).all(...params).map(parse);
+      },
+
+      findOne(filter) {
+        const { clause, params } = buildWhere(filter);
+        return parse(db.prepare(`SELECT data FROM ${table}${clause} ORDER BY rowid LIMIT 1`).get(...params));
+      },
+
+      get(id) {
+        return parse(statements.get.get(id));
+      },
+
+      insert(record) {
+        if (!record?.id) {
+          throw new Error(`Cannot insert into ${table} without an id`);
+        }
+        try {
+          statements.insert.run(String(record.id), JSON.stringify(record));
+        } catch (error) {
+          if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+            throw new Error(`Duplicate id "${record.id}" in ${table}`);
+          }
+          throw error;
+        }
+        return toDocument(record);
+      },
+
+      update(id, patch) {
+        return update(id, patch);
+      },
+
+      remove(id) {
+        return statements.remove.run(id).changes > 0;
+      }
+    };
+  }
+
+  const repositories = Object.fromEntries(
+    Object.entries(COLLECTIONS).map(([name, collection]) => [name, createRepository(collection)])
+  );
+
+  return {
+    driver: 'sqlite',
+    path: dbPath,
+    db,
+    ...repositories,
+
+    transaction(fn) {
+      return db.transaction(fn)();
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
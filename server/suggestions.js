@@ -0,0 +1,112 @@
+// Suggested scores for written answers.
+//
+// Before a grader reads a descriptive answer, the server proposes a score
+// from two signals it can compute on its own, without any outside service:
+//
+// - keyword coverage: how many of the question's required `keywords`
+//   appear in the answer (a keyword may be a phrase; every word must appear)
+// - similarity: how much of the answer key's vocabulary the answer uses
+//
+// Words are compared after lowercasing, dropping common stop words and
+// trimming plural and tense endings, so "forces" matches "force". The
+// suggestion comes with the evidence behind it; the grader confirms or
+// overrides it and only their score counts.
+
+import { getQuestionPoints } from './grading.js';
+
+// Share of the suggestion that comes from keyword coverage when a question
+// has both keywords and an answer key
+const KEYWORD_WEIGHT = 0.6;
+
+// Most answer key terms listed as evidence, so long keys stay readable
+const MAX_EVIDENCE_TERMS = 20;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does',
+  'for', 'from', 'has', 'have', 'how', 'if', 'in', 'into', 'is', 'it', 'its',
+  'of', 'on', 'or', 'so', 'than', 'that', 'the', 'their', 'then', 'there',
+  'these', 'they', 'this', 'to', 'was', 'were', 'what', 'when', 'which',
+  'while', 'who', 'will', 'with', 'would'
+]);
+
+// Helper function to reduce a word to a rough stem so simple inflections
+// of the same word compare equal: "forces", "forced" and "force" all
+// become "forc"
+function stem(word) {
+  if (word.length <= 3) return word;
+  let base = word;
+  if (base.endsWith('ies')) base = `${base.slice(0, -3)}y`;
+  else if (/(s|x|z|ch|sh)es$/.test(base)) base = base.slice(0, -2);
+  else if (base.endsWith('s') && !base.endsWith('ss')) base = base.slice(0, -1);
+  else if (base.endsWith('ing') && base.length > 5) base = base.slice(0, -3);
+  else if (base.endsWith('ed') && base.length > 4) base = base.slice(0, -2);
+  return base.length > 3 && base.endsWith('e') ? base.slice(0, -1) : base;
+}
+
+// Helper function to split text into its terms: a map from each stem to the
+// first word it came from, without stop words or single letters (the "s"
+// of "Newton's")
+function getTerms(text) {
+  const terms = new Map();
+  for (const word of String(text ?? '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+    if (/^\p{L}$/u.test(word) || STOP_WORDS.has(word)) continue;
+    const term = stem(word);
+    if (!terms.has(term)) terms.set(term, word);
+  }
+  return terms;
+}
+
+// Helper function to get the required keywords of a question, without blanks
+function getKeywords(question) {
+  return (question.keywords || []).map(keyword => String(keyword).trim()).filter(Boolean);
+}
+
+// Helper function to round points to the nearest half point
+function roundToHalf(points) {
+  return Math.round(points * 2) / 2;
+}
+
+// Suggest a score for a written answer. Returns null when the question has
+// neither keywords nor an answer key to compare against, otherwise
+// { points, maxPoints, keywords, similarity } where `keywords` lists the
+// matched and missing keywords and `similarity` the shared and missing
+// answer key terms with their ratio (0 to 1).
+export function suggestScore(question, answer) {
+  const keywords = getKeywords(question);
+  const keyTerms = getTerms(question.answer);
+  if (keywords.length === 0 && keyTerms.size === 0) return null;
+
+  const answerTerms = getTerms(answer);
+  const maxPoints = getQuestionPoints(question);
+
+  const matched = keywords.filter(keyword => {
+    const terms = [...getTerms(keyword).keys()];
+    return terms.length > 0 && terms.every(term => answerTerms.has(term));
+  });
+  const keywordScore = keywords.length > 0 ? matched.length / keywords.length : null;
+
+  const shared = [...keyTerms.keys()].filter(term => answerTerms.has(term));
+  const missing = [...keyTerms.keys()].filter(term => !answerTerms.has(term));
+  const similarityScore = keyTerms.size > 0 ? shared.length / keyTerms.size : null;
+
+  const ratio = keywordScore === null
+    ? similarityScore
+    : similarityScore === null
+    ? keywordScore
+    : KEYWORD_WEIGHT * keywordScore + (1 - KEYWORD_WEIGHT) * similarityScore;
+
+  return {
+    points: roundToHalf(ratio * maxPoints),
+    maxPoints,
+    keywords: keywords.length > 0
+      ? { matched, missing: keywords.filter(keyword => !matched.includes(keyword)) }
+      : null,
+    similarity: keyTerms.size > 0
+      ? {
+          ratio: Math.round(similarityScore * 100) / 100,
+          shared: shared.slice(0, MAX_EVIDENCE_TERMS).map(term => keyTerms.get(term)),
+          missing: missing.slice(0, MAX_EVIDENCE_TERMS).map(term => keyTerms.get(term))
+        }
+      : null
+  };
+}
@@ -0,0 +1,230 @@
+// Request validation.
+//
+// Schemas are plain objects describing each field (`type`, `required`,
+// `min`, ...). `validate` checks a value against a schema and returns the
+// cleaned value plus a map of dotted field paths to messages, e.g.
+// { 'settingsSummary.attemptsLeft': 'Allowed attempts cannot be negative' }.
+// `validateRequest` wraps that as Express middleware and answers failures with
+// 400 { error: 'validation_failed', message, fields }.
+
+import { sanitizeRichText } from './richText.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Helper function to tell whether a value counts as "not provided"
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Helper function to build the label used in messages
+function labelFor(schema, path) {
+  if (schema.label) return schema.label;
+  const key = path.split('.').pop();
+  return key ? key.charAt(0).toUpperCase() + key.slice(1) : 'Value';
+}
+
+// Helper function to join a parent path and a key
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : String(key);
+}
+
+const CHECKS = {
+  string(schema, value, label) {
+    if (typeof value !== 'string') return { message: `${label} must be text` };
+    let text = schema.trim === false ? value : value.trim();
+    // Rich text is stored without HTML that could run (see richText.js)
+    if (schema.richText) {
+      text = sanitizeRichText(text).trim();
+      if (!text && schema.required) return { message: schema.requiredMessage || `${label} is required` };
+    }
+    if (schema.minLength && text.length < schema.minLength) {
+      return { message: `${label} must be at least ${schema.minLength} characters` };
+    }
+    if (schema.maxLength && text.length > schema.maxLength) {
+      return { message: `${label} must be at most ${schema.maxLength} characters` };
+    }
+    if (schema.enum && !schema.enum.includes(text)) {
+      return { message: `${label} must be one of: ${schema.enum.join(', ')}` };
+    }
+    if (schema.pattern && !schema.pattern.test(text)) {
+      return { message: `${label} is not valid` };
+    }
+    if (schema.format === 'email' && !EMAIL_PATTERN.test(text)) {
+      return { message: `${label} must be a valid email address` };
+    }
+    return { value: text };
+  },
+
+  number(schema, value, label) {
+    let number = value;
+    // Query string values arrive as text
+    if (schema.coerce && typeof value === 'string' && value.trim() !== '') {
+      number = Number(value);
+    }
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      return { message: `${label} must be a number` };
+    }
+    if (schema.integer && !Number.isInteger(number)) {
+      return { message: `${label} must be a whole number` };
+    }
+    if (schema.min !== undefined && number < schema.min) {
+      return {
+        message: schema.min === 0
+          ? `${label} cannot be negative`
+          : `${label} must be at least ${schema.min}`
+      };
+    }
+    if (schema.max !== undefined && number > schema.max) {
+      return { message: `${label} must be at most ${schema.max}` };
+    }
+    return { value: number };
+  },
+
+  boolean(schema, value, label) {
+    if (typeof value !== 'boolean') return { message: `${label} must be true or false` };
+    return { value };
+  },
+
+  date(schema, value, label) {
+    if (typeof value !== 'string' || isNaN(new Date(value).getTime())) {
+      return { message: `${label} must be a valid date and time` };
+    }
+    return { value };
+  },
+
+  array(schema, value, label, path, fields, options) {
+    if (!Array.isArray(value)) return { message: `${label} must be a list` };
+    if (schema.minItems && value.length < schema.minItems) {
+      return { message: schema.minItemsMessage || `${label} must have at least ${schema.minItems} item(s)` };
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return { message: `${label} must have at most ${schema.maxItems} item(s)` };
+    }
+    if (!schema.items) return { value };
+    // Items are always checked in full, even when the parent is a partial update
+    const itemOptions = { ...options, partial: false };
+    return {
+      value: value.map((item, index) =>
+        check(schema.items, item, joinPath(path, index), fields, itemOptions))
+    };
+  },
+
+  object(schema, value, label, path, fields, options) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      return { message: `${label} must be an object` };
+    }
+    // Unknown keys are dropped unless the schema allows them
+    const result = schema.unknown === 'allow' ? { ...value } : {};
+    Object.entries(schema.fields || {}).forEach(([key, fieldSchema]) => {
+      const fieldPath = joinPath(path, key);
+      if (options.partial && value[key] === undefined) return;
+      const cleaned = check(fieldSchema, value[key], fieldPath, fields, { ...options, partial: false });
+      if (cleaned === undefined) delete result[key];
+      else result[key] = cleaned;
+    });
+    if (!options.partial) {
+      checkRules(schema, result, fields, path);
+    }
+    return { value: result };
+  },
+
+  record(schema, value, label, path, fields, options) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      return { message: `${label} must be an object` };
+    }
+    if (!schema.values) return { value: { ...value } };
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+      result[key] = check(schema.values, item, joinPath(path, key), fields, options);
+    });
+    return { value: result };
+  },
+
+  any(schema, value) {
+    return { value };
+  }
+};
+
+// Helper function to check one value, recording any failure in `fields`
+function check(schema, value, path, fields, options) {
+  const label = labelFor(schema, path);
+  const missing = schema.type === 'string' && typeof value === 'string'
+    ? value.trim() === '' && schema.trim !== false
+    : isMissing(value);
+
+  if (missing) {
+    if (schema.required) {
+      fields[path || 'body'] = schema.requiredMessage || `${label} is required`;
+      return undefined;
+    }
+    if (value === undefined) return schema.default;
+    if (schema.nullable) return null;
+    // A cleared optional text field stays cleared
+    return typeof value === 'string' ? '' : schema.default;
+  }
+
+  const result = CHECKS[schema.type](schema, value, label, path, fields, options);
+  if (result.message) {
+    fields[path || 'body'] = result.message;
+    return undefined;
+  }
+  return result.value;
+}
+
+// Run an object schema's cross-field rules against `record`. Each rule
+// returns { field, message } when it fails, or nothing when it passes.
+// Fields that already failed their own checks are left alone.
+export function checkRules(schema, record, fields = {}, path = '') {
+  (schema.rules || []).forEach(rule => {
+    const failure = rule(record);
+    if (!failure) return;
+    const fieldPath = joinPath(path, failure.field);
+    if (!fields[fieldPath]) fields[fieldPath] = failure.message;
+  });
+  return fields;
+}
+
+// Validate `value` against `schema`. With `partial`, fields that are left
+// out are not required and cross-field rules are skipped, for updates that
+// only send what changed.
+// Returns { value, fields } where `fields` is empty when the value is valid.
+export function validate(schema, value, { partial = false } = {}) {
+  const fields = {};
+  const cleaned = check(schema, value, '', fields, { partial });
+  return { value: cleaned, fields };
+}
+
+// Helper function to build the 400 response body for failed fields
+export function validationError(fields) {
+  const messages = Object.values(fields);
+  return {
+    error: 'validation_failed',
+    message: messages.length === 1
+      ? messages[0]
+      : 'Some fields are invalid. Please check the highlighted fields.',
+    fields
+  };
+}
+
+// Express middleware that validates the request `query` and `body` against
+// the given schemas and replaces them with the cleaned values
+export function validateRequest(schemas, { partial = false } = {}) {
+  return (req, res, next) => {
+    const fields = {};
+    const cleaned = {};
+
+    ['query', 'body'].forEach(part => {
+      if (!schemas[part]) return;
+      const result = validate(schemas[part], req[part] ?? {}, { partial: partial && part === 'body' });
+      Object.assign(fields, result.fields);
+      cleaned[part] = result.value;
+    });
+
+    if (Object.keys(fields).length > 0) {
+      return res.status(400).json(validationError(fields));
+    }
+
+    Object.assign(req, cleaned);
+    next();
+  };
+}
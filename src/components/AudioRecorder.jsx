@@ -0,0 +1,195 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { Mic, Square, RotateCcw, Upload } from 'lucide-react'
+
+// Longest answer that can be recorded; recording stops on its own after this
+const MAX_RECORDING_SECONDS = 5 * 60
+
+// Audio formats to record in, best first. Browsers support different ones.
+const PREFERRED_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4']
+
+const formatSeconds = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+
+// Turn a getUserMedia or MediaRecorder failure into something a student can act on
+const getRecordingErrorMessage = (err) => {
+  if (err?.name === 'NotAllowedError' || err?.name === 'SecurityError') {
+    return 'Microphone access was blocked. Allow it in your browser settings and try again.'
+  }
+  if (err?.name === 'NotFoundError') {
+    return 'No microphone was found. Connect one and try again.'
+  }
+  return 'Recording could not start. Check your microphone and try again.'
+}
+
+/**
+ * AudioRecorder - Record a spoken answer with the browser's MediaRecorder.
+ * Each finished recording is handed to `onRecorded` to upload; the newest
+ * uploaded one is the answer. `recordingsLeft` counts the first recording
+ * and the re-records the exam allows.
+ */
+export default function AudioRecorder({ questionId, recordingUrl, recordingsLeft, onRecorded }) {
+  const [status, setStatus] = useState('idle') // 'idle' | 'recording' | 'uploading'
+  const [elapsed, setElapsed] = useState(0)
+  const [error, setError] = useState(null)
+  // A recording whose upload failed, kept so it can be sent again
+  const [unsent, setUnsent] = useState(null)
+  const recorderRef = useRef(null)
+  const streamRef = useRef(null)
+  const timerRef = useRef(null)
+  // Set when leaving the question mid-recording, so the partial clip is dropped
+  const discardRef = useRef(false)
+
+  const supported = typeof window !== 'undefined' && !!window.MediaRecorder && !!navigator.mediaDevices?.getUserMedia
+
+  const stopStream = () => {
+    clearInterval(timerRef.current)
+    streamRef.current?.getTracks().forEach(track => track.stop())
+    streamRef.current = null
+  }
+
+  useEffect(() => () => {
+    discardRef.current = true
+    if (recorderRef.current?.state === 'recording') recorderRef.current.stop()
+    stopStream()
+  }, [])
+
+  const upload = async (blob) => {
+    setStatus('uploading')
+    setError(null)
+    try {
+      await onRecorded(blob)
+      setUnsent(null)
+    } catch (err) {
+      setUnsent(blob)
+      setError(err?.message || 'Your recording could not be uploaded. Check your connection and try again.')
+    } finally {
+      setStatus('idle')
+    }
+  }
+
+  const startRecording = async () => {
+    setError(null)
+    let stream
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true })
+    } catch (err) {
+      setError(getRecordingErrorMessage(err))
+      return
+    }
+
+    const mimeType = PREFERRED_TYPES.find(type => window.MediaRecorder.isTypeSupported?.(type))
+    let recorder
+    try {
+      recorder = new window.MediaRecorder(stream, mimeType ? { mimeType } : undefined)
+    } catch (err) {
+      stream.getTracks().forEach(track => track.stop())
+      setError(getRecordingErrorMessage(err))
+      return
+    }
+
+    const chunks = []
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) chunks.push(e.data)
+    }
+    recorder.onstop = () => {
+      stopStream()
+      if (discardRef.current) return
+      upload(new Blob(chunks, { type: recorder.mimeType || mimeType || 'audio/webm' }))
+    }
+
+    streamRef.current = stream
+    recorderRef.current = recorder
+    discardRef.current = false
+    recorder.start()
+    setUnsent(null)
+    setElapsed(0)
+    setStatus('recording')
+
+    const startedAt = Date.now()
+    timerRef.current = setInterval(() => {
+      const seconds = Math.floor((Date.now() - startedAt) / 1000)
+      setElapsed(seconds)
+      if (seconds >= MAX_RECORDING_SECONDS && recorder.state === 'recording') recorder.stop()
+    }, 250)
+  }
+
+  const stopRecording = () => {
+    if (recorderRef.current?.state === 'recording') recorderRef.current.stop()
+  }
+
+  if (!supported) {
+    return (
+      <p className="p-4 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800" role="alert">
+        This browser can&apos;t record audio. Open the exam in a recent version of Chrome, Firefox, Edge or Safari to answer this question.
+      </p>
+    )
+  }
+
+  const reRecordsLeft = recordingUrl ? recordingsLeft : Math.max(0, recordingsLeft - 1)
+
+  return (
+    <div className="space-y-3">
+      {recordingUrl && (
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-1">Your recorded answer:</p>
+          <audio
+            key={recordingUrl}
+            src={recordingUrl}
+            controls
+            preload="metadata"
+            className="w-full"
+            aria-label="Your recorded answer"
+          />
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3">
+        {status === 'recording' ? (
+          <button
+            type="button"
+            onClick={stopRecording}
+            className="flex items-center gap-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+          >
+            <Square className="w-4 h-4" />
+            Stop Recording
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={startRecording}
+            disabled={status === 'uploading' || recordingsLeft <= 0}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+          >
+            {recordingUrl ? <RotateCcw className="w-4 h-4" /> : <Mic className="w-4 h-4" />}
+            {recordingUrl ? 'Re-record' : 'Start Recording'}
+          </button>
+        )}
+        {unsent && status === 'idle' && (
+          <button
+            type="button"
+            onClick={() => upload(unsent)}
+            className="flex items-center gap-2 px-4 py-2 bg-amber-100 text-amber-800 rounded-lg hover:bg-amber-200 transition-colors"
+          >
+            <Upload className="w-4 h-4" />
+            Retry Upload
+          </button>
+        )}
+        <span className="text-sm text-gray-600" role="status" aria-live="polite" id={`recorder-status-${questionId}`}>
+          {status === 'recording' && (
+            <span className="flex items-center gap-2 text-red-600 font-medium">
+              <span className="w-2 h-2 rounded-full bg-red-600 animate-pulse" aria-hidden="true" />
+              Recording {formatSeconds(elapsed)} / {formatSeconds(MAX_RECORDING_SECONDS)}
+            </span>
+          )}
+          {status === 'uploading' && 'Uploading your recording...'}
+        </span>
+      </div>
+
+      <p className="text-xs text-gray-500">
+        {recordingsLeft <= 0
+          ? 'You have used all your re-records. Your last recording is your answer.'
+          : `${reRecordsLeft} re-record${reRecordsLeft !== 1 ? 's' : ''} left${recordingUrl ? '' : ' after your first recording'}. Your latest recording is your answer.`}
+      </p>
+      {error && <p className="text-sm text-red-600" role="alert">{error}</p>}
+    </div>
+  )
+}
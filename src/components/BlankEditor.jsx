@@ -0,0 +1,66 @@
+import React from 'react'
+
+/**
+ * BlankEditor - Edit the accepted answers of each blank of a fill-in-the-blank
+ * or short answer question, and how typed answers are compared with them
+ */
+export default function BlankEditor({ blanks, onChange }) {
+  const updateBlank = (index, changes) => {
+    onChange(blanks.map((blank, i) => (i === index ? { ...blank, ...changes } : blank)))
+  }
+
+  return (
+    <div className="space-y-3">
+      {blanks.map((blank, index) => {
+        const name = blanks.length > 1 ? `Blank ${index + 1}` : 'Accepted answers'
+        return (
+          <div key={index} className="border border-gray-200 rounded-lg p-3 bg-gray-50">
+            <label htmlFor={`blank-${index}-accepted`} className="block text-sm font-semibold text-gray-700 mb-2">
+              {name} <span className="text-gray-500 text-xs">(One accepted answer per line)</span>
+            </label>
+            <textarea
+              id={`blank-${index}-accepted`}
+              value={blank.accepted}
+              onChange={(e) => updateBlank(index, { accepted: e.target.value })}
+              rows={2}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-mono text-sm"
+              placeholder={blank.regex ? 'e.g. (sir )?isaac newton' : 'e.g. Newton'}
+            />
+            <div className="flex flex-wrap gap-4 mt-2 text-sm text-gray-700">
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={blank.caseSensitive}
+                  onChange={(e) => updateBlank(index, { caseSensitive: e.target.checked })}
+                  className="w-4 h-4 text-blue-600 rounded"
+                />
+                Case sensitive
+              </label>
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={blank.normalizeWhitespace}
+                  onChange={(e) => updateBlank(index, { normalizeWhitespace: e.target.checked })}
+                  className="w-4 h-4 text-blue-600 rounded"
+                />
+                Ignore extra spaces
+              </label>
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={blank.regex}
+                  onChange={(e) => updateBlank(index, { regex: e.target.checked })}
+                  className="w-4 h-4 text-blue-600 rounded"
+                />
+                Regular expressions
+              </label>
+            </div>
+            {blank.regex && (
+              <p className="text-xs text-gray-500 mt-1">Each pattern must match the whole answer.</p>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
@@ -0,0 +1,115 @@
+import React, { useState } from 'react'
+import { Play, CheckCircle2, XCircle, Loader2 } from 'lucide-react'
+import CodeEditor from './CodeEditor'
+import { getLanguageLabel } from '../utils/code'
+
+// What a test that didn't pass went wrong with, in words
+const FAILURE_REASONS = {
+  failed: 'Wrong output',
+  error: 'The program stopped with an error',
+  timeout: 'The program took too long',
+  output_limit: 'The program printed too much'
+}
+
+/**
+ * CodeAnswerInput - Code editor for answering a code question, with a button
+ * that runs the answer against the question's visible tests. `onRun` runs
+ * the code on the server and resolves to the test results.
+ */
+export default function CodeAnswerInput({ question, value, onChange, onRun }) {
+  const [running, setRunning] = useState(false)
+  const [results, setResults] = useState(null)
+  const [error, setError] = useState(null)
+  const editorId = `code-answer-${question.id}`
+  const passedCount = results ? results.filter(result => result.passed).length : 0
+
+  const runTests = async () => {
+    setRunning(true)
+    setError(null)
+    try {
+      setResults(await onRun(value))
+    } catch (err) {
+      setError(err?.message || 'Your code could not be run. Check your connection and try again.')
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <label htmlFor={editorId} className="block text-sm font-semibold text-gray-700 flex items-center gap-2">
+        Write your answer in {getLanguageLabel(question.language)}:
+      </label>
+      <CodeEditor
+        id={editorId}
+        value={value}
+        onChange={onChange}
+        language={question.language}
+        describedBy={`${editorId}-hint`}
+      />
+      <p id={`${editorId}-hint`} className="text-xs text-gray-500">
+        Read the input from stdin and print the answer. Tab indents; press Esc then Tab to leave the editor.
+        Hidden tests check your answer when you submit the exam.
+      </p>
+
+      <div className="flex items-center gap-3">
+        <button
+          type="button"
+          onClick={runTests}
+          disabled={running || question.visibleTests.length === 0}
+          className="flex items-center gap-2 px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+        >
+          {running ? <Loader2 className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+          Run Visible Tests
+        </button>
+        <span className="text-sm text-gray-600" role="status" aria-live="polite">
+          {running
+            ? 'Running your code...'
+            : results && `${passedCount} of ${results.length} visible test${results.length !== 1 ? 's' : ''} passed`}
+        </span>
+      </div>
+      {error && <p className="text-sm text-red-600" role="alert">{error}</p>}
+
+      {(results || question.visibleTests).length > 0 && (
+        <ul className="space-y-2">
+          {(results || question.visibleTests).map((test, index) => (
+            <li
+              key={index}
+              className={`border rounded-lg p-3 text-sm ${
+                !results ? 'border-gray-200' : test.passed ? 'border-green-200 bg-green-50' : 'border-red-200 bg-red-50'
+              }`}
+            >
+              <p className="font-semibold text-gray-700 flex items-center gap-2 mb-2">
+                {results && (test.passed
+                  ? <CheckCircle2 className="w-4 h-4 text-green-600" />
+                  : <XCircle className="w-4 h-4 text-red-600" />)}
+                Test {index + 1}
+                {results && !test.passed && (
+                  <span className="font-normal text-red-700">: {FAILURE_REASONS[test.status] || 'Did not pass'}</span>
+                )}
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                <div>
+                  <p className="text-xs text-gray-500">Input</p>
+                  <pre className="font-mono text-xs bg-white border border-gray-200 rounded p-2 whitespace-pre-wrap">{test.input || ' '}</pre>
+                </div>
+                <div>
+                  <p className="text-xs text-gray-500">Expected output</p>
+                  <pre className="font-mono text-xs bg-white border border-gray-200 rounded p-2 whitespace-pre-wrap">{test.expectedOutput || ' '}</pre>
+                </div>
+              </div>
+              {results && !test.passed && test.output && (
+                <div className="mt-2">
+                  <p className="text-xs text-gray-500">Your output</p>
+                  <pre className="font-mono text-xs bg-white border border-gray-200 rounded p-2 whitespace-pre-wrap max-h-40 overflow-auto">
+                    {test.output}
+                  </pre>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
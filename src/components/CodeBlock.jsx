@@ -0,0 +1,39 @@
+import React, { useMemo } from 'react'
+import hljs from 'highlight.js/lib/core'
+import bash from 'highlight.js/lib/languages/bash'
+import c from 'highlight.js/lib/languages/c'
+import cpp from 'highlight.js/lib/languages/cpp'
+import csharp from 'highlight.js/lib/languages/csharp'
+import java from 'highlight.js/lib/languages/java'
+import javascript from 'highlight.js/lib/languages/javascript'
+import json from 'highlight.js/lib/languages/json'
+import python from 'highlight.js/lib/languages/python'
+import sql from 'highlight.js/lib/languages/sql'
+import typescript from 'highlight.js/lib/languages/typescript'
+import xml from 'highlight.js/lib/languages/xml'
+import 'highlight.js/styles/github-dark.css'
+
+// Languages a code block can be highlighted in. Each also answers to its
+// short names (js, py, html, ...).
+Object.entries({ bash, c, cpp, csharp, java, javascript, json, python, sql, typescript, xml })
+  .forEach(([name, language]) => hljs.registerLanguage(name, language))
+
+/**
+ * CodeBlock - Code snippet from a question or answer, syntax highlighted
+ * when its language is known and shown as plain text otherwise
+ */
+export default function CodeBlock({ code, language }) {
+  // highlight.js escapes the code it wraps in its markup
+  const highlighted = useMemo(
+    () => (language && hljs.getLanguage(language) ? hljs.highlight(code, { language }).value : null),
+    [code, language]
+  )
+
+  return (
+    <pre className="my-2 p-3 bg-gray-900 text-gray-100 rounded-lg font-mono text-sm overflow-x-auto whitespace-pre">
+      {highlighted !== null
+        ? <code className="hljs !bg-transparent !p-0" dangerouslySetInnerHTML={{ __html: highlighted }} />
+        : <code>{code}</code>}
+    </pre>
+  )
+}
@@ -0,0 +1,79 @@
+import React, { useRef, useState } from 'react'
+
+// Spaces one Tab press indents by, per language
+const INDENT = { python: '    ', javascript: '  ' }
+
+/**
+ * CodeEditor - Monospace code editor with line numbers. Tab indents and
+ * Enter keeps the indentation of the line above. Press Esc before Tab to
+ * move focus out of the editor instead.
+ */
+export default function CodeEditor({ id, value, onChange, language, rows = 14, describedBy }) {
+  const textareaRef = useRef(null)
+  const [scrollTop, setScrollTop] = useState(0)
+  // After Esc the next Tab moves focus on, so keyboard users aren't trapped
+  const [tabMovesFocus, setTabMovesFocus] = useState(false)
+  const indent = INDENT[language] || '  '
+  const lineCount = Math.max(value.split('\n').length, rows)
+
+  // Replace the selection with text and put the cursor after it
+  const insertText = (text) => {
+    const textarea = textareaRef.current
+    const { selectionStart, selectionEnd } = textarea
+    onChange(value.slice(0, selectionStart) + text + value.slice(selectionEnd))
+    requestAnimationFrame(() => {
+      textarea.selectionStart = textarea.selectionEnd = selectionStart + text.length
+    })
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setTabMovesFocus(true)
+      return
+    }
+    if (e.key === 'Tab' && !tabMovesFocus && !e.shiftKey) {
+      e.preventDefault()
+      insertText(indent)
+      return
+    }
+    if (e.key === 'Enter') {
+      e.preventDefault()
+      const lineStart = value.lastIndexOf('\n', e.target.selectionStart - 1) + 1
+      const currentIndent = value.slice(lineStart).match(/^[ \t]*/)[0]
+      insertText(`\n${currentIndent}`)
+    }
+    setTabMovesFocus(false)
+  }
+
+  return (
+    <div className="flex border-2 border-gray-200 rounded-lg overflow-hidden focus-within:ring-2 focus-within:ring-blue-500 focus-within:border-blue-500 bg-gray-900">
+      <div aria-hidden="true" className="relative w-12 flex-shrink-0 overflow-hidden bg-gray-800">
+        <div
+          className="absolute inset-x-0 top-0 select-none py-3 px-2 text-right font-mono text-sm leading-6 text-gray-500"
+          style={{ transform: `translateY(-${scrollTop}px)` }}
+        >
+          {Array.from({ length: lineCount }, (_, index) => (
+            <div key={index}>{index + 1}</div>
+          ))}
+        </div>
+      </div>
+      <textarea
+        ref={textareaRef}
+        id={id}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setTabMovesFocus(false)}
+        onScroll={(e) => setScrollTop(e.target.scrollTop)}
+        rows={rows}
+        spellCheck={false}
+        autoCapitalize="off"
+        autoComplete="off"
+        autoCorrect="off"
+        wrap="off"
+        aria-describedby={describedBy}
+        className="flex-1 py-3 px-3 font-mono text-sm leading-6 text-gray-100 bg-gray-900 resize-y outline-none"
+      />
+    </div>
+  )
+}
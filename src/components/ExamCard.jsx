@@ -36,6 +36,7 @@ export default function ExamCard({ exam, onPrefetch }) {
   )
 
   const isLive = exam.status === 'live' && !expired
+  const questionsCount = exam.questionsCount ?? exam.questions?.length ?? 0
 
   // Trigger prefetch on hover
   const handleMouseEnter = () => {
@@ -220,10 +221,10 @@ export default function ExamCard({ exam, onPrefetch }) {
                 </div>
               </div>
               <div className="flex items-center gap-2">
-                {exam.questions && exam.questions.length > 0 && (
+                {questionsCount > 0 && (
                   <div className="flex items-center gap-1.5 px-3 py-1.5 bg-blue-50 rounded-lg border border-blue-200">
                     <FileText className="w-4 h-4 text-blue-600" aria-hidden="true" />
-                    <span className="text-sm font-bold text-blue-700">{exam.questions.length}</span>
+                    <span className="text-sm font-bold text-blue-700">{questionsCount}</span>
                     <span className="text-xs text-blue-600">Q</span>
                   </div>
                 )}
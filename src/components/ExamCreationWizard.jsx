@@ -1,9 +1,16 @@
 import React, { useState, useEffect } from 'react'
 import { X, ArrowRight, ArrowLeft, Save, Check } from 'lucide-react'
-import { createDraftExam, updateDraftExam, publishDraftExam } from '../services/api'
+import { createDraftExam, updateDraftExam, publishDraftExam, isValidationError } from '../services/api'
+import { getFieldErrors } from '../utils/fieldErrors'
 import QuestionBuilder from './QuestionBuilder'
 import ExamTimeSettings from './ExamTimeSettings'
 
+// Fields shown on the earlier steps; everything else is on step 3
+const STEP_FIELDS = {
+  1: ['title', 'shortDescription', 'instructions'],
+  2: ['questions']
+}
+
 /**
  * Multi-step exam creation wizard
  * Step 1: Basic Info (Title, Description, Instructions)
@@ -35,7 +42,9 @@ export default function ExamCreationWizard({ onClose, onSuccess, draft: initialD
     pointsTotal: initialExam?.pointsTotal || (questions.length > 0 ? questions.reduce((sum, q) => sum + (q.points || 1), 0) : 100),
     attemptsLeft: initialExam?.settingsSummary?.attemptsLeft || 1,
     allowedReRecords: initialExam?.settingsSummary?.allowedReRecords || 0,
-    strictMode: initialExam?.settingsSummary?.strictMode || false
+    strictMode: initialExam?.settingsSummary?.strictMode || false,
+    negativeMarks: initialExam?.settingsSummary?.scoring?.negativeMarks || 0,
+    floorAtZero: initialExam?.settingsSummary?.scoring?.floorAtZero || false
   })
 
   // If editing a draft, start at step 2 if questions exist, otherwise step 1
@@ -52,6 +61,14 @@ export default function ExamCreationWizard({ onClose, onSuccess, draft: initialD
     }
   }, [initialDraft, initialExam])
 
+  // Show the server's field errors inline, on the first step that has one
+  const showFieldErrors = (error) => {
+    const fieldErrors = getFieldErrors(error, { questions: 'Question' })
+    const step = [1, 2].find(n => STEP_FIELDS[n].some(field => fieldErrors[field]))
+    if (step) setCurrentStep(step)
+    setErrors({ ...fieldErrors, submit: error.message })
+  }
+
   const validateStep1 = () => {
     const newErrors = {}
     if (!basicInfo.title.trim()) {
@@ -102,7 +119,11 @@ export default function ExamCreationWizard({ onClose, onSuccess, draft: initialD
       }
     } catch (error) {
       console.error('Error saving draft:', error)
-      setErrors({ submit: error.message || 'Failed to save draft. Please try again.' })
+      if (isValidationError(error)) {
+        showFieldErrors(error)
+      } else {
+        setErrors({ submit: error.message || 'Failed to save draft. Please try again.' })
+      }
     } finally {
       setLoading(false)
     }
@@ -121,6 +142,11 @@ export default function ExamCreationWizard({ onClose, onSuccess, draft: initialD
         try {
           await updateDraftExam(draftId, { questions })
         } catch (error) {
+          // Questions the server rejects have to be fixed before moving on
+          if (isValidationError(error)) {
+            showFieldErrors(error)
+            return
+          }
           // If draft update fails but we have questions, continue anyway
           // The questions are already in state and will be saved on publish
           console.warn('Draft update failed, but continuing:', error)
@@ -196,7 +222,11 @@ export default function ExamCreationWizard({ onClose, onSuccess, draft: initialD
           strictMode: timeSettings.strictMode,
           attemptsLeft: timeSettings.attemptsLeft,
           allowedReRecords: timeSettings.allowedReRecords,
-          instructions: basicInfo.instructions
+          instructions: basicInfo.instructions,
+          scoring: {
+            negativeMarks: timeSettings.negativeMarks,
+            floorAtZero: timeSettings.floorAtZero
+          }
         }
       }
 
@@ -214,7 +244,11 @@ export default function ExamCreationWizard({ onClose, onSuccess, draft: initialD
       onClose()
     } catch (error) {
       console.error('Error publishing/updating exam:', error)
-      setErrors({ submit: error.message || 'Failed to publish/update exam. Please try again.' })
+      if (isValidationError(error)) {
+        showFieldErrors(error)
+      } else {
+        setErrors({ submit: error.message || 'Failed to publish/update exam. Please try again.' })
+      }
     } finally {
       setLoading(false)
     }
@@ -339,9 +373,14 @@ export default function ExamCreationWizard({ onClose, onSuccess, draft: initialD
                       value={basicInfo.instructions}
                       onChange={(e) => setBasicInfo({ ...basicInfo, instructions: e.target.value })}
                       rows={4}
-                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                        errors.instructions ? 'border-red-500' : 'border-gray-300'
+                      }`}
                       placeholder="Detailed instructions for students..."
                     />
+                    {errors.instructions && (
+                      <p className="text-red-600 text-sm mt-1">{errors.instructions}</p>
+                    )}
                   </div>
                 </div>
               </div>
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react'
 import { X, Save, Calendar, Clock, Award, Settings, FileText, AlertCircle } from 'lucide-react'
-import { createExam, updateExam } from '../services/api'
+import { createExam, updateExam, isValidationError } from '../services/api'
+import { getFieldErrors } from '../utils/fieldErrors'
 
 /**
  * ExamForm - Form component for creating and editing exams
@@ -133,6 +134,8 @@ export default function ExamForm({ exam, onClose, onSuccess }) {
         pointsTotal: formData.pointsTotal,
         teacherName,
         settingsSummary: {
+          // Keep settings this form doesn't edit, such as scoring
+          ...exam?.settingsSummary,
           strictMode: formData.strictMode,
           attemptsLeft: formData.attemptsLeft,
           allowedReRecords: formData.allowedReRecords,
@@ -160,7 +163,12 @@ export default function ExamForm({ exam, onClose, onSuccess }) {
       }
     } catch (error) {
       console.error('Error saving exam:', error)
-      setErrors({ submit: error.message || 'Failed to save exam. Please try again.' })
+      if (isValidationError(error)) {
+        // Show the server's field errors next to the matching inputs
+        setErrors({ ...getFieldErrors(error), submit: error.message })
+      } else {
+        setErrors({ submit: error.message || 'Failed to save exam. Please try again.' })
+      }
     } finally {
       setLoading(false)
     }
@@ -246,9 +254,12 @@ export default function ExamForm({ exam, onClose, onSuccess }) {
               value={formData.instructions}
               onChange={(e) => handleChange('instructions', e.target.value)}
               rows={4}
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                errors.instructions ? 'border-red-500' : 'border-gray-300'
+              }`}
               placeholder="Detailed instructions for students..."
             />
+            {errors.instructions && <p className="text-red-600 text-sm mt-1">{errors.instructions}</p>}
           </div>
 
           {/* Date and Time Range */}
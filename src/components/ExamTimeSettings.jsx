@@ -1,5 +1,5 @@
 import React, { useEffect } from 'react'
-import { Calendar, Clock, Award, Settings, AlertCircle } from 'lucide-react'
+import { Calendar, Clock, Award, Settings, AlertCircle, MinusCircle } from 'lucide-react'
 
 /**
  * ExamTimeSettings - Component for setting exam time, dates, and other settings
@@ -158,12 +158,20 @@ export default function ExamTimeSettings({ timeSettings, onChange, errors = {},
           min="1"
           value={timeSettings.timePerQuestionSec || ''}
           onChange={(e) => handleChange('timePerQuestionSec', e.target.value ? parseInt(e.target.value) : null)}
-          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+            errors.timePerQuestionSec ? 'border-red-500' : 'border-gray-300'
+          }`}
           placeholder="Leave empty for no limit"
         />
         <p className="text-xs text-gray-500 mt-1">
           If set, students will have a time limit per question
         </p>
+        {errors.timePerQuestionSec && (
+          <p className="text-red-600 text-sm mt-1 flex items-center gap-1">
+            <AlertCircle className="w-4 h-4" />
+            {errors.timePerQuestionSec}
+          </p>
+        )}
       </div>
 
       {/* Attempts and Re-records */}
@@ -177,8 +185,16 @@ export default function ExamTimeSettings({ timeSettings, onChange, errors = {},
             min="0"
             value={timeSettings.attemptsLeft}
             onChange={(e) => handleChange('attemptsLeft', parseInt(e.target.value) || 0)}
-            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+              errors.attemptsLeft ? 'border-red-500' : 'border-gray-300'
+            }`}
           />
+          {errors.attemptsLeft && (
+            <p className="text-red-600 text-sm mt-1 flex items-center gap-1">
+              <AlertCircle className="w-4 h-4" />
+              {errors.attemptsLeft}
+            </p>
+          )}
         </div>
 
         <div>
@@ -190,8 +206,64 @@ export default function ExamTimeSettings({ timeSettings, onChange, errors = {},
             min="0"
             value={timeSettings.allowedReRecords}
             onChange={(e) => handleChange('allowedReRecords', parseInt(e.target.value) || 0)}
-            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+              errors.allowedReRecords ? 'border-red-500' : 'border-gray-300'
+            }`}
           />
+          {errors.allowedReRecords && (
+            <p className="text-red-600 text-sm mt-1 flex items-center gap-1">
+              <AlertCircle className="w-4 h-4" />
+              {errors.allowedReRecords}
+            </p>
+          )}
+        </div>
+      </div>
+
+      {/* Scoring */}
+      <div className="border-t border-gray-200 pt-4">
+        <h4 className="text-sm font-semibold text-gray-700 mb-3">
+          <MinusCircle className="w-4 h-4 inline mr-1" />
+          Scoring
+        </h4>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="negative-marks" className="block text-sm font-semibold text-gray-700 mb-2">
+              Negative Marks per Wrong Answer
+            </label>
+            <input
+              id="negative-marks"
+              type="number"
+              min="0"
+              step="0.25"
+              value={timeSettings.negativeMarks}
+              onChange={(e) => handleChange('negativeMarks', e.target.value ? Math.max(0, parseFloat(e.target.value)) : 0)}
+              className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                errors.negativeMarks ? 'border-red-500' : 'border-gray-300'
+              }`}
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Taken off for each wrong answer to a multiple choice or multiple select question. Skipped questions score 0. Questions can set their own.
+            </p>
+            {errors.negativeMarks && (
+              <p className="text-red-600 text-sm mt-1 flex items-center gap-1">
+                <AlertCircle className="w-4 h-4" />
+                {errors.negativeMarks}
+              </p>
+            )}
+          </div>
+
+          <label className="flex items-center gap-3 cursor-pointer md:mt-7">
+            <input
+              type="checkbox"
+              checked={timeSettings.floorAtZero}
+              onChange={(e) => handleChange('floorAtZero', e.target.checked)}
+              className="w-5 h-5 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+            />
+            <div>
+              <span className="text-sm font-semibold text-gray-700">Never Below Zero</span>
+              <p className="text-xs text-gray-500">A student&apos;s total score stops at 0 however many answers are wrong</p>
+            </div>
+          </label>
         </div>
       </div>
 
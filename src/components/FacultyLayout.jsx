@@ -10,8 +10,10 @@ import {
   ChevronDown,
   RefreshCw,
   LogOut,
-  FileText
+  FileText,
+  ClipboardCheck
 } from 'lucide-react'
+import { logout } from '../services/api'
 
 /**
  * FacultyLayout - Main layout component with header and sidebar for faculty
@@ -61,6 +63,9 @@ export default function FacultyLayout({ children }) {
     if (path.includes('/students')) {
       return 'students'
     }
+    if (path.includes('/grading')) {
+      return 'grading'
+    }
     if (path.includes('/analytics')) {
       return 'analytics'
     }
@@ -82,7 +87,12 @@ export default function FacultyLayout({ children }) {
     window.location.reload() // Simple refresh as fallback
   }
 
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    try {
+      await logout()
+    } catch {
+      // Session is cleared locally either way
+    }
     // Clear authentication data
     localStorage.removeItem('auth_token')
     localStorage.removeItem('user_data')
@@ -195,6 +205,19 @@ export default function FacultyLayout({ children }) {
               <span className="font-medium">Students</span>
             </button>
 
+            {/* Grading */}
+            <button
+              onClick={() => handleNavigation('grading')}
+              className={`w-full flex items-center gap-3 px-4 py-3 rounded transition-all duration-200 ${
+                activeRoute === 'grading'
+                  ? 'bg-blue-700 text-white'
+                  : 'text-blue-100 hover:bg-blue-800'
+              }`}
+            >
+              <ClipboardCheck className="w-5 h-5" />
+              <span className="font-medium">Grading</span>
+            </button>
+
             {/* Analytics */}
             <button
               onClick={() => handleNavigation('analytics')}
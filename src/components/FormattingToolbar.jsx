@@ -0,0 +1,93 @@
+import React from 'react'
+import { Bold, Italic, Code, Sigma, List, ListOrdered, SquareCode, Table } from 'lucide-react'
+
+// What each button types around the selection. `wrap` goes on either side
+// of it (or of `placeholder` when nothing is selected), `prefix` in front of
+// every selected line. `block` formatting goes on lines of its own.
+const TOOLS = {
+  bold: { label: 'Bold', icon: Bold, wrap: ['**', '**'], placeholder: 'bold text' },
+  italic: { label: 'Italic', icon: Italic, wrap: ['*', '*'], placeholder: 'italic text' },
+  code: { label: 'Inline code', icon: Code, wrap: ['`', '`'], placeholder: 'code' },
+  math: { label: 'Math', icon: Sigma, wrap: ['$', '$'], placeholder: 'x^2' },
+  bulletList: { label: 'Bulleted list', icon: List, prefix: () => '- ' },
+  numberedList: { label: 'Numbered list', icon: ListOrdered, prefix: (index) => `${index + 1}. ` },
+  codeBlock: { label: 'Code block', icon: SquareCode, wrap: ['```python\n', '\n```'], placeholder: 'print("Hello")', block: true },
+  table: {
+    label: 'Table',
+    icon: Table,
+    wrap: ['| Column 1 | Column 2 |\n| --- | --- |\n| ', ' |  |'],
+    placeholder: 'cell',
+    block: true
+  }
+}
+
+// The buttons each toolbar shows. `inline` is for text shown within a line.
+const TOOLSETS = {
+  inline: ['bold', 'italic', 'code', 'math'],
+  student: ['bold', 'italic', 'bulletList', 'numberedList', 'code', 'math'],
+  faculty: ['bold', 'italic', 'bulletList', 'numberedList', 'table', 'code', 'codeBlock', 'math']
+}
+
+/**
+ * FormattingToolbar - Buttons above a textarea that type rich text
+ * formatting around the selection, keeping the text selected afterwards.
+ * `toolset` is 'student', 'faculty' or 'inline'.
+ */
+export default function FormattingToolbar({ textareaRef, value, onChange, toolset = 'student' }) {
+  const applyTool = (tool) => {
+    const textarea = textareaRef.current
+    if (!textarea) return
+    const { selectionStart, selectionEnd } = textarea
+    let before = value.slice(0, selectionStart)
+    const after = value.slice(selectionEnd)
+    let inserted
+    let selectFrom
+    let selectTo
+
+    if (tool.prefix) {
+      // List formatting applies to whole lines
+      const lineStart = value.lastIndexOf('\n', selectionStart - 1) + 1
+      const lines = value.slice(lineStart, selectionEnd).split('\n')
+      before = value.slice(0, lineStart)
+      inserted = lines.map((line, index) => tool.prefix(index) + line).join('\n')
+      selectFrom = selectTo = lineStart + inserted.length
+    } else {
+      const [open, close] = tool.wrap
+      const inner = value.slice(selectionStart, selectionEnd) || tool.placeholder
+      const lead = tool.block && before && !before.endsWith('\n') ? '\n' : ''
+      const trail = tool.block && after && !after.startsWith('\n') ? '\n' : ''
+      inserted = lead + open + inner + close + trail
+      selectFrom = before.length + lead.length + open.length
+      selectTo = selectFrom + inner.length
+    }
+
+    onChange(before + inserted + after)
+    requestAnimationFrame(() => {
+      textarea.focus()
+      textarea.setSelectionRange(selectFrom, selectTo)
+    })
+  }
+
+  return (
+    <div role="toolbar" aria-label="Formatting" className="flex flex-wrap items-center gap-1 mb-1">
+      {TOOLSETS[toolset].map(name => {
+        const tool = TOOLS[name]
+        const Icon = tool.icon
+        return (
+          <button
+            key={name}
+            type="button"
+            // Keep the selection in the textarea
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => applyTool(tool)}
+            title={tool.label}
+            aria-label={tool.label}
+            className="p-1.5 rounded text-gray-600 hover:bg-gray-100 hover:text-gray-900 transition-colors"
+          >
+            <Icon className="w-4 h-4" />
+          </button>
+        )
+      })}
+    </div>
+  )
+}
@@ -243,7 +243,9 @@ export default function HistoryTable({ exams = [] }) {
               const percentage = score != null && maxScore ? Math.round((score / maxScore) * 100) : null
               const timeTakenLabel = formatDuration(ex)
 
-              const status = score != null
+              const status = ex.result?.status === 'pending_grading'
+                ? 'Grading'
+                : score != null
                 ? 'Submitted'
                 : endedAt
                 ? 'Pending'
@@ -280,6 +282,12 @@ export default function HistoryTable({ exams = [] }) {
                         Submitted
                       </span>
                     )}
+                    {status === 'Grading' && (
+                      <span className="inline-flex items-center gap-1 px-3 py-1 rounded-full bg-blue-100 text-blue-700 text-xs font-semibold" title="Written answers are waiting to be graded">
+                        <Clock className="w-3 h-3" />
+                        Being graded
+                      </span>
+                    )}
                     {status === 'Pending' && (
                       <span className="inline-flex items-center gap-1 px-3 py-1 rounded-full bg-yellow-100 text-yellow-700 text-xs font-semibold">
                         <AlertCircle className="w-3 h-3" />
@@ -9,7 +9,8 @@ import {
   Mic, 
   X,
   CheckCircle,
-  Shield
+  Shield,
+  MinusCircle
 } from 'lucide-react'
 import { startExam } from '../services/api'
 import { formatDuration, formatTimePerQuestion } from '../utils/format'
@@ -22,6 +23,8 @@ import Badge from './Badge'
  * @param {(attemptId: string) => void} props.onSuccess
  */
 export default function JoinModal({ exam, onClose, onSuccess }) {
+  const scoring = exam.settingsSummary?.scoring
+  const negativeMarking = scoring?.negativeMarks > 0 || scoring?.variesByQuestion
   const [isStarting, setIsStarting] = useState(false)
   const [error, setError] = useState(null)
   const [success, setSuccess] = useState(false)
@@ -193,6 +196,30 @@ export default function JoinModal({ exam, onClose, onSuccess }) {
               </div>
             )}
 
+            {negativeMarking && (
+              <div className="py-2 border-t border-slate-200 space-y-1">
+                <div className="flex items-center justify-between">
+                  <span className="font-semibold text-slate-800 flex items-center gap-2">
+                    <MinusCircle className="w-4 h-4 text-danger-dark" aria-hidden="true" />
+                    Wrong choices:
+                  </span>
+                  <span className="font-medium text-slate-700">
+                    {scoring.negativeMarks > 0 ? `−${scoring.negativeMarks} marks each` : 'No penalty'}
+                  </span>
+                </div>
+                <div className="flex items-center justify-between">
+                  <span className="font-semibold text-slate-800">Skipped questions:</span>
+                  <span className="font-medium text-slate-700">0 marks</span>
+                </div>
+                {scoring.variesByQuestion && (
+                  <p className="text-xs text-slate-600">Some questions have their own penalty, shown with the question.</p>
+                )}
+                {scoring.floorAtZero && (
+                  <p className="text-xs text-slate-600">Your total score will not go below 0.</p>
+                )}
+              </div>
+            )}
+
             {exam.settingsSummary?.strictMode && (
               <div className="flex items-center gap-2 pt-2 border-t border-slate-200">
                 <Shield className="w-4 h-4 text-warning-dark" aria-hidden="true" />
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import logoImg from '../assets/vgec-logo.png'
+import { login } from '../services/api'
 
 const roleConfig = {
   student: {
@@ -28,6 +29,8 @@ function LoginCard() {
     facultyId: '',
     facultyPassword: '',
   })
+  const [error, setError] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
 
   // Check if user is already logged in and redirect accordingly
   useEffect(() => {
@@ -57,34 +60,30 @@ function LoginCard() {
 
   const handleSubmit = async (event) => {
     event.preventDefault()
-    
-    // TODO: Add actual authentication logic here
-    // For now, we'll do basic validation and redirect based on role
-    
+    setError(null)
+    setSubmitting(true)
+
     try {
-      // Store user role and credentials in localStorage for session management
-      const userData = {
-        role: role,
-        ...(role === 'student' 
-          ? { enrollment: credentials.enrollment }
-          : { facultyId: credentials.facultyId }
-        ),
-        loginTime: new Date().toISOString()
-      }
-      
-      localStorage.setItem('user_data', JSON.stringify(userData))
-      localStorage.setItem('auth_token', 'mock_token_' + Date.now()) // Mock token
-      
-      // Redirect based on role
-      if (role === 'faculty') {
+      const { token, user } = await login({
+        role,
+        identifier: role === 'student' ? credentials.enrollment : credentials.facultyId,
+        password: role === 'student' ? credentials.studentPassword : credentials.facultyPassword,
+      })
+
+      // Store the signed session token and user profile for session management
+      localStorage.setItem('user_data', JSON.stringify({ ...user, loginTime: new Date().toISOString() }))
+      localStorage.setItem('auth_token', token)
+
+      // Redirect based on the role the server assigned
+      if (user.role === 'faculty') {
         navigate('/faculty/dashboard')
       } else {
         navigate('/student/dashboard')
       }
-    } catch (error) {
-      console.error('Login error:', error)
-      // You can add error handling UI here
-      alert('Login failed. Please try again.')
+    } catch (err) {
+      console.error('Login error:', err)
+      setError(err?.message || 'Login failed. Please try again.')
+      setSubmitting(false)
     }
   }
 
@@ -159,8 +158,14 @@ function LoginCard() {
           />
         </label>
 
-        <button type="submit" className="primary">
-          Login
+        {error && (
+          <div className="notice error">
+            {error}
+          </div>
+        )}
+
+        <button type="submit" className="primary" disabled={submitting}>
+          {submitting ? 'Logging in...' : 'Login'}
         </button>
 
         <div className="form-footer">
@@ -0,0 +1,100 @@
+import React, { useState } from 'react'
+
+/**
+ * MatchingInput - Match each prompt of a matching question to one of the
+ * matches, by dragging a match onto a prompt or by picking it from the
+ * prompt's list, which works from the keyboard. A match goes with one
+ * prompt at a time.
+ */
+export default function MatchingInput({ questionId, prompts, matches, value, onChange }) {
+  const chosen = prompts.map((_, index) => (Array.isArray(value) ? value[index] ?? null : null))
+  const [dragging, setDragging] = useState(null)
+  const [dropIndex, setDropIndex] = useState(null)
+  const [announcement, setAnnouncement] = useState('')
+
+  const assign = (promptIndex, match) => {
+    onChange(chosen.map((current, index) =>
+      index === promptIndex ? match : current === match ? null : current
+    ))
+    setAnnouncement(match ? `${match} matched with ${prompts[promptIndex]}` : `${prompts[promptIndex]} cleared`)
+  }
+
+  const unused = matches.filter(match => !chosen.includes(match))
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <p className="text-xs text-gray-500 mb-2">
+          Drag a match onto a prompt, or pick it from the list next to the prompt.
+        </p>
+        <ul className="flex flex-wrap gap-2" aria-label="Matches not used yet">
+          {unused.map(match => (
+            <li
+              key={match}
+              draggable
+              onDragStart={(e) => {
+                setDragging(match)
+                e.dataTransfer.effectAllowed = 'move'
+                e.dataTransfer.setData('text/plain', match)
+              }}
+              onDragEnd={() => {
+                setDragging(null)
+                setDropIndex(null)
+              }}
+              className={`px-3 py-1.5 text-sm border-2 rounded-full bg-white cursor-grab ${
+                dragging === match ? 'border-blue-500 opacity-50' : 'border-gray-200 hover:border-blue-300'
+              }`}
+            >
+              {match}
+            </li>
+          ))}
+          {unused.length === 0 && <li className="text-sm text-gray-500">Every match has been used.</li>}
+        </ul>
+      </div>
+
+      <div className="space-y-2">
+        {prompts.map((prompt, index) => {
+          const selectId = `match-${questionId}-${index}`
+          return (
+            <div
+              key={index}
+              onDragOver={(e) => {
+                e.preventDefault()
+                setDropIndex(index)
+              }}
+              onDragLeave={() => setDropIndex(current => (current === index ? null : current))}
+              onDrop={(e) => {
+                e.preventDefault()
+                const match = dragging ?? e.dataTransfer.getData('text/plain')
+                if (matches.includes(match)) assign(index, match)
+                setDragging(null)
+                setDropIndex(null)
+              }}
+              className={`flex flex-col sm:flex-row sm:items-center gap-2 p-3 border-2 rounded-lg transition-all ${
+                dropIndex === index
+                  ? 'border-blue-500 bg-blue-50'
+                  : chosen[index] ? 'border-blue-200 bg-blue-50/30' : 'border-gray-200'
+              }`}
+            >
+              <label htmlFor={selectId} className="flex-1 font-medium text-gray-800">
+                {prompt}
+              </label>
+              <select
+                id={selectId}
+                value={chosen[index] ?? ''}
+                onChange={(e) => assign(index, e.target.value || null)}
+                className="sm:w-64 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white"
+              >
+                <option value="">Choose a match…</option>
+                {matches.map(match => (
+                  <option key={match} value={match}>{match}</option>
+                ))}
+              </select>
+            </div>
+          )
+        })}
+      </div>
+      <p className="sr-only" aria-live="polite">{announcement}</p>
+    </div>
+  )
+}
@@ -0,0 +1,28 @@
+import React, { useMemo } from 'react'
+import 'katex/dist/katex.min.css'
+import { splitMath, renderFormula } from '../utils/math'
+
+/**
+ * MathText - Text with `$...$` inline and `$$...$$` block math rendered as
+ * formulas. Everything else is shown as plain text.
+ */
+export default function MathText({ text, as = 'span', className }) {
+  const Tag = as
+  const parts = useMemo(() => splitMath(String(text ?? '')), [text])
+
+  return (
+    <Tag className={className}>
+      {parts.map((part, index) => (
+        part.type === 'text' ? (
+          <React.Fragment key={index}>{part.value}</React.Fragment>
+        ) : (
+          <span
+            key={index}
+            className={part.display ? 'block my-2 overflow-x-auto' : undefined}
+            dangerouslySetInnerHTML={{ __html: renderFormula(part.value, part.display) }}
+          />
+        )
+      ))}
+    </Tag>
+  )
+}
@@ -0,0 +1,64 @@
+import React from 'react'
+import { ArrowDown, ArrowUp, Plus, X } from 'lucide-react'
+import { moveItem } from '../utils/arrange'
+
+/**
+ * OrderEditor - Edit the items of an ordering question in their right order.
+ * Students see the items shuffled.
+ */
+export default function OrderEditor({ items, onChange }) {
+  return (
+    <div className="space-y-2">
+      <ol className="space-y-2">
+        {items.map((item, index) => (
+          <li key={index} className="flex items-center gap-2">
+            <span className="w-6 text-sm font-semibold text-gray-500 text-right">{index + 1}.</span>
+            <input
+              type="text"
+              value={item}
+              onChange={(e) => onChange(items.map((it, i) => (i === index ? e.target.value : it)))}
+              aria-label={`Item ${index + 1}`}
+              placeholder={index === 0 ? 'First step' : index === items.length - 1 ? 'Last step' : 'Next step'}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <button
+              type="button"
+              onClick={() => onChange(moveItem(items, index, index - 1))}
+              disabled={index === 0}
+              className="p-1 text-gray-500 hover:text-blue-600 disabled:opacity-30"
+              aria-label={`Move item ${index + 1} up`}
+            >
+              <ArrowUp className="w-4 h-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => onChange(moveItem(items, index, index + 1))}
+              disabled={index === items.length - 1}
+              className="p-1 text-gray-500 hover:text-blue-600 disabled:opacity-30"
+              aria-label={`Move item ${index + 1} down`}
+            >
+              <ArrowDown className="w-4 h-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => onChange(items.filter((_, i) => i !== index))}
+              disabled={items.length <= 2}
+              className="p-1 text-gray-500 hover:text-red-600 disabled:opacity-30"
+              aria-label={`Remove item ${index + 1}`}
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </li>
+        ))}
+      </ol>
+      <button
+        type="button"
+        onClick={() => onChange([...items, ''])}
+        className="flex items-center gap-1 px-3 py-2 text-sm bg-blue-50 text-blue-600 rounded-lg hover:bg-blue-100 transition-colors"
+      >
+        <Plus className="w-4 h-4" />
+        Add Item
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,122 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { ArrowDown, ArrowUp, GripVertical } from 'lucide-react'
+import { moveItem } from '../utils/arrange'
+
+/**
+ * OrderingInput - Put the items of an ordering question in order by dragging
+ * them, or from the keyboard with the arrow keys on an item's handle or its
+ * move buttons. Each move is announced to screen readers.
+ */
+export default function OrderingInput({ questionId, items, value, onChange }) {
+  // Until the student moves something the items show in the order given
+  const order = Array.isArray(value) && value.length === items.length ? value : items
+  const [dragIndex, setDragIndex] = useState(null)
+  const [announcement, setAnnouncement] = useState('')
+  // After a move, focus follows the item to its new position
+  const focusRef = useRef(null)
+  const handleRefs = useRef([])
+
+  useEffect(() => {
+    if (focusRef.current === null) return
+    handleRefs.current[focusRef.current]?.focus()
+    focusRef.current = null
+  }, [order])
+
+  const move = (from, to) => {
+    if (from === null || to < 0 || to >= order.length || from === to) return
+    onChange(moveItem(order, from, to))
+    setAnnouncement(`${order[from]} moved to position ${to + 1} of ${order.length}`)
+  }
+
+  const moveWithFocus = (from, to) => {
+    focusRef.current = to
+    move(from, to)
+  }
+
+  const handleKeyDown = (e, index) => {
+    if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      moveWithFocus(index, index - 1)
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      moveWithFocus(index, index + 1)
+    }
+  }
+
+  const instructionsId = `ordering-instructions-${questionId}`
+
+  return (
+    <div className="space-y-3">
+      <p id={instructionsId} className="text-xs text-gray-500">
+        Drag the items into order, or focus an item&apos;s handle and use the Up and Down arrow keys.
+      </p>
+      <ol className="space-y-2" aria-label="Items to put in order">
+        {order.map((item, index) => (
+          <li
+            key={item}
+            draggable
+            onDragStart={(e) => {
+              setDragIndex(index)
+              e.dataTransfer.effectAllowed = 'move'
+              e.dataTransfer.setData('text/plain', item)
+            }}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={(e) => {
+              e.preventDefault()
+              move(dragIndex, index)
+              setDragIndex(null)
+            }}
+            onDragEnd={() => setDragIndex(null)}
+            className={`flex items-center gap-3 p-3 border-2 rounded-lg bg-white transition-all ${
+              dragIndex === index ? 'border-blue-500 opacity-50' : 'border-gray-200 hover:border-blue-300'
+            }`}
+          >
+            <button
+              type="button"
+              ref={(el) => { handleRefs.current[index] = el }}
+              onKeyDown={(e) => handleKeyDown(e, index)}
+              aria-label={`${item}, position ${index + 1} of ${order.length}`}
+              aria-describedby={instructionsId}
+              className="p-1 text-gray-400 cursor-grab rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <GripVertical className="w-5 h-5" />
+            </button>
+            <span className="w-6 text-sm font-semibold text-blue-600">{index + 1}.</span>
+            <span className="flex-1 text-gray-800">{item}</span>
+            <button
+              type="button"
+              onClick={() => moveWithFocus(index, index - 1)}
+              disabled={index === 0}
+              className="p-1 text-gray-500 hover:text-blue-600 disabled:opacity-30"
+              aria-label={`Move ${item} up`}
+            >
+              <ArrowUp className="w-4 h-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => moveWithFocus(index, index + 1)}
+              disabled={index === order.length - 1}
+              className="p-1 text-gray-500 hover:text-blue-600 disabled:opacity-30"
+              aria-label={`Move ${item} down`}
+            >
+              <ArrowDown className="w-4 h-4" />
+            </button>
+          </li>
+        ))}
+      </ol>
+      {order === items && (
+        <div className="flex items-center gap-3 text-xs text-gray-500">
+          <span>Move an item to answer, or keep the order shown.</span>
+          <button
+            type="button"
+            onClick={() => onChange([...items])}
+            className="px-2 py-1 text-blue-600 bg-blue-50 rounded hover:bg-blue-100"
+          >
+            Keep This Order
+          </button>
+        </div>
+      )}
+      <p className="sr-only" aria-live="polite">{announcement}</p>
+    </div>
+  )
+}
@@ -0,0 +1,55 @@
+import React from 'react'
+import { Plus, X } from 'lucide-react'
+
+/**
+ * PairsEditor - Edit the prompts of a matching question, each with the match
+ * that belongs to it. Students see the matches shuffled.
+ */
+export default function PairsEditor({ pairs, onChange }) {
+  const updatePair = (index, changes) => {
+    onChange(pairs.map((pair, i) => (i === index ? { ...pair, ...changes } : pair)))
+  }
+
+  return (
+    <div className="space-y-2">
+      {pairs.map((pair, index) => (
+        <div key={index} className="flex items-center gap-2">
+          <input
+            type="text"
+            value={pair.prompt}
+            onChange={(e) => updatePair(index, { prompt: e.target.value })}
+            aria-label={`Pair ${index + 1} prompt`}
+            placeholder="Prompt, e.g. Newton"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <span className="text-gray-400" aria-hidden="true">→</span>
+          <input
+            type="text"
+            value={pair.match}
+            onChange={(e) => updatePair(index, { match: e.target.value })}
+            aria-label={`Pair ${index + 1} match`}
+            placeholder="Match, e.g. Force"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <button
+            type="button"
+            onClick={() => onChange(pairs.filter((_, i) => i !== index))}
+            disabled={pairs.length <= 2}
+            className="p-1 text-gray-500 hover:text-red-600 disabled:opacity-30"
+            aria-label={`Remove pair ${index + 1}`}
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...pairs, { prompt: '', match: '' }])}
+        className="flex items-center gap-1 px-3 py-2 text-sm bg-blue-50 text-blue-600 rounded-lg hover:bg-blue-100 transition-colors"
+      >
+        <Plus className="w-4 h-4" />
+        Add Pair
+      </button>
+    </div>
+  )
+}
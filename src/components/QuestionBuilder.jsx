@@ -1,27 +1,167 @@
-import React, { useState } from 'react'
+import React, { useRef, useState } from 'react'
 import { Plus, Trash2, Image, Video, FileText, X, Check } from 'lucide-react'
+import { uploadMedia } from '../services/api'
+import { getRubricTotal, getRubricProblem } from '../utils/rubric'
+import {
+  countBlanks,
+  emptyBlank,
+  getAcceptedAnswers,
+  getBlanksProblem,
+  resizeBlanks
+} from '../utils/blanks'
+import { getFilledPairs, getOrderProblem, getPairsProblem } from '../utils/arrange'
+import { CODE_LANGUAGES, emptyTestCase, getLanguageLabel, getTestCasesProblem } from '../utils/code'
+import RubricEditor from './RubricEditor'
+import BlankEditor from './BlankEditor'
+import PairsEditor from './PairsEditor'
+import OrderEditor from './OrderEditor'
+import TestCaseEditor from './TestCaseEditor'
+import CodeEditor from './CodeEditor'
+import RichText from './RichText'
+import RichTextPreview from './RichTextPreview'
+import FormattingToolbar from './FormattingToolbar'
+
+// A question with a rubric is worth whatever its rubric adds up to
+const getQuestionPoints = (question) =>
+  question.type === 'descriptive' && question.rubric.length > 0
+    ? getRubricTotal(question.rubric)
+    : question.points || 1
+
+// Question types answered by picking options
+const CHOICE_TYPES = ['mcq', 'multiselect']
+
+// Question types answered by typing short text into one or more blanks
+const TEXT_ANSWER_TYPES = ['fillblank', 'short']
+
+// Question types answered by matching prompts or putting items in order
+const ARRANGE_TYPES = ['matching', 'ordering']
+
+// Question types a grader scores by hand, with an answer key for reference
+const MANUALLY_GRADED_TYPES = ['descriptive', 'oral']
+
+// A short answer is one blank; a fill-in-the-blank question has one for
+// each ___ in its text
+const getBlankCount = (type, text) =>
+  type === 'short' ? 1 : type === 'fillblank' ? countBlanks(text) : 0
+
+// Blanks are saved with their accepted answers as a list
+const toSavedBlanks = (blanks) =>
+  blanks.map(blank => ({ ...blank, accepted: getAcceptedAnswers(blank) }))
+
+// Multi-select answers are saved in option order
+const getCorrectAnswer = (question) =>
+  question.type === 'multiselect'
+    ? [...question.correctAnswer].sort((a, b) => a - b)
+    : question.correctAnswer
+
+// Multi-select questions have a list of correct options instead of one
+const isCorrectOption = (question, index) =>
+  question.type === 'multiselect'
+    ? (question.correctAnswer || []).includes(index)
+    : question.correctAnswer === index
+
+const emptyPair = () => ({ prompt: '', match: '' })
+
+// A blank form for a new question
+const emptyQuestion = () => ({
+  type: 'mcq',
+  question: '',
+  options: ['', '', '', ''],
+  correctAnswer: null, // Option index, or a list of them for multi-select
+  scoringMode: 'all_or_nothing', // For multi-select - or 'proportional'
+  negativeMarks: '', // For choice questions - empty uses the exam's negative marks
+  points: 1,
+  answer: '', // For descriptive and oral questions - faculty answer key
+  rubric: [], // For descriptive questions - grading criteria
+  keywords: '', // For descriptive questions - comma-separated required keywords
+  numericAnswer: '', // For numeric questions - the expected value
+  tolerance: '', // For numeric questions - empty means an exact answer
+  toleranceMode: 'absolute', // For numeric questions - or 'relative' (a percentage)
+  units: '', // For numeric questions - shown to students next to their answer
+  blanks: [], // For fill-in-the-blank and short answer questions - accepted answers per blank
+  pairs: [emptyPair(), emptyPair(), emptyPair()], // For matching questions - prompt and match
+  orderItems: ['', '', ''], // For ordering questions - items in the right order
+  language: 'python', // For code questions - what answers are written and run in
+  starterCode: '', // For code questions - what students start from
+  testCases: [emptyTestCase()], // For code questions - input and expected output, hidden ones score
+  media: {
+    image: null,
+    video: null,
+    graph: null
+  }
+})
+
+// Problem with a numeric question's answer that would stop it from being
+// saved, or null
+const getNumericProblem = (question) => {
+  if (question.numericAnswer.trim() === '' || !Number.isFinite(Number(question.numericAnswer))) {
+    return 'Please enter the expected value as a number'
+  }
+  if (question.tolerance !== '' && !(Number(question.tolerance) >= 0)) {
+    return 'Tolerance cannot be negative'
+  }
+  return null
+}
+
+// Required keywords are typed as one comma-separated list
+const parseKeywords = (text) => text.split(',').map(keyword => keyword.trim()).filter(Boolean)
 
 /**
- * QuestionBuilder - Component for building MCQ and Descriptive questions
+ * QuestionBuilder - Component for building MCQ, multiple select, numeric, fill-in-the-blank,
+ * short answer, matching, ordering, code, Descriptive and spoken questions
  */
 export default function QuestionBuilder({ questions, onChange }) {
   const [editingIndex, setEditingIndex] = useState(null)
-  const [newQuestion, setNewQuestion] = useState({
-    type: 'mcq',
-    question: '',
-    options: ['', '', '', ''],
-    correctAnswer: null,
-    points: 1,
-    answer: '', // For descriptive questions - faculty answer key
-    media: {
-      image: null,
-      video: null,
-      graph: null
+  // Media slots with an upload in progress, and the last upload error per slot
+  const [uploading, setUploading] = useState({})
+  const [mediaErrors, setMediaErrors] = useState({})
+  const [newQuestion, setNewQuestion] = useState(emptyQuestion)
+  const questionTextRef = useRef(null)
+  const answerKeyRef = useRef(null)
+
+  // Switching type clears the correct answer, which has a different shape
+  // for multi-select questions
+  const handleTypeChange = (type) => {
+    setNewQuestion({
+      ...newQuestion,
+      type,
+      correctAnswer: type === 'multiselect' ? [] : null,
+      blanks: resizeBlanks(newQuestion.blanks, getBlankCount(type, newQuestion.question))
+    })
+  }
+
+  // Fill-in-the-blank questions get one set of accepted answers per ___
+  const handleQuestionTextChange = (question) => {
+    setNewQuestion({
+      ...newQuestion,
+      question,
+      blanks: resizeBlanks(newQuestion.blanks, getBlankCount(newQuestion.type, question))
+    })
+  }
+
+  // Put a blank where the cursor is in the question text
+  const insertBlank = () => {
+    const { question } = newQuestion
+    const at = questionTextRef.current?.selectionStart ?? question.length
+    const before = question.slice(0, at)
+    const after = question.slice(at)
+    handleQuestionTextChange(`${before}${before && !before.endsWith(' ') ? ' ' : ''}___${after.startsWith(' ') ? '' : ' '}${after}`)
+    questionTextRef.current?.focus()
+  }
+
+  const toggleCorrectOption = (index) => {
+    if (newQuestion.type !== 'multiselect') {
+      setNewQuestion({ ...newQuestion, correctAnswer: index })
+      return
     }
-  })
+    const correctAnswer = newQuestion.correctAnswer.includes(index)
+      ? newQuestion.correctAnswer.filter(i => i !== index)
+      : [...newQuestion.correctAnswer, index]
+    setNewQuestion({ ...newQuestion, correctAnswer })
+  }
 
   const handleAddQuestion = () => {
-    if (newQuestion.type === 'mcq') {
+    if (CHOICE_TYPES.includes(newQuestion.type)) {
       if (!newQuestion.question.trim()) {
         alert('Please enter a question')
         return
@@ -39,28 +179,117 @@ export default function QuestionBuilder({ questions, onChange }) {
         return
       }
       
-      if (newQuestion.correctAnswer === null) {
+      if (newQuestion.type === 'multiselect' && newQuestion.correctAnswer.length === 0) {
+        alert('Please mark at least one correct answer')
+        return
+      }
+      if (newQuestion.type === 'mcq' && newQuestion.correctAnswer === null) {
         alert('Please select the correct answer')
         return
       }
+
+      if (Number(newQuestion.negativeMarks) > newQuestion.points) {
+        alert('Negative marks cannot be more than the question is worth')
+        return
+      }
+    } else if (ARRANGE_TYPES.includes(newQuestion.type)) {
+      if (!newQuestion.question.trim()) {
+        alert('Please enter a question')
+        return
+      }
+      const arrangeProblem = newQuestion.type === 'matching'
+        ? getPairsProblem(newQuestion.pairs)
+        : getOrderProblem(newQuestion.orderItems)
+      if (arrangeProblem) {
+        alert(arrangeProblem)
+        return
+      }
+    } else if (TEXT_ANSWER_TYPES.includes(newQuestion.type)) {
+      if (!newQuestion.question.trim()) {
+        alert('Please enter a question')
+        return
+      }
+      if (newQuestion.type === 'fillblank' && newQuestion.blanks.length === 0) {
+        alert('Please mark at least one blank in the question with ___')
+        return
+      }
+      const blanksProblem = getBlanksProblem(newQuestion.blanks)
+      if (blanksProblem) {
+        alert(blanksProblem)
+        return
+      }
+    } else if (newQuestion.type === 'code') {
+      if (!newQuestion.question.trim()) {
+        alert('Please enter a question')
+        return
+      }
+      const testCasesProblem = getTestCasesProblem(newQuestion.testCases)
+      if (testCasesProblem) {
+        alert(testCasesProblem)
+        return
+      }
+    } else if (newQuestion.type === 'numeric') {
+      if (!newQuestion.question.trim()) {
+        alert('Please enter a question')
+        return
+      }
+      const numericProblem = getNumericProblem(newQuestion)
+      if (numericProblem) {
+        alert(numericProblem)
+        return
+      }
     } else {
       if (!newQuestion.question.trim()) {
         alert('Please enter a question')
         return
       }
+      const rubricProblem = getRubricProblem(newQuestion.rubric)
+      if (rubricProblem) {
+        alert(rubricProblem)
+        return
+      }
     }
 
     const question = {
       id: `Q${Date.now()}`,
       type: newQuestion.type,
       question: newQuestion.question.trim(),
-      points: newQuestion.points || 1,
-      ...(newQuestion.type === 'mcq' && {
+      points: getQuestionPoints(newQuestion),
+      ...(CHOICE_TYPES.includes(newQuestion.type) && {
         options: newQuestion.options.filter(opt => opt.trim()),
-        correctAnswer: newQuestion.correctAnswer
+        correctAnswer: getCorrectAnswer(newQuestion),
+        negativeMarks: newQuestion.negativeMarks === '' ? null : Number(newQuestion.negativeMarks)
+      }),
+      ...(newQuestion.type === 'multiselect' && {
+        scoringMode: newQuestion.scoringMode
+      }),
+      ...(newQuestion.type === 'matching' && {
+        pairs: getFilledPairs(newQuestion.pairs)
+      }),
+      ...(newQuestion.type === 'ordering' && {
+        correctOrder: newQuestion.orderItems.map(item => item.trim()).filter(Boolean)
+      }),
+      ...(TEXT_ANSWER_TYPES.includes(newQuestion.type) && {
+        blanks: toSavedBlanks(newQuestion.blanks)
+      }),
+      ...(newQuestion.type === 'code' && {
+        language: newQuestion.language,
+        starterCode: newQuestion.starterCode,
+        testCases: newQuestion.testCases.map(test => ({ ...test }))
+      }),
+      ...(newQuestion.type === 'numeric' && {
+        correctAnswer: Number(newQuestion.numericAnswer),
+        tolerance: newQuestion.tolerance === '' ? null : Number(newQuestion.tolerance),
+        toleranceMode: newQuestion.toleranceMode,
+        units: newQuestion.units.trim()
       }),
       ...(newQuestion.type === 'descriptive' && {
-        answer: newQuestion.answer.trim() || '' // Faculty answer key
+        answer: newQuestion.answer.trim() || '', // Faculty answer key
+        rubric: newQuestion.rubric.length > 0 ? newQuestion.rubric : null,
+        keywords: parseKeywords(newQuestion.keywords)
+      }),
+      ...(newQuestion.type === 'oral' && {
+        answer: newQuestion.answer.trim() || ''
       }),
       media: { ...newQuestion.media }
     }
@@ -69,19 +298,7 @@ export default function QuestionBuilder({ questions, onChange }) {
     onChange(updatedQuestions)
     
     // Reset form
-    setNewQuestion({
-      type: 'mcq',
-      question: '',
-      options: ['', '', '', ''],
-      correctAnswer: null,
-      points: 1,
-      answer: '',
-      media: {
-        image: null,
-        video: null,
-        graph: null
-      }
-    })
+    setNewQuestion(emptyQuestion())
     setEditingIndex(null)
   }
 
@@ -89,24 +306,113 @@ export default function QuestionBuilder({ questions, onChange }) {
     const question = questions[index]
     
     // Validate MCQ options for duplicates
-    if (question.type === 'mcq') {
+    if (CHOICE_TYPES.includes(question.type)) {
       const validOptions = newQuestion.options.filter(opt => opt.trim())
       const optionSet = new Set(validOptions.map(opt => opt.trim().toLowerCase()))
       if (optionSet.size !== validOptions.length) {
         alert('Please ensure all options are different. Duplicate answers are not allowed.')
         return
       }
+
+      if (question.type === 'multiselect' && newQuestion.correctAnswer.length === 0) {
+        alert('Please mark at least one correct answer')
+        return
+      }
+
+      if (Number(newQuestion.negativeMarks) > newQuestion.points) {
+        alert('Negative marks cannot be more than the question is worth')
+        return
+      }
+    }
+
+    if (ARRANGE_TYPES.includes(question.type)) {
+      const arrangeProblem = question.type === 'matching'
+        ? getPairsProblem(newQuestion.pairs)
+        : getOrderProblem(newQuestion.orderItems)
+      if (arrangeProblem) {
+        alert(arrangeProblem)
+        return
+      }
+    }
+
+    if (TEXT_ANSWER_TYPES.includes(question.type)) {
+      if (question.type === 'fillblank' && newQuestion.blanks.length === 0) {
+        alert('Please mark at least one blank in the question with ___')
+        return
+      }
+      const blanksProblem = getBlanksProblem(newQuestion.blanks)
+      if (blanksProblem) {
+        alert(blanksProblem)
+        return
+      }
+    }
+
+    if (question.type === 'code') {
+      const testCasesProblem = getTestCasesProblem(newQuestion.testCases)
+      if (testCasesProblem) {
+        alert(testCasesProblem)
+        return
+      }
+    }
+
+    if (question.type === 'numeric') {
+      const numericProblem = getNumericProblem(newQuestion)
+      if (numericProblem) {
+        alert(numericProblem)
+        return
+      }
+    }
+
+    if (question.type === 'descriptive') {
+      const rubricProblem = getRubricProblem(newQuestion.rubric)
+      if (rubricProblem) {
+        alert(rubricProblem)
+        return
+      }
     }
     
     const updated = {
       ...question,
       question: newQuestion.question.trim(),
-      points: newQuestion.points || 1,
-      ...(question.type === 'mcq' && {
+      points: getQuestionPoints(newQuestion),
+      ...(CHOICE_TYPES.includes(question.type) && {
         options: newQuestion.options.filter(opt => opt.trim()),
-        correctAnswer: newQuestion.correctAnswer
+        correctAnswer: getCorrectAnswer(newQuestion),
+        negativeMarks: newQuestion.negativeMarks === '' ? null : Number(newQuestion.negativeMarks)
+      }),
+      ...(question.type === 'multiselect' && {
+        scoringMode: newQuestion.scoringMode
+      }),
+      ...(question.type === 'matching' && {
+        pairs: getFilledPairs(newQuestion.pairs)
+      }),
+      ...(question.type === 'ordering' && {
+        correctOrder: newQuestion.orderItems.map(item => item.trim()).filter(Boolean)
+      }),
+      // Only choice questions take negative marks
+      ...(!CHOICE_TYPES.includes(question.type) && {
+        negativeMarks: null
+      }),
+      ...(TEXT_ANSWER_TYPES.includes(question.type) && {
+        blanks: toSavedBlanks(newQuestion.blanks)
+      }),
+      ...(question.type === 'code' && {
+        language: newQuestion.language,
+        starterCode: newQuestion.starterCode,
+        testCases: newQuestion.testCases.map(test => ({ ...test }))
+      }),
+      ...(question.type === 'numeric' && {
+        correctAnswer: Number(newQuestion.numericAnswer),
+        tolerance: newQuestion.tolerance === '' ? null : Number(newQuestion.tolerance),
+        toleranceMode: newQuestion.toleranceMode,
+        units: newQuestion.units.trim()
       }),
       ...(question.type === 'descriptive' && {
+        answer: newQuestion.answer.trim() || '',
+        rubric: newQuestion.rubric.length > 0 ? newQuestion.rubric : null,
+        keywords: parseKeywords(newQuestion.keywords)
+      }),
+      ...(question.type === 'oral' && {
         answer: newQuestion.answer.trim() || ''
       }),
       media: { ...newQuestion.media }
@@ -117,19 +423,7 @@ export default function QuestionBuilder({ questions, onChange }) {
     onChange(updatedQuestions)
     
     setEditingIndex(null)
-    setNewQuestion({
-      type: 'mcq',
-      question: '',
-      options: ['', '', '', ''],
-      correctAnswer: null,
-      points: 1,
-      answer: '',
-      media: {
-        image: null,
-        video: null,
-        graph: null
-      }
-    })
+    setNewQuestion(emptyQuestion())
   }
 
   const handleDeleteQuestion = (index) => {
@@ -145,36 +439,64 @@ export default function QuestionBuilder({ questions, onChange }) {
     setNewQuestion({
       type: question.type,
       question: question.question,
-      options: question.type === 'mcq' 
+      options: CHOICE_TYPES.includes(question.type)
         ? [...question.options, '', ''].slice(0, 4)
         : ['', '', '', ''],
-      correctAnswer: question.type === 'mcq' ? question.correctAnswer : null,
+      correctAnswer: question.type === 'multiselect'
+        ? [...(question.correctAnswer || [])]
+        : question.type === 'mcq' ? question.correctAnswer : null,
+      scoringMode: question.scoringMode || 'all_or_nothing',
+      negativeMarks: question.negativeMarks ?? '',
       points: question.points || 1,
       answer: question.answer || '',
+      rubric: question.rubric || [],
+      keywords: (question.keywords || []).join(', '),
+      numericAnswer: question.type === 'numeric' ? String(question.correctAnswer ?? '') : '',
+      tolerance: question.tolerance ?? '',
+      toleranceMode: question.toleranceMode || 'absolute',
+      units: question.units || '',
+      blanks: (question.blanks || []).map(blank => ({
+        ...emptyBlank(),
+        ...blank,
+        accepted: blank.accepted.join('\n')
+      })),
+      pairs: question.pairs?.length ? question.pairs.map(pair => ({ ...pair })) : [emptyPair(), emptyPair(), emptyPair()],
+      orderItems: question.correctOrder?.length ? [...question.correctOrder] : ['', '', ''],
+      language: question.language || 'python',
+      starterCode: question.starterCode || '',
+      testCases: question.testCases?.length ? question.testCases.map(test => ({ ...test })) : [emptyTestCase()],
       media: question.media || { image: null, video: null, graph: null }
     })
   }
 
-  const handleMediaUpload = (type, file) => {
+  const handleMediaUpload = async (type, file) => {
     if (!file) return
-    
-    // In a real app, you'd upload to a server and get a URL
-    // For now, we'll use a FileReader to create a preview
-    const reader = new FileReader()
-    reader.onloadend = () => {
+
+    // The file is uploaded right away; the question only keeps its id
+    setUploading(prev => ({ ...prev, [type]: true }))
+    setMediaErrors(prev => ({ ...prev, [type]: null }))
+    try {
+      const uploaded = await uploadMedia(file)
       setNewQuestion(prev => ({
         ...prev,
         media: {
           ...prev.media,
           [type]: {
-            file: file.name,
-            url: reader.result,
-            type: file.type
+            id: uploaded.id,
+            file: uploaded.name,
+            type: uploaded.mimeType
           }
         }
       }))
+    } catch (error) {
+      console.error('Error uploading media:', error)
+      setMediaErrors(prev => ({
+        ...prev,
+        [type]: error.fields?.file || error.message || 'Upload failed. Please try again.'
+      }))
+    } finally {
+      setUploading(prev => ({ ...prev, [type]: false }))
     }
-    reader.readAsDataURL(file)
   }
 
   const handleRemoveMedia = (type) => {
@@ -202,30 +524,104 @@ export default function QuestionBuilder({ questions, onChange }) {
                       {q.type.toUpperCase()}
                     </span>
                     <span className="text-sm text-gray-600">{q.points} point{q.points !== 1 ? 's' : ''}</span>
+                    {q.negativeMarks != null && (
+                      <span className="text-sm text-red-600">−{q.negativeMarks} if wrong</span>
+                    )}
                   </div>
-                  <p className="text-gray-900 font-medium">{q.question}</p>
-                  {q.type === 'mcq' && (
+                  <RichText text={q.question} className="text-gray-900 font-medium" />
+                  {CHOICE_TYPES.includes(q.type) && (
                     <div className="mt-2 space-y-1">
+                      {q.type === 'multiselect' && (
+                        <p className="text-xs text-gray-500">
+                          {q.scoringMode === 'proportional' ? 'Partial credit per correct option' : 'All correct options needed for points'}
+                        </p>
+                      )}
                       {q.options.map((opt, optIndex) => (
                         <div key={optIndex} className="flex items-center gap-2 text-sm">
                           <span className={`w-5 h-5 rounded-full flex items-center justify-center text-xs ${
-                            optIndex === q.correctAnswer
+                            isCorrectOption(q, optIndex)
                               ? 'bg-green-500 text-white'
                               : 'bg-gray-200 text-gray-600'
                           }`}>
-                            {optIndex === q.correctAnswer ? <Check className="w-3 h-3" /> : String.fromCharCode(65 + optIndex)}
-                          </span>
-                          <span className={optIndex === q.correctAnswer ? 'font-semibold text-green-700' : 'text-gray-700'}>
-                            {opt}
+                            {isCorrectOption(q, optIndex) ? <Check className="w-3 h-3" /> : String.fromCharCode(65 + optIndex)}
                           </span>
+                          <RichText
+                            inline
+                            text={opt}
+                            className={isCorrectOption(q, optIndex) ? 'font-semibold text-green-700' : 'text-gray-700'}
+                          />
                         </div>
                       ))}
                     </div>
                   )}
-                  {q.type === 'descriptive' && q.answer && (
+                  {q.type === 'numeric' && (
+                    <p className="mt-2 text-sm font-semibold text-green-700">
+                      = {q.correctAnswer}{q.units && ` ${q.units}`}
+                      {q.tolerance > 0 && (
+                        <span className="font-normal text-gray-600">
+                          {' '}± {q.tolerance}{q.toleranceMode === 'relative' ? '%' : q.units && ` ${q.units}`}
+                        </span>
+                      )}
+                    </p>
+                  )}
+                  {q.type === 'code' && (
+                    <p className="mt-2 text-sm text-gray-600">
+                      <span className="font-semibold">{getLanguageLabel(q.language)}</span>
+                      {' '}· {(q.testCases || []).filter(test => !test.hidden).length} visible,{' '}
+                      {(q.testCases || []).filter(test => test.hidden).length} hidden test(s)
+                    </p>
+                  )}
+                  {q.type === 'matching' && (
+                    <div className="mt-2 space-y-1 text-sm">
+                      {(q.pairs || []).map((pair, pairIndex) => (
+                        <div key={pairIndex} className="text-gray-700">
+                          {pair.prompt} <span className="text-gray-400">→</span>{' '}
+                          <span className="font-semibold text-green-700">{pair.match}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {q.type === 'ordering' && (
+                    <ol className="mt-2 space-y-1 text-sm list-decimal list-inside text-green-700">
+                      {(q.correctOrder || []).map((item, itemIndex) => (
+                        <li key={itemIndex}>{item}</li>
+                      ))}
+                    </ol>
+                  )}
+                  {TEXT_ANSWER_TYPES.includes(q.type) && (
+                    <div className="mt-2 space-y-1 text-sm">
+                      {(q.blanks || []).map((blank, blankIndex) => (
+                        <div key={blankIndex} className="text-gray-700">
+                          {q.type === 'fillblank' && <span className="font-semibold">Blank {blankIndex + 1}: </span>}
+                          <span className="font-semibold text-green-700">{blank.accepted.join(' / ')}</span>
+                          {(blank.caseSensitive || blank.regex || blank.normalizeWhitespace === false) && (
+                            <span className="text-xs text-gray-500">
+                              {' '}({[
+                                blank.regex && 'regex',
+                                blank.caseSensitive && 'case sensitive',
+                                blank.normalizeWhitespace === false && 'exact spacing'
+                              ].filter(Boolean).join(', ')})
+                            </span>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {MANUALLY_GRADED_TYPES.includes(q.type) && q.answer && (
                     <div className="mt-2 p-3 bg-blue-50 border border-blue-200 rounded-lg">
                       <p className="text-xs font-semibold text-blue-700 mb-1">Answer Key (Faculty Only):</p>
-                      <p className="text-sm text-blue-900">{q.answer}</p>
+                      <RichText text={q.answer} className="text-sm text-blue-900" />
+                    </div>
+                  )}
+                  {q.type === 'descriptive' && q.keywords?.length > 0 && (
+                    <div className="mt-2 text-sm text-gray-600">
+                      <span className="font-semibold">Keywords:</span> {q.keywords.join(', ')}
+                    </div>
+                  )}
+                  {q.type === 'descriptive' && q.rubric?.length > 0 && (
+                    <div className="mt-2 text-sm text-gray-600">
+                      <span className="font-semibold">Rubric:</span>{' '}
+                      {q.rubric.map(criterion => criterion.title).join(', ')}
                     </div>
                   )}
                   {(q.media?.image || q.media?.video || q.media?.graph) && (
@@ -268,52 +664,263 @@ export default function QuestionBuilder({ questions, onChange }) {
           <label className="block text-sm font-semibold text-gray-700 mb-2">
             Question Type <span className="text-red-500">*</span>
           </label>
-          <div className="flex gap-4">
+          <div className="flex flex-wrap gap-4">
             <label className="flex items-center gap-2 cursor-pointer">
               <input
                 type="radio"
                 name="questionType"
                 value="mcq"
                 checked={newQuestion.type === 'mcq'}
-                onChange={(e) => setNewQuestion({ ...newQuestion, type: e.target.value, correctAnswer: null })}
+                onChange={(e) => handleTypeChange(e.target.value)}
                 className="w-4 h-4 text-blue-600"
               />
               <span>MCQ (Multiple Choice)</span>
             </label>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="radio"
+                name="questionType"
+                value="multiselect"
+                checked={newQuestion.type === 'multiselect'}
+                onChange={(e) => handleTypeChange(e.target.value)}
+                className="w-4 h-4 text-blue-600"
+              />
+              <span>Multiple Select</span>
+            </label>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="radio"
+                name="questionType"
+                value="numeric"
+                checked={newQuestion.type === 'numeric'}
+                onChange={(e) => handleTypeChange(e.target.value)}
+                className="w-4 h-4 text-blue-600"
+              />
+              <span>Numeric</span>
+            </label>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="radio"
+                name="questionType"
+                value="fillblank"
+                checked={newQuestion.type === 'fillblank'}
+                onChange={(e) => handleTypeChange(e.target.value)}
+                className="w-4 h-4 text-blue-600"
+              />
+              <span>Fill in the Blank</span>
+            </label>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="radio"
+                name="questionType"
+                value="short"
+                checked={newQuestion.type === 'short'}
+                onChange={(e) => handleTypeChange(e.target.value)}
+                className="w-4 h-4 text-blue-600"
+              />
+              <span>Short Answer</span>
+            </label>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="radio"
+                name="questionType"
+                value="matching"
+                checked={newQuestion.type === 'matching'}
+                onChange={(e) => handleTypeChange(e.target.value)}
+                className="w-4 h-4 text-blue-600"
+              />
+              <span>Matching</span>
+            </label>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="radio"
+                name="questionType"
+                value="ordering"
+                checked={newQuestion.type === 'ordering'}
+                onChange={(e) => handleTypeChange(e.target.value)}
+                className="w-4 h-4 text-blue-600"
+              />
+              <span>Ordering</span>
+            </label>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="radio"
+                name="questionType"
+                value="code"
+                checked={newQuestion.type === 'code'}
+                onChange={(e) => handleTypeChange(e.target.value)}
+                className="w-4 h-4 text-blue-600"
+              />
+              <span>Code</span>
+            </label>
             <label className="flex items-center gap-2 cursor-pointer">
               <input
                 type="radio"
                 name="questionType"
                 value="descriptive"
                 checked={newQuestion.type === 'descriptive'}
-                onChange={(e) => setNewQuestion({ ...newQuestion, type: e.target.value, correctAnswer: null })}
+                onChange={(e) => handleTypeChange(e.target.value)}
                 className="w-4 h-4 text-blue-600"
               />
               <span>Descriptive</span>
             </label>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="radio"
+                name="questionType"
+                value="oral"
+                checked={newQuestion.type === 'oral'}
+                onChange={(e) => handleTypeChange(e.target.value)}
+                className="w-4 h-4 text-blue-600"
+              />
+              <span>Spoken (Recorded)</span>
+            </label>
           </div>
         </div>
 
         {/* Question Text */}
         <div className="mb-4">
-          <label className="block text-sm font-semibold text-gray-700 mb-2">
+          <label htmlFor="question-text" className="block text-sm font-semibold text-gray-700 mb-2">
             Question <span className="text-red-500">*</span>
           </label>
+          <FormattingToolbar
+            textareaRef={questionTextRef}
+            value={newQuestion.question}
+            onChange={handleQuestionTextChange}
+            // Fill-in-the-blank sentences are shown inline around their blanks
+            toolset={newQuestion.type === 'fillblank' ? 'inline' : 'faculty'}
+          />
           <textarea
+            ref={questionTextRef}
+            id="question-text"
             value={newQuestion.question}
-            onChange={(e) => setNewQuestion({ ...newQuestion, question: e.target.value })}
+            onChange={(e) => handleQuestionTextChange(e.target.value)}
             rows={3}
             className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-            placeholder="Enter your question here..."
+            placeholder={newQuestion.type === 'fillblank' ? 'e.g. Water boils at ___ °C at sea level.' : 'Enter your question here...'}
           />
+          <p className="text-xs text-gray-500 mt-1">
+            {'Formatting is Markdown: **bold**, *italic*, `code`, "- " lists, | tables | and ``` code blocks (add the language after the backticks). '}
+            {'Write math in LaTeX between dollar signs: $x^2$ inline, $$\\frac{a}{b}$$ on its own line. Type \\$ for a dollar sign.'}
+          </p>
+          <RichTextPreview text={newQuestion.question} />
+          {newQuestion.type === 'fillblank' && (
+            <div className="flex items-center justify-between mt-1">
+              <p className="text-xs text-gray-500">
+                Mark each blank with ___ (three underscores). {newQuestion.blanks.length} blank{newQuestion.blanks.length !== 1 ? 's' : ''} so far.
+              </p>
+              <button
+                type="button"
+                onClick={insertBlank}
+                className="px-3 py-1 text-sm bg-blue-50 text-blue-600 rounded-lg hover:bg-blue-100 transition-colors"
+              >
+                Insert Blank
+              </button>
+            </div>
+          )}
         </div>
 
+        {/* Matching Pairs */}
+        {newQuestion.type === 'matching' && (
+          <div className="mb-4">
+            <label className="block text-sm font-semibold text-gray-700 mb-2">
+              Pairs <span className="text-red-500">*</span>
+            </label>
+            <p className="text-xs text-gray-500 mb-2">
+              Students match each prompt to one of the matches, shown in a shuffled order. Each correct pair earns its share of the points.
+            </p>
+            <PairsEditor
+              pairs={newQuestion.pairs}
+              onChange={(pairs) => setNewQuestion({ ...newQuestion, pairs })}
+            />
+          </div>
+        )}
+
+        {/* Items to Order */}
+        {newQuestion.type === 'ordering' && (
+          <div className="mb-4">
+            <label className="block text-sm font-semibold text-gray-700 mb-2">
+              Items in the Right Order <span className="text-red-500">*</span>
+            </label>
+            <p className="text-xs text-gray-500 mb-2">
+              Students see the items shuffled and put them in order. Each item in its right position earns its share of the points.
+            </p>
+            <OrderEditor
+              items={newQuestion.orderItems}
+              onChange={(orderItems) => setNewQuestion({ ...newQuestion, orderItems })}
+            />
+          </div>
+        )}
+
+        {/* Code Question */}
+        {newQuestion.type === 'code' && (
+          <div className="mb-4 space-y-4">
+            <div>
+              <label htmlFor="code-language" className="block text-sm font-semibold text-gray-700 mb-2">
+                Language <span className="text-red-500">*</span>
+              </label>
+              <select
+                id="code-language"
+                value={newQuestion.language}
+                onChange={(e) => setNewQuestion({ ...newQuestion, language: e.target.value })}
+                className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {CODE_LANGUAGES.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="code-starter" className="block text-sm font-semibold text-gray-700 mb-2">
+                Starter Code <span className="text-gray-500 text-xs">(Optional)</span>
+              </label>
+              <CodeEditor
+                id="code-starter"
+                value={newQuestion.starterCode}
+                onChange={(starterCode) => setNewQuestion({ ...newQuestion, starterCode })}
+                language={newQuestion.language}
+                rows={8}
+              />
+            </div>
+            <div>
+              <p className="block text-sm font-semibold text-gray-700 mb-2">
+                Test Cases <span className="text-red-500">*</span>
+              </p>
+              <p className="text-xs text-gray-500 mb-2">
+                The program reads the input on stdin and must print the expected output; trailing spaces and blank lines are ignored.
+                Students can run the visible tests while they work. Each hidden test passed on submit earns its share of the points.
+              </p>
+              <TestCaseEditor
+                testCases={newQuestion.testCases}
+                onChange={(testCases) => setNewQuestion({ ...newQuestion, testCases })}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Accepted Answers */}
+        {TEXT_ANSWER_TYPES.includes(newQuestion.type) && newQuestion.blanks.length > 0 && (
+          <div className="mb-4">
+            <p className="text-xs text-gray-500 mb-2">
+              {newQuestion.type === 'fillblank'
+                ? 'Each blank earns its share of the points when it matches one of its accepted answers.'
+                : 'The answer earns the points when it matches one of the accepted answers.'}
+            </p>
+            <BlankEditor
+              blanks={newQuestion.blanks}
+              onChange={(blanks) => setNewQuestion({ ...newQuestion, blanks })}
+            />
+          </div>
+        )}
+
         {/* MCQ Options */}
-        {newQuestion.type === 'mcq' && (
+        {CHOICE_TYPES.includes(newQuestion.type) && (
           <div className="mb-4 space-y-3">
             <label className="block text-sm font-semibold text-gray-700 mb-2">
               Options <span className="text-red-500">*</span>
-              <span className="text-xs text-gray-500 ml-2">(Each option must be unique)</span>
+              <span className="text-xs text-gray-500 ml-2">
+                (Each option must be unique{newQuestion.type === 'multiselect' && '; mark every correct option'})
+              </span>
             </label>
             {newQuestion.options.map((opt, index) => {
               // Check if this option duplicates another
@@ -326,7 +933,7 @@ export default function QuestionBuilder({ questions, onChange }) {
               return (
                 <div key={index} className="flex items-center gap-3">
                   <div className={`w-8 h-8 rounded-full flex items-center justify-center text-sm font-semibold ${
-                    newQuestion.correctAnswer === index
+                    isCorrectOption(newQuestion, index)
                       ? 'bg-green-500 text-white'
                       : 'bg-gray-200 text-gray-600'
                   }`}>
@@ -349,41 +956,171 @@ export default function QuestionBuilder({ questions, onChange }) {
                     {hasDuplicate && (
                       <p className="text-red-600 text-xs mt-1">This option is a duplicate</p>
                     )}
+                    <RichTextPreview text={opt} inline />
                   </div>
                   <button
                     type="button"
-                    onClick={() => setNewQuestion({ ...newQuestion, correctAnswer: index })}
+                    onClick={() => toggleCorrectOption(index)}
+                    aria-pressed={isCorrectOption(newQuestion, index)}
                     className={`px-3 py-1 text-sm rounded-lg transition-colors ${
-                      newQuestion.correctAnswer === index
+                      isCorrectOption(newQuestion, index)
                         ? 'bg-green-500 text-white'
                         : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
                     }`}
                   >
-                    {newQuestion.correctAnswer === index ? 'Correct' : 'Mark Correct'}
+                    {isCorrectOption(newQuestion, index) ? 'Correct' : 'Mark Correct'}
                   </button>
                 </div>
               )
             })}
+
+            {newQuestion.type === 'multiselect' && (
+              <div className="pt-2">
+                <label htmlFor="question-scoring-mode" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Scoring
+                </label>
+                <select
+                  id="question-scoring-mode"
+                  value={newQuestion.scoringMode}
+                  onChange={(e) => setNewQuestion({ ...newQuestion, scoringMode: e.target.value })}
+                  className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="all_or_nothing">All or nothing - points only for exactly the correct options</option>
+                  <option value="proportional">Proportional - a share for each correct option, less for each wrong one</option>
+                </select>
+              </div>
+            )}
           </div>
         )}
 
-        {/* Descriptive Answer Key (Faculty Only) */}
-        {newQuestion.type === 'descriptive' && (
+        {/* Numeric Answer */}
+        {newQuestion.type === 'numeric' && (
+          <div className="mb-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label htmlFor="question-numeric-answer" className="block text-sm font-semibold text-gray-700 mb-2">
+                Expected Value <span className="text-red-500">*</span>
+              </label>
+              <input
+                id="question-numeric-answer"
+                type="number"
+                step="any"
+                value={newQuestion.numericAnswer}
+                onChange={(e) => setNewQuestion({ ...newQuestion, numericAnswer: e.target.value })}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                placeholder="e.g. 9.81"
+              />
+            </div>
+            <div>
+              <label htmlFor="question-tolerance" className="block text-sm font-semibold text-gray-700 mb-2">
+                Tolerance <span className="text-gray-500 text-xs">(Optional)</span>
+              </label>
+              <div className="flex gap-2">
+                <input
+                  id="question-tolerance"
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={newQuestion.tolerance}
+                  onChange={(e) => setNewQuestion({ ...newQuestion, tolerance: e.target.value })}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  placeholder="Exact"
+                />
+                <select
+                  aria-label="Tolerance type"
+                  value={newQuestion.toleranceMode}
+                  onChange={(e) => setNewQuestion({ ...newQuestion, toleranceMode: e.target.value })}
+                  className="px-2 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="absolute">±</option>
+                  <option value="relative">± %</option>
+                </select>
+              </div>
+            </div>
+            <div>
+              <label htmlFor="question-units" className="block text-sm font-semibold text-gray-700 mb-2">
+                Units <span className="text-gray-500 text-xs">(Optional)</span>
+              </label>
+              <input
+                id="question-units"
+                type="text"
+                value={newQuestion.units}
+                onChange={(e) => setNewQuestion({ ...newQuestion, units: e.target.value })}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                placeholder="e.g. m/s²"
+              />
+            </div>
+            <p className="md:col-span-3 text-xs text-gray-500 -mt-2">
+              Answers within the tolerance of the expected value get full points. Students see the units, not the tolerance.
+            </p>
+          </div>
+        )}
+
+        {/* Descriptive and Spoken Answer Key (Faculty Only) */}
+        {MANUALLY_GRADED_TYPES.includes(newQuestion.type) && (
           <div className="mb-4">
             <label className="block text-sm font-semibold text-gray-700 mb-2">
               Answer Key <span className="text-gray-500 text-xs">(For faculty reference only)</span>
             </label>
+            <FormattingToolbar
+              textareaRef={answerKeyRef}
+              value={newQuestion.answer}
+              onChange={(answer) => setNewQuestion({ ...newQuestion, answer })}
+              toolset="faculty"
+            />
             <textarea
+              ref={answerKeyRef}
               value={newQuestion.answer}
               onChange={(e) => setNewQuestion({ ...newQuestion, answer: e.target.value })}
               rows={4}
               className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
               placeholder="Enter the expected answer or answer key (only visible to faculty)..."
             />
+            <RichTextPreview text={newQuestion.answer} />
             <p className="text-xs text-gray-500 mt-1">This answer key is only visible to faculty, not students.</p>
           </div>
         )}
 
+        {newQuestion.type === 'oral' && (
+          <p className="mb-4 text-xs text-gray-500">
+            Students record their answer in the browser. The exam&apos;s re-record setting decides how many times they can record it again.
+          </p>
+        )}
+
+        {newQuestion.type === 'descriptive' && (
+          <div className="mb-4">
+            <label htmlFor="question-keywords" className="block text-sm font-semibold text-gray-700 mb-2">
+              Required Keywords <span className="text-gray-500 text-xs">(Optional, comma-separated)</span>
+            </label>
+            <input
+              id="question-keywords"
+              type="text"
+              value={newQuestion.keywords}
+              onChange={(e) => setNewQuestion({ ...newQuestion, keywords: e.target.value })}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              placeholder="e.g. inertia, Newton's first law"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Used with the answer key to suggest a score for each answer. Graders always confirm the final score.
+            </p>
+          </div>
+        )}
+
+        {/* Descriptive Rubric (Faculty Only) */}
+        {newQuestion.type === 'descriptive' && (
+          <div className="mb-4">
+            <label className="block text-sm font-semibold text-gray-700 mb-2">
+              Rubric <span className="text-gray-500 text-xs">(Optional)</span>
+            </label>
+            <p className="text-xs text-gray-500 mb-2">
+              Graders pick one level for each criterion. The question is worth the rubric total.
+            </p>
+            <RubricEditor
+              rubric={newQuestion.rubric}
+              onChange={(rubric) => setNewQuestion({ ...newQuestion, rubric })}
+            />
+          </div>
+        )}
+
         {/* Points */}
         <div className="mb-4">
           <label className="block text-sm font-semibold text-gray-700 mb-2">
@@ -392,12 +1129,37 @@ export default function QuestionBuilder({ questions, onChange }) {
           <input
             type="number"
             min="1"
-            value={newQuestion.points}
+            value={getQuestionPoints(newQuestion)}
             onChange={(e) => setNewQuestion({ ...newQuestion, points: parseInt(e.target.value) || 1 })}
-            className="w-32 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            disabled={newQuestion.type === 'descriptive' && newQuestion.rubric.length > 0}
+            className="w-32 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100 disabled:text-gray-500"
           />
+          {newQuestion.type === 'descriptive' && newQuestion.rubric.length > 0 && (
+            <p className="text-xs text-gray-500 mt-1">Set by the rubric</p>
+          )}
         </div>
 
+        {/* Negative Marks */}
+        {CHOICE_TYPES.includes(newQuestion.type) && (
+          <div className="mb-4">
+            <label htmlFor="question-negative-marks" className="block text-sm font-semibold text-gray-700 mb-2">
+              Negative Marks <span className="text-gray-500 text-xs">(Optional)</span>
+            </label>
+            <input
+              id="question-negative-marks"
+              type="number"
+              min="0"
+              max={newQuestion.points}
+              step="0.25"
+              value={newQuestion.negativeMarks}
+              onChange={(e) => setNewQuestion({ ...newQuestion, negativeMarks: e.target.value })}
+              className="w-32 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              placeholder="Exam default"
+            />
+            <p className="text-xs text-gray-500 mt-1">Taken off for a wrong choice. Leave empty to use the exam&apos;s setting.</p>
+          </div>
+        )}
+
         {/* Media Upload */}
         <div className="mb-4">
           <label className="block text-sm font-semibold text-gray-700 mb-2">
@@ -413,8 +1175,11 @@ export default function QuestionBuilder({ questions, onChange }) {
                   type="file"
                   accept="image/*"
                   onChange={(e) => handleMediaUpload('image', e.target.files[0])}
+                  disabled={uploading.image}
                   className="hidden"
                 />
+                {uploading.image && <span className="text-xs text-gray-500">Uploading...</span>}
+                {mediaErrors.image && <span className="text-xs text-red-600">{mediaErrors.image}</span>}
                 {newQuestion.media.image && (
                   <div className="flex items-center gap-2 mt-1">
                     <span className="text-xs text-green-600">{newQuestion.media.image.file}</span>
@@ -439,8 +1204,11 @@ export default function QuestionBuilder({ questions, onChange }) {
                   type="file"
                   accept="video/*"
                   onChange={(e) => handleMediaUpload('video', e.target.files[0])}
+                  disabled={uploading.video}
                   className="hidden"
                 />
+                {uploading.video && <span className="text-xs text-gray-500">Uploading...</span>}
+                {mediaErrors.video && <span className="text-xs text-red-600">{mediaErrors.video}</span>}
                 {newQuestion.media.video && (
                   <div className="flex items-center gap-2 mt-1">
                     <span className="text-xs text-green-600">{newQuestion.media.video.file}</span>
@@ -465,8 +1233,11 @@ export default function QuestionBuilder({ questions, onChange }) {
                   type="file"
                   accept="image/*,.pdf"
                   onChange={(e) => handleMediaUpload('graph', e.target.files[0])}
+                  disabled={uploading.graph}
                   className="hidden"
                 />
+                {uploading.graph && <span className="text-xs text-gray-500">Uploading...</span>}
+                {mediaErrors.graph && <span className="text-xs text-red-600">{mediaErrors.graph}</span>}
                 {newQuestion.media.graph && (
                   <div className="flex items-center gap-2 mt-1">
                     <span className="text-xs text-green-600">{newQuestion.media.graph.file}</span>
@@ -491,15 +1262,7 @@ export default function QuestionBuilder({ questions, onChange }) {
               type="button"
               onClick={() => {
                 setEditingIndex(null)
-                setNewQuestion({
-                  type: 'mcq',
-                  question: '',
-                  options: ['', '', '', ''],
-                  correctAnswer: null,
-                  points: 1,
-                  answer: '',
-                  media: { image: null, video: null, graph: null }
-                })
+                setNewQuestion(emptyQuestion())
               }}
               className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
             >
@@ -1,6 +1,7 @@
 import { useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import logoImg from '../assets/vgec-logo.png'
+import { registerUser } from '../services/api'
 
 const initialState = {
   role: 'student',
@@ -8,6 +9,7 @@ const initialState = {
   email: '',
   enrollment: '',
   facultyId: '',
+  inviteCode: '',
   password: '',
   confirmPassword: '',
 }
@@ -16,37 +18,36 @@ export default function RegisterCard() {
   const navigate = useNavigate()
   const [form, setForm] = useState(initialState)
   const [message, setMessage] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
 
   const update = (field, value) => {
     setForm((prev) => ({ ...prev, [field]: value }))
   }
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault()
     if (form.password !== form.confirmPassword) {
       setMessage({ type: 'error', text: 'Passwords do not match.' })
       return
     }
 
-    const newUser = {
-      role: form.role,
-      fullName: form.fullName,
-      email: form.email,
-      enrollment: form.role === 'student' ? form.enrollment : undefined,
-      facultyId: form.role === 'faculty' ? form.facultyId : undefined,
-      password: form.password,
-      createdAt: new Date().toISOString(),
-    }
-
+    setSubmitting(true)
     try {
-      const users = JSON.parse(localStorage.getItem('registered_users') || '[]')
-      users.push(newUser)
-      localStorage.setItem('registered_users', JSON.stringify(users))
+      await registerUser({
+        role: form.role,
+        fullName: form.fullName,
+        email: form.email,
+        enrollment: form.role === 'student' ? form.enrollment : undefined,
+        facultyId: form.role === 'faculty' ? form.facultyId : undefined,
+        inviteCode: form.role === 'faculty' ? form.inviteCode : undefined,
+        password: form.password,
+      })
       setMessage({ type: 'success', text: 'Registration saved. You can now log in.' })
       setTimeout(() => navigate('/'), 800)
     } catch (error) {
       console.error('Registration error', error)
-      setMessage({ type: 'error', text: 'Could not save registration. Please try again.' })
+      setMessage({ type: 'error', text: error?.message || 'Could not save registration. Please try again.' })
+      setSubmitting(false)
     }
   }
 
@@ -112,16 +113,29 @@ export default function RegisterCard() {
             />
           </label>
         ) : (
-          <label className="input-field">
-            <span>Faculty ID / Username</span>
-            <input
-              type="text"
-              placeholder="e.g. prof.patel@vgec.ac.in"
-              value={form.facultyId}
-              onChange={(e) => update('facultyId', e.target.value)}
-              required
-            />
-          </label>
+          <>
+            <label className="input-field">
+              <span>Faculty ID / Username</span>
+              <input
+                type="text"
+                placeholder="e.g. prof.patel@vgec.ac.in"
+                value={form.facultyId}
+                onChange={(e) => update('facultyId', e.target.value)}
+                required
+              />
+            </label>
+
+            <label className="input-field">
+              <span>Faculty Invite Code</span>
+              <input
+                type="text"
+                placeholder="Ask your administrator"
+                value={form.inviteCode}
+                onChange={(e) => update('inviteCode', e.target.value)}
+                required
+              />
+            </label>
+          </>
         )}
 
         <label className="input-field">
@@ -129,6 +143,7 @@ export default function RegisterCard() {
           <input
             type="password"
             placeholder="Create password"
+            minLength={8}
             value={form.password}
             onChange={(e) => update('password', e.target.value)}
             required
@@ -152,7 +167,9 @@ export default function RegisterCard() {
           </div>
         )}
 
-        <button type="submit" className="primary">Create account</button>
+        <button type="submit" className="primary" disabled={submitting}>
+          {submitting ? 'Creating account...' : 'Create account'}
+        </button>
 
         <div className="form-footer">
           <button type="button" className="linkish" onClick={() => navigate('/')}>
@@ -0,0 +1,86 @@
+import React, { useMemo } from 'react'
+import MathText from './MathText'
+import CodeBlock from './CodeBlock'
+import { parseBlocks, parseInline } from '../utils/richText'
+
+// Helper to render one inline part, nested emphasis included. Text parts go
+// through MathText so their formulas are rendered.
+function renderPart(part, key) {
+  if (part.type === 'code') {
+    return <code key={key} className="px-1 py-0.5 rounded bg-gray-100 text-pink-700 font-mono text-[0.9em]">{part.value}</code>
+  }
+  if (part.type === 'strong' || part.type === 'em') {
+    const Tag = part.type
+    return <Tag key={key}>{part.children.map(renderPart)}</Tag>
+  }
+  return <MathText key={key} text={part.value} />
+}
+
+// Helper to render a line of rich text
+const renderInline = (text) => parseInline(text).map(renderPart)
+
+/**
+ * RichText - Question text, options and written answers with their
+ * formatting: bold, italic, inline code, lists, tables, highlighted code
+ * blocks and math. `inline` renders only the line-level formatting, for
+ * options and other text that sits inside a line.
+ */
+export default function RichText({ text, inline = false, className }) {
+  const blocks = useMemo(() => (inline ? null : parseBlocks(String(text ?? ''))), [text, inline])
+
+  if (inline) {
+    return <span className={className}>{renderInline(String(text ?? ''))}</span>
+  }
+
+  return (
+    <div className={`space-y-2 ${className || ''}`}>
+      {blocks.map((block, index) => {
+        switch (block.type) {
+          case 'code':
+            return <CodeBlock key={index} code={block.code} language={block.language} />
+          case 'list': {
+            const List = block.ordered ? 'ol' : 'ul'
+            return (
+              <List
+                key={index}
+                start={block.ordered && block.start !== 1 ? block.start : undefined}
+                className={`pl-6 space-y-1 ${block.ordered ? 'list-decimal' : 'list-disc'}`}
+              >
+                {block.items.map((item, itemIndex) => (
+                  <li key={itemIndex} className="whitespace-pre-wrap">{renderInline(item)}</li>
+                ))}
+              </List>
+            )
+          }
+          case 'table':
+            return (
+              <div key={index} className="overflow-x-auto">
+                <table className="border-collapse text-sm">
+                  <thead>
+                    <tr>
+                      {block.header.map((cell, cellIndex) => (
+                        <th key={cellIndex} scope="col" className="border border-gray-300 bg-gray-50 px-3 py-1.5 text-left font-semibold">
+                          {renderInline(cell)}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {block.rows.map((row, rowIndex) => (
+                      <tr key={rowIndex}>
+                        {row.map((cell, cellIndex) => (
+                          <td key={cellIndex} className="border border-gray-300 px-3 py-1.5">{renderInline(cell)}</td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )
+          default:
+            return <p key={index} className="whitespace-pre-wrap">{renderInline(block.text)}</p>
+        }
+      })}
+    </div>
+  )
+}
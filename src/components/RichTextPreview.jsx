@@ -0,0 +1,18 @@
+import React from 'react'
+import RichText from './RichText'
+import { hasFormatting } from '../utils/richText'
+
+/**
+ * RichTextPreview - Live preview of formatted text, shown under the field it
+ * is typed in. Renders nothing while the text is plain.
+ */
+export default function RichTextPreview({ text, label = 'Preview', inline = false }) {
+  if (!hasFormatting(text)) return null
+
+  return (
+    <div className="mt-2 p-3 border border-dashed border-gray-300 rounded-lg bg-white" aria-live="polite">
+      <p className="text-xs font-semibold text-gray-500 mb-1">{label}</p>
+      <RichText text={text} inline={inline} className="text-gray-900" />
+    </div>
+  )
+}
@@ -0,0 +1,128 @@
+import React from 'react'
+import { Plus, Trash2, X } from 'lucide-react'
+import { getRubricTotal } from '../utils/rubric'
+
+const newCriterion = () => ({
+  id: `C${Date.now()}`,
+  title: '',
+  levels: [
+    { points: 0, descriptor: '' },
+    { points: 1, descriptor: '' }
+  ]
+})
+
+/**
+ * RubricEditor - Edit the criteria and point levels used to grade a
+ * descriptive question
+ */
+export default function RubricEditor({ rubric, onChange }) {
+  const updateCriterion = (index, changes) => {
+    onChange(rubric.map((criterion, i) => (i === index ? { ...criterion, ...changes } : criterion)))
+  }
+
+  const updateLevel = (criterionIndex, levelIndex, changes) => {
+    const levels = rubric[criterionIndex].levels.map((level, i) =>
+      i === levelIndex ? { ...level, ...changes } : level
+    )
+    updateCriterion(criterionIndex, { levels })
+  }
+
+  const addLevel = (criterionIndex) => {
+    const { levels } = rubric[criterionIndex]
+    const top = Math.max(0, ...levels.map(level => Number(level.points) || 0))
+    updateCriterion(criterionIndex, { levels: [...levels, { points: top + 1, descriptor: '' }] })
+  }
+
+  const removeLevel = (criterionIndex, levelIndex) => {
+    updateCriterion(criterionIndex, {
+      levels: rubric[criterionIndex].levels.filter((_, i) => i !== levelIndex)
+    })
+  }
+
+  return (
+    <div className="space-y-3">
+      {rubric.map((criterion, criterionIndex) => (
+        <div key={criterion.id} className="border border-gray-200 rounded-lg p-3 bg-gray-50">
+          <div className="flex items-center gap-2 mb-3">
+            <input
+              type="text"
+              value={criterion.title}
+              onChange={(e) => updateCriterion(criterionIndex, { title: e.target.value })}
+              aria-label={`Criterion ${criterionIndex + 1} title`}
+              placeholder="Criterion, e.g. Accuracy"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <button
+              type="button"
+              onClick={() => onChange(rubric.filter((_, i) => i !== criterionIndex))}
+              className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+              aria-label={`Remove criterion ${criterionIndex + 1}`}
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+
+          <div className="space-y-2">
+            {criterion.levels.map((level, levelIndex) => (
+              <div key={levelIndex} className="flex items-center gap-2">
+                <input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={level.points}
+                  onChange={(e) => updateLevel(criterionIndex, levelIndex, {
+                    points: e.target.value === '' ? '' : Number(e.target.value)
+                  })}
+                  aria-label={`Level ${levelIndex + 1} points`}
+                  className="w-20 px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+                <span className="text-xs text-gray-500">pts</span>
+                <input
+                  type="text"
+                  value={level.descriptor}
+                  onChange={(e) => updateLevel(criterionIndex, levelIndex, { descriptor: e.target.value })}
+                  aria-label={`Level ${levelIndex + 1} description`}
+                  placeholder="What an answer at this level looks like"
+                  className="flex-1 px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+                <button
+                  type="button"
+                  onClick={() => removeLevel(criterionIndex, levelIndex)}
+                  disabled={criterion.levels.length <= 2}
+                  className="p-1 text-gray-500 hover:text-red-600 disabled:opacity-30"
+                  aria-label={`Remove level ${levelIndex + 1}`}
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <button
+            type="button"
+            onClick={() => addLevel(criterionIndex)}
+            className="mt-2 text-sm text-blue-600 hover:text-blue-700"
+          >
+            + Add level
+          </button>
+        </div>
+      ))}
+
+      <div className="flex items-center justify-between">
+        <button
+          type="button"
+          onClick={() => onChange([...rubric, newCriterion()])}
+          className="flex items-center gap-1 px-3 py-2 text-sm bg-blue-50 text-blue-600 rounded-lg hover:bg-blue-100 transition-colors"
+        >
+          <Plus className="w-4 h-4" />
+          Add Criterion
+        </button>
+        {rubric.length > 0 && (
+          <span className="text-sm text-gray-600">
+            Rubric total: <span className="font-semibold">{getRubricTotal(rubric)}</span> points
+          </span>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -13,6 +13,7 @@ import {
   LogOut
 } from 'lucide-react'
 import { useExams } from '../hooks/useExams'
+import { logout } from '../services/api'
 
 /**
  * StudentLayout - Main layout component with header and sidebar
@@ -92,7 +93,12 @@ export default function StudentLayout({ children }) {
     refreshExams()
   }
 
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    try {
+      await logout()
+    } catch {
+      // Session is cleared locally either way
+    }
     // Clear authentication data
     localStorage.removeItem('auth_token')
     localStorage.removeItem('user_data')
@@ -0,0 +1,74 @@
+import React from 'react'
+import { Plus, X } from 'lucide-react'
+import { emptyTestCase } from '../utils/code'
+
+/**
+ * TestCaseEditor - Edit the test cases of a code question. The program gets
+ * each input on stdin and must print the expected output. Students see the
+ * visible tests; the hidden ones score their answer.
+ */
+export default function TestCaseEditor({ testCases, onChange }) {
+  const updateTestCase = (index, changes) => {
+    onChange(testCases.map((test, i) => (i === index ? { ...test, ...changes } : test)))
+  }
+
+  return (
+    <div className="space-y-3">
+      {testCases.map((test, index) => (
+        <div key={index} className="border border-gray-200 rounded-lg p-3 bg-gray-50">
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-sm font-semibold text-gray-700">Test {index + 1}</span>
+            <div className="flex items-center gap-3">
+              <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={test.hidden}
+                  onChange={(e) => updateTestCase(index, { hidden: e.target.checked })}
+                  className="w-4 h-4 text-blue-600 rounded"
+                />
+                Hidden (scored)
+              </label>
+              <button
+                type="button"
+                onClick={() => onChange(testCases.filter((_, i) => i !== index))}
+                disabled={testCases.length <= 1}
+                className="p-1 text-gray-500 hover:text-red-600 disabled:opacity-30"
+                aria-label={`Remove test ${index + 1}`}
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            <textarea
+              value={test.input}
+              onChange={(e) => updateTestCase(index, { input: e.target.value })}
+              aria-label={`Test ${index + 1} input`}
+              placeholder="Input (stdin), e.g. 2 3"
+              rows={3}
+              spellCheck={false}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-mono text-sm"
+            />
+            <textarea
+              value={test.expectedOutput}
+              onChange={(e) => updateTestCase(index, { expectedOutput: e.target.value })}
+              aria-label={`Test ${index + 1} expected output`}
+              placeholder="Expected output, e.g. 5"
+              rows={3}
+              spellCheck={false}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-mono text-sm"
+            />
+          </div>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...testCases, emptyTestCase()])}
+        className="flex items-center gap-1 px-3 py-2 text-sm bg-blue-50 text-blue-600 rounded-lg hover:bg-blue-100 transition-colors"
+      >
+        <Plus className="w-4 h-4" />
+        Add Test Case
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,80 @@
+import { useState, useEffect, useCallback } from 'react'
+import { fetchGradingQueue, fetchSubmissionForGrading, gradeAnswer } from '../services/api'
+
+/**
+ * Custom hook for the grading queue
+ */
+export function useGradingQueue(filters = {}) {
+  const [submissions, setSubmissions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const { status, examId } = filters
+
+  const refreshQueue = useCallback(async () => {
+    try {
+      setError(null)
+      setLoading(true)
+      const response = await fetchGradingQueue({ status, examId })
+      setSubmissions(response.submissions || [])
+    } catch (err) {
+      console.error('Error fetching grading queue:', err)
+      setError('Failed to load submissions')
+      setSubmissions([])
+    } finally {
+      setLoading(false)
+    }
+  }, [status, examId])
+
+  useEffect(() => {
+    refreshQueue()
+  }, [refreshQueue])
+
+  return {
+    submissions,
+    loading,
+    error,
+    refreshQueue
+  }
+}
+
+/**
+ * Custom hook for grading one submission. `saveGrade` stores the points for
+ * one answer and replaces the submission with the server's recomputed copy.
+ */
+export function useSubmissionGrading(submissionId) {
+  const [submission, setSubmission] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const loadSubmission = async () => {
+      try {
+        setError(null)
+        setLoading(true)
+        setSubmission(await fetchSubmissionForGrading(submissionId))
+      } catch (err) {
+        console.error('Error fetching submission:', err)
+        setError(err?.message || 'Failed to load submission')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    if (submissionId) {
+      loadSubmission()
+    }
+  }, [submissionId])
+
+  const saveGrade = useCallback(async (questionId, grade) => {
+    const updated = await gradeAnswer(submissionId, questionId, grade)
+    setSubmission(updated)
+    return updated
+  }, [submissionId])
+
+  return {
+    submission,
+    loading,
+    error,
+    saveGrade
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * Custom hook for browser connectivity
+ * @returns {boolean} - Whether the browser reports a network connection
+ */
+import { useState, useEffect } from 'react'
+
+export function useOnlineStatus() {
+  const [online, setOnline] = useState(
+    typeof navigator === 'undefined' ? true : navigator.onLine
+  )
+
+  useEffect(() => {
+    const handleOnline = () => setOnline(true)
+    const handleOffline = () => setOnline(false)
+
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('offline', handleOffline)
+
+    return () => {
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('offline', handleOffline)
+    }
+  }, [])
+
+  return online
+}
@@ -1,6 +1,8 @@
-import React, { useState } from 'react'
-import { useNavigate, useLocation } from 'react-router-dom'
-import { CheckCircle2, XCircle, Award, ArrowLeft, Home } from 'lucide-react'
+import React, { useState, useEffect } from 'react'
+import { useNavigate, useLocation, useParams } from 'react-router-dom'
+import { CheckCircle2, XCircle, Award, ArrowLeft, Home, Hourglass, MessageSquare } from 'lucide-react'
+import { fetchMyExamSubmissions } from '../services/api'
+import RichText from '../components/RichText'
 
 /**
  * ExamResultsView - Page to display exam results
@@ -8,11 +10,31 @@ import { CheckCircle2, XCircle, Award, ArrowLeft, Home } from 'lucide-react'
 export default function ExamResultsView() {
   const navigate = useNavigate()
   const location = useLocation()
-  const [result] = useState(location.state || {
-    score: 0,
-    maxScore: 0,
-    percentage: 0
-  })
+  const { examId } = useParams()
+  const [result, setResult] = useState(location.state || null)
+  const [feedback, setFeedback] = useState([])
+
+  // Load the latest submission: its score when the page is opened from
+  // history, and the grader's feedback once the exam has closed
+  useEffect(() => {
+    let cancelled = false
+    fetchMyExamSubmissions(examId)
+      .then(({ submissions }) => {
+        const latest = submissions[submissions.length - 1]
+        if (cancelled || !latest) return
+        setFeedback(latest.feedback || [])
+        setResult(current => current || {
+          score: latest.score,
+          maxScore: latest.maxScore,
+          percentage: latest.maxScore > 0 ? Math.round((latest.score / latest.maxScore) * 100) : 0,
+          status: latest.status
+        })
+      })
+      .catch(() => {
+        if (!cancelled) setResult(current => current || { score: 0, maxScore: 0, percentage: 0 })
+      })
+    return () => { cancelled = true }
+  }, [examId])
 
   if (!result) {
     return (
@@ -23,14 +45,20 @@ export default function ExamResultsView() {
   }
 
   const { score, maxScore, percentage } = result
-  const passed = percentage >= 60
+  // Written answers still being graded: the score so far is not final
+  const pendingGrading = result.status === 'pending_grading'
+  const passed = !pendingGrading && percentage >= 60
 
   return (
     <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
       <div className="max-w-2xl w-full bg-white rounded-2xl shadow-xl p-8">
         {/* Header */}
         <div className="text-center mb-8">
-          {passed ? (
+          {pendingGrading ? (
+            <div className="mx-auto w-20 h-20 bg-yellow-100 rounded-full flex items-center justify-center mb-4">
+              <Hourglass className="w-12 h-12 text-yellow-600" />
+            </div>
+          ) : passed ? (
             <div className="mx-auto w-20 h-20 bg-green-100 rounded-full flex items-center justify-center mb-4">
               <CheckCircle2 className="w-12 h-12 text-green-600" />
             </div>
@@ -40,10 +68,12 @@ export default function ExamResultsView() {
             </div>
           )}
           <h1 className="text-3xl font-bold text-gray-900 mb-2">
-            {passed ? 'Congratulations!' : 'Exam Completed'}
+            {pendingGrading ? 'Exam Submitted' : passed ? 'Congratulations!' : 'Exam Completed'}
           </h1>
           <p className="text-gray-600">
-            {passed 
+            {pendingGrading
+              ? 'Your written answers are waiting to be graded. Your final score will appear in your history.'
+              : passed 
               ? 'You have successfully passed the exam!' 
               : 'You have completed the exam. Better luck next time!'}
           </p>
@@ -54,7 +84,9 @@ export default function ExamResultsView() {
           <div className="text-center">
             <div className="flex items-center justify-center gap-2 mb-4">
               <Award className="w-8 h-8 text-yellow-500" />
-              <span className="text-2xl font-bold text-gray-900">Your Score</span>
+              <span className="text-2xl font-bold text-gray-900">
+                {pendingGrading ? 'Score So Far' : 'Your Score'}
+              </span>
             </div>
             <div className="text-6xl font-bold text-blue-600 mb-2">
               {score}/{maxScore}
@@ -66,15 +98,55 @@ export default function ExamResultsView() {
               <div className="w-full bg-gray-200 rounded-full h-4">
                 <div
                   className={`h-4 rounded-full transition-all ${
-                    passed ? 'bg-green-500' : 'bg-red-500'
+                    pendingGrading ? 'bg-yellow-500' : passed ? 'bg-green-500' : 'bg-red-500'
                   }`}
-                  style={{ width: `${percentage}%` }}
+                  style={{ width: `${Math.max(0, percentage)}%` }}
                 />
               </div>
             </div>
           </div>
         </div>
 
+        {/* Feedback */}
+        {feedback.length > 0 && (
+          <div className="mb-8 space-y-4">
+            <h2 className="flex items-center gap-2 text-lg font-semibold text-gray-900">
+              <MessageSquare className="w-5 h-5 text-blue-600" />
+              Feedback
+            </h2>
+            {feedback.map((entry, index) => (
+              <div key={entry.questionId} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex items-start justify-between gap-4 mb-2">
+                  <p className="font-medium text-gray-900">
+                    {index + 1}. <RichText inline text={entry.question} />
+                  </p>
+                  <span className="shrink-0 text-sm font-semibold text-gray-700">
+                    {entry.points ?? '-'}/{entry.maxPoints}
+                  </span>
+                </div>
+                {entry.criteria?.length > 0 && (
+                  <ul className="space-y-1 mb-2">
+                    {entry.criteria.map(criterion => (
+                      <li key={criterion.title} className="flex items-start justify-between gap-4 text-sm">
+                        <span className="text-gray-700">
+                          <span className="font-medium">{criterion.title}</span>
+                          {criterion.descriptor && <span className="text-gray-500"> — {criterion.descriptor}</span>}
+                        </span>
+                        <span className={criterion.points < criterion.maxPoints ? 'text-red-600' : 'text-green-700'}>
+                          {criterion.points}/{criterion.maxPoints}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {entry.comment && (
+                  <p className="text-sm text-gray-700 bg-gray-50 rounded-lg p-3 whitespace-pre-wrap">{entry.comment}</p>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Actions */}
         <div className="flex items-center justify-center gap-4">
           <button
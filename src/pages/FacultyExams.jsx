@@ -5,6 +5,8 @@ import FacultyDashboardView from './FacultyDashboardView'
 import FacultyExamsList from './FacultyExamsList'
 import StudentsList from './StudentsList'
 import StudentDetails from './StudentDetails'
+import GradingQueue from './GradingQueue'
+import GradeSubmission from './GradeSubmission'
 
 /**
  * FacultyExams - Main container with routing for all faculty views
@@ -17,6 +19,8 @@ export default function FacultyExams() {
         <Route path="exams" element={<FacultyExamsList />} />
         <Route path="students" element={<StudentsList />} />
         <Route path="students/:studentId" element={<StudentDetails />} />
+        <Route path="grading" element={<GradingQueue />} />
+        <Route path="grading/:submissionId" element={<GradeSubmission />} />
         <Route path="analytics" element={<div className="p-8"><h1 className="text-2xl font-bold">Analytics</h1><p className="text-gray-600 mt-2">Analytics page coming soon...</p></div>} />
         <Route path="settings" element={<div className="p-8"><h1 className="text-2xl font-bold">Settings</h1><p className="text-gray-600 mt-2">Settings page coming soon...</p></div>} />
         <Route path="" element={<Navigate to="dashboard" replace />} />
@@ -58,8 +58,8 @@ export default function FacultyExamsList() {
     try {
       await deleteDraftExam(draftId)
       await loadDrafts()
-    } catch {
-      alert('Failed to delete draft. Please try again.')
+    } catch (err) {
+      alert(err?.message || 'Failed to delete draft. Please try again.')
     }
   }
 
@@ -95,8 +95,8 @@ export default function FacultyExamsList() {
     setDeletingId(examId)
     try {
       await deleteExam(examId)
-    } catch {
-      alert('Failed to delete exam. Please try again.')
+    } catch (err) {
+      alert(err?.message || 'Failed to delete exam. Please try again.')
     } finally {
       setDeletingId(null)
     }
@@ -0,0 +1,421 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { ArrowLeft, ChevronLeft, ChevronRight, CheckCircle2, Save, KeyRound, User, Lightbulb } from 'lucide-react'
+import { useSubmissionGrading } from '../hooks/useGrading'
+import { getMediaUrl, isValidationError } from '../services/api'
+import { getFieldErrors } from '../utils/fieldErrors'
+import RichText from '../components/RichText'
+
+/**
+ * GradeSubmission - Grade a submission's written and spoken answers one
+ * question at a time, with the student's answer next to the answer key
+ */
+export default function GradeSubmission() {
+  const { submissionId } = useParams()
+  const navigate = useNavigate()
+  const { submission, loading, error, saveGrade } = useSubmissionGrading(submissionId)
+  const [currentIndex, setCurrentIndex] = useState(null)
+  const [points, setPoints] = useState('')
+  // Rubric questions: criterion id -> points of the picked level
+  const [selections, setSelections] = useState({})
+  const [comment, setComment] = useState('')
+  const [errors, setErrors] = useState({})
+  const [saving, setSaving] = useState(false)
+
+  const manualItems = useMemo(
+    () => (submission?.items || []).filter(item => item.manual),
+    [submission]
+  )
+  const autoItems = (submission?.items || []).filter(item => !item.manual)
+
+  // Open the first answer that still needs a grade
+  useEffect(() => {
+    if (currentIndex === null && manualItems.length > 0) {
+      const firstPending = manualItems.findIndex(item => item.points === null)
+      setCurrentIndex(Math.max(0, firstPending))
+    }
+  }, [manualItems, currentIndex])
+
+  const item = currentIndex !== null ? manualItems[currentIndex] : null
+
+  // Load the saved grade when moving to another question, or pre-fill the
+  // suggested score for an answer nobody has graded yet
+  useEffect(() => {
+    if (!item) return
+    setPoints(item.points ?? item.suggestion?.points ?? '')
+    setSelections(Object.fromEntries((item.criteria || []).map(criterion => [criterion.id, criterion.points])))
+    setComment(item.comment)
+    setErrors({})
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [item?.questionId])
+
+  const rubricTotal = item?.rubric
+    ? item.rubric.reduce((sum, criterion) => sum + (selections[criterion.id] ?? 0), 0)
+    : null
+
+  const handleSave = async (goToNext) => {
+    if (item.rubric) {
+      const missing = item.rubric.filter(criterion => selections[criterion.id] === undefined)
+      if (missing.length > 0) {
+        setErrors(Object.fromEntries(missing.map(criterion => [criterion.id, `Pick a level for ${criterion.title}`])))
+        return
+      }
+    } else if (points === '') {
+      setErrors({ points: 'Points are required' })
+      return
+    }
+
+    setSaving(true)
+    setErrors({})
+    try {
+      await saveGrade(item.questionId, item.rubric
+        ? { criteria: selections, comment }
+        : { points: Number(points), comment })
+      if (goToNext && currentIndex < manualItems.length - 1) {
+        setCurrentIndex(currentIndex + 1)
+      }
+    } catch (err) {
+      setErrors(isValidationError(err)
+        ? getFieldErrors(err)
+        : { form: err?.message || 'Failed to save the grade. Please try again.' })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (loading && !submission) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="text-gray-500">Loading submission...</div>
+      </div>
+    )
+  }
+
+  if (error && !submission) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-6">
+        <p className="text-red-800">{error}</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Back Button */}
+      <button
+        onClick={() => navigate('/faculty/grading')}
+        className="flex items-center gap-2 text-gray-600 hover:text-gray-900 transition-colors"
+      >
+        <ArrowLeft className="w-5 h-5" />
+        Back to Grading
+      </button>
+
+      {/* Submission Header */}
+      <div className="bg-white border border-gray-200 rounded-lg p-6 flex flex-col md:flex-row md:items-center gap-4">
+        <div className="flex-1">
+          <h1 className="text-2xl font-bold text-gray-900 mb-1">{submission.examTitle}</h1>
+          <p className="text-gray-600">
+            {submission.student.name}
+            {submission.student.enrollment && ` · ${submission.student.enrollment}`}
+          </p>
+        </div>
+        <div className="text-right">
+          <div className="text-3xl font-bold text-gray-900">{submission.score}/{submission.maxScore}</div>
+          <div className={`text-sm font-medium ${submission.pendingCount > 0 ? 'text-yellow-700' : 'text-green-700'}`} role="status">
+            {submission.pendingCount > 0
+              ? `${submission.pendingCount} answer${submission.pendingCount !== 1 ? 's' : ''} left to grade`
+              : 'Fully graded'}
+          </div>
+        </div>
+      </div>
+
+      {manualItems.length === 0 ? (
+        <div className="bg-white border border-gray-200 rounded-lg p-12 text-center">
+          <CheckCircle2 className="w-12 h-12 text-green-500 mx-auto mb-4" />
+          <p className="text-gray-500">This exam has no written or spoken answers to grade.</p>
+        </div>
+      ) : item && (
+        <>
+          {/* Question Navigation */}
+          <nav className="flex flex-wrap gap-2" aria-label="Answers to grade">
+            {manualItems.map((entry, index) => (
+              <button
+                key={entry.questionId}
+                onClick={() => setCurrentIndex(index)}
+                aria-current={index === currentIndex ? 'step' : undefined}
+                className={`w-10 h-10 rounded-lg text-sm font-semibold border transition-colors ${
+                  index === currentIndex
+                    ? 'bg-blue-600 text-white border-blue-600'
+                    : entry.points === null
+                    ? 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                    : 'bg-green-50 text-green-700 border-green-200 hover:bg-green-100'
+                }`}
+                title={entry.points === null ? 'Not graded yet' : `${entry.points}/${entry.maxPoints}`}
+              >
+                {index + 1}
+              </button>
+            ))}
+          </nav>
+
+          {/* Current Question */}
+          <div className="bg-white border border-gray-200 rounded-lg p-6 space-y-6">
+            <div>
+              <div className="text-xs text-gray-500 uppercase tracking-wide mb-1">
+                Question {currentIndex + 1} of {manualItems.length} · {item.maxPoints} point{item.maxPoints !== 1 ? 's' : ''}
+              </div>
+              <RichText text={item.question} className="text-lg font-medium text-gray-900" />
+              {item.media?.image && (
+                <img
+                  src={getMediaUrl(item.media.image)}
+                  alt="Question image"
+                  className="mt-3 max-h-64 rounded border border-gray-200"
+                />
+              )}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <section className="border border-gray-200 rounded-lg p-4">
+                <h2 className="flex items-center gap-2 text-sm font-semibold text-gray-700 mb-2">
+                  <User className="w-4 h-4" />
+                  Student&apos;s answer
+                </h2>
+                {item.type === 'oral' && item.recording ? (
+                  <audio
+                    key={item.recording.id}
+                    src={getMediaUrl(item.recording)}
+                    controls
+                    preload="metadata"
+                    className="w-full"
+                    aria-label="Student's recorded answer"
+                  />
+                ) : item.type === 'oral' && item.studentAnswer ? (
+                  <p className="text-gray-400 italic">The recording could not be found</p>
+                ) : item.studentAnswer ? (
+                  <RichText text={item.studentAnswer} className="text-gray-900" />
+                ) : (
+                  <p className="text-gray-400 italic">No answer</p>
+                )}
+              </section>
+              <section className="border border-blue-200 bg-blue-50 rounded-lg p-4">
+                <h2 className="flex items-center gap-2 text-sm font-semibold text-blue-800 mb-2">
+                  <KeyRound className="w-4 h-4" />
+                  Answer key
+                </h2>
+                {item.answerKey ? (
+                  <RichText text={item.answerKey} className="text-gray-900" />
+                ) : (
+                  <p className="text-gray-400 italic">No answer key was added for this question</p>
+                )}
+              </section>
+            </div>
+
+            {/* Suggested Score */}
+            {item.suggestion && (
+              <section className="border border-amber-200 bg-amber-50 rounded-lg p-4" aria-label="Suggested score">
+                <div className="flex items-center justify-between gap-4 mb-2">
+                  <h2 className="flex items-center gap-2 text-sm font-semibold text-amber-800">
+                    <Lightbulb className="w-4 h-4" />
+                    Suggested score: {item.suggestion.points}/{item.suggestion.maxPoints}
+                  </h2>
+                  {!item.rubric && Number(points) !== item.suggestion.points && (
+                    <button
+                      type="button"
+                      onClick={() => setPoints(item.suggestion.points)}
+                      className="text-sm text-amber-800 underline hover:text-amber-900"
+                    >
+                      Use suggestion
+                    </button>
+                  )}
+                </div>
+                <dl className="space-y-1 text-sm text-gray-700">
+                  {item.suggestion.keywords && (
+                    <div>
+                      <dt className="inline font-medium">Keywords: </dt>
+                      <dd className="inline">
+                        {item.suggestion.keywords.matched.length} of {item.suggestion.keywords.matched.length + item.suggestion.keywords.missing.length} mentioned
+                        {item.suggestion.keywords.missing.length > 0 && ` · missing ${item.suggestion.keywords.missing.join(', ')}`}
+                      </dd>
+                    </div>
+                  )}
+                  {item.suggestion.similarity && (
+                    <div>
+                      <dt className="inline font-medium">Answer key overlap: </dt>
+                      <dd className="inline">
+                        {Math.round(item.suggestion.similarity.ratio * 100)}%
+                        {item.suggestion.similarity.missing.length > 0 && ` · not mentioned: ${item.suggestion.similarity.missing.join(', ')}`}
+                      </dd>
+                    </div>
+                  )}
+                </dl>
+                <p className="mt-2 text-xs text-gray-500">
+                  Worked out from the answer key and keywords. Only the points you save count.
+                </p>
+              </section>
+            )}
+
+            {/* Rubric */}
+            {item.rubric && (
+              <div className="space-y-4">
+                {item.rubric.map(criterion => (
+                  <fieldset key={criterion.id} aria-describedby={errors[criterion.id] ? `criterion-${criterion.id}-error` : undefined}>
+                    <legend className="text-sm font-semibold text-gray-700 mb-2">{criterion.title}</legend>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                      {criterion.levels.map(level => (
+                        <label
+                          key={level.points}
+                          className={`flex items-start gap-3 p-3 border rounded-lg cursor-pointer transition-colors ${
+                            selections[criterion.id] === level.points
+                              ? 'border-blue-500 bg-blue-50'
+                              : 'border-gray-200 hover:bg-gray-50'
+                          }`}
+                        >
+                          <input
+                            type="radio"
+                            name={`criterion-${criterion.id}`}
+                            checked={selections[criterion.id] === level.points}
+                            onChange={() => setSelections({ ...selections, [criterion.id]: level.points })}
+                            className="mt-1"
+                          />
+                          <span>
+                            <span className="block text-sm font-semibold text-gray-900">
+                              {level.points} point{level.points !== 1 ? 's' : ''}
+                            </span>
+                            {level.descriptor && (
+                              <span className="block text-sm text-gray-600">{level.descriptor}</span>
+                            )}
+                          </span>
+                        </label>
+                      ))}
+                    </div>
+                    {errors[criterion.id] && (
+                      <p id={`criterion-${criterion.id}-error`} className="mt-1 text-sm text-red-600">{errors[criterion.id]}</p>
+                    )}
+                  </fieldset>
+                ))}
+              </div>
+            )}
+
+            {/* Grade Form */}
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              {item.rubric ? (
+                <div>
+                  <div className="block text-sm font-semibold text-gray-700 mb-1">Points</div>
+                  <div className="px-3 py-2 text-lg font-semibold text-gray-900" role="status">
+                    {rubricTotal}/{item.maxPoints}
+                  </div>
+                </div>
+              ) : (
+                <div>
+                  <label htmlFor="grade-points" className="block text-sm font-semibold text-gray-700 mb-1">
+                    Points (out of {item.maxPoints})
+                  </label>
+                  <input
+                    id="grade-points"
+                    type="number"
+                    min="0"
+                    max={item.maxPoints}
+                    step="0.5"
+                    value={points}
+                    onChange={(e) => setPoints(e.target.value)}
+                    aria-invalid={!!errors.points}
+                    aria-describedby={errors.points ? 'grade-points-error' : undefined}
+                    className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                      errors.points ? 'border-red-300' : 'border-gray-300'
+                    }`}
+                  />
+                  {errors.points && (
+                    <p id="grade-points-error" className="mt-1 text-sm text-red-600">{errors.points}</p>
+                  )}
+                </div>
+              )}
+              <div className="md:col-span-3">
+                <label htmlFor="grade-comment" className="block text-sm font-semibold text-gray-700 mb-1">
+                  Comment for the student (optional)
+                </label>
+                <textarea
+                  id="grade-comment"
+                  rows={3}
+                  value={comment}
+                  onChange={(e) => setComment(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+                {errors.comment && <p className="mt-1 text-sm text-red-600">{errors.comment}</p>}
+              </div>
+            </div>
+
+            {errors.form && (
+              <p className="text-sm text-red-600" role="alert">{errors.form}</p>
+            )}
+
+            <div className="flex items-center justify-between pt-4 border-t border-gray-100">
+              <button
+                onClick={() => setCurrentIndex(currentIndex - 1)}
+                disabled={currentIndex === 0}
+                className="flex items-center gap-1 px-4 py-2 text-sm text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+              >
+                <ChevronLeft className="w-4 h-4" />
+                Previous
+              </button>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => handleSave(false)}
+                  disabled={saving}
+                  className="flex items-center gap-2 px-4 py-2 text-sm bg-gray-50 text-gray-700 rounded-lg hover:bg-gray-100 disabled:opacity-50"
+                >
+                  <Save className="w-4 h-4" />
+                  Save
+                </button>
+                {currentIndex < manualItems.length - 1 && (
+                  <button
+                    onClick={() => handleSave(true)}
+                    disabled={saving}
+                    className="flex items-center gap-2 px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Save &amp; Next
+                    <ChevronRight className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Automatically Scored */}
+      {autoItems.length > 0 && (
+        <div className="bg-white border border-gray-200 rounded-lg p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-3">Scored automatically</h2>
+          <ul className="divide-y divide-gray-100">
+            {autoItems.map(entry => (
+              <li key={entry.questionId} className="py-2 text-sm">
+                <div className="flex items-center justify-between">
+                  <RichText inline text={entry.question} className="text-gray-700 line-clamp-1" />
+                  <span className="font-semibold text-gray-900">{entry.points}/{entry.maxPoints}</span>
+                </div>
+                {/* Code answers are scored on hidden tests; show how each went */}
+                {entry.type === 'code' && entry.studentAnswer && (
+                  <details className="mt-2">
+                    <summary className="cursor-pointer text-blue-700 hover:underline">
+                      {entry.tests.filter(test => test.passed).length} of {entry.tests.length} hidden tests passed · view code
+                    </summary>
+                    <pre className="mt-2 p-3 bg-gray-900 text-gray-100 rounded-lg font-mono text-xs overflow-auto max-h-80">{entry.studentAnswer}</pre>
+                    <ul className="mt-2 space-y-1">
+                      {entry.tests.map((test, index) => (
+                        <li key={index} className={test.passed ? 'text-green-700' : 'text-red-700'}>
+                          Test {index + 1}: {test.passed ? 'passed' : test.status.replace('_', ' ')}
+                          {!test.passed && test.error && (
+                            <pre className="mt-1 p-2 bg-red-50 rounded font-mono text-xs whitespace-pre-wrap max-h-32 overflow-auto">{test.error}</pre>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
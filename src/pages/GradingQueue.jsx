@@ -0,0 +1,168 @@
+import React, { useState, useMemo } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { ClipboardCheck, Filter, PenLine } from 'lucide-react'
+import { useGradingQueue } from '../hooks/useGrading'
+
+/**
+ * GradingQueue - Submissions with written or spoken answers waiting for a grader
+ */
+export default function GradingQueue() {
+  const navigate = useNavigate()
+  const [status, setStatus] = useState('pending')
+  const [examId, setExamId] = useState('all')
+  const { submissions, loading, error } = useGradingQueue({ status })
+
+  const exams = useMemo(() => {
+    const titles = new Map(submissions.map(s => [s.examId, s.examTitle]))
+    return [...titles.entries()]
+  }, [submissions])
+
+  const filteredSubmissions = examId === 'all'
+    ? submissions
+    : submissions.filter(s => s.examId === examId)
+
+  if (loading && submissions.length === 0) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="text-gray-500">Loading submissions...</div>
+      </div>
+    )
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-6">
+        <p className="text-red-800">{error}</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Grading</h1>
+        <p className="text-gray-600">Score written and spoken answers and leave feedback for students</p>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg border border-gray-200 p-4">
+        <div className="flex flex-col md:flex-row gap-4">
+          <div className="flex gap-2" role="group" aria-label="Submissions to show">
+            {[
+              { value: 'pending', label: 'Needs grading' },
+              { value: 'all', label: 'All submissions' }
+            ].map(option => (
+              <button
+                key={option.value}
+                onClick={() => setStatus(option.value)}
+                aria-pressed={status === option.value}
+                className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
+                  status === option.value
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-50 text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex items-center gap-2 md:ml-auto">
+            <Filter className="w-5 h-5 text-gray-400" />
+            <select
+              value={examId}
+              onChange={(e) => setExamId(e.target.value)}
+              aria-label="Exam"
+              className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="all">All Exams</option>
+              {exams.map(([id, title]) => (
+                <option key={id} value={id}>{title}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {/* Submissions Table */}
+      <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+        {filteredSubmissions.length === 0 ? (
+          <div className="p-12 text-center">
+            <ClipboardCheck className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-500 text-lg font-medium mb-2">
+              {status === 'pending' ? 'Nothing to grade' : 'No submissions yet'}
+            </p>
+            <p className="text-gray-400">
+              {status === 'pending' ? 'Every written answer has been scored.' : 'Submissions show up here once students finish an exam.'}
+            </p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full">
+              <thead className="bg-gray-50 border-b border-gray-200">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wide">
+                    Student
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wide">
+                    Exam
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wide">
+                    Submitted
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wide">
+                    Score
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wide">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-semibold text-gray-500 uppercase tracking-wide">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {filteredSubmissions.map((submission) => (
+                  <tr key={submission.submissionId} className="hover:bg-gray-50 transition-colors">
+                    <td className="px-6 py-4">
+                      <div className="font-medium text-gray-900">{submission.student.name}</div>
+                      <div className="text-sm text-gray-500">{submission.student.enrollment}</div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-600">{submission.examTitle}</td>
+                    <td className="px-6 py-4 text-sm text-gray-600">
+                      {submission.submittedAt ? new Date(submission.submittedAt).toLocaleString() : '-'}
+                    </td>
+                    <td className="px-6 py-4 text-sm font-semibold text-gray-900">
+                      {submission.score}/{submission.maxScore}
+                    </td>
+                    <td className="px-6 py-4">
+                      {submission.pendingCount > 0 ? (
+                        <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-yellow-100 text-yellow-800">
+                          {submission.pendingCount} to grade
+                        </span>
+                      ) : (
+                        <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-green-100 text-green-800">
+                          Graded
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-right">
+                      <button
+                        onClick={() => navigate(`/faculty/grading/${submission.submissionId}`)}
+                        className="inline-flex items-center gap-2 px-4 py-2 text-sm bg-blue-50 text-blue-600 rounded-lg hover:bg-blue-100 transition-colors"
+                      >
+                        <PenLine className="w-4 h-4" />
+                        {submission.pendingCount > 0 ? 'Grade' : 'Review'}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
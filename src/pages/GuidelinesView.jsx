@@ -46,7 +46,7 @@ export default function GuidelinesView() {
     { text: 'Do not switch tabs or applications during the exam', type: 'required' },
     { text: 'Keep your camera and microphone ready if required', type: 'required' },
     { text: 'Read all questions carefully before answering', type: 'recommended' },
-    { text: 'Save your progress frequently if auto-save is not enabled', type: 'recommended' }
+    { text: 'Your answers are saved automatically - reopen the exam to continue where you left off', type: 'recommended' }
   ]
 
   return (
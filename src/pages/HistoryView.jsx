@@ -1,6 +1,7 @@
 import React, { useMemo, useEffect, useState } from 'react'
 import { Clock } from 'lucide-react'
 import { useExams } from '../hooks/useExams'
+import { fetchMyExamSubmissions } from '../services/api'
 import HistoryTable from '../components/HistoryTable'
 
 /**
@@ -16,13 +17,10 @@ export default function HistoryView() {
       const submissionsMap = {}
       for (const exam of exams) {
         try {
-          const response = await fetch(`/api/student/exams/${exam.id}/submissions?studentId=STU001`)
-          if (response.ok) {
-            const data = await response.json()
-            if (data.submissions && data.submissions.length > 0) {
-              // Get the most recent submission
-              submissionsMap[exam.id] = data.submissions[data.submissions.length - 1]
-            }
+          const data = await fetchMyExamSubmissions(exam.id)
+          if (data.submissions && data.submissions.length > 0) {
+            // Get the most recent submission
+            submissionsMap[exam.id] = data.submissions[data.submissions.length - 1]
           }
         } catch {
           // Ignore errors
@@ -57,7 +55,8 @@ export default function HistoryView() {
           ...exam,
           result: submission ? {
             score: submission.score,
-            maxScore: submission.maxScore
+            maxScore: submission.maxScore,
+            status: submission.status
           } : null,
           pointsAwarded: submission?.score,
           totalScore: submission?.maxScore,
@@ -222,9 +222,17 @@ export default function StudentDetails() {
                           ? 'bg-green-100 text-green-800'
                           : submission.status === 'in_progress'
                           ? 'bg-yellow-100 text-yellow-800'
+                          : submission.status === 'pending_grading'
+                          ? 'bg-blue-100 text-blue-800'
                           : 'bg-gray-100 text-gray-800'
                       }`}>
-                        {submission.status === 'completed' ? 'Completed' : submission.status === 'in_progress' ? 'In Progress' : 'Pending'}
+                        {submission.status === 'completed'
+                          ? 'Completed'
+                          : submission.status === 'in_progress'
+                          ? 'In Progress'
+                          : submission.status === 'pending_grading'
+                          ? 'Being Graded'
+                          : 'Pending'}
                       </span>
                     </td>
                     <td className="px-6 py-4">
@@ -1,8 +1,31 @@
-import React, { useState, useEffect } from 'react'
-import { useParams, useNavigate, useLocation } from 'react-router-dom'
-import { Clock, CheckCircle2, AlertCircle, ArrowLeft, Save, Image, Video, FileText, HelpCircle, CheckCircle, Award, ChevronRight, ChevronLeft, List } from 'lucide-react'
-import { getExamSummary, fetchExamQuestions, submitExam } from '../services/api'
+import React, { useState, useEffect, useRef } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { Clock, CheckCircle2, AlertCircle, ArrowLeft, Save, Image, Video, FileText, HelpCircle, CheckCircle, Award, ChevronRight, ChevronLeft, List, ListChecks, ListOrdered, Link2, Hash, TextCursorInput, Mic, CodeXml, WifiOff } from 'lucide-react'
+import { getExamSummary, fetchExamQuestions, getActiveAttempt, saveAttemptAnswers, submitExam, uploadRecording, runCodeTests, isNetworkError, getMediaUrl } from '../services/api'
+import {
+  getJournalEntry,
+  recordAnswer,
+  recordQuestionIndex,
+  markAnswersSynced,
+  queueSubmit,
+  findQueuedSubmit,
+  clearJournalEntry
+} from '../services/answerJournal'
 import { useCountdown } from '../hooks/useCountdown'
+import { useDebouncedValue } from '../hooks/useDebouncedValue'
+import { useOnlineStatus } from '../hooks/useOnlineStatus'
+import { isAnswered } from '../utils/answers'
+import { splitAtBlanks } from '../utils/blanks'
+import MatchingInput from '../components/MatchingInput'
+import OrderingInput from '../components/OrderingInput'
+import AudioRecorder from '../components/AudioRecorder'
+import CodeAnswerInput from '../components/CodeAnswerInput'
+import RichText from '../components/RichText'
+import RichTextPreview from '../components/RichTextPreview'
+import FormattingToolbar from '../components/FormattingToolbar'
+
+// How long to wait after the last change before autosaving
+const AUTOSAVE_DELAY_MS = 1000
 
 /**
  * TakeExamView - Page for students to take an exam
@@ -10,7 +33,6 @@ import { useCountdown } from '../hooks/useCountdown'
 export default function TakeExamView() {
   const { examId } = useParams()
   const navigate = useNavigate()
-  const location = useLocation()
   const [examSummary, setExamSummary] = useState(null)
   const [questions, setQuestions] = useState([])
   const [answers, setAnswers] = useState({})
@@ -18,18 +40,64 @@ export default function TakeExamView() {
   const [loading, setLoading] = useState(true)
   const [submitting, setSubmitting] = useState(false)
   const [error, setError] = useState(null)
-  const [startTime] = useState(new Date())
-  const [attemptId] = useState(location.state?.attemptId || `ATT-${Date.now()}`)
+  const [attempt, setAttempt] = useState(null)
+  const [saveState, setSaveState] = useState('idle') // 'idle' | 'saving' | 'saved' | 'error'
+  const [saveRetry, setSaveRetry] = useState(0)
+  // Latest recording and how many were made, per oral question
+  const [recordings, setRecordings] = useState({})
+  // A submit made while offline, waiting to be replayed
+  const [submitQueued, setSubmitQueued] = useState(false)
+  const online = useOnlineStatus()
+  // Question ids changed since the last successful autosave
+  const dirtyIdsRef = useRef(new Set())
+  const lastSavedIndexRef = useRef(0)
+  // The last autosave revision the server acknowledged
+  const revisionRef = useRef(0)
+  const writtenAnswerRef = useRef(null)
 
   // Load exam data
   useEffect(() => {
+    // The server closes an attempt once its time is up, submitting the answers
+    // it had saved, and a submit queued offline before then still gets that
+    // result. Pick it up from the journal to replay instead of showing the
+    // error.
+    const resumeQueuedSubmit = async (attemptErr) => {
+      if (attemptErr?.error !== 'no_active_attempt') throw attemptErr
+      const queued = await findQueuedSubmit(examId).catch(() => null)
+      if (!queued) throw attemptErr
+      return { attemptId: queued.attemptId, answers: queued.answers, revision: queued.revision }
+    }
+
     const loadExam = async () => {
       try {
-        const [summary, questionsData] = await Promise.all([
+        const [summary, questionsData, activeAttempt] = await Promise.all([
           getExamSummary(examId),
-          fetchExamQuestions(examId)
+          fetchExamQuestions(examId),
+          getActiveAttempt(examId).catch(resumeQueuedSubmit)
         ])
         setExamSummary(summary)
+        setAttempt(activeAttempt)
+        setRecordings(activeAttempt.recordings || {})
+
+        // Resume where the student left off. Answers the local journal holds
+        // but the server never confirmed win over the server copy.
+        let journal = null
+        try {
+          journal = await getJournalEntry(activeAttempt.attemptId)
+        } catch (journalErr) {
+          console.warn('Answer journal unavailable:', journalErr)
+        }
+        const restoredAnswers = { ...(activeAttempt.answers || {}) }
+        journal?.pendingIds.forEach(id => {
+          restoredAnswers[id] = journal.answers[id]
+          dirtyIdsRef.current.add(id)
+        })
+        setAnswers(restoredAnswers)
+        setCurrentQuestionIndex(activeAttempt.currentQuestionIndex || 0)
+        lastSavedIndexRef.current = activeAttempt.currentQuestionIndex || 0
+        revisionRef.current = activeAttempt.revision || 0
+        if (activeAttempt.savedAt) setSaveState('saved')
+        if (journal?.submitQueued) setSubmitQueued(true)
         const loadedQuestions = questionsData.questions || []
         console.log('Loaded questions:', loadedQuestions.length, 'questions')
         console.log('Question types:', loadedQuestions.map(q => ({ id: q.id, type: q.type, hasOptions: !!q.options })))
@@ -41,10 +109,20 @@ export default function TakeExamView() {
           question: q.question || '',
           points: q.points || 1,
           options: q.options || [],
+          scoringMode: q.scoringMode || null,
+          units: q.units || '',
+          prompts: q.prompts || [],
+          matches: q.matches || [],
+          items: q.items || [],
+          language: q.language || null,
+          starterCode: q.starterCode || '',
+          visibleTests: q.visibleTests || [],
+          negativeMarks: q.negativeMarks ?? null,
           media: q.media || null
         }))
         
         setQuestions(formattedQuestions)
+        setCurrentQuestionIndex(index => Math.min(index, Math.max(formattedQuestions.length - 1, 0)))
       } catch (err) {
         console.error('Error loading exam:', err)
         setError(err?.message || 'Failed to load exam')
@@ -55,28 +133,90 @@ export default function TakeExamView() {
     loadExam()
   }, [examId])
 
-  // Timer for exam duration
-  const examEndTime = examSummary 
-    ? new Date(new Date(startTime).getTime() + (examSummary.durationMin * 60 * 1000))
-    : null
-
+  // Timer for exam duration. The deadline comes from the server-side attempt,
+  // so reloading the page resumes the clock instead of restarting it.
   const { formatted: timeRemaining, expired: timeExpired } = useCountdown(
-    examEndTime?.toISOString(),
+    attempt?.expiresAt,
     () => {
       // Auto-submit when time expires
       if (!submitting) {
-        handleSubmit()
+        handleSubmit({ auto: true })
       }
     }
   )
 
+  // Autosave changed answers and the current question once edits settle
+  const debouncedAnswers = useDebouncedValue(answers, AUTOSAVE_DELAY_MS)
+  const debouncedIndex = useDebouncedValue(currentQuestionIndex, AUTOSAVE_DELAY_MS)
+
+  useEffect(() => {
+    if (!attempt || submitting || submitQueued || !online) return
+    const dirtyIds = [...dirtyIdsRef.current]
+    if (dirtyIds.length === 0 && debouncedIndex === lastSavedIndexRef.current) return
+
+    const changed = {}
+    dirtyIds.forEach(id => {
+      changed[id] = debouncedAnswers[id]
+    })
+    dirtyIdsRef.current = new Set()
+
+    setSaveState('saving')
+    saveAttemptAnswers(attempt.attemptId, {
+      answers: changed,
+      currentQuestionIndex: debouncedIndex
+    })
+      .then((saved) => {
+        lastSavedIndexRef.current = debouncedIndex
+        revisionRef.current = saved.revision
+        setSaveState('saved')
+        markAnswersSynced(attempt.attemptId, changed, saved.revision).catch(() => {})
+      })
+      .catch(err => {
+        console.error('Autosave failed:', err)
+        // The server refused the save (attempt closed or expired) - retrying won't help
+        if (!isNetworkError(err)) {
+          setSaveState('error')
+          return
+        }
+        // Retry these answers with the next save
+        dirtyIds.forEach(id => dirtyIdsRef.current.add(id))
+        setSaveState('error')
+        setTimeout(() => setSaveRetry(n => n + 1), AUTOSAVE_DELAY_MS * 5)
+      })
+  }, [attempt, submitting, submitQueued, online, debouncedAnswers, debouncedIndex, saveRetry])
+
+  // Keep the question position in the journal too
+  useEffect(() => {
+    if (!attempt) return
+    recordQuestionIndex(attempt.attemptId, examId, currentQuestionIndex).catch(() => {})
+  }, [attempt, examId, currentQuestionIndex])
+
   const handleAnswerChange = (questionId, value) => {
+    dirtyIdsRef.current.add(questionId)
+    if (attempt) {
+      recordAnswer(attempt.attemptId, examId, questionId, value).catch(err => {
+        console.warn('Could not write answer journal:', err)
+      })
+    }
     setAnswers(prev => ({
       ...prev,
       [questionId]: value
     }))
   }
 
+  // A recording is saved as it is uploaded, so it never goes through autosave
+  const handleRecorded = async (questionId, blob) => {
+    const result = await uploadRecording(attempt.attemptId, questionId, blob)
+    setRecordings(prev => ({
+      ...prev,
+      [questionId]: { mediaId: result.recording.id, count: result.count }
+    }))
+    setAnswers(prev => ({
+      ...prev,
+      [questionId]: result.recording.id
+    }))
+  }
+
   const handleNext = () => {
     if (currentQuestionIndex < questions.length - 1) {
       setCurrentQuestionIndex(currentQuestionIndex + 1)
@@ -89,27 +229,42 @@ export default function TakeExamView() {
     }
   }
 
-  const handleSubmit = async () => {
-    if (submitting) return
+  // Queue the final submit in the journal; it is replayed when back online
+  const queueOfflineSubmit = async () => {
+    try {
+      await queueSubmit(attempt.attemptId, examId, answers)
+    } catch (journalErr) {
+      console.warn('Could not queue submit in journal:', journalErr)
+    }
+    setSubmitQueued(true)
+    setSubmitting(false)
+  }
 
-    const unanswered = questions.filter(q => {
-      const answer = answers[q.id]
-      return !answer && (typeof answer !== 'string' || !answer.trim())
-    })
-    if (unanswered.length > 0 && !confirm(`You have ${unanswered.length} unanswered questions. Submit anyway?`)) {
+  const handleSubmit = async ({ auto = false, replay = false } = {}) => {
+    if (submitting || !attempt) return
+
+    const unanswered = questions.filter(q => !isAnswered(answers[q.id]))
+    if (!auto && !replay && unanswered.length > 0 && !confirm(`You have ${unanswered.length} unanswered questions. Submit anyway?`)) {
       return
     }
 
     setSubmitting(true)
+    if (!online) {
+      await queueOfflineSubmit()
+      return
+    }
+
     try {
-      const timeSpent = Math.floor((new Date().getTime() - startTime.getTime()) / 1000 / 60) // minutes
+      // Replays are safe: the server returns the original result for an
+      // attempt that was already submitted with the same answers. After the
+      // deadline it only does so for the answers it saved in time, which the
+      // revision of the last acknowledged autosave vouches for.
       const result = await submitExam(examId, {
         answers,
-        attemptId,
-        startedAt: startTime.toISOString(),
-        timeSpent,
-        studentId: 'STU001' // In real app, get from auth
+        attemptId: attempt.attemptId,
+        revision: revisionRef.current
       })
+      clearJournalEntry(attempt.attemptId).catch(() => {})
 
       // Navigate to results
       navigate(`/student/exams/${examId}/results`, {
@@ -117,15 +272,32 @@ export default function TakeExamView() {
           score: result.score,
           maxScore: result.maxScore,
           percentage: result.percentage,
+          status: result.status,
           submissionId: result.submissionId
         }
       })
     } catch (err) {
+      if (isNetworkError(err)) {
+        await queueOfflineSubmit()
+        return
+      }
+      setSubmitQueued(false)
       setError(err?.message || 'Failed to submit exam')
       setSubmitting(false)
     }
   }
 
+  // Back online: flush pending autosaves and replay a queued submit
+  useEffect(() => {
+    if (!online || !attempt) return
+    setSaveRetry(n => n + 1)
+    if (submitQueued && !submitting) {
+      handleSubmit({ replay: true })
+    }
+    // handleSubmit is recreated every render; only react to connectivity changes
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [online, attempt, submitQueued])
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-screen">
@@ -152,10 +324,7 @@ export default function TakeExamView() {
   }
 
   const currentQuestion = questions[currentQuestionIndex]
-  const answeredCount = Object.keys(answers).filter(key => {
-    const answer = answers[key]
-    return answer !== '' && answer != null && (typeof answer !== 'string' || answer.trim().length > 0)
-  }).length
+  const answeredCount = Object.keys(answers).filter(key => isAnswered(answers[key])).length
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -176,6 +345,22 @@ export default function TakeExamView() {
                 <p className="text-sm text-gray-600 flex items-center gap-2">
                   <FileText className="w-4 h-4" />
                   Question {currentQuestionIndex + 1} of {questions.length}
+                  {!online && (
+                    <span className="ml-2 inline-flex items-center gap-1 px-2 py-0.5 text-xs font-semibold rounded bg-amber-100 text-amber-800" aria-live="polite">
+                      <WifiOff className="w-3 h-3" />
+                      Offline - answers are kept on this device
+                    </span>
+                  )}
+                  {online && saveState !== 'idle' && (
+                    <span
+                      className={`ml-2 text-xs ${saveState === 'error' ? 'text-red-600' : 'text-gray-500'}`}
+                      aria-live="polite"
+                    >
+                      {saveState === 'saving' && 'Saving...'}
+                      {saveState === 'saved' && 'All answers saved'}
+                      {saveState === 'error' && 'Not saved - retrying'}
+                    </span>
+                  )}
                 </p>
               </div>
             </div>
@@ -208,6 +393,12 @@ export default function TakeExamView() {
 
       {/* Main Content */}
       <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {submitQueued && (
+          <div className="mb-6 flex items-center gap-3 p-4 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800" role="status">
+            <WifiOff className="w-5 h-5 flex-shrink-0" />
+            <span>You're offline. Your exam is saved on this device and will be submitted automatically when the connection returns.</span>
+          </div>
+        )}
         {questions.length === 0 ? (
           <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-12 text-center">
             <AlertCircle className="w-12 h-12 text-gray-400 mx-auto mb-4" />
@@ -220,7 +411,7 @@ export default function TakeExamView() {
               <div className="flex-1">
                 <div className="flex items-center gap-3 mb-3">
                   <span className={`px-3 py-1 text-sm font-semibold rounded flex items-center gap-1 ${
-                    currentQuestion.type === 'mcq' 
+                    currentQuestion.type !== 'descriptive' && currentQuestion.type !== 'oral'
                       ? 'bg-blue-100 text-blue-700' 
                       : 'bg-purple-100 text-purple-700'
                   }`}>
@@ -229,6 +420,41 @@ export default function TakeExamView() {
                         <CheckCircle className="w-4 h-4" />
                         MCQ
                       </>
+                    ) : currentQuestion.type === 'multiselect' ? (
+                      <>
+                        <ListChecks className="w-4 h-4" />
+                        Multiple Select
+                      </>
+                    ) : currentQuestion.type === 'numeric' ? (
+                      <>
+                        <Hash className="w-4 h-4" />
+                        Numeric
+                      </>
+                    ) : currentQuestion.type === 'matching' ? (
+                      <>
+                        <Link2 className="w-4 h-4" />
+                        Matching
+                      </>
+                    ) : currentQuestion.type === 'ordering' ? (
+                      <>
+                        <ListOrdered className="w-4 h-4" />
+                        Ordering
+                      </>
+                    ) : currentQuestion.type === 'fillblank' || currentQuestion.type === 'short' ? (
+                      <>
+                        <TextCursorInput className="w-4 h-4" />
+                        {currentQuestion.type === 'fillblank' ? 'Fill in the Blank' : 'Short Answer'}
+                      </>
+                    ) : currentQuestion.type === 'code' ? (
+                      <>
+                        <CodeXml className="w-4 h-4" />
+                        Code
+                      </>
+                    ) : currentQuestion.type === 'oral' ? (
+                      <>
+                        <Mic className="w-4 h-4" />
+                        Spoken
+                      </>
                     ) : (
                       <>
                         <FileText className="w-4 h-4" />
@@ -240,14 +466,20 @@ export default function TakeExamView() {
                     <Award className="w-4 h-4" />
                     {currentQuestion.points || 1} point{currentQuestion.points !== 1 ? 's' : ''}
                   </span>
+                  {currentQuestion.negativeMarks > 0 && (
+                    <span className="px-3 py-1 bg-red-50 text-red-700 text-sm font-semibold rounded">
+                      −{currentQuestion.negativeMarks} if wrong
+                    </span>
+                  )}
                 </div>
                 <h2 className="text-xl font-bold text-gray-900 mb-4">
                   Question {currentQuestionIndex + 1} of {questions.length}
                 </h2>
                 <div className="bg-gray-50 border-l-4 border-blue-500 p-4 rounded-r-lg mb-4">
-                  <p className="text-base text-gray-800 leading-relaxed">
-                    {currentQuestion.question}
-                  </p>
+                  <RichText
+                    text={currentQuestion.question}
+                    className="text-base text-gray-800 leading-relaxed"
+                  />
                 </div>
               </div>
             </div>
@@ -262,7 +494,7 @@ export default function TakeExamView() {
                       <span className="text-sm font-medium text-gray-700">Image</span>
                     </div>
                     <img 
-                      src={currentQuestion.media.image.url} 
+                      src={getMediaUrl(currentQuestion.media.image)} 
                       alt="Question image" 
                       className="max-w-full h-auto rounded"
                     />
@@ -275,7 +507,7 @@ export default function TakeExamView() {
                       <span className="text-sm font-medium text-gray-700">Video</span>
                     </div>
                     <video 
-                      src={currentQuestion.media.video.url} 
+                      src={getMediaUrl(currentQuestion.media.video)} 
                       controls 
                       className="max-w-full rounded"
                     />
@@ -288,7 +520,7 @@ export default function TakeExamView() {
                       <span className="text-sm font-medium text-gray-700">Graph/Chart</span>
                     </div>
                     <img 
-                      src={currentQuestion.media.graph.url} 
+                      src={getMediaUrl(currentQuestion.media.graph)} 
                       alt="Question graph" 
                       className="max-w-full h-auto rounded"
                     />
@@ -331,24 +563,222 @@ export default function TakeExamView() {
                           onChange={() => handleAnswerChange(currentQuestion.id, index)}
                           className="w-5 h-5 text-blue-600"
                         />
-                        <span className={`flex-1 ${isSelected ? 'font-medium text-gray-900' : 'text-gray-700'}`}>
-                          {option}
-                        </span>
+                        <RichText
+                          inline
+                          text={option}
+                          className={`flex-1 ${isSelected ? 'font-medium text-gray-900' : 'text-gray-700'}`}
+                        />
+                        {isSelected && (
+                          <CheckCircle className="w-5 h-5 text-blue-600" />
+                        )}
+                      </label>
+                    )
+                  })}
+                </div>
+              ) : currentQuestion.type === 'multiselect' && currentQuestion.options.length > 0 ? (
+                <fieldset className="space-y-3">
+                  <legend className="block text-sm font-semibold text-gray-700 mb-3 flex items-center gap-2">
+                    <HelpCircle className="w-4 h-4 text-blue-600" />
+                    Select all that apply:
+                  </legend>
+                  <p className="text-xs text-gray-500 -mt-1 mb-3">
+                    {currentQuestion.scoringMode === 'proportional'
+                      ? 'Each correct option earns part of the points; each wrong one takes part away.'
+                      : 'You earn the points only by selecting exactly the correct options.'}
+                  </p>
+                  {currentQuestion.options.map((option, index) => {
+                    const selected = answers[currentQuestion.id] || []
+                    const isSelected = selected.includes(index)
+                    return (
+                      <label
+                        key={index}
+                        className={`flex items-center gap-3 p-4 border-2 rounded-lg cursor-pointer transition-all ${
+                          isSelected
+                            ? 'border-blue-500 bg-blue-50 shadow-sm'
+                            : 'border-gray-200 hover:border-blue-300 hover:bg-blue-50/30'
+                        }`}
+                      >
+                        <div className={`w-6 h-6 rounded-full flex items-center justify-center text-sm font-semibold ${
+                          isSelected
+                            ? 'bg-blue-600 text-white'
+                            : 'bg-gray-100 text-gray-600'
+                        }`}>
+                          {String.fromCharCode(65 + index)}
+                        </div>
+                        <input
+                          type="checkbox"
+                          value={index}
+                          checked={isSelected}
+                          onChange={() => handleAnswerChange(
+                            currentQuestion.id,
+                            isSelected
+                              ? selected.filter(i => i !== index)
+                              : [...selected, index].sort((a, b) => a - b)
+                          )}
+                          className="w-5 h-5 text-blue-600 rounded"
+                        />
+                        <RichText
+                          inline
+                          text={option}
+                          className={`flex-1 ${isSelected ? 'font-medium text-gray-900' : 'text-gray-700'}`}
+                        />
                         {isSelected && (
                           <CheckCircle className="w-5 h-5 text-blue-600" />
                         )}
                       </label>
                     )
                   })}
+                </fieldset>
+              ) : currentQuestion.type === 'matching' ? (
+                <div className="space-y-3">
+                  <p className="block text-sm font-semibold text-gray-700 mb-3 flex items-center gap-2">
+                    <HelpCircle className="w-4 h-4 text-blue-600" />
+                    Match each prompt:
+                  </p>
+                  <MatchingInput
+                    questionId={currentQuestion.id}
+                    prompts={currentQuestion.prompts}
+                    matches={currentQuestion.matches}
+                    value={answers[currentQuestion.id]}
+                    onChange={(value) => handleAnswerChange(currentQuestion.id, value)}
+                  />
+                </div>
+              ) : currentQuestion.type === 'ordering' ? (
+                <div className="space-y-3">
+                  <p className="block text-sm font-semibold text-gray-700 mb-3 flex items-center gap-2">
+                    <HelpCircle className="w-4 h-4 text-blue-600" />
+                    Put the items in order:
+                  </p>
+                  <OrderingInput
+                    questionId={currentQuestion.id}
+                    items={currentQuestion.items}
+                    value={answers[currentQuestion.id]}
+                    onChange={(value) => handleAnswerChange(currentQuestion.id, value)}
+                  />
+                </div>
+              ) : currentQuestion.type === 'fillblank' ? (
+                <div className="space-y-3">
+                  <p className="block text-sm font-semibold text-gray-700 mb-3 flex items-center gap-2">
+                    <HelpCircle className="w-4 h-4 text-blue-600" />
+                    Fill in each blank:
+                  </p>
+                  <p className="text-base text-gray-800 leading-loose">
+                    {splitAtBlanks(currentQuestion.question).map((text, index, pieces) => {
+                      const filled = answers[currentQuestion.id] || []
+                      return (
+                        <React.Fragment key={index}>
+                          <RichText inline text={text} />
+                          {index < pieces.length - 1 && (
+                            <input
+                              type="text"
+                              autoComplete="off"
+                              value={filled[index] ?? ''}
+                              onChange={(e) => handleAnswerChange(
+                                currentQuestion.id,
+                                Array.from({ length: pieces.length - 1 }, (_, i) => (i === index ? e.target.value : filled[i] ?? ''))
+                              )}
+                              aria-label={`Blank ${index + 1}`}
+                              className="inline-block w-40 mx-1 px-2 py-1 border-b-2 border-blue-400 bg-blue-50/50 focus:outline-none focus:border-blue-600 focus:bg-white"
+                            />
+                          )}
+                        </React.Fragment>
+                      )
+                    })}
+                  </p>
+                  <p className="text-xs text-gray-500">Each blank is marked on its own, so fill in as many as you can.</p>
+                </div>
+              ) : currentQuestion.type === 'short' ? (
+                <div className="space-y-3">
+                  <label
+                    htmlFor={`short-answer-${currentQuestion.id}`}
+                    className="block text-sm font-semibold text-gray-700 mb-3 flex items-center gap-2"
+                  >
+                    <HelpCircle className="w-4 h-4 text-blue-600" />
+                    Type your answer:
+                  </label>
+                  <input
+                    id={`short-answer-${currentQuestion.id}`}
+                    type="text"
+                    autoComplete="off"
+                    value={answers[currentQuestion.id] ?? ''}
+                    onChange={(e) => handleAnswerChange(currentQuestion.id, e.target.value)}
+                    className="w-full max-w-xl px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+                    placeholder="A word or short phrase"
+                  />
+                  <p className="text-xs text-gray-500">Keep it short: your answer is checked against the accepted answers automatically.</p>
+                </div>
+              ) : currentQuestion.type === 'numeric' ? (
+                <div className="space-y-3">
+                  <label
+                    htmlFor={`numeric-answer-${currentQuestion.id}`}
+                    className="block text-sm font-semibold text-gray-700 mb-3 flex items-center gap-2"
+                  >
+                    <HelpCircle className="w-4 h-4 text-blue-600" />
+                    Enter your answer as a number:
+                  </label>
+                  <div className="flex items-center gap-3">
+                    <input
+                      id={`numeric-answer-${currentQuestion.id}`}
+                      type="text"
+                      inputMode="decimal"
+                      autoComplete="off"
+                      value={answers[currentQuestion.id] ?? ''}
+                      onChange={(e) => handleAnswerChange(currentQuestion.id, e.target.value)}
+                      aria-describedby={`numeric-hint-${currentQuestion.id}`}
+                      className="w-64 px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+                      placeholder="e.g. 9.81"
+                    />
+                    {currentQuestion.units && (
+                      <span className="text-base font-medium text-gray-700">{currentQuestion.units}</span>
+                    )}
+                  </div>
+                  <p id={`numeric-hint-${currentQuestion.id}`} className="text-xs text-gray-500">
+                    {isAnswered(answers[currentQuestion.id]) && !Number.isFinite(Number(answers[currentQuestion.id]))
+                      ? <span className="text-red-600">This is not a number, so it will be marked wrong. Use digits and a decimal point, like 1.5 or 2e-3.</span>
+                      : `Type the number only${currentQuestion.units ? ', without the units' : ''}. Answers close enough to the expected value get full points.`}
+                  </p>
+                </div>
+              ) : currentQuestion.type === 'code' ? (
+                <CodeAnswerInput
+                  key={currentQuestion.id}
+                  question={currentQuestion}
+                  value={answers[currentQuestion.id] ?? currentQuestion.starterCode}
+                  onChange={(code) => handleAnswerChange(currentQuestion.id, code)}
+                  onRun={async (code) => (await runCodeTests(attempt.attemptId, currentQuestion.id, code)).results}
+                />
+              ) : currentQuestion.type === 'oral' ? (
+                <div className="space-y-3">
+                  <p className="block text-sm font-semibold text-gray-700 mb-3 flex items-center gap-2">
+                    <Mic className="w-4 h-4 text-purple-600" />
+                    Record your spoken answer:
+                  </p>
+                  <AudioRecorder
+                    key={currentQuestion.id}
+                    questionId={currentQuestion.id}
+                    recordingUrl={recordings[currentQuestion.id] ? getMediaUrl({ id: recordings[currentQuestion.id].mediaId }) : null}
+                    recordingsLeft={Math.max(0, 1 + (attempt?.allowedReRecords || 0) - (recordings[currentQuestion.id]?.count || 0))}
+                    onRecorded={(blob) => handleRecorded(currentQuestion.id, blob)}
+                  />
+                  <div className="flex items-center gap-2 text-xs text-gray-500 bg-blue-50 p-2 rounded">
+                    <HelpCircle className="w-3 h-3 text-blue-600 flex-shrink-0" />
+                    <span>Your recording will be listened to and graded by faculty. Play it back to check it before moving on.</span>
+                  </div>
                 </div>
               ) : (
                 <div className="space-y-3">
-                  <label className="block text-sm font-semibold text-gray-700 mb-3 flex items-center gap-2">
+                  <label htmlFor={`written-answer-${currentQuestion.id}`} className="block text-sm font-semibold text-gray-700 mb-3 flex items-center gap-2">
                     <FileText className="w-4 h-4 text-purple-600" />
                     Write your detailed answer:
                   </label>
                   <div className="border-2 border-purple-200 rounded-lg p-1 bg-purple-50/30">
+                    <FormattingToolbar
+                      textareaRef={writtenAnswerRef}
+                      value={answers[currentQuestion.id] || ''}
+                      onChange={(value) => handleAnswerChange(currentQuestion.id, value)}
+                    />
                     <textarea
+                      ref={writtenAnswerRef}
+                      id={`written-answer-${currentQuestion.id}`}
                       value={answers[currentQuestion.id] || ''}
                       onChange={(e) => handleAnswerChange(currentQuestion.id, e.target.value)}
                       rows={12}
@@ -356,9 +786,10 @@ export default function TakeExamView() {
                       placeholder="Type your detailed answer here. Be thorough and clear in your response..."
                     />
                   </div>
+                  <RichTextPreview text={answers[currentQuestion.id] || ''} label="How your answer will look" />
                   <div className="flex items-center gap-2 text-xs text-gray-500 bg-blue-50 p-2 rounded">
                     <HelpCircle className="w-3 h-3 text-blue-600 flex-shrink-0" />
-                    <span>Your answer will be reviewed and graded by faculty. Make sure to provide a complete and well-structured response.</span>
+                    <span>Your answer will be reviewed and graded by faculty. Make sure to provide a complete and well-structured response. Use the toolbar for bold, lists and code, and write math between dollar signs, like $x^2$.</span>
                   </div>
                   <div className="flex items-center justify-between text-xs text-gray-600 bg-gray-50 p-2 rounded">
                     <span className="font-medium">Character count: <span className="text-blue-600">{(answers[currentQuestion.id] || '').length}</span></span>
@@ -391,24 +822,24 @@ export default function TakeExamView() {
             <div className="flex items-center gap-2 flex-wrap justify-center p-2 bg-gray-50 rounded-lg">
               {questions.map((q, index) => {
                 const questionId = q.id
-                const isAnswered = answers[questionId] !== undefined && answers[questionId] !== '' && answers[questionId] != null
+                const answered = isAnswered(answers[questionId])
                 const questionType = q.type || 'mcq'
                 const isCurrent = index === currentQuestionIndex
                 return (
                   <button
                     key={questionId || index}
                     onClick={() => setCurrentQuestionIndex(index)}
-                    title={`Question ${index + 1}: ${questionType.toUpperCase()}${isAnswered ? ' (Answered)' : ' (Not answered)'}`}
+                    title={`Question ${index + 1}: ${questionType.toUpperCase()}${answered ? ' (Answered)' : ' (Not answered)'}`}
                     className={`w-10 h-10 rounded-lg text-sm font-semibold transition-all flex items-center justify-center relative ${
                       isCurrent
                         ? 'bg-blue-600 text-white ring-2 ring-blue-300 shadow-md scale-110'
-                        : isAnswered
+                        : answered
                         ? 'bg-green-500 text-white hover:bg-green-600'
                         : 'bg-white text-gray-600 border-2 border-gray-300 hover:border-blue-400 hover:bg-blue-50'
                     }`}
                   >
                     {index + 1}
-                    {isAnswered && !isCurrent && (
+                    {answered && !isCurrent && (
                       <CheckCircle className="absolute -top-1 -right-1 w-4 h-4 text-green-600 bg-white rounded-full" />
                     )}
                   </button>
@@ -436,12 +867,12 @@ export default function TakeExamView() {
 
             {currentQuestionIndex === questions.length - 1 ? (
               <button
-                onClick={handleSubmit}
-                disabled={submitting || timeExpired}
+                onClick={() => handleSubmit()}
+                disabled={submitting || submitQueued || timeExpired}
                 className="flex items-center gap-2 px-6 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors shadow-md"
               >
                 <Save className="w-4 h-4" />
-                {submitting ? 'Submitting...' : 'Submit Exam'}
+                {submitting ? 'Submitting...' : submitQueued ? 'Waiting for connection...' : 'Submit Exam'}
               </button>
             ) : (
               <button
@@ -0,0 +1,177 @@
+/**
+ * Answer journal - keeps exam answers in IndexedDB so an attempt survives a
+ * lost connection or a page reload before the server has the latest answers.
+ *
+ * One record is kept per attempt:
+ *   { attemptId, examId, answers, pendingIds, currentQuestionIndex, submitQueued, revision, updatedAt }
+ * `pendingIds` are question ids not yet confirmed by the server, and
+ * `submitQueued` marks a final submit that still has to be replayed.
+ * `revision` is the last autosave the server acknowledged, which a replay
+ * sends so the server can tell it only holds answers saved in time.
+ */
+
+const DB_NAME = 'examecho-journal'
+const DB_VERSION = 1
+const STORE = 'attempts'
+
+let dbPromise = null
+
+function openJournal() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'))
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'attemptId' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        dbPromise = null
+        reject(request.error)
+      }
+    })
+  }
+  return dbPromise
+}
+
+function emptyEntry(attemptId, examId) {
+  return {
+    attemptId,
+    examId,
+    answers: {},
+    pendingIds: [],
+    currentQuestionIndex: 0,
+    submitQueued: false,
+    revision: 0,
+    updatedAt: null,
+  }
+}
+
+/**
+ * Read-modify-write an attempt's entry in a single transaction
+ * @param {string} attemptId
+ * @param {(entry: object) => object} update
+ */
+async function updateEntry(attemptId, update) {
+  const db = await openJournal()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, 'readwrite')
+    const store = tx.objectStore(STORE)
+    const getRequest = store.get(attemptId)
+    let next
+    getRequest.onsuccess = () => {
+      const current = getRequest.result || emptyEntry(attemptId, null)
+      next = { ...update(current), updatedAt: new Date().toISOString() }
+      store.put(next)
+    }
+    tx.oncomplete = () => resolve(next)
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+/**
+ * Get the journal entry for an attempt, or null if there is none
+ * @param {string} attemptId
+ */
+export async function getJournalEntry(attemptId) {
+  const db = await openJournal()
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(STORE, 'readonly').objectStore(STORE).get(attemptId)
+    request.onsuccess = () => resolve(request.result || null)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Record an answer change and mark it as not yet synced
+ */
+export function recordAnswer(attemptId, examId, questionId, value) {
+  return updateEntry(attemptId, (entry) => ({
+    ...entry,
+    examId,
+    answers: { ...entry.answers, [questionId]: value },
+    pendingIds: entry.pendingIds.includes(questionId)
+      ? entry.pendingIds
+      : [...entry.pendingIds, questionId],
+  }))
+}
+
+/**
+ * Remember which question the student is on
+ */
+export function recordQuestionIndex(attemptId, examId, currentQuestionIndex) {
+  return updateEntry(attemptId, (entry) => ({ ...entry, examId, currentQuestionIndex }))
+}
+
+/**
+ * Serialize a value with sorted object keys, so equal answers compare equal.
+ * Answers read back from IndexedDB are copies, so list answers are never
+ * the same object as the ones that were sent.
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+/**
+ * Clear pending flags for answers the server has confirmed.
+ * Answers changed again since they were sent stay pending.
+ * @param {string} attemptId
+ * @param {Record<string, unknown>} savedAnswers - the answers that were sent
+ * @param {number} revision - the revision the server gave the save
+ */
+export function markAnswersSynced(attemptId, savedAnswers, revision) {
+  return updateEntry(attemptId, (entry) => ({
+    ...entry,
+    revision,
+    pendingIds: entry.pendingIds.filter(
+      (id) => !(id in savedAnswers) || stableStringify(entry.answers[id]) !== stableStringify(savedAnswers[id])
+    ),
+  }))
+}
+
+/**
+ * Queue the final submit so it can be replayed once the connection returns
+ */
+export function queueSubmit(attemptId, examId, answers) {
+  return updateEntry(attemptId, (entry) => ({
+    ...entry,
+    examId,
+    answers: { ...entry.answers, ...answers },
+    submitQueued: true,
+  }))
+}
+
+/**
+ * Find a queued submit for an exam, or null if there is none. Used when the
+ * attempt has closed on the server, so its id is only known to the journal.
+ * @param {string} examId
+ */
+export async function findQueuedSubmit(examId) {
+  const db = await openJournal()
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(STORE, 'readonly').objectStore(STORE).getAll()
+    request.onsuccess = () => resolve(request.result.find((entry) => entry.examId === examId && entry.submitQueued) || null)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Remove an attempt from the journal once it has been submitted
+ */
+export async function clearJournalEntry(attemptId) {
+  const db = await openJournal()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, 'readwrite')
+    tx.objectStore(STORE).delete(attemptId)
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+  })
+}
@@ -30,12 +30,18 @@ async function fetchAPI(
   const url = `${API_BASE_URL}${endpoint}`
   
   try {
+    const headers: Record<string, string> = {
+      ...(getAuthHeaders() as Record<string, string>),
+      ...(options.headers as Record<string, string>),
+    }
+    // Let the browser set the multipart boundary for uploads
+    if (options.body instanceof FormData) {
+      delete headers['Content-Type']
+    }
+
     const response = await fetch(url, {
       ...options,
-      headers: {
-        ...getAuthHeaders(),
-        ...options.headers,
-      },
+      headers,
     })
 
     if (!response.ok) {
@@ -50,6 +56,12 @@ async function fetchAPI(
       }
       const error = { status: response.status, ...errorData }
       console.error('API error:', url, error)
+      // The session is gone or was never valid - drop it so ProtectedRoute
+      // sends the user back to the login page
+      if (response.status === 401) {
+        localStorage.removeItem('auth_token')
+        localStorage.removeItem('user_data')
+      }
       throw error
     }
 
@@ -64,6 +76,104 @@ async function fetchAPI(
   }
 }
 
+/**
+ * Whether an error came from the server rejecting the caller (401/403).
+ * Local fallbacks only cover an unreachable server, so these are rethrown.
+ */
+export function isAuthError(error: unknown): boolean {
+  const status = (error as { status?: number } | null)?.status
+  return status === 401 || status === 403
+}
+
+/**
+ * Whether the server rejected the request body or query. `fields` maps each
+ * failing field path (e.g. `settingsSummary.attemptsLeft`) to its message.
+ * These are rethrown rather than saved locally, so forms can show them.
+ */
+export function isValidationError(
+  error: unknown
+): error is { status: 400; error: 'validation_failed'; message: string; fields: Record<string, string> } {
+  return (error as { error?: string } | null)?.error === 'validation_failed'
+}
+
+/**
+ * Whether an error means the request never got an answer from the server
+ * (offline, DNS failure, server down) rather than an HTTP error response
+ */
+export function isNetworkError(error: unknown): boolean {
+  return !(error as { status?: number } | null)?.status
+}
+
+/**
+ * Auth data types
+ */
+export interface AuthUser {
+  id: string
+  role: 'student' | 'faculty'
+  name: string
+  email: string
+  enrollment?: string
+  facultyId?: string
+  studentId?: string
+  createdAt: string
+}
+
+export interface LoginResponse {
+  token: string
+  expiresAt: string
+  user: AuthUser
+}
+
+/**
+ * Register a new student or faculty account
+ */
+export async function registerUser(data: {
+  role: 'student' | 'faculty'
+  fullName: string
+  email: string
+  enrollment?: string
+  facultyId?: string
+  // Required to register as faculty
+  inviteCode?: string
+  password: string
+}): Promise<{ user: AuthUser }> {
+  const response = await fetchAPI('/auth/register', {
+    method: 'POST',
+    body: JSON.stringify(data),
+  })
+  return response.json()
+}
+
+/**
+ * Log in with an email, enrollment number or faculty ID
+ */
+export async function login(data: {
+  role: 'student' | 'faculty'
+  identifier: string
+  password: string
+}): Promise<LoginResponse> {
+  const response = await fetchAPI('/auth/login', {
+    method: 'POST',
+    body: JSON.stringify(data),
+  })
+  return response.json()
+}
+
+/**
+ * End the current session on the server
+ */
+export async function logout(): Promise<void> {
+  await fetchAPI('/auth/logout', { method: 'POST' })
+}
+
+/**
+ * Fetch the user for the current session
+ */
+export async function fetchCurrentUser(): Promise<{ user: AuthUser }> {
+  const response = await fetchAPI('/auth/me')
+  return response.json()
+}
+
 /**
  * Exam data types
  */
@@ -81,13 +191,26 @@ export interface Exam {
   teacherName: string
   pointsTotal: number
   questions?: Question[]
+  questionsCount?: number
   thumbnailUrl: string | null
   settingsSummary: {
     strictMode: boolean
+    scoring?: ScoringPolicy
     [key: string]: unknown
   }
 }
 
+/**
+ * How an exam is scored. Wrong answers to multiple choice and multiple
+ * select questions lose `negativeMarks` (questions may set their own); skipped questions
+ * score 0. With `floorAtZero` the total never goes below 0.
+ */
+export interface ScoringPolicy {
+  negativeMarks: number
+  floorAtZero: boolean
+  variesByQuestion?: boolean // Student view: some questions set their own negative marks
+}
+
 export interface ExamsResponse {
   exams: Exam[]
   page: number
@@ -107,9 +230,20 @@ export interface ExamSummary {
   otherSettings: Record<string, unknown>
 }
 
-export interface StartExamResponse {
+export interface ExamAttempt {
   attemptId: string
+  status: 'started' | 'in_progress' | 'submitted' | 'expired'
+  startedAt: string
   expiresAt: string
+  answers: Record<string, number | string>
+  currentQuestionIndex: number
+  savedAt: string | null
+  revision: number // Counts the autosaves the server has acknowledged
+  recordings: Record<string, { mediaId: string; count: number }> // Oral questions only
+  allowedReRecords: number
+}
+
+export interface StartExamResponse extends ExamAttempt {
   firstQuestionId: string
 }
 
@@ -175,6 +309,89 @@ export async function startExam(
   return response.json()
 }
 
+/**
+ * Fetch the student's open attempt for an exam.
+ * The server owns the deadline, so this is how the timer resumes after a reload.
+ */
+export async function getActiveAttempt(examId: string): Promise<ExamAttempt> {
+  const response = await fetchAPI(`/student/exams/${examId}/attempt`)
+  return response.json()
+}
+
+export interface RecordingUpload {
+  questionId: string
+  recording: UploadedMedia
+  count: number // Recordings made for this question so far
+  recordingsLeft: number
+}
+
+/**
+ * Upload a recorded answer to an oral question. The newest recording is the
+ * answer; each upload uses one of the exam's re-records.
+ */
+export async function uploadRecording(
+  attemptId: string,
+  questionId: string,
+  recording: Blob
+): Promise<RecordingUpload> {
+  const body = new FormData()
+  const extension = recording.type.includes('mp4') ? 'm4a' : recording.type.includes('ogg') ? 'ogg' : 'webm'
+  body.append('file', recording, `${questionId}.${extension}`)
+  const response = await fetchAPI(`/student/attempts/${attemptId}/recordings/${questionId}`, {
+    method: 'POST',
+    body,
+  })
+  return response.json()
+}
+
+/**
+ * How a code answer did on one test case. `status` is 'passed' or 'failed'
+ * when the program ran to the end, otherwise why it didn't: 'error',
+ * 'timeout' or 'output_limit'.
+ */
+export interface CodeTestResult {
+  input: string
+  expectedOutput: string
+  passed: boolean
+  status: 'passed' | 'failed' | 'error' | 'timeout' | 'output_limit' | 'not_run'
+  output?: string
+  // What the program printed to stderr; only graders see it
+  error?: string
+}
+
+/**
+ * Run code against a code question's visible tests. The hidden tests only
+ * run when the exam is submitted.
+ */
+export async function runCodeTests(
+  attemptId: string,
+  questionId: string,
+  code: string
+): Promise<{ questionId: string; results: CodeTestResult[] }> {
+  const response = await fetchAPI(`/student/attempts/${attemptId}/code/${questionId}/run`, {
+    method: 'POST',
+    body: JSON.stringify({ code }),
+  })
+  return response.json()
+}
+
+/**
+ * Autosave changed answers (and the current question) to an open attempt
+ */
+export async function saveAttemptAnswers(
+  attemptId: string,
+  data: {
+    answers: Record<string, number | string>
+    currentQuestionIndex?: number
+  }
+): Promise<{ attemptId: string; savedAt: string; revision: number; answersCount: number }> {
+  const response = await fetchAPI(`/student/attempts/${attemptId}/answers`, {
+    method: 'PUT',
+    body: JSON.stringify(data),
+  })
+  return response.json()
+}
+
 /**
  * Fetch exam questions
  */
@@ -187,6 +404,12 @@ export async function fetchExamQuestions(examId: string): Promise<{
   return response.json()
 }
 
+/**
+ * Where a submission stands: written answers leave it 'pending_grading'
+ * until a grader has scored them
+ */
+export type SubmissionStatus = 'completed' | 'pending_grading'
+
 /**
  * Submit exam answers
  */
@@ -195,15 +418,19 @@ export async function submitExam(
   data: {
     answers: Record<string, number | string>
     attemptId: string
-    startedAt: string
-    timeSpent: number
-    studentId: string
+    // The last autosave revision the server acknowledged. After the deadline
+    // a replayed submit only gets a result if it carries this revision and
+    // no answers beyond it.
+    revision?: number
   }
 ): Promise<{
   submissionId: string
   score: number
   maxScore: number
   percentage: number
+  // 'pending_grading' while written answers wait for a grader; the score
+  // only covers what has been graded so far
+  status: SubmissionStatus
 }> {
   const response = await fetchAPI(`/student/exams/${examId}/submit`, {
     method: 'POST',
@@ -212,6 +439,38 @@ export async function submitExam(
   return response.json()
 }
 
+/**
+ * Fetch the signed-in student's submissions for an exam
+ */
+export async function fetchMyExamSubmissions(examId: string): Promise<{
+  submissions: Array<{
+    id: string
+    examId: string
+    studentId: string
+    attemptId: string
+    score: number
+    maxScore: number
+    status: SubmissionStatus
+    submittedAt: string
+    startedAt: string
+    timeSpent: number
+    attempts: number
+    // Points and grader comments per question, once the exam has closed
+    feedback?: Array<{
+      questionId: string
+      question: string
+      points: number | null
+      maxPoints: number
+      comment: string
+      criteria: CriterionScore[]
+    }>
+  }>
+  total: number
+}> {
+  const response = await fetchAPI(`/student/exams/${examId}/submissions`)
+  return response.json()
+}
+
 /**
  * Mock data fallback when API fails
  */
@@ -271,19 +530,117 @@ export const MOCK_EXAMS: Exam[] = [
  */
 export interface Question {
   id: string
-  type: 'mcq' | 'descriptive'
+  type: 'mcq' | 'multiselect' | 'numeric' | 'fillblank' | 'short' | 'matching' | 'ordering' | 'code' | 'descriptive' | 'oral'
   question: string
   points: number
   options?: string[]
-  correctAnswer?: number | null
+  correctAnswer?: number | number[] | null // Option index; a list of them for multiselect; the expected value for numeric
+  scoringMode?: 'all_or_nothing' | 'proportional' // Multiselect only
+  tolerance?: number | null // Numeric only; how far an answer may be from the expected value
+  toleranceMode?: 'absolute' | 'relative' // Numeric only; relative tolerance is a percentage
+  units?: string // Numeric only; shown to students
+  blanks?: Blank[] | null // Fill-in-the-blank and short answer only (faculty only)
+  pairs?: Array<{ prompt: string; match: string }> | null // Matching only (faculty only)
+  correctOrder?: string[] | null // Ordering only; the items in the right order (faculty only)
+  language?: 'javascript' | 'python' | null // Code only
+  starterCode?: string | null // Code only; what students start from
+  testCases?: CodeTestCase[] | null // Code only; hidden tests score the answer (faculty only)
+  visibleTests?: Array<Pick<CodeTestCase, 'input' | 'expectedOutput'>> // Code only; what students see of the tests
+  negativeMarks?: number | null // Overrides the exam's negative marks
   answer?: string // Answer key for descriptive questions (faculty only)
+  rubric?: RubricCriterion[] | null // Descriptive only; adds up to `points`
+  keywords?: string[] | null // Descriptive only; terms a full answer mentions (faculty only)
   media?: {
-    image?: { file: string; url: string; type: string } | null
-    video?: { file: string; url: string; type: string } | null
-    graph?: { file: string; url: string; type: string } | null
+    image?: MediaRef | null
+    video?: MediaRef | null
+    graph?: MediaRef | null
   }
 }
 
+/**
+ * A blank of a fill-in-the-blank or short answer question. Fill-in-the-blank
+ * questions mark their blanks with ___ and have one of these per marker.
+ */
+export interface Blank {
+  accepted: string[]
+  caseSensitive: boolean
+  normalizeWhitespace: boolean // Trim and collapse runs of spaces before comparing
+  regex: boolean // Accepted answers are patterns that must match the whole answer
+}
+
+/**
+ * A test case of a code question: the program gets `input` on stdin and
+ * passes when it prints `expectedOutput`
+ */
+export interface CodeTestCase {
+  input: string
+  expectedOutput: string
+  hidden: boolean
+}
+
+/**
+ * A rubric criterion. Graders pick one level per criterion; the question
+ * scores the sum of the picked levels.
+ */
+export interface RubricCriterion {
+  id: string
+  title: string
+  levels: Array<{ points: number; descriptor: string }>
+}
+
+/**
+ * The level a grader picked for one criterion, as stored with the grade
+ */
+export interface CriterionScore {
+  id?: string
+  title: string
+  points: number
+  maxPoints: number
+  descriptor: string
+}
+
+/**
+ * A question attachment. `id` points at a file uploaded with uploadMedia();
+ * older questions may instead carry the file inline as a data URL in `url`.
+ */
+export interface MediaRef {
+  id?: string
+  file: string
+  type: string
+  url?: string
+}
+
+export interface UploadedMedia {
+  id: string
+  url: string
+  name: string
+  mimeType: string
+  size: number
+}
+
+/**
+ * Upload a question attachment. Files are stored once per content, so
+ * uploading the same file again returns the same id.
+ */
+export async function uploadMedia(file: File): Promise<UploadedMedia> {
+  const body = new FormData()
+  body.append('file', file)
+  const response = await fetchAPI('/faculty/media', {
+    method: 'POST',
+    body,
+  })
+  return response.json()
+}
+
+/**
+ * URL to show a question attachment from, or null if it has none
+ */
+export function getMediaUrl(media: MediaRef | null | undefined): string | null {
+  if (!media) return null
+  if (media.id) return `${API_BASE_URL}/media/${media.id}`
+  return media.url || null
+}
+
 // Export Question type for use in components
 export type { Question }
 
@@ -314,6 +671,7 @@ export interface FacultyExam {
   questions?: Question[]
   settingsSummary: {
     strictMode: boolean
+    scoring?: ScoringPolicy
     [key: string]: unknown
   }
 }
@@ -419,6 +777,7 @@ export async function fetchFacultyExams(params: {
     const response = await fetchAPI(`/faculty/exams?${queryParams}`)
     return response.json()
   } catch (err) {
+    if (isAuthError(err)) throw err
     console.warn('API fetch failed, using localStorage fallback:', err)
     // Fallback to localStorage if server is not available
     try {
@@ -456,6 +815,7 @@ export async function fetchFacultyStats(): Promise<FacultyStats> {
     const response = await fetchAPI('/faculty/stats')
     return response.json()
   } catch (err) {
+    if (isAuthError(err)) throw err
     console.warn('API fetch failed, calculating stats from local data:', err)
     // Calculate stats from localStorage exams
     const storedExams = localStorage.getItem('faculty_exams')
@@ -517,6 +877,7 @@ export async function createExam(examData: {
     }
     return newExam
   } catch (err) {
+    if (isAuthError(err) || isValidationError(err)) throw err
     console.warn('API create failed, saving to localStorage:', err)
     // Fallback: Create exam locally
     const newExam: FacultyExam = {
@@ -563,6 +924,7 @@ export async function updateExam(
     })
     return response.json()
   } catch (err) {
+    if (isAuthError(err) || isValidationError(err)) throw err
     console.warn('API update failed, updating localStorage:', err)
     // Update exam locally for demo
     const storedExams = localStorage.getItem('faculty_exams')
@@ -596,6 +958,7 @@ export async function deleteExam(examId: string): Promise<void> {
       method: 'DELETE',
     })
   } catch (err) {
+    if (isAuthError(err)) throw err
     console.warn('API delete failed, deleting from localStorage:', err)
     // Delete exam locally for demo
     const storedExams = localStorage.getItem('faculty_exams')
@@ -622,6 +985,7 @@ export async function createDraftExam(draftData: {
     })
     return response.json()
   } catch (err) {
+    if (isAuthError(err) || isValidationError(err)) throw err
     console.warn('API create draft failed, saving to localStorage:', err)
     // Fallback: Create draft locally
     const newDraft: DraftExam = {
@@ -662,6 +1026,7 @@ export async function updateDraftExam(
     })
     return response.json()
   } catch (err: any) {
+    if (isAuthError(err) || isValidationError(err)) throw err
     console.warn('API update draft failed, trying localStorage fallback:', err)
     
     // If it's a 413 error (payload too large), try to sync from server first
@@ -748,6 +1113,7 @@ export async function publishDraftExam(
     
     return newExam
   } catch (err) {
+    if (isAuthError(err) || isValidationError(err)) throw err
     console.warn('API publish draft failed, creating exam locally:', err)
     // Fallback: Create exam from draft
     let teacherName = 'Current Faculty'
@@ -805,6 +1171,7 @@ export async function fetchDraftExams(): Promise<DraftExam[]> {
     const response = await fetchAPI('/faculty/exams/drafts')
     return response.json()
   } catch (err) {
+    if (isAuthError(err)) throw err
     console.warn('API fetch drafts failed, using localStorage:', err)
     try {
       const storedDrafts = localStorage.getItem('faculty_drafts')
@@ -824,6 +1191,7 @@ export async function deleteDraftExam(draftId: string): Promise<void> {
       method: 'DELETE',
     })
   } catch (err) {
+    if (isAuthError(err)) throw err
     console.warn('API delete draft failed, deleting from localStorage:', err)
     try {
       const storedDrafts = localStorage.getItem('faculty_drafts')
@@ -853,7 +1221,7 @@ export interface Student {
 export interface StudentExamSubmission {
   examId: string
   examTitle: string
-  status: 'completed' | 'in_progress' | 'pending'
+  status: SubmissionStatus | 'in_progress' | 'pending'
   score: number | null
   maxScore: number
   submittedAt: string | null
@@ -916,7 +1284,7 @@ export async function fetchExamSubmissions(examId: string): Promise<{
     studentId: string
     studentName: string
     studentEnrollment: string
-    status: 'completed' | 'in_progress' | 'pending'
+    status: SubmissionStatus | 'in_progress' | 'pending'
     score: number | null
     maxScore: number
     submittedAt: string | null
@@ -929,5 +1297,108 @@ export async function fetchExamSubmissions(examId: string): Promise<{
   return response.json()
 }
 
+/**
+ * Grading types
+ */
+export interface GradingStudent {
+  id: string
+  name: string
+  enrollment: string
+}
+
+export interface GradingQueueItem {
+  submissionId: string
+  examId: string
+  examTitle: string
+  student: GradingStudent
+  status: SubmissionStatus
+  score: number
+  maxScore: number
+  pendingCount: number
+  submittedAt: string
+}
 
+/**
+ * One question of a submission as the grader sees it. `manual` items are
+ * scored by hand; `points` is null until they are.
+ */
+export interface GradingItem {
+  questionId: string
+  type: Question['type']
+  question: string
+  media: Question['media'] | null
+  options: string[]
+  correctAnswer: number | number[] | null
+  answerKey: string
+  studentAnswer: string | number | number[] | null
+  manual: boolean
+  rubric: RubricCriterion[] | null
+  keywords: string[]
+  suggestion: ScoreSuggestion | null
+  recording: UploadedMedia | null // Oral only; the student's recorded answer
+  language: Question['language'] // Code only
+  tests: CodeTestResult[] | null // Code only; the answer's result on each hidden test
+  points: number | null
+  maxPoints: number
+  criteria: CriterionScore[] | null
+  comment: string
+  gradedBy: string | null
+  gradedAt: string | null
+}
 
+/**
+ * A first-pass score for a written answer, worked out on the server from
+ * the required keywords it mentions and how much of the answer key's
+ * vocabulary it shares. Only a grader's score is saved.
+ */
+export interface ScoreSuggestion {
+  points: number
+  maxPoints: number
+  keywords: { matched: string[]; missing: string[] } | null
+  similarity: { ratio: number; shared: string[]; missing: string[] } | null
+}
+
+export interface SubmissionForGrading extends GradingQueueItem {
+  items: GradingItem[]
+}
+
+/**
+ * Fetch submissions on the signed-in faculty's exams. By default only those
+ * with answers still waiting for a grader, oldest first.
+ */
+export async function fetchGradingQueue(params: {
+  status?: 'pending' | 'all'
+  examId?: string
+} = {}): Promise<{ submissions: GradingQueueItem[]; total: number }> {
+  const queryParams = new URLSearchParams()
+  if (params.status) queryParams.append('status', params.status)
+  if (params.examId) queryParams.append('examId', params.examId)
+
+  const response = await fetchAPI(`/faculty/grading?${queryParams}`)
+  return response.json()
+}
+
+/**
+ * Fetch a submission with the answer keys and grades, for grading
+ */
+export async function fetchSubmissionForGrading(submissionId: string): Promise<SubmissionForGrading> {
+  const response = await fetchAPI(`/faculty/submissions/${submissionId}`)
+  return response.json()
+}
+
+/**
+ * Award points and an optional comment for one answer. Questions with a
+ * rubric take `criteria` instead: criterion id -> points of the picked level.
+ * Returns the submission with its recomputed score and status.
+ */
+export async function gradeAnswer(
+  submissionId: string,
+  questionId: string,
+  grade: { points?: number; criteria?: Record<string, number>; comment?: string }
+): Promise<SubmissionForGrading> {
+  const response = await fetchAPI(`/faculty/submissions/${submissionId}/grades/${questionId}`, {
+    method: 'PUT',
+    body: JSON.stringify(grade),
+  })
+  return response.json()
+}
@@ -0,0 +1,62 @@
+/**
+ * Unit tests for splitting text at its math and rendering formulas
+ */
+
+import { describe, it, expect } from 'vitest'
+import { splitMath, hasMath, matchMath, renderFormula } from '../math'
+
+describe('splitMath', () => {
+  it('splits out inline and display formulas', () => {
+    expect(splitMath('Area $\\pi r^2$ and $$\\frac{a}{b}$$ done')).toEqual([
+      { type: 'text', value: 'Area ' },
+      { type: 'math', value: '\\pi r^2', display: false },
+      { type: 'text', value: ' and ' },
+      { type: 'math', value: '\\frac{a}{b}', display: true },
+      { type: 'text', value: ' done' },
+    ])
+  })
+
+  it('keeps prices and unmatched dollar signs as text', () => {
+    expect(splitMath('Costs $5 or $10')).toEqual([{ type: 'text', value: 'Costs $5 or $10' }])
+    expect(splitMath('$ x$ and $x $')).toEqual([{ type: 'text', value: '$ x$ and $x $' }])
+    expect(splitMath('Only $x')).toEqual([{ type: 'text', value: 'Only $x' }])
+  })
+
+  it('treats an escaped \\$ as a literal dollar sign', () => {
+    expect(splitMath('Pay \\$3 for $x$')).toEqual([
+      { type: 'text', value: 'Pay $3 for ' },
+      { type: 'math', value: 'x', display: false },
+    ])
+    expect(hasMath('\\$x\\$')).toBe(false)
+  })
+
+  it('does not let an inline formula run across a blank line', () => {
+    expect(hasMath('$a\n\nb$')).toBe(false)
+    expect(hasMath('$a\nb$')).toBe(true)
+  })
+
+  it('ignores empty display formulas', () => {
+    expect(splitMath('$$ $$')).toEqual([{ type: 'text', value: '$$ $$' }])
+  })
+})
+
+describe('matchMath', () => {
+  it('reports where the formula ends', () => {
+    expect(matchMath('a $x^2$ b', 2)).toEqual({ value: 'x^2', display: false, end: 7 })
+    expect(matchMath('a $x^2$ b', 0)).toBeNull()
+  })
+})
+
+describe('renderFormula', () => {
+  it('renders valid LaTeX with a MathML copy for screen readers', () => {
+    const html = renderFormula('x^2')
+    expect(html).toContain('class="katex"')
+    expect(html).toContain('<math')
+  })
+
+  it('falls back to the source as text when the LaTeX is invalid', () => {
+    const html = renderFormula('\\frac{1}{')
+    expect(html).toContain('katex-error')
+    expect(html).toContain('\\frac{1}{')
+  })
+})
@@ -0,0 +1,13 @@
+/**
+ * Whether a student has answered a question: a picked option (including
+ * the first, index 0), some text, at least one option of a multi-select or
+ * at least one filled-in blank
+ * @param {unknown} answer
+ * @returns {boolean}
+ */
+export function isAnswered(answer) {
+  if (answer === undefined || answer === null) return false
+  if (Array.isArray(answer)) return answer.some(isAnswered)
+  if (typeof answer === 'string') return answer.trim().length > 0
+  return true
+}
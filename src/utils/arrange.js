@@ -0,0 +1,57 @@
+/**
+ * A copy of a list with one entry moved to another position
+ * @template T
+ * @param {T[]} list
+ * @param {number} from
+ * @param {number} to
+ * @returns {T[]}
+ */
+export function moveItem(list, from, to) {
+  const moved = [...list]
+  const [item] = moved.splice(from, 1)
+  moved.splice(to, 0, item)
+  return moved
+}
+
+// Two entries that read the same apart from case and surrounding spaces
+// count as duplicates, as they do on the server
+const hasDuplicates = (list) => new Set(list.map(item => item.trim().toLowerCase())).size !== list.length
+
+/**
+ * The pairs of a matching question that have been filled in
+ * @param {Array<{ prompt: string, match: string }>} pairs
+ * @returns {Array<{ prompt: string, match: string }>}
+ */
+export function getFilledPairs(pairs = []) {
+  return pairs
+    .map(pair => ({ prompt: pair.prompt.trim(), match: pair.match.trim() }))
+    .filter(pair => pair.prompt || pair.match)
+}
+
+/**
+ * Problem with the pairs of a matching question that would stop it from
+ * being saved, or null
+ * @param {Array<{ prompt: string, match: string }>} pairs
+ * @returns {string|null}
+ */
+export function getPairsProblem(pairs = []) {
+  const filled = getFilledPairs(pairs)
+  if (filled.some(pair => !pair.prompt || !pair.match)) return 'Please give every pair both a prompt and a match'
+  if (filled.length < 2) return 'Please add at least 2 pairs'
+  if (hasDuplicates(filled.map(pair => pair.prompt))) return 'Each prompt can only be used once'
+  if (hasDuplicates(filled.map(pair => pair.match))) return 'Each match can only be used once'
+  return null
+}
+
+/**
+ * Problem with the items of an ordering question that would stop it from
+ * being saved, or null
+ * @param {string[]} items
+ * @returns {string|null}
+ */
+export function getOrderProblem(items = []) {
+  const filled = items.map(item => item.trim()).filter(Boolean)
+  if (filled.length < 2) return 'Please add at least 2 items to order'
+  if (hasDuplicates(filled)) return 'Each item to order must be different'
+  return null
+}
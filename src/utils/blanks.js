@@ -0,0 +1,72 @@
+// Marks a blank in the text of a fill-in-the-blank question
+const BLANK_MARKER = /_{3,}/
+
+/**
+ * The text of a fill-in-the-blank question split at its blanks, so there is
+ * one more piece than there are blanks
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitAtBlanks(text = '') {
+  return text.split(BLANK_MARKER)
+}
+
+/**
+ * How many blanks are marked in a question's text
+ * @param {string} text
+ * @returns {number}
+ */
+export function countBlanks(text = '') {
+  return splitAtBlanks(text).length - 1
+}
+
+/**
+ * A blank as edited in the question builder, with one accepted answer per line
+ * @returns {{ accepted: string, caseSensitive: boolean, normalizeWhitespace: boolean, regex: boolean }}
+ */
+export function emptyBlank() {
+  return { accepted: '', caseSensitive: false, normalizeWhitespace: true, regex: false }
+}
+
+/**
+ * Grow or shrink the edited blanks to a number of blanks, keeping the
+ * answers already entered
+ * @param {Array<object>} blanks
+ * @param {number} count
+ * @returns {Array<object>}
+ */
+export function resizeBlanks(blanks, count) {
+  return Array.from({ length: count }, (_, index) => blanks[index] || emptyBlank())
+}
+
+/**
+ * The accepted answers of an edited blank, without empty lines
+ * @param {{ accepted: string }} blank
+ * @returns {string[]}
+ */
+export function getAcceptedAnswers(blank) {
+  return blank.accepted.split('\n').map(answer => answer.trim()).filter(Boolean)
+}
+
+/**
+ * Problem with the edited blanks that would stop them from being saved, or null
+ * @param {Array<{ accepted: string, regex: boolean }>} blanks
+ * @returns {string|null}
+ */
+export function getBlanksProblem(blanks = []) {
+  for (const [index, blank] of blanks.entries()) {
+    const name = blanks.length > 1 ? `blank ${index + 1}` : 'the answer'
+    const accepted = getAcceptedAnswers(blank)
+    if (accepted.length === 0) return `Please add at least one accepted answer for ${name}`
+    if (blank.regex) {
+      for (const answer of accepted) {
+        try {
+          new RegExp(answer, 'u')
+        } catch {
+          return `"${answer}" is not a valid regular expression`
+        }
+      }
+    }
+  }
+  return null
+}
@@ -0,0 +1,37 @@
+// Languages code questions can be answered in, as the server runs them
+export const CODE_LANGUAGES = [
+  { value: 'python', label: 'Python' },
+  { value: 'javascript', label: 'JavaScript' }
+]
+
+/**
+ * A test case as edited in the question builder. New test cases are hidden,
+ * since hidden tests are what the answer is scored on.
+ * @returns {{ input: string, expectedOutput: string, hidden: boolean }}
+ */
+export function emptyTestCase() {
+  return { input: '', expectedOutput: '', hidden: true }
+}
+
+/**
+ * The name of a language as shown to people
+ * @param {string} language
+ * @returns {string}
+ */
+export function getLanguageLabel(language) {
+  return CODE_LANGUAGES.find(option => option.value === language)?.label || language
+}
+
+/**
+ * Problem with the test cases of a code question that would stop it from
+ * being saved, or null
+ * @param {Array<{ input: string, expectedOutput: string, hidden: boolean }>} testCases
+ * @returns {string|null}
+ */
+export function getTestCasesProblem(testCases = []) {
+  if (testCases.some(test => !test.input.trim() && !test.expectedOutput.trim())) {
+    return 'Please fill in or remove the empty test cases'
+  }
+  if (!testCases.some(test => test.hidden)) return 'Please add at least one hidden test case'
+  return null
+}
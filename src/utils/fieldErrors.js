@@ -0,0 +1,34 @@
+/**
+ * Turn the `fields` of a server validation error into a form's flat error map.
+ *
+ * Nested paths are keyed by their last part, so `settingsSummary.attemptsLeft`
+ * shows on the `attemptsLeft` input. Errors inside a list are shown on the
+ * list itself, e.g. `questions.2.points` becomes
+ * `{ questions: 'Question 3: Points cannot be negative' }`.
+ *
+ * @param {{ fields?: Record<string, string> }} error
+ * @param {Record<string, string>} [itemLabels] - label for list items, by list name
+ * @returns {Record<string, string>}
+ */
+export function getFieldErrors(error, itemLabels = {}) {
+  const errors = {}
+
+  Object.entries(error?.fields || {}).forEach(([path, message]) => {
+    const parts = path.split('.')
+    const indexAt = parts.findIndex(part => /^\d+$/.test(part))
+
+    if (indexAt > 0) {
+      const list = parts[indexAt - 1]
+      const label = itemLabels[list] || 'Item'
+      // Keep the first problem per list so the message stays short
+      if (!errors[list]) {
+        errors[list] = `${label} ${Number(parts[indexAt]) + 1}: ${message}`
+      }
+      return
+    }
+
+    errors[parts[parts.length - 1]] = message
+  })
+
+  return errors
+}
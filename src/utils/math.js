@@ -0,0 +1,109 @@
+import katex from 'katex'
+
+/**
+ * Split text at its math: `$$...$$` is a block formula and `$...$` an inline
+ * one. Like in Markdown, an inline formula can't start or end with a space
+ * and its closing `$` can't be followed by a digit, so prices such as
+ * "$5 or $10" stay text. `\$` is a literal dollar sign.
+ * @param {string} text
+ * @returns {Array<{ type: 'text' | 'math', value: string, display?: boolean }>}
+ */
+export function splitMath(text = '') {
+  const parts = []
+  let plain = ''
+  let index = 0
+
+  const pushText = () => {
+    if (plain) parts.push({ type: 'text', value: plain })
+    plain = ''
+  }
+
+  while (index < text.length) {
+    const char = text[index]
+
+    if (char === '\\' && text[index + 1] === '$') {
+      plain += '$'
+      index += 2
+      continue
+    }
+    if (char !== '$') {
+      plain += char
+      index++
+      continue
+    }
+
+    const math = matchMath(text, index)
+    if (math) {
+      pushText()
+      parts.push({ type: 'math', value: math.value, display: math.display })
+      index = math.end
+      continue
+    }
+
+    plain += char
+    index++
+  }
+
+  pushText()
+  return parts
+}
+
+/**
+ * The formula that starts with the `$` at `index`, if there is one
+ * @param {string} text
+ * @param {number} index
+ * @returns {{ value: string, display: boolean, end: number } | null} `end` is
+ * the index just past the closing `$`
+ */
+export function matchMath(text, index) {
+  if (text[index] !== '$') return null
+
+  if (text[index + 1] === '$') {
+    const end = text.indexOf('$$', index + 2)
+    const formula = end === -1 ? '' : text.slice(index + 2, end)
+    return formula.trim() ? { value: formula.trim(), display: true, end: end + 2 } : null
+  }
+
+  const end = findInlineEnd(text, index + 1)
+  return end === -1 ? null : { value: text.slice(index + 1, end), display: false, end: end + 1 }
+}
+
+// Where the inline formula opened just before `start` closes, or -1 if this
+// `$` doesn't open one
+function findInlineEnd(text, start) {
+  if (start >= text.length || /\s/.test(text[start])) return -1
+
+  for (let index = start; index < text.length; index++) {
+    if (text[index] === '\\') {
+      index++
+      continue
+    }
+    if (text[index] === '\n' && text[index + 1] === '\n') return -1
+    if (text[index] === '$') {
+      if (/\s/.test(text[index - 1]) || /\d/.test(text[index + 1] || '')) return -1
+      return index
+    }
+  }
+  return -1
+}
+
+/**
+ * Whether text has any math in it
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function hasMath(text = '') {
+  return splitMath(text).some(part => part.type === 'math')
+}
+
+/**
+ * Render a formula typed by faculty or students to HTML. A formula that
+ * doesn't parse comes back as its source in red instead of breaking the
+ * page; KaTeX leaves out commands that could load links or run anything.
+ * @param {string} formula
+ * @param {boolean} display - render as a block formula
+ * @returns {string}
+ */
+export function renderFormula(formula, display = false) {
+  return katex.renderToString(formula, { displayMode: display, throwOnError: false, output: 'htmlAndMathml' })
+}
@@ -0,0 +1,217 @@
+import { hasMath, matchMath } from './math'
+
+// Rich text is a small Markdown subset: **bold**, *italic*, `code`, lists,
+// pipe tables and fenced code blocks, with $math$ anywhere text goes. The
+// server strips HTML that could run from it before storing
+// (server/richText.js), and it is always rendered as elements, never as HTML.
+
+const FENCE = /^\s*```\s*([\w+#-]*)\s*$/
+const BULLET_ITEM = /^\s*[-*]\s+(.*)$/
+const NUMBERED_ITEM = /^\s*(\d+)[.)]\s+(.*)$/
+const TABLE_ROW = /^\s*\|.*\|\s*$/
+const TABLE_DIVIDER = /^\s*\|(\s*:?-{3,}:?\s*\|)+\s*$/
+
+// Helper to split a table row into its cells
+const splitRow = (line) => line.trim().slice(1, -1).split('|').map(cell => cell.trim())
+
+/**
+ * Split rich text into blocks
+ * @param {string} text
+ * @returns {Array<
+ *   { type: 'paragraph', text: string } |
+ *   { type: 'code', language: string, code: string } |
+ *   { type: 'list', ordered: boolean, start: number, items: string[] } |
+ *   { type: 'table', header: string[], rows: string[][] }
+ * >}
+ */
+export function parseBlocks(text = '') {
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n')
+  const blocks = []
+  let paragraph = []
+  let index = 0
+
+  const endParagraph = () => {
+    if (paragraph.length > 0) blocks.push({ type: 'paragraph', text: paragraph.join('\n') })
+    paragraph = []
+  }
+
+  while (index < lines.length) {
+    const line = lines[index]
+    const fence = line.match(FENCE)
+
+    if (fence) {
+      endParagraph()
+      const code = []
+      index++
+      while (index < lines.length && !/^\s*```\s*$/.test(lines[index])) {
+        code.push(lines[index])
+        index++
+      }
+      blocks.push({ type: 'code', language: fence[1].toLowerCase(), code: code.join('\n') })
+      index++
+      continue
+    }
+
+    const bullet = line.match(BULLET_ITEM)
+    const numbered = line.match(NUMBERED_ITEM)
+    if (bullet || numbered) {
+      endParagraph()
+      const ordered = Boolean(numbered)
+      const pattern = ordered ? NUMBERED_ITEM : BULLET_ITEM
+      const items = []
+      while (index < lines.length && lines[index].trim() !== '') {
+        const item = lines[index].match(pattern)
+        if (item) {
+          items.push(item[item.length - 1])
+        } else if (/^\s/.test(lines[index]) && items.length > 0) {
+          // An indented line carries on the item above
+          items[items.length - 1] += `\n${lines[index].trim()}`
+        } else {
+          break
+        }
+        index++
+      }
+      blocks.push({ type: 'list', ordered, start: ordered ? Number(numbered[1]) : 1, items })
+      continue
+    }
+
+    if (TABLE_ROW.test(line) && TABLE_DIVIDER.test(lines[index + 1] || '')) {
+      endParagraph()
+      const header = splitRow(line)
+      const rows = []
+      index += 2
+      while (index < lines.length && TABLE_ROW.test(lines[index])) {
+        const cells = splitRow(lines[index])
+        rows.push(header.map((_, cell) => cells[cell] ?? ''))
+        index++
+      }
+      blocks.push({ type: 'table', header, rows })
+      continue
+    }
+
+    if (line.trim() === '') endParagraph()
+    else paragraph.push(line)
+    index++
+  }
+
+  endParagraph()
+  return blocks
+}
+
+// Letters and digits around a `*` make it arithmetic, as in 2*3*4, not
+// emphasis
+const WORD_CHARACTER = /[\p{L}\p{N}]/u
+
+// Helper to find the `marker` that closes emphasis opened just before
+// `start`. Emphasis can't start or end with a space.
+function findClosing(text, start, marker) {
+  if (start >= text.length || /\s/.test(text[start])) return -1
+  for (let index = start; index < text.length; index++) {
+    if (text[index] === '\\') {
+      index++
+      continue
+    }
+    const math = text[index] === '$' && matchMath(text, index)
+    if (math) {
+      index = math.end - 1
+      continue
+    }
+    // `*` can't close on either half of `**`
+    if (marker === '*' && text.startsWith('**', index)) {
+      index++
+      continue
+    }
+    if (text.startsWith(marker, index) && index > start && !/\s/.test(text[index - 1]) &&
+      !WORD_CHARACTER.test(text[index + marker.length] || '')) {
+      return index
+    }
+  }
+  return -1
+}
+
+/**
+ * Split a line of rich text into its formatting. Text parts keep their math
+ * as typed, for `MathText` to render.
+ * @param {string} text
+ * @returns {Array<
+ *   { type: 'text' | 'code', value: string } |
+ *   { type: 'strong' | 'em', children: Array }
+ * >}
+ */
+export function parseInline(text = '') {
+  const parts = []
+  let plain = ''
+  let index = 0
+
+  const pushText = () => {
+    if (plain) parts.push({ type: 'text', value: plain })
+    plain = ''
+  }
+
+  while (index < text.length) {
+    const char = text[index]
+
+    // `\$` is left for MathText; other escaped markers are literal
+    if (char === '\\' && /[*`\\]/.test(text[index + 1] || '')) {
+      plain += text[index + 1]
+      index += 2
+      continue
+    }
+    if (char === '\\' && text[index + 1] === '$') {
+      plain += '\\$'
+      index += 2
+      continue
+    }
+
+    if (char === '$') {
+      const math = matchMath(text, index)
+      if (math) {
+        plain += text.slice(index, math.end)
+        index = math.end
+        continue
+      }
+    }
+
+    if (char === '`') {
+      const end = text.indexOf('`', index + 1)
+      if (end > index + 1) {
+        pushText()
+        parts.push({ type: 'code', value: text.slice(index + 1, end) })
+        index = end + 1
+        continue
+      }
+    }
+
+    if (char === '*' && !WORD_CHARACTER.test(text[index - 1] || '')) {
+      const marker = text[index + 1] === '*' ? '**' : '*'
+      const end = findClosing(text, index + marker.length, marker)
+      if (end !== -1) {
+        pushText()
+        parts.push({
+          type: marker === '**' ? 'strong' : 'em',
+          children: parseInline(text.slice(index + marker.length, end))
+        })
+        index = end + marker.length
+        continue
+      }
+    }
+
+    plain += char
+    index++
+  }
+
+  pushText()
+  return parts
+}
+
+/**
+ * Whether text uses any formatting or math, i.e. would look different from
+ * the plain text
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function hasFormatting(text = '') {
+  if (!text) return false
+  return hasMath(text) || parseBlocks(text).some(block =>
+    block.type !== 'paragraph' || parseInline(block.text).some(part => part.type !== 'text'))
+}
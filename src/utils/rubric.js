@@ -0,0 +1,34 @@
+/**
+ * Total points a rubric is worth: the top level of every criterion
+ * @param {Array<{ levels: Array<{ points: number }> }>} rubric
+ * @returns {number}
+ */
+export function getRubricTotal(rubric = []) {
+  return rubric.reduce(
+    (sum, criterion) => sum + Math.max(0, ...criterion.levels.map(level => Number(level.points) || 0)),
+    0
+  )
+}
+
+/**
+ * Problem with a rubric that would stop it from being saved, or null
+ * @param {Array<{ title: string, levels: Array<{ points: number }> }>} rubric
+ * @returns {string|null}
+ */
+export function getRubricProblem(rubric = []) {
+  for (const criterion of rubric) {
+    if (!criterion.title.trim()) return 'Please give every rubric criterion a title'
+    if (criterion.levels.length < 2) return `"${criterion.title}" needs at least 2 levels`
+    if (criterion.levels.some(level => level.points === '')) {
+      return `Please give every level of "${criterion.title}" a number of points`
+    }
+    const points = criterion.levels.map(level => Number(level.points))
+    if (new Set(points).size !== points.length) {
+      return `Each level of "${criterion.title}" needs a different number of points`
+    }
+  }
+  if (rubric.length > 0 && getRubricTotal(rubric) <= 0) {
+    return 'The rubric needs at least one level worth points'
+  }
+  return null
+}